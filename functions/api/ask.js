@@ -10,7 +10,7 @@ export async function onRequestPost(context) {
   }
 
   try {
-    const { question, schema, sampleData, rowCount, aggregations } = await request.json();
+    const { question, schema, sampleData, rowCount, aggregations, filter } = await request.json();
 
     if (!question) {
       return new Response(JSON.stringify({ error: 'Question is required' }), {
@@ -70,7 +70,10 @@ export async function onRequestPost(context) {
 
 ## COLUMNS
 ${schema.join(', ')}
-
+${filter ? `
+## FILTER
+Only rows matching: ${filter}
+` : ''}
 ## TOP RANKINGS (computed from ALL ${rowCount} rows)
 ${groupedAggText || 'No grouped rankings available'}
 
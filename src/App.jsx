@@ -1,6 +1,75 @@
-import React, { useState, useMemo, useCallback } from 'react';
-import { BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
-import Papa from 'papaparse';
+import React, { useState, useMemo, useCallback, useEffect, useRef } from 'react';
+import { BarChart, Bar, LineChart, Line, AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
+import { detectColumnType, processTableData } from './lib/columnTypes';
+import { startPipelineTask, TaskCancelledError } from './lib/pipelineClient';
+import { compileFormula, runQuery } from './lib/query';
+import { fileKind } from './lib/archive';
+import { DEFAULT_LOCALE, NUMBER_FORMATS, toISODate } from './lib/locale';
+import { FILTER_KINDS, FILTER_KIND_LABELS, applyFilters, describeFilter, isCompleteFilter, monthRange, valueCounts } from './lib/filters';
+import { OPERATORS, compileExpression, countConditions, emptyGroup, formatExpression, newCondition, parseExpression, updateNode } from './lib/expression';
+import { COLUMN_KINDS, CURRENCY_SYMBOLS, DATE_PATTERNS, applyColumnOverrides, defaultKind, formatValue, kindType, typesWithOverrides } from './lib/columnFormats';
+import { ROW_HEIGHT, visibleWindow } from './lib/virtualRows';
+import { findMerchantColumns } from './lib/aggregations';
+import { COMPARE_MODES, comparisonRange, formatPercentChange, markMovers, rowsInRange, withDeltas } from './lib/periods';
+import { GRANULARITIES, MONTHS, VALUE_MODES, buildTimeSeries } from './lib/timeSeries';
+import { EMPTY_LABEL, compareBy, remainingLevels, rowsForPath, summarizeLevel } from './lib/hierarchy';
+import { AGGREGATES, DATE_GRAINS, buildPivot, groupNodeIds, measureLabel, pivotColumnLabel, pivotLayout, pivotToCSV } from './lib/pivot';
+
+// Table the query console writes its results to
+const QUERY_TABLE = 'query_result';
+
+// Progress lines (⏳) replace each other in the parse log instead of piling up
+const withoutProgress = (log) => log.filter(l => !l.startsWith('⏳'));
+
+// Rows with any value containing the search text
+const searchRows = (rows, search) => {
+  if (!search.trim()) return rows;
+  const searchLower = search.toLowerCase();
+  return rows.filter(row =>
+    Object.values(row).some(val =>
+      String(val || '').toLowerCase().includes(searchLower)
+    )
+  );
+};
+
+// Drill-down dashboard offered for the transactions_joined view; the merchant
+// levels are filled in from whatever merchant columns the table has
+const SPEND_DASHBOARD = {
+  levels: [
+    { column: 'card_program_name', label: 'Program', icon: '💳' },
+    { column: 'card_id', label: 'Card', icon: '🪪' },
+    { role: 'category', label: 'Merchant Category', icon: '🏷️' },
+    { role: 'merchant', label: 'Merchant', icon: '🏪' }
+  ],
+  date: 'user_transaction_time',
+  rowLabel: 'Transactions',
+  measureLabel: 'Spend'
+};
+
+// Rows each dashboard table shows; totals still count every row
+const MAX_SUMMARY_ROWS = 100;
+const MAX_DASHBOARD_RECORDS = 500;
+
+// Table view viewport and column sizes, in px
+const TABLE_HEIGHT = 600;
+const DEFAULT_COLUMN_WIDTH = 160;
+const MIN_COLUMN_WIDTH = 60;
+
+// Rows the pivot view draws at once; the export always has all of them
+const MAX_PIVOT_ROWS = 1000;
+
+// The profile waits for typing in the search box or a filter to settle before copying rows to a worker
+const PROFILE_DELAY_MS = 400;
+
+const downloadCSV = (csv, fileName) => {
+  const blob = new Blob([csv], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+};
 
 const COLORS = ['#00F5D4', '#00BBF9', '#FEE440', '#F15BB5', '#9B5DE5', '#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FFEAA7'];
 
@@ -8,26 +77,58 @@ export default function App() {
   const [tables, setTables] = useState({});
   const [activeTable, setActiveTable] = useState('');
   const [columns, setColumns] = useState([]);
-  const [columnTypes, setColumnTypes] = useState({});
-  const [filters, setFilters] = useState({});
-  const [selectedCategory, setSelectedCategory] = useState('all');
+  const [detectedTypes, setDetectedTypes] = useState({}); // types of the active table before inspector overrides
+  const [columnOverrides, setColumnOverrides] = useState({}); // column inspector kind/format per table, kept across reloads
+  const [inspectedColumn, setInspectedColumn] = useState(null);
+  const [tableTypes, setTableTypes] = useState({}); // native/declared column types per table, e.g. from Excel cells
+  const [schemas, setSchemas] = useState({}); // CREATE TABLE info per table: SQL types, keys, references
+  const [joinPlans, setJoinPlans] = useState([]); // denormalized views offered from foreign keys / _id naming
+  const [filters, setFilters] = useState({}); // typed filter per column, see lib/filters
+  const [filterDraft, setFilterDraft] = useState(null); // filter being edited: { column, kind, min, max, from, to, values, text, exclude }
+  const [filterExpression, setFilterExpression] = useState(emptyGroup()); // AND/OR condition tree from the expression builder
+  const [expressionDraft, setExpressionDraft] = useState(null); // text form being edited; null while it mirrors the builder
+  const [expressionError, setExpressionError] = useState(null); // { message, line, column }
+  const [showExpression, setShowExpression] = useState(false);
   const [sortConfig, setSortConfig] = useState({ key: null, direction: 'asc' });
+  const [tableScrollTop, setTableScrollTop] = useState(0); // table view scroll offset, rounded down to a whole row
+  const [columnWidths, setColumnWidths] = useState({}); // table view widths set by dragging a header edge
+  const resizingColumn = useRef(false); // a header drag just ended; its click shouldn't sort
+  const tableScroller = useRef(null);
+  const sortAnchor = useRef(null); // the table view's top row when a sort was clicked, kept in view once it's re-sorted
   const [activeView, setActiveView] = useState('table');
   const [fileName, setFileName] = useState('');
+  const [loadingName, setLoadingName] = useState(''); // file being loaded; fileName only changes once it has loaded
   const [parseLog, setParseLog] = useState([]);
-  const [calculatedColumns, setCalculatedColumns] = useState([]);
+  const [calculatedColumns, setCalculatedColumns] = useState([]); // { name, label, formula, reads, calculate, type }, each may use the ones before it
+  const [formulaDraft, setFormulaDraft] = useState(null); // { editing, name, formula }; editing is the name of the column being changed
+  const [formulaError, setFormulaError] = useState(null); // { message, line, column }
   const [urlInput, setUrlInput] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  const [cancelTask, setCancelTask] = useState(null); // cancels the worker task in progress
+  const [loadLimits, setLoadLimits] = useState({ rowLimit: 0, sample: false }); // per-table row cap for huge SQL/CSV/JSON files
+  const [splitArrays, setSplitArrays] = useState(false); // nested JSON arrays → child tables
+  const [csvOptions, setCsvOptions] = useState({ delimiter: 'auto', encoding: 'auto', headerRow: 'auto' }); // overrides for CSV sniffing
+  const [locale, setLocale] = useState(DEFAULT_LOCALE); // number/date conventions for the next load
+  const [tableLocales, setTableLocales] = useState({}); // conventions each loaded table was read with
+  const [addingToWorkspace, setAddingToWorkspace] = useState(false); // next load merges into the open tables
   const [loadError, setLoadError] = useState('');
   const [sqlPasteInput, setSqlPasteInput] = useState('');
   const [showPasteArea, setShowPasteArea] = useState(false);
-  const [selectedMonth, setSelectedMonth] = useState('all');
   const [groupByColumn, setGroupByColumn] = useState('');
+  const [measureColumn, setMeasureColumn] = useState(''); // number column summed in charts; '' uses the detected amount
+  const [pivotConfig, setPivotConfig] = useState({ rows: [], columns: [], measures: [{ column: '', agg: 'count' }] }); // see lib/pivot
+  const [profile, setProfile] = useState(null); // per-column profiles for the Profile view, see lib/profile
+  const [profileLoading, setProfileLoading] = useState(false);
+  const [pivotCollapsed, setPivotCollapsed] = useState(new Set()); // ids of collapsed pivot groups
   const [aggregationType, setAggregationType] = useState('sum'); // 'sum' or 'count'
   const [topN, setTopN] = useState(10); // default to top 10 for cleaner charts
-  const [drilldown, setDrilldown] = useState({ level: 'overview', cardId: null, programId: null, programName: null }); // drill-down state
+  const [timeSeriesOptions, setTimeSeriesOptions] = useState({ grain: 'day', fiscalStart: 1, fillGaps: false, mode: 'period', stacked: false });
+  const [dashboardConfigs, setDashboardConfigs] = useState({}); // per table: { levels: [{ column, label, icon }], measure, date, rowLabel, measureLabel }
+  const [drillPath, setDrillPath] = useState([]); // dashboard values picked so far: [{ level, value }], see lib/hierarchy
+  const [showDashboardConfig, setShowDashboardConfig] = useState(false);
   const [showParseLog, setShowParseLog] = useState(true);
-  const [dashboardSort, setDashboardSort] = useState({ programs: { key: 'total_spend', dir: 'desc' }, cards: { key: 'total_spend', dir: 'desc' }, drilldown: { key: 'date', dir: 'desc' } });
+  const [dashboardSort, setDashboardSort] = useState({}); // 'level-<index>' or 'records' → { key, dir }
+  const [comparison, setComparison] = useState(null); // { from, to, mode, customFrom, customTo }: current period and what it's compared with
 
   // AI Chat state
   const [aiQuestion, setAiQuestion] = useState('');
@@ -38,182 +139,44 @@ export default function App() {
   // Global search
   const [globalSearch, setGlobalSearch] = useState('');
 
-  const data = useMemo(() => tables[activeTable] || [], [tables, activeTable]);
-
-  // Find amount column in joined data
-  const amountColumn = useMemo(() => {
-    const joined = tables['transactions_joined'];
-    if (!joined || joined.length === 0) return null;
-
-    const cols = Object.keys(joined[0]);
-    const amountPatterns = ['amount', 'total', 'price', 'cost', 'spend', 'value'];
-
-    for (const col of cols) {
-      const colLower = col.toLowerCase();
-      if (amountPatterns.some(p => colLower.includes(p))) {
-        // Check if it's actually numeric
-        const sample = joined.slice(0, 10).map(r => r[col]);
-        if (sample.some(v => !isNaN(parseFloat(v)))) {
-          return col;
-        }
-      }
-    }
-    return null;
-  }, [tables]);
-
-  // Compute card summaries from transactions_joined
-  const cardSummariesRaw = useMemo(() => {
-    const joined = tables['transactions_joined'];
-    if (!joined) return [];
-
-    const byCard = {};
-    joined.forEach(txn => {
-      const cardId = txn.card_id;
-      if (!byCard[cardId]) {
-        byCard[cardId] = {
-          card_id: cardId,
-          card_program_id: txn.card_program_id,
-          card_program_name: txn.card_program_name,
-          transaction_count: 0,
-          total_spend: 0
-        };
-      }
-      byCard[cardId].transaction_count++;
-      const amt = amountColumn ? parseFloat(txn[amountColumn]) || 0 : 0;
-      byCard[cardId].total_spend += amt;
-    });
-
-    return Object.values(byCard);
-  }, [tables, amountColumn]);
-
-  // Sorted card summaries
-  const cardSummaries = useMemo(() => {
-    const { key, dir } = dashboardSort.cards;
-    return [...cardSummariesRaw].sort((a, b) => {
-      let aVal = a[key], bVal = b[key];
-      if (typeof aVal === 'string') aVal = aVal.toLowerCase();
-      if (typeof bVal === 'string') bVal = bVal.toLowerCase();
-      if (aVal < bVal) return dir === 'asc' ? -1 : 1;
-      if (aVal > bVal) return dir === 'asc' ? 1 : -1;
-      return 0;
-    });
-  }, [cardSummariesRaw, dashboardSort.cards]);
-
-  // Compute program summaries from transactions_joined
-  const programSummariesRaw = useMemo(() => {
-    const joined = tables['transactions_joined'];
-    if (!joined) return [];
-
-    const byProgram = {};
-    const cardsByProgram = {};
-
-    joined.forEach(txn => {
-      const progId = txn.card_program_id;
-      const progName = txn.card_program_name;
-      const key = progId || 'unknown';
-
-      if (!byProgram[key]) {
-        byProgram[key] = {
-          card_program_id: progId,
-          card_program_name: progName,
-          transaction_count: 0,
-          total_spend: 0,
-          card_count: 0
-        };
-        cardsByProgram[key] = new Set();
-      }
-      byProgram[key].transaction_count++;
-      const amt = amountColumn ? parseFloat(txn[amountColumn]) || 0 : 0;
-      byProgram[key].total_spend += amt;
-      cardsByProgram[key].add(txn.card_id);
-    });
-
-    // Set card counts
-    Object.keys(byProgram).forEach(key => {
-      byProgram[key].card_count = cardsByProgram[key].size;
-    });
-
-    return Object.values(byProgram);
-  }, [tables, amountColumn]);
-
-  // Sorted program summaries
-  const programSummaries = useMemo(() => {
-    const { key, dir } = dashboardSort.programs;
-    return [...programSummariesRaw].sort((a, b) => {
-      let aVal = a[key], bVal = b[key];
-      if (typeof aVal === 'string') aVal = aVal.toLowerCase();
-      if (typeof bVal === 'string') bVal = bVal.toLowerCase();
-      if (aVal < bVal) return dir === 'asc' ? -1 : 1;
-      if (aVal > bVal) return dir === 'asc' ? 1 : -1;
-      return 0;
+  // SQL query console
+  const [queryText, setQueryText] = useState('');
+  const [queryError, setQueryError] = useState(null); // { message, line, column }
+  const [queryStatus, setQueryStatus] = useState('');
+
+  // Joined views and query results are read the way their source tables were
+  const localeFor = useCallback((tableName) => (
+    tableLocales[tableName] || tableLocales[tableName.replace(/_joined$/, '')] || DEFAULT_LOCALE
+  ), [tableLocales]);
+
+  const activeLocale = useMemo(() => localeFor(activeTable), [localeFor, activeTable]);
+
+  // Inspector overrides re-type the active table's values and types for everything downstream
+  const tableOverrides = useMemo(() => columnOverrides[activeTable] || {}, [columnOverrides, activeTable]);
+  const columnTypes = useMemo(() => ({
+    ...typesWithOverrides(detectedTypes, tableOverrides),
+    ...Object.fromEntries(calculatedColumns.map(c => [c.name, c.type]))
+  }), [detectedTypes, tableOverrides, calculatedColumns]);
+
+  // Calculated values are stored on the rows so filters, charts and the AI see them like any other column
+  const data = useMemo(() => {
+    const rows = applyColumnOverrides(tables[activeTable] || [], tableOverrides, detectedTypes, activeLocale);
+    if (calculatedColumns.length === 0) return rows;
+    return rows.map(row => {
+      const next = { ...row };
+      calculatedColumns.forEach(c => {
+        next[c.name] = c.calculate(next);
+      });
+      return next;
     });
-  }, [programSummariesRaw, dashboardSort.programs]);
-
-  // Get transactions for drilldown
-  // Get transactions for drilldown (raw, unsorted)
-  const drilldownDataRaw = useMemo(() => {
-    const joined = tables['transactions_joined'];
-    if (!joined) return [];
+  }, [tables, activeTable, tableOverrides, detectedTypes, activeLocale, calculatedColumns]);
 
-    if (drilldown.level === 'card' && drilldown.cardId !== null) {
-      return joined.filter(txn => txn.card_id === drilldown.cardId);
-    }
-    if (drilldown.level === 'program' && drilldown.programId !== null) {
-      return joined.filter(txn => txn.card_program_id === drilldown.programId);
-    }
-    return [];
-  }, [tables, drilldown]);
-
-  // Sorted drilldown data
-  const drilldownData = useMemo(() => {
-    const { key, dir } = dashboardSort.drilldown;
-    return [...drilldownDataRaw].sort((a, b) => {
-      let aVal, bVal;
-      if (key === 'amount') {
-        aVal = amountColumn ? parseFloat(a[amountColumn]) || 0 : 0;
-        bVal = amountColumn ? parseFloat(b[amountColumn]) || 0 : 0;
-      } else if (key === 'date') {
-        aVal = a.user_transaction_time || '';
-        bVal = b.user_transaction_time || '';
-      } else if (key === 'card_id') {
-        aVal = a.card_id;
-        bVal = b.card_id;
-      } else {
-        aVal = a[key];
-        bVal = b[key];
-      }
-      if (typeof aVal === 'string') aVal = aVal.toLowerCase();
-      if (typeof bVal === 'string') bVal = bVal.toLowerCase();
-      if (aVal < bVal) return dir === 'asc' ? -1 : 1;
-      if (aVal > bVal) return dir === 'asc' ? 1 : -1;
-      return 0;
-    });
-  }, [drilldownDataRaw, dashboardSort.drilldown, amountColumn]);
+  const allColumns = useMemo(() => [...columns, ...calculatedColumns.map(c => c.name)], [columns, calculatedColumns]);
 
-  const detectColumnType = (values) => {
-    const sample = values.filter(v => v !== null && v !== '' && v !== undefined).slice(0, 100);
-    if (sample.length === 0) return 'text';
-    
-    const numericCount = sample.filter(v => {
-      const cleaned = String(v).replace(/[$,€£¥]/g, '').trim();
-      return !isNaN(parseFloat(cleaned)) && isFinite(cleaned);
-    }).length;
-    
-    const dateCount = sample.filter(v => {
-      if (typeof v !== 'string') return false;
-      return !isNaN(Date.parse(v)) || /^\d{4}-\d{2}-\d{2}/.test(v) || /^\d{1,2}\/\d{1,2}\/\d{2,4}/.test(v);
-    }).length;
-    
-    if (numericCount > sample.length * 0.7) return 'number';
-    if (dateCount > sample.length * 0.7) return 'date';
-    
-    const uniqueRatio = new Set(sample).size / sample.length;
-    if (uniqueRatio < 0.3 && sample.length > 5) return 'category';
-    
-    return 'text';
-  };
+  // Which kinds of column the inspector lets fill a role; roles not listed take any kind
+  const ROLE_KINDS = { amount: ['number', 'currency', 'integer'], quantity: ['number', 'integer'], date: ['date'] };
 
-  const detectSpecialColumns = (cols, types) => {
+  const detectSpecialColumns = (cols, types, overrides = {}) => {
     const patterns = {
       account: ['account', 'customer', 'client', 'user', 'name', 'buyer', 'company', 'org', 'vendor', 'member', 'supplier'],
       amount: ['amount', 'total', 'price', 'cost', 'spend', 'revenue', 'value', 'sum', 'payment', 'balance', 'unit_cost', 'unit_price', 'ext_cost', 'extended'],
@@ -229,6 +192,8 @@ export default function App() {
       for (const col of cols) {
         const colLower = col.toLowerCase().replace(/[_-]/g, '');
         if (keywords.some(k => colLower.includes(k.replace(/[_-]/g, '')))) {
+          // A column typed by hand only takes roles its kind fits (a zip code set to ID is never the amount)
+          if (overrides[col] && ROLE_KINDS[key] && !ROLE_KINDS[key].includes(overrides[col].kind)) continue;
           if (key === 'amount' || key === 'quantity') {
             if (types[col] === 'number') {
               detected[key] = col;
@@ -242,6 +207,12 @@ export default function App() {
       }
     });
 
+    // Columns set to currency or date in the inspector are the amount and date
+    const currencyCol = cols.find(c => overrides[c]?.kind === 'currency');
+    if (currencyCol) detected.amount = currencyCol;
+    const dateCol = cols.find(c => overrides[c]?.kind === 'date');
+    if (dateCol && (!detected.date || types[detected.date] !== 'date')) detected.date = dateCol;
+
     if (!detected.amount) {
       detected.amount = cols.find(c => types[c] === 'number');
     }
@@ -252,328 +223,92 @@ export default function App() {
     return detected;
   };
 
-  const parseSQLFile = (content) => {
-    const logs = [];
-    const extractedTables = {};
-    const tableSchemas = {};
-    
-    let cleanContent = content
-      .replace(/--.*$/gm, '')
-      .replace(/\/\*[\s\S]*?\*\//g, '')
-      .replace(/\r\n/g, '\n');
-    
-    logs.push('🔍 Parsing SQL file...');
-    
-    const createTableRegex = /CREATE\s+TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?[`"'\[]?(\w+)[`"'\]]?\s*\(([\s\S]*?)\)(?:\s*ENGINE|\s*;|\s*$)/gi;
-    let match;
-    
-    while ((match = createTableRegex.exec(cleanContent)) !== null) {
-      const tableName = match[1];
-      const columnsBlock = match[2];
-      
-      const columnDefs = [];
-      const colRegex = /[`"'\[]?(\w+)[`"'\]]?\s+(INT|INTEGER|VARCHAR|TEXT|CHAR|DATE|DATETIME|TIMESTAMP|DECIMAL|FLOAT|DOUBLE|BOOLEAN|BOOL|BIGINT|SMALLINT|TINYINT|NUMERIC|REAL|MONEY|TIME|NVARCHAR|BIT)/gi;
-      let colMatch;
-      
-      while ((colMatch = colRegex.exec(columnsBlock)) !== null) {
-        columnDefs.push(colMatch[1]);
-      }
-      
-      if (columnDefs.length > 0) {
-        tableSchemas[tableName.toLowerCase()] = columnDefs;
-        logs.push(`📋 Found table: ${tableName} (${columnDefs.length} columns)`);
-      }
-    }
-    
-    const insertRegex = /INSERT\s+INTO\s+[`"'\[]?(\w+)[`"'\]]?\s*(?:\(([^)]+)\))?\s*VALUES\s*([\s\S]*?)(?=INSERT\s+INTO|CREATE|DROP|ALTER|UPDATE|DELETE|;?\s*$)/gi;
-    
-    while ((match = insertRegex.exec(cleanContent)) !== null) {
-      const tableName = match[1].toLowerCase();
-      const explicitColumns = match[2];
-      const valuesBlock = match[3];
-      
-      let cols = [];
-      if (explicitColumns) {
-        cols = explicitColumns.split(',').map(c => c.trim().replace(/[`"'\[\]]/g, ''));
-      } else if (tableSchemas[tableName]) {
-        cols = tableSchemas[tableName];
-      }
-      
-      const valueSetRegex = /\(([^)]+)\)/g;
-      let valueMatch;
-      const rows = [];
-      
-      while ((valueMatch = valueSetRegex.exec(valuesBlock)) !== null) {
-        const valueStr = valueMatch[1];
-        const values = [];
-        let current = '';
-        let inString = false;
-        let stringChar = '';
-        
-        for (let i = 0; i < valueStr.length; i++) {
-          const char = valueStr[i];
-          
-          if (!inString && (char === "'" || char === '"')) {
-            inString = true;
-            stringChar = char;
-          } else if (inString && char === stringChar && valueStr[i-1] !== '\\') {
-            inString = false;
-          } else if (!inString && char === ',') {
-            values.push(current.trim());
-            current = '';
-            continue;
-          }
-          current += char;
-        }
-        values.push(current.trim());
-        
-        const cleanedValues = values.map(v => {
-          v = v.trim();
-          if ((v.startsWith("'") && v.endsWith("'")) || (v.startsWith('"') && v.endsWith('"'))) {
-            return v.slice(1, -1).replace(/\\'/g, "'").replace(/\\"/g, '"');
-          }
-          if (v.toUpperCase() === 'NULL') return null;
-          const num = parseFloat(v);
-          if (!isNaN(num) && isFinite(v)) return num;
-          return v;
-        });
-        
-        if (cols.length === 0) {
-          cols = cleanedValues.map((_, i) => `column_${i + 1}`);
-        }
-        
-        const row = { _id: rows.length };
-        cols.forEach((col, i) => {
-          row[col] = cleanedValues[i] !== undefined ? cleanedValues[i] : null;
-        });
-        rows.push(row);
-      }
-      
-      if (rows.length > 0) {
-        if (!extractedTables[tableName]) {
-          extractedTables[tableName] = { columns: cols, rows: [] };
-        }
-        extractedTables[tableName].rows.push(...rows);
-        logs.push(`📥 Loaded ${rows.length} rows → ${tableName}`);
-      }
-    }
-    
-    const result = {};
-    Object.entries(extractedTables).forEach(([name, { rows }]) => {
-      result[name] = rows.map((row, idx) => ({ ...row, _id: idx }));
+  // Run a pipeline task in the worker, streaming its progress into the parse log.
+  // Resolves to null if the task was cancelled or failed.
+  const runTask = useCallback(async (message) => {
+    const task = startPipelineTask(message, (line) => {
+      setParseLog(prev => [...withoutProgress(prev), line]);
     });
-    
-    if (Object.keys(result).length === 0) {
-      logs.push('⚠️ No data found. Make sure your SQL file has INSERT statements.');
-    } else {
-      const totalRows = Object.values(result).reduce((sum, rows) => sum + rows.length, 0);
-      logs.push(`✅ Done! ${Object.keys(result).length} table(s), ${totalRows} total rows`);
+    setCancelTask(() => task.cancel);
+    setIsLoading(true);
+    try {
+      return await task.promise;
+    } catch (err) {
+      if (err instanceof TaskCancelledError) {
+        setParseLog(prev => [...withoutProgress(prev), '⏹️ Cancelled']);
+      } else {
+        console.error('Pipeline error:', err);
+        setLoadError(err.message);
+        setParseLog(prev => [...withoutProgress(prev), `❌ Error: ${err.message}`]);
+      }
+      return null;
+    } finally {
+      setCancelTask(null);
+      setIsLoading(false);
     }
-    
-    return { tables: result, logs, schemas: tableSchemas };
-  };
+  }, []);
 
-  const processTableData = (tableData, cols) => {
-    const types = {};
-    cols.forEach(col => {
-      const values = tableData.map(row => row[col]);
-      types[col] = detectColumnType(values);
-    });
-    
-    const processedData = tableData.map((row, idx) => {
-      const newRow = { _id: idx };
-      cols.forEach(col => {
-        if (types[col] === 'number' && row[col] !== null && row[col] !== undefined) {
-          const cleaned = String(row[col]).replace(/[$,€£¥]/g, '').trim();
-          newRow[col] = parseFloat(cleaned) || 0;
-        } else {
-          newRow[col] = row[col];
-        }
-      });
-      return newRow;
-    });
-    
-    return { processedData, types };
-  };
+  const addingFiles = addingToWorkspace && Object.keys(tables).length > 0;
 
-  const handleFileUpload = useCallback((e) => {
-    const file = e.target.files[0];
-    if (!file) return;
-    
-    setFileName(file.name);
+  // A fresh load starts over; adding to the workspace keeps what's open
+  const beginLoad = useCallback((name) => {
+    setLoadError('');
+    setLoadingName(name);
+    if (addingFiles) {
+      setParseLog(prev => [...prev, `➕ Adding ${name} to the workspace`]);
+      return;
+    }
     setParseLog([]);
     setCalculatedColumns([]);
-    setLoadError('');
-    const ext = file.name.split('.').pop().toLowerCase();
-    
-    if (ext === 'sql') {
-      const reader = new FileReader();
-      reader.onload = (event) => {
-        const content = event.target.result;
-        processContent(content, 'sql', file.name);
-      };
-      reader.readAsText(file);
-    } else {
-      Papa.parse(file, {
-        header: true,
-        skipEmptyLines: true,
-        complete: (results) => {
-          processCSVResults(results, file.name);
-        }
-      });
+  }, [addingFiles]);
+
+  // Parse, type and join a SQL dump, SQLite database, CSV, workbook, JSON file or archive in the worker, then show it
+  const loadData = useCallback(async (kind, source, name) => {
+    const workspace = addingFiles ? { tables, types: tableTypes, schemas, locales: tableLocales } : undefined;
+    const result = await runTask({ type: 'load', kind, source, name, limits: loadLimits, options: { splitArrays, csv: csvOptions, locale }, workspace });
+    if (!result) return;
+
+    const { tables: loadedTables, types, schemas: loadedSchemas, locales, plans, logs, defaultTable } = result;
+    setParseLog(prev => [...withoutProgress(prev), ...logs]);
+    setShowParseLog(true);
+    if (!defaultTable) {
+      if (kind === 'workbook') setLoadError('No data found in workbook');
+      if (kind === 'json') setLoadError('No records found in JSON file');
+      if (kind === 'archive') setLoadError(`No data files found in ${name}`);
+      return;
     }
-  }, []);
-
-  const processContent = useCallback((content, type, name) => {
-    if (type === 'sql') {
-      const { tables: parsedTables, logs } = parseSQLFile(content);
 
-      const updatedLogs = [...logs];
-
-      if (Object.keys(parsedTables).length > 0) {
-        // Process each table's data types
-        Object.keys(parsedTables).forEach(tableName => {
-          const tableData = parsedTables[tableName];
-          const cols = Object.keys(tableData[0] || {}).filter(k => k !== '_id');
-          const { processedData } = processTableData(tableData, cols);
-          parsedTables[tableName] = processedData;
-        });
-
-        // Check for joinable tables (transactions + cards + card_programs)
-        if (parsedTables['transactions'] && parsedTables['cards'] && parsedTables['card_programs']) {
-          // Create lookup maps - try both string and number keys for flexibility
-          const cardsMap = {};
-          const cardIds = new Set();
-          parsedTables['cards'].forEach(card => {
-            cardsMap[card.id] = card;
-            cardsMap[String(card.id)] = card;
-            cardIds.add(card.id);
-            cardIds.add(String(card.id));
-          });
-          const programsMap = {};
-          parsedTables['card_programs'].forEach(prog => {
-            programsMap[prog.id] = prog;
-            programsMap[String(prog.id)] = prog;
-          });
-
-          // Join transactions with cards and card_programs
-          let matchedCards = 0;
-          let matchedPrograms = 0;
-          const unmatchedCardIds = new Set();
-
-          const joinedData = parsedTables['transactions'].map((txn, idx) => {
-            // Try both the value and string version
-            const card = cardsMap[txn.card_id] || cardsMap[String(txn.card_id)] || {};
-            const programId = card.card_program_id;
-            const program = programId ? (programsMap[programId] || programsMap[String(programId)]) : null;
-
-            if (Object.keys(card).length > 0) {
-              matchedCards++;
-            } else {
-              unmatchedCardIds.add(txn.card_id);
-            }
-            if (program) matchedPrograms++;
-
-            let programName = 'Unknown Program';
-            if (program && (program.display_name || program.name)) {
-              programName = program.display_name || program.name;
-            } else if (programId !== undefined && programId !== null) {
-              programName = `Program #${programId}`;
-            }
-
-            return {
-              _id: idx,
-              ...txn,
-              card_program_id: programId,
-              card_program_name: programName
-            };
-          });
-
-          parsedTables['transactions_joined'] = joinedData;
-          const totalTxns = parsedTables['transactions'].length;
-
-          if (matchedCards === totalTxns) {
-            updatedLogs.push(`✅ All ${totalTxns} transactions matched to cards and programs`);
-          } else {
-            updatedLogs.push(`🔗 Joined: ${matchedCards}/${totalTxns} transactions matched cards (${Math.round(matchedCards/totalTxns*100)}%)`);
-          }
-
-          if (matchedCards < totalTxns) {
-            const unmatchedSample = [...unmatchedCardIds].slice(0, 5);
-            updatedLogs.push(`⚠️ ${unmatchedCardIds.size} unique card_ids not found in cards table`);
-            updatedLogs.push(`   Sample unmatched card_ids: ${unmatchedSample.join(', ')}`);
-
-            const sampleCardIds = [...cardIds].slice(0, 5);
-            updatedLogs.push(`   Sample card.id values in cards table: ${sampleCardIds.join(', ')}`);
-          }
-        }
-
-        // Prefer transactions_joined if it exists, else transactions, else first table
-        let defaultTable = Object.keys(parsedTables)[0];
-        if (parsedTables['transactions_joined']) {
-          defaultTable = 'transactions_joined';
-        } else if (parsedTables['transactions']) {
-          defaultTable = 'transactions';
-        }
-
-        const tableData = parsedTables[defaultTable];
-        const cols = Object.keys(tableData[0] || {}).filter(k => k !== '_id');
-
-        const { types } = processTableData(tableData, cols);
-
-        setTables(parsedTables);
-        setActiveTable(defaultTable);
-        setColumns(cols);
-        setColumnTypes(types);
-        setFilters({});
-        setGlobalSearch('');
-        setSelectedCategory('all');
-
-        // Default to dashboard view if we have joined transaction data
-        if (parsedTables['transactions_joined']) {
-          setActiveView('dashboard');
-          setDrilldown({ level: 'overview', cardId: null, programId: null, programName: null });
-        }
-      }
-
-      setParseLog(updatedLogs);
-      setShowParseLog(true);
-    } else {
-      // Parse as CSV
-      Papa.parse(content, {
-        header: true,
-        skipEmptyLines: true,
-        complete: (results) => {
-          processCSVResults(results, name);
-        }
-      });
+    setFileName(prev => (addingFiles ? `${prev} + ${name}` : name));
+    setTables(loadedTables);
+    setTableTypes(types);
+    setSchemas(loadedSchemas);
+    setTableLocales(locales);
+    setJoinPlans(plans);
+    setAddingToWorkspace(false);
+    showTable(defaultTable, Object.keys(types[defaultTable]), types[defaultTable]);
+
+    // Default to dashboard view if we have joined transaction data
+    if (defaultTable === 'transactions_joined') {
+      setActiveView('dashboard');
     }
-  }, []);
+  }, [runTask, loadLimits, splitArrays, csvOptions, locale, addingFiles, tables, tableTypes, schemas, tableLocales]);
 
-  const processCSVResults = useCallback((results, name) => {
-    const parsedData = results.data;
-    const cols = results.meta.fields || [];
-    
-    const { processedData, types } = processTableData(parsedData, cols);
-    
-    const tableName = name.replace(/\.[^/.]+$/, '').toLowerCase().replace(/[^a-z0-9]/g, '_');
-    setTables({ [tableName]: processedData });
-    setActiveTable(tableName);
-    setColumns(cols);
-    setColumnTypes(types);
-    setFilters({});
-    setGlobalSearch('');
-    setSelectedCategory('all');
-    setParseLog([`✅ Loaded ${processedData.length} rows`]);
-  }, []);
+  const handleFileUpload = useCallback((e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    beginLoad(file.name);
+    // Anything we don't recognize is tried as CSV
+    loadData(fileKind(file.name) || 'csv', file, file.name);
+    // Lets the same file be picked again after a cancel
+    e.target.value = '';
+  }, [beginLoad, loadData]);
 
   const handleURLFetch = useCallback(async () => {
     if (!urlInput.trim()) return;
     
     setIsLoading(true);
     setLoadError('');
-    setParseLog([]);
-    setCalculatedColumns([]);
     
     try {
       // Extract filename from URL
@@ -591,13 +326,25 @@ export default function App() {
         }
       }
       
-      setParseLog(['🔗 Fetching URL...']);
+      beginLoad(name);
+      setParseLog(prev => [...prev, '🔗 Fetching URL...']);
       
       const response = await fetch(fetchUrl);
       
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
+
+      // Detect file type from URL or content
+      const ext = name.split('.').pop().toLowerCase();
+
+      const kind = fileKind(name);
+      if (kind === 'workbook' || kind === 'sqlite' || kind === 'archive') {
+        const buffer = await response.arrayBuffer();
+        setParseLog(prev => [...prev, `📥 Downloaded ${(buffer.byteLength / 1024).toFixed(1)} KB`]);
+        await loadData(kind, buffer, name);
+        return;
+      }
       
       const content = await response.text();
       
@@ -605,16 +352,14 @@ export default function App() {
         throw new Error('Empty response received');
       }
       
-      setFileName(name);
       setParseLog(prev => [...prev, `📥 Downloaded ${(content.length / 1024).toFixed(1)} KB`]);
       
-      // Detect file type from URL or content
-      const ext = name.split('.').pop().toLowerCase();
-      
       if (ext === 'sql' || content.trim().toUpperCase().startsWith('CREATE') || content.includes('INSERT INTO')) {
-        processContent(content, 'sql', name);
+        await loadData('sql', content, name);
+      } else if (ext === 'json' || ext === 'ndjson' || ext === 'jsonl' || /^[[{]/.test(content.trim())) {
+        await loadData('json', content, name);
       } else {
-        processContent(content, 'csv', name);
+        await loadData('csv', content, name);
       }
       
     } catch (err) {
@@ -630,43 +375,154 @@ export default function App() {
     } finally {
       setIsLoading(false);
     }
-  }, [urlInput, processContent]);
+  }, [urlInput, beginLoad, loadData]);
 
   const handlePasteSQL = useCallback(() => {
     if (!sqlPasteInput.trim()) return;
 
-    setParseLog([]);
-    setCalculatedColumns([]);
-    setLoadError('');
-    setFileName('pasted_sql');
-
-    processContent(sqlPasteInput, 'sql', 'pasted_sql');
+    beginLoad('pasted_sql');
+    loadData('sql', sqlPasteInput, 'pasted_sql');
     setSqlPasteInput('');
     setShowPasteArea(false);
-  }, [sqlPasteInput, processContent]);
+  }, [sqlPasteInput, beginLoad, loadData]);
 
   const switchTable = useCallback((tableName) => {
     const tableData = tables[tableName];
     if (!tableData || tableData.length === 0) return;
 
     const cols = Object.keys(tableData[0] || {}).filter(k => k !== '_id');
+    const knownTypes = tableTypes[tableName] || {};
     const types = {};
     cols.forEach(col => {
+      if (knownTypes[col]) {
+        types[col] = knownTypes[col];
+        return;
+      }
       const values = tableData.map(row => row[col]);
-      types[col] = detectColumnType(values);
+      types[col] = detectColumnType(values, localeFor(tableName));
     });
 
+    showTable(tableName, cols, types);
+  }, [tables, tableTypes, localeFor]);
+
+  const showTable = (tableName, cols, types) => {
     setActiveTable(tableName);
     setColumns(cols);
-    setColumnTypes(types);
+    setDetectedTypes(types);
     setFilters({});
+    setFilterDraft(null);
+    setFilterExpression(emptyGroup());
+    setExpressionDraft(null);
+    setExpressionError(null);
     setGlobalSearch('');
-    setSelectedCategory('all');
     setSortConfig({ key: null, direction: 'asc' });
+    setTableScrollTop(0);
+    setColumnWidths({});
     setCalculatedColumns([]);
-  }, [tables]);
+    setFormulaDraft(null);
+    setFormulaError(null);
+    setMeasureColumn('');
+    setDrillPath([]);
+    setDashboardSort({});
+    setComparison(null);
+    setPivotConfig({ rows: [], columns: [], measures: [{ column: '', agg: 'count' }] });
+    setPivotCollapsed(new Set());
+    setInspectedColumn(null);
+  };
 
-  const detectedColumns = useMemo(() => detectSpecialColumns(columns, columnTypes), [columns, columnTypes]);
+  // Build a joined view on first use and open it
+  const openJoinedView = useCallback(async (plan) => {
+    if (tables[plan.name]) {
+      switchTable(plan.name);
+      return;
+    }
+
+    // Only the tables the view touches are copied to the worker
+    const involved = [plan.base, ...plan.steps.map(s => s.to)];
+    const pick = (byTable) => Object.fromEntries(involved.filter(t => byTable[t]).map(t => [t, byTable[t]]));
+    const view = await runTask({ type: 'view', plan, tables: pick(tables), types: pick(tableTypes), schemas: pick(schemas), locale: localeFor(plan.base) });
+    if (!view) return;
+
+    setTables(prev => ({ ...prev, [plan.name]: view.rows }));
+    setTableTypes(prev => ({ ...prev, [plan.name]: view.types }));
+    if (view.schema) setSchemas(prev => ({ ...prev, [plan.name]: view.schema }));
+    setParseLog(prev => [...withoutProgress(prev), `🔗 Built ${plan.name}: ${plan.description}`, ...view.logs]);
+    setShowParseLog(true);
+    showTable(plan.name, Object.keys(view.types), view.types);
+  }, [tables, tableTypes, schemas, switchTable, runTask, localeFor]);
+
+  // Run the console query and open its result as a regular table
+  const runSQLQuery = useCallback(() => {
+    if (!queryText.trim()) return;
+    const started = performance.now();
+    let result;
+    try {
+      result = runQuery(queryText, tables, activeLocale);
+    } catch (err) {
+      setQueryError({ message: err.reason || err.message, line: err.line, column: err.column });
+      setQueryStatus('');
+      return;
+    }
+
+    // Plain column references keep the type and DDL of the column they came from
+    const knownTypes = {};
+    const schemaColumns = [];
+    let queryLocale = DEFAULT_LOCALE;
+    Object.entries(result.sources).forEach(([name, { table, column }], i) => {
+      if (i === 0) queryLocale = localeFor(table);
+      if (tableTypes[table]?.[column]) knownTypes[name] = tableTypes[table][column];
+      const declared = schemas[table]?.columns.find(c => c.name === column);
+      if (declared) schemaColumns.push({ ...declared, name, primaryKey: false });
+    });
+    const { processedData, types } = processTableData(result.rows, result.columns, knownTypes, queryLocale);
+
+    setTables(prev => ({ ...prev, [QUERY_TABLE]: processedData }));
+    setTableLocales(prev => ({ ...prev, [QUERY_TABLE]: queryLocale }));
+    setTableTypes(prev => ({ ...prev, [QUERY_TABLE]: types }));
+    setSchemas(prev => {
+      const next = { ...prev };
+      if (schemaColumns.length > 0) next[QUERY_TABLE] = { columns: schemaColumns, primaryKey: [], foreignKeys: [] };
+      else delete next[QUERY_TABLE];
+      return next;
+    });
+    setQueryError(null);
+    setQueryStatus(`${processedData.length.toLocaleString()} rows → ${QUERY_TABLE} in ${Math.round(performance.now() - started)} ms`);
+    showTable(QUERY_TABLE, result.columns, types);
+  }, [queryText, tables, tableTypes, schemas, localeFor, activeLocale]);
+
+  const detectedColumns = useMemo(() => detectSpecialColumns(columns, columnTypes, tableOverrides), [columns, columnTypes, tableOverrides]);
+
+  // Display hints from the DDL: decimals from DECIMAL(p,s)/INTEGER, no digit grouping for keys
+  const columnFormats = useMemo(() => {
+    const schema = schemas[activeTable];
+    if (!schema) return {};
+    const formats = {};
+    schema.columns.forEach(col => {
+      formats[col.name] = {
+        sqlType: col.sqlType,
+        decimals: col.decimals,
+        isKey: col.primaryKey || !!col.references,
+        notNull: col.notNull,
+        primaryKey: col.primaryKey,
+        references: col.references
+      };
+    });
+    // The inspector's kind and display settings win over the DDL hints
+    Object.entries(tableOverrides).forEach(([col, override]) => {
+      formats[col] = { ...formats[col], ...override };
+    });
+    return formats;
+  }, [schemas, activeTable, tableOverrides]);
+
+  // Set (or with null, clear) the inspector override for a column of the active table
+  const setColumnOverride = useCallback((col, override) => {
+    setColumnOverrides(prev => {
+      const table = { ...(prev[activeTable] || {}) };
+      if (override) table[col] = override;
+      else delete table[col];
+      return { ...prev, [activeTable]: table };
+    });
+  }, [activeTable]);
   
   const uniqueCategories = useMemo(() => {
     const catCol = detectedColumns.category || detectedColumns.account;
@@ -684,111 +540,192 @@ export default function App() {
       const dateVal = row[dateCol];
       if (!dateVal) return;
 
-      let date;
-      if (typeof dateVal === 'string') {
-        const isoMatch = dateVal.match(/\d{4}-\d{2}-\d{2}/);
-        if (isoMatch) {
-          date = new Date(isoMatch[0]);
-        } else {
-          date = new Date(dateVal);
-        }
-      }
-
-      if (date && !isNaN(date.getTime())) {
-        const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-        const monthLabel = date.toLocaleString('default', { month: 'long', year: 'numeric' });
+      const iso = toISODate(dateVal, activeLocale);
+      if (iso) {
+        const monthKey = iso.slice(0, 7);
+        const [year, month] = monthKey.split('-').map(Number);
+        const monthLabel = new Date(year, month - 1, 1).toLocaleString('default', { month: 'long', year: 'numeric' });
         months.add(JSON.stringify({ key: monthKey, label: monthLabel }));
       }
     });
 
     return [...months].map(m => JSON.parse(m)).sort((a, b) => a.key.localeCompare(b.key));
-  }, [data, detectedColumns]);
+  }, [data, detectedColumns, activeLocale]);
+
+  // Set (or with null, remove) the filter on a column
+  const setFilter = useCallback((col, filter) => {
+    setFilters(prev => {
+      const next = { ...prev };
+      if (filter) next[col] = filter;
+      else delete next[col];
+      return next;
+    });
+  }, []);
+
+  // The category and month dropdowns are shortcuts for a one-value filter and a one-month date range
+  const selectedCategory = useMemo(() => {
+    const filter = filters[detectedColumns.category || detectedColumns.account];
+    return filter?.kind === 'values' && !filter.exclude && filter.values.length === 1 ? filter.values[0] : 'all';
+  }, [filters, detectedColumns]);
+
+  const selectedMonth = useMemo(() => {
+    const filter = filters[detectedColumns.date];
+    if (filter?.kind !== 'dates' || filter.exclude) return 'all';
+    const month = uniqueMonths.find(m => {
+      const range = monthRange(m.key);
+      return range.from === filter.from && range.to === filter.to;
+    });
+    return month ? month.key : 'all';
+  }, [filters, detectedColumns, uniqueMonths]);
+
+  const openFilterEditor = useCallback((col) => {
+    const existing = filters[col];
+    const kind = existing?.kind || FILTER_KINDS[columnTypes[col] || 'text'][0];
+    setFilterDraft({
+      column: col,
+      kind,
+      min: existing?.min ?? '',
+      max: existing?.max ?? '',
+      from: existing?.from || '',
+      to: existing?.to || '',
+      values: existing?.values || [],
+      text: existing?.text || '',
+      exclude: !!existing?.exclude,
+      search: ''
+    });
+  }, [filters, columnTypes]);
+
+  const applyFilterDraft = useCallback(() => {
+    const { column, kind, min, max, from, to, values, text, exclude } = filterDraft;
+    const filter = { kind, exclude };
+    if (kind === 'range') {
+      if (min !== '') filter.min = Number(min);
+      if (max !== '') filter.max = Number(max);
+    }
+    if (kind === 'dates') Object.assign(filter, { from, to });
+    if (kind === 'values') filter.values = values;
+    if (kind === 'contains') filter.text = text.trim();
+    setFilter(column, isCompleteFilter(filter) ? filter : null);
+    setFilterDraft(null);
+  }, [filterDraft, setFilter]);
+
+  // Values and row counts for the multi-select in the filter editor
+  const draftValueCounts = useMemo(
+    () => (filterDraft ? valueCounts(data, filterDraft.column) : []),
+    [data, filterDraft?.column]
+  );
 
   // Get groupable columns (all non-numeric columns, but allow all for flexibility)
   const groupableColumns = useMemo(() => {
     // Return all columns - let user decide what to group by
-    return columns;
-  }, [columns]);
+    return allColumns;
+  }, [allColumns]);
+
+  // Number columns, calculated ones included, that charts can total
+  const measureColumns = useMemo(() => allColumns.filter(c => columnTypes[c] === 'number'), [allColumns, columnTypes]);
+
+  // Compile a formula over `available` columns; its type is guessed from the first rows
+  const buildCalculatedColumn = useCallback((name, formula, available, label = name) => {
+    const compiled = compileFormula(formula, available, activeLocale);
+    const values = data.slice(0, 100).map(row => compiled.evaluate(row));
+    return { name, label, formula, reads: compiled.columns, calculate: compiled.evaluate, type: detectColumnType(values, activeLocale) };
+  }, [data, activeLocale]);
 
   const addCalculatedColumn = useCallback(() => {
     const qtyCol = detectedColumns.quantity;
     const priceCol = detectedColumns.amount;
     
-    if (qtyCol && priceCol) {
-      const newCalcCol = {
-        name: 'ext_total',
-        label: 'Extended Total',
-        formula: `${qtyCol} × ${priceCol}`,
-        calculate: (row) => (parseFloat(row[qtyCol]) || 0) * (parseFloat(row[priceCol]) || 0)
-      };
-      
-      if (!calculatedColumns.find(c => c.name === 'ext_total')) {
-        setCalculatedColumns(prev => [...prev, newCalcCol]);
-      }
+    if (qtyCol && priceCol && !calculatedColumns.find(c => c.name === 'ext_total')) {
+      const quote = (col) => `"${col.replace(/"/g, '""')}"`;
+      const calc = buildCalculatedColumn('ext_total', `${quote(qtyCol)} * ${quote(priceCol)}`, columns, 'Extended Total');
+      setCalculatedColumns(prev => [...prev, calc]);
     }
-  }, [detectedColumns, calculatedColumns]);
+  }, [detectedColumns, calculatedColumns, buildCalculatedColumn, columns]);
 
-  const filteredData = useMemo(() => {
-    let result = [...data];
-
-    // Global search - filter across ALL columns
-    if (globalSearch.trim()) {
-      const searchLower = globalSearch.toLowerCase();
-      result = result.filter(row =>
-        Object.values(row).some(val =>
-          String(val || '').toLowerCase().includes(searchLower)
-        )
-      );
+  // Add the column in the formula editor, or replace the one being edited
+  const saveFormulaDraft = useCallback(() => {
+    const { editing, formula } = formulaDraft;
+    const name = formulaDraft.name.trim();
+    const index = editing ? calculatedColumns.findIndex(c => c.name === editing) : calculatedColumns.length;
+    try {
+      if (!name) throw new Error('Give the column a name');
+      if (columns.includes(name) || calculatedColumns.some((c, i) => i !== index && c.name === name)) {
+        throw new Error(`There is already a column called ${name}`);
+      }
+      const dependent = editing && name !== editing && calculatedColumns.slice(index + 1).find(c => c.reads.includes(editing));
+      if (dependent) throw new Error(`${dependent.name} uses ${editing}; change its formula before renaming`);
+
+      const earlier = calculatedColumns.slice(0, index).map(c => c.name);
+      const label = editing === name ? calculatedColumns[index].label : name;
+      const calc = buildCalculatedColumn(name, formula, [...columns, ...earlier], label);
+      setCalculatedColumns(prev => (editing ? prev.map((c, i) => (i === index ? calc : c)) : [...prev, calc]));
+      setFormulaDraft(null);
+      setFormulaError(null);
+    } catch (err) {
+      setFormulaError({ message: err.reason || err.message, line: err.line, column: err.column });
     }
+  }, [formulaDraft, calculatedColumns, columns, buildCalculatedColumn]);
 
-    const catCol = detectedColumns.category || detectedColumns.account;
-    if (selectedCategory !== 'all' && catCol) {
-      result = result.filter(row => row[catCol] === selectedCategory);
+  const removeCalculatedColumn = useCallback((name) => {
+    const dependent = calculatedColumns.find(c => c.reads.includes(name));
+    if (dependent) {
+      setFormulaError({ message: `${dependent.name} uses ${name}; remove or change it first` });
+      return;
     }
+    setCalculatedColumns(prev => prev.filter(c => c.name !== name));
+    setFilters(prev => {
+      const next = { ...prev };
+      delete next[name];
+      return next;
+    });
+    if (groupByColumn === name) setGroupByColumn('');
+    if (measureColumn === name) setMeasureColumn('');
+    setPivotConfig(prev => ({
+      rows: prev.rows.filter(d => d.column !== name),
+      columns: prev.columns.filter(d => d.column !== name),
+      measures: prev.measures.map(m => (m.column === name ? { column: '', agg: 'count' } : m))
+    }));
+    if (formulaDraft?.editing === name) setFormulaDraft(null);
+    setFormulaError(null);
+  }, [calculatedColumns, groupByColumn, measureColumn, formulaDraft]);
+
+  // Rows matching the filter expression; the table, charts, stats and AI context all start from these
+  const expressionData = useMemo(() => {
+    const test = compileExpression(filterExpression, activeLocale);
+    return test ? data.filter(test) : data;
+  }, [data, filterExpression, activeLocale]);
+
+  // Change one node of the expression (see updateNode); the text form follows the builder
+  const editExpression = useCallback((path, update) => {
+    setFilterExpression(prev => updateNode(prev, path, update));
+    setExpressionDraft(null);
+    setExpressionError(null);
+  }, []);
 
-    // Filter by month
-    const dateCol = detectedColumns.date;
-    if (selectedMonth !== 'all' && dateCol) {
-      result = result.filter(row => {
-        const dateVal = row[dateCol];
-        if (!dateVal) return false;
-
-        let date;
-        if (typeof dateVal === 'string') {
-          const isoMatch = dateVal.match(/\d{4}-\d{2}-\d{2}/);
-          if (isoMatch) {
-            date = new Date(isoMatch[0]);
-          } else {
-            date = new Date(dateVal);
-          }
-        }
-
-        if (date && !isNaN(date.getTime())) {
-          const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-          return monthKey === selectedMonth;
-        }
-        return false;
-      });
+  const applyExpressionText = useCallback(() => {
+    try {
+      setFilterExpression(parseExpression(expressionDraft ?? '', allColumns));
+      setExpressionDraft(null);
+      setExpressionError(null);
+    } catch (err) {
+      setExpressionError({ message: err.reason || err.message, line: err.line, column: err.column });
     }
+  }, [expressionDraft, allColumns]);
 
-    Object.entries(filters).forEach(([col, value]) => {
-      if (value) {
-        result = result.filter(row =>
-          String(row[col] || '').toLowerCase().includes(value.toLowerCase())
-        );
-      }
-    });
+  // Global search across ALL columns, then the column filters
+  const matchedData = useMemo(() => (
+    applyFilters(searchRows(expressionData, globalSearch), filters, activeLocale)
+  ), [expressionData, filters, globalSearch, activeLocale]);
+
+  const filteredData = useMemo(() => {
+    // Copied so sorting leaves the source alone
+    const result = [...matchedData];
 
     if (sortConfig.key) {
       result.sort((a, b) => {
-        let aVal = a[sortConfig.key];
-        let bVal = b[sortConfig.key];
-
-        const calcCol = calculatedColumns.find(c => c.name === sortConfig.key);
-        if (calcCol) {
-          aVal = calcCol.calculate(a);
-          bVal = calcCol.calculate(b);
-        }
+        // Calculated columns are already filled in on each row
+        const aVal = a[sortConfig.key];
+        const bVal = b[sortConfig.key];
 
         if (aVal === null || aVal === undefined) return 1;
         if (bVal === null || bVal === undefined) return -1;
@@ -799,7 +736,63 @@ export default function App() {
     }
 
     return result;
-  }, [data, filters, sortConfig, selectedCategory, selectedMonth, detectedColumns, calculatedColumns, globalSearch]);
+  }, [matchedData, sortConfig]);
+
+  // Dashboard for the active table: its saved hierarchy, or one guessed from the detected columns
+  const dashboardConfig = useMemo(() => {
+    if (dashboardConfigs[activeTable]) return dashboardConfigs[activeTable];
+    if (activeTable === 'transactions_joined') {
+      const merchantColumns = findMerchantColumns(allColumns);
+      return {
+        ...SPEND_DASHBOARD,
+        levels: SPEND_DASHBOARD.levels
+          .map(({ role, ...level }) => (role ? { ...level, column: merchantColumns[role] } : level))
+          .filter(l => allColumns.includes(l.column)),
+        date: allColumns.includes(SPEND_DASHBOARD.date) ? SPEND_DASHBOARD.date : detectedColumns.date || '',
+        measure: detectedColumns.amount || ''
+      };
+    }
+    const guessed = [...new Set([detectedColumns.category || detectedColumns.account, detectedColumns.partNumber].filter(Boolean))];
+    return { levels: guessed.map(column => ({ column, label: column })), measure: detectedColumns.amount || '', date: detectedColumns.date || '' };
+  }, [dashboardConfigs, activeTable, allColumns, detectedColumns]);
+
+  // Period comparison splits the rows every other filter lets through into the current and comparison
+  // periods, on the dashboard's date column so the dashboard and the comparison agree
+  const comparisonRows = useMemo(() => {
+    const dateCol = dashboardConfig.date;
+    if (!comparison || !dateCol) return null;
+    const otherFilters = { ...filters };
+    delete otherFilters[dateCol];
+    const rows = applyFilters(searchRows(expressionData, globalSearch), otherFilters, activeLocale);
+    const previousRange = comparisonRange(comparison, comparison.mode, { from: comparison.customFrom, to: comparison.customTo });
+    return {
+      previousRange,
+      current: rowsInRange(rows, dateCol, comparison, activeLocale),
+      previous: rowsInRange(rows, dateCol, previousRange, activeLocale)
+    };
+  }, [comparison, dashboardConfig, filters, expressionData, globalSearch, activeLocale]);
+
+  // What the dashboard and charts summarize: the current period while comparing, otherwise the filtered rows
+  const periodData = comparisonRows ? comparisonRows.current : filteredData;
+
+  // Start comparing from the date filter's range, or the latest month in the data
+  const toggleComparison = useCallback(() => {
+    if (comparison) {
+      setComparison(null);
+      return;
+    }
+    const dateCol = dashboardConfig.date;
+    const dateFilter = filters[dateCol];
+    let range = dateFilter?.kind === 'dates' && dateFilter.from && dateFilter.to && !dateFilter.exclude ? dateFilter : null;
+    if (!range) {
+      const latest = expressionData.reduce((max, row) => {
+        const iso = toISODate(row[dateCol], activeLocale);
+        return iso && iso > max ? iso : max;
+      }, '');
+      if (latest) range = monthRange(latest.slice(0, 7));
+    }
+    if (range) setComparison({ from: range.from, to: range.to, mode: 'previous', customFrom: '', customTo: '' });
+  }, [comparison, filters, dashboardConfig, expressionData, activeLocale]);
 
   const stats = useMemo(() => {
     if (filteredData.length === 0) return null;
@@ -826,10 +819,7 @@ export default function App() {
     }
     
     if (calculatedColumns.find(c => c.name === 'ext_total')) {
-      result.extendedTotal = filteredData.reduce((sum, row) => {
-        const calc = calculatedColumns.find(c => c.name === 'ext_total');
-        return sum + (calc ? calc.calculate(row) : 0);
-      }, 0);
+      result.extendedTotal = filteredData.reduce((sum, row) => sum + (parseFloat(row.ext_total) || 0), 0);
     }
     
     return result;
@@ -838,45 +828,52 @@ export default function App() {
   const categoryBreakdown = useMemo(() => {
     // Use selected groupByColumn or fall back to detected category/account
     const catCol = groupByColumn || detectedColumns.category || detectedColumns.account;
-    const amountCol = detectedColumns.amount;
+    const amountCol = measureColumn || detectedColumns.amount;
     const qtyCol = detectedColumns.quantity;
 
     if (!catCol) return [];
 
-    const breakdown = {};
-    // Use filteredData instead of data to respect month/category filters
-    filteredData.forEach(row => {
-      const cat = row[catCol];
-      if (!cat) return;
+    const breakdownOf = (rows) => {
+      const breakdown = {};
+      rows.forEach(row => {
+        const cat = row[catCol];
+        if (!cat) return;
 
-      if (!breakdown[cat]) {
-        breakdown[cat] = { name: String(cat).slice(0, 25), value: 0, qty: 0, count: 0, fullName: String(cat) };
-      }
+        if (!breakdown[cat]) {
+          breakdown[cat] = { name: String(cat).slice(0, 25), value: 0, qty: 0, count: 0, fullName: String(cat) };
+        }
 
-      breakdown[cat].count++;
+        breakdown[cat].count++;
 
-      if (amountCol && qtyCol && calculatedColumns.find(c => c.name === 'ext_total')) {
-        const calc = calculatedColumns.find(c => c.name === 'ext_total');
-        breakdown[cat].value += calc.calculate(row);
-      } else if (amountCol) {
-        breakdown[cat].value += parseFloat(row[amountCol]) || 0;
-      }
+        if (!measureColumn && amountCol && qtyCol && calculatedColumns.find(c => c.name === 'ext_total')) {
+          breakdown[cat].value += parseFloat(row.ext_total) || 0;
+        } else if (amountCol) {
+          breakdown[cat].value += parseFloat(row[amountCol]) || 0;
+        }
 
-      if (qtyCol) {
-        breakdown[cat].qty += parseFloat(row[qtyCol]) || 0;
-      }
-    });
+        if (qtyCol) {
+          breakdown[cat].qty += parseFloat(row[qtyCol]) || 0;
+        }
+      });
+      return Object.values(breakdown);
+    };
 
     // Sort by aggregationType - either sum (value) or count
     const sortKey = aggregationType === 'count' ? 'count' : 'value';
-    const sorted = Object.values(breakdown).sort((a, b) => b[sortKey] - a[sortKey]);
+    // Use periodData instead of data to respect month/category filters and the compared period
+    let groups = breakdownOf(periodData);
+    if (comparisonRows) {
+      const previous = breakdownOf(comparisonRows.previous);
+      groups = markMovers(withDeltas(groups, previous, 'fullName', sortKey, g => ({ ...g, value: 0, qty: 0, count: 0 })));
+    }
+    const sorted = groups.sort((a, b) => b[sortKey] - a[sortKey]);
     // Apply topN limit if set
     return topN > 0 ? sorted.slice(0, topN) : sorted;
-  }, [filteredData, detectedColumns, calculatedColumns, groupByColumn, aggregationType, topN]);
+  }, [periodData, comparisonRows, detectedColumns, calculatedColumns, groupByColumn, measureColumn, aggregationType, topN]);
 
   const timeSeriesData = useMemo(() => {
     const dateCol = detectedColumns.date;
-    const amountCol = detectedColumns.amount;
+    const amountCol = measureColumn || detectedColumns.amount;
     const catCol = groupByColumn || detectedColumns.category || detectedColumns.account;
 
     if (!dateCol || !amountCol) return { data: [], categories: [] };
@@ -884,10 +881,8 @@ export default function App() {
     // Get top categories from categoryBreakdown
     const topCategories = categoryBreakdown.map(c => c.fullName);
 
-    const byDateAndCat = {};
-    const allDates = new Set();
-
-    filteredData.forEach(row => {
+    const points = [];
+    periodData.forEach(row => {
       const dateVal = row[dateCol];
       const cat = catCol ? row[catCol] : 'All';
       if (!dateVal) return;
@@ -895,70 +890,174 @@ export default function App() {
       // Only include top categories if we have them
       if (catCol && topCategories.length > 0 && !topCategories.includes(cat)) return;
 
-      let dateStr;
-      if (typeof dateVal === 'string') {
-        const isoMatch = dateVal.match(/\d{4}-\d{2}-\d{2}/);
-        if (isoMatch) {
-          dateStr = isoMatch[0];
-        } else {
-          const date = new Date(dateVal);
-          if (!isNaN(date.getTime())) {
-            dateStr = date.toISOString().split('T')[0];
-          }
-        }
-      }
-
+      const dateStr = toISODate(dateVal, activeLocale);
       if (!dateStr) return;
-      allDates.add(dateStr);
-
-      if (!byDateAndCat[dateStr]) byDateAndCat[dateStr] = {};
-      byDateAndCat[dateStr][cat] = (byDateAndCat[dateStr][cat] || 0) + (parseFloat(row[amountCol]) || 0);
+      points.push({ date: dateStr, series: cat, value: parseFloat(row[amountCol]) || 0 });
     });
 
-    const sortedDates = [...allDates].sort();
     const categories = topCategories.length > 0 ? topCategories : ['All'];
-
-    const chartData = sortedDates.map(date => {
-      const row = { date };
-      categories.forEach(cat => {
-        row[cat] = byDateAndCat[date]?.[cat] || 0;
-      });
-      return row;
-    });
-
-    return { data: chartData, categories };
-  }, [filteredData, detectedColumns, groupByColumn, categoryBreakdown]);
+    return { data: buildTimeSeries(points, categories, timeSeriesOptions), categories };
+  }, [periodData, detectedColumns, groupByColumn, measureColumn, categoryBreakdown, timeSeriesOptions, activeLocale]);
 
   const handleSort = (key) => {
+    if (resizingColumn.current) return;
+    sortAnchor.current = filteredData[Math.floor(tableScrollTop / ROW_HEIGHT)] || null;
     setSortConfig(prev => ({
       key,
       direction: prev.key === key && prev.direction === 'asc' ? 'desc' : 'asc'
     }));
   };
 
-  const formatNumber = (num, prefix = '$') => {
+  // The table view's scroller is recreated when switching back to it; put it where it was.
+  // tableScrollTop is deliberately not a dependency: onScroll keeps it in step with the
+  // scroller, and writing it back on every scroll would fight the user's scrolling.
+  useEffect(() => {
+    if (tableScroller.current) tableScroller.current.scrollTop = tableScrollTop;
+  }, [activeView, activeTable]);
+
+  // After a sort, scroll so the row that was at the top is at the top again (sorting
+  // reuses the same row objects, so it's found by identity)
+  useEffect(() => {
+    const anchor = sortAnchor.current;
+    if (!anchor) return;
+    sortAnchor.current = null;
+    const top = Math.max(filteredData.indexOf(anchor), 0) * ROW_HEIGHT;
+    if (tableScroller.current) tableScroller.current.scrollTop = top;
+    setTableScrollTop(top);
+  }, [filteredData]);
+
+  // Drag a header's right edge to resize its column; double-click resets it
+  const startColumnResize = (e, col) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const startX = e.clientX;
+    const startWidth = columnWidths[col] || DEFAULT_COLUMN_WIDTH;
+    resizingColumn.current = true;
+    const onMove = (ev) => {
+      setColumnWidths(prev => ({ ...prev, [col]: Math.max(MIN_COLUMN_WIDTH, startWidth + ev.clientX - startX) }));
+    };
+    const onUp = () => {
+      window.removeEventListener('mousemove', onMove);
+      window.removeEventListener('mouseup', onUp);
+      // The click that ends the drag lands on the header after mouseup
+      setTimeout(() => { resizingColumn.current = false; }, 0);
+    };
+    window.addEventListener('mousemove', onMove);
+    window.addEventListener('mouseup', onUp);
+  };
+
+  // Stats and charts show the amount column's currency symbol, or none once it's set to a plain number
+  const amountOverride = tableOverrides[detectedColumns.amount];
+  const amountSymbol = !amountOverride ? '$' : amountOverride.kind === 'currency' ? (amountOverride.currency ?? '$') : '';
+
+  const formatNumber = (num, prefix = amountSymbol) => {
     if (num === null || num === undefined || isNaN(num)) return '-';
     if (Math.abs(num) >= 1000000) return `${prefix}${(num / 1000000).toFixed(2)}M`;
     if (Math.abs(num) >= 1000) return `${prefix}${(num / 1000).toFixed(1)}K`;
     return `${prefix}${num.toFixed(2)}`;
   };
 
-  const formatCell = (value, type) => {
+  const formatCell = (value, type, format = {}) => {
     if (value === null || value === undefined) return <span style={{ opacity: 0.3 }}>—</span>;
-    if (type === 'number' && !isNaN(value)) {
-      return value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
-    }
-    return String(value);
+    return formatValue(value, type, format, activeLocale);
   };
 
+  // One condition row of the expression builder: column, operator, value(s)
+  const renderExpressionCondition = (condition, path) => {
+    const update = (patch) => editExpression(path, node => ({ ...node, ...patch }));
+    return (
+      <div key={path.join('.')} style={{ display: 'flex', gap: 6, alignItems: 'center', flexWrap: 'wrap' }}>
+        <select value={condition.column} onChange={(e) => update({ column: e.target.value })} style={{ minWidth: 120 }}>
+          {allColumns.map(col => <option key={col} value={col}>{col}</option>)}
+        </select>
+        <select value={condition.operator} onChange={(e) => update({ operator: e.target.value })}>
+          {OPERATORS.map(op => <option key={op} value={op}>{op}</option>)}
+        </select>
+        {condition.operator === 'in' ? (
+          // Committed on blur so commas can be typed
+          <input
+            key={condition.values.join('\u0000')}
+            type="text"
+            placeholder="a, b, c"
+            defaultValue={condition.values.join(', ')}
+            onBlur={(e) => update({ values: e.target.value.split(',').map(v => v.trim()).filter(Boolean) })}
+            style={{ width: 180 }}
+          />
+        ) : (
+          <input type="text" placeholder="Value" value={condition.value} onChange={(e) => update({ value: e.target.value })} style={{ width: 140 }} />
+        )}
+        {condition.operator === 'between' && (
+          <>
+            <span style={{ opacity: 0.6 }}>and</span>
+            <input type="text" placeholder="Value" value={condition.value2} onChange={(e) => update({ value2: e.target.value })} style={{ width: 140 }} />
+          </>
+        )}
+        <button className="btn btn-ghost" onClick={() => editExpression(path, () => null)} title="Remove condition" style={{ padding: '2px 8px', fontSize: 10 }}>
+          ✕
+        </button>
+      </div>
+    );
+  };
+
+  // A group and everything nested in it; path is the child indexes from the root
+  const renderExpressionGroup = (group, path) => (
+    <div
+      key={path.join('.')}
+      style={{
+        display: 'flex',
+        flexDirection: 'column',
+        gap: 6,
+        paddingLeft: path.length > 0 ? 10 : 0,
+        borderLeft: path.length > 0 ? '2px solid rgba(0, 245, 212, 0.3)' : 'none'
+      }}
+    >
+      <div style={{ display: 'flex', gap: 4, alignItems: 'center' }}>
+        {['and', 'or'].map(op => (
+          <button
+            key={op}
+            className={`btn btn-ghost ${group.op === op ? 'active' : ''}`}
+            onClick={() => editExpression(path, node => ({ ...node, op }))}
+            style={{ padding: '2px 10px', fontSize: 10 }}
+          >
+            {op.toUpperCase()}
+          </button>
+        ))}
+        <button
+          className="btn btn-ghost"
+          onClick={() => editExpression(path, node => ({ ...node, children: [...node.children, newCondition(allColumns[0])] }))}
+          style={{ padding: '2px 10px', fontSize: 10 }}
+        >
+          + Condition
+        </button>
+        <button
+          className="btn btn-ghost"
+          onClick={() => editExpression(path, node => ({
+            ...node,
+            children: [...node.children, { ...emptyGroup(node.op === 'and' ? 'or' : 'and'), children: [newCondition(allColumns[0])] }]
+          }))}
+          style={{ padding: '2px 10px', fontSize: 10 }}
+        >
+          + Group
+        </button>
+        {path.length > 0 && (
+          <button className="btn btn-ghost" onClick={() => editExpression(path, () => null)} title="Remove group" style={{ padding: '2px 8px', fontSize: 10 }}>
+            ✕
+          </button>
+        )}
+      </div>
+      {group.children.map((child, i) => (
+        child.type === 'group' ? renderExpressionGroup(child, [...path, i]) : renderExpressionCondition(child, [...path, i])
+      ))}
+    </div>
+  );
+
   const exportCSV = () => {
     const allCols = [...columns, ...calculatedColumns.map(c => c.name)];
     const csvRows = [allCols.join(',')];
     
     filteredData.forEach(row => {
       const values = allCols.map(col => {
-        const calcCol = calculatedColumns.find(c => c.name === col);
-        const val = calcCol ? calcCol.calculate(row) : row[col];
+        const val = row[col];
         if (val === null || val === undefined) return '';
         if (typeof val === 'string' && (val.includes(',') || val.includes('"'))) {
           return `"${val.replace(/"/g, '""')}"`;
@@ -968,125 +1067,206 @@ export default function App() {
       csvRows.push(values.join(','));
     });
     
-    const blob = new Blob([csvRows.join('\n')], { type: 'text/csv' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${activeTable}_export.csv`;
-    a.click();
-    URL.revokeObjectURL(url);
+    downloadCSV(csvRows.join('\n'), `${activeTable}_export.csv`);
   };
 
-  // Helper: group by a column and sum another column, return top N
-  const groupAndSum = (rows, groupCol, sumCol, topN = 10) => {
-    const groups = {};
-    rows.forEach(row => {
-      const key = row[groupCol];
-      if (key === null || key === undefined || key === '') return;
-      const val = parseFloat(row[sumCol]);
-      if (isNaN(val)) return;
-      groups[key] = (groups[key] || 0) + val;
+  // Pivot view - only built while it's open
+  const pivot = useMemo(() => {
+    if (activeView !== 'pivot') return null;
+    return buildPivot(filteredData, pivotConfig, activeLocale);
+  }, [activeView, filteredData, pivotConfig, activeLocale]);
+
+  const pivotView = useMemo(() => pivot && pivotLayout(pivot, pivotCollapsed), [pivot, pivotCollapsed]);
+
+  // A column sits on one axis at a time; placing it again moves it
+  const placePivotDimension = useCallback((axis, column, index) => {
+    setPivotConfig(prev => {
+      const dim = [...prev.rows, ...prev.columns].find(d => d.column === column)
+        || { column, grain: columnTypes[column] === 'date' ? 'month' : null };
+      const rows = prev.rows.filter(d => d.column !== column);
+      const cols = prev.columns.filter(d => d.column !== column);
+      const target = axis === 'rows' ? rows : cols;
+      target.splice(index ?? target.length, 0, dim);
+      return { ...prev, rows, columns: cols };
     });
-    return Object.entries(groups)
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, topN)
-      .map(([key, sum]) => ({ key, sum: Math.round(sum * 100) / 100 }));
-  };
+    setPivotCollapsed(new Set());
+  }, [columnTypes]);
 
-  // Helper: group by a column and count occurrences, return top N
-  const groupAndCount = (rows, groupCol, topN = 10) => {
-    const groups = {};
-    rows.forEach(row => {
-      const key = row[groupCol];
-      if (key === null || key === undefined || key === '') return;
-      groups[key] = (groups[key] || 0) + 1;
+  const updatePivotDimension = useCallback((column, patch) => {
+    setPivotConfig(prev => {
+      const update = (dims) => dims.flatMap(d => (d.column !== column ? [d] : patch ? [{ ...d, ...patch }] : []));
+      return { ...prev, rows: update(prev.rows), columns: update(prev.columns) };
     });
-    return Object.entries(groups)
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, topN)
-      .map(([key, count]) => ({ key, count }));
-  };
-
-  // Compute aggregations from full dataset for AI
-  const computeAggregations = (rows, cols) => {
-    if (!rows.length) return {};
+    setPivotCollapsed(new Set());
+  }, []);
 
-    const aggs = {
-      totalRows: rows.length,
-      columnStats: {},
-      groupedStats: {}
-    };
-
-    // Detect common column patterns
-    const colsLower = cols.map(c => c.toLowerCase());
-    const hasCardId = cols.find(c => c.toLowerCase().includes('card_id') || c.toLowerCase() === 'card_id');
-    const hasProgramId = cols.find(c => c.toLowerCase().includes('program_id') || c.toLowerCase() === 'card_program_id');
-    const hasAmountCol = cols.find(c =>
-      c.toLowerCase().includes('amount') ||
-      c.toLowerCase().includes('spend') ||
-      c.toLowerCase().includes('total')
-    );
-    const hasMerchantCol = cols.find(c => c.toLowerCase().includes('merchant'));
-
-    cols.forEach(col => {
-      const values = rows.map(r => r[col]).filter(v => v !== null && v !== undefined && v !== '');
-      const uniqueValues = [...new Set(values)];
-
-      // For categorical columns (< 100 unique values), count occurrences
-      if (uniqueValues.length > 0 && uniqueValues.length <= 100) {
-        const counts = {};
-        values.forEach(v => {
-          const key = String(v).slice(0, 50); // Truncate long values
-          counts[key] = (counts[key] || 0) + 1;
-        });
-        // Sort by count descending, take top 20
-        const sorted = Object.entries(counts)
-          .sort((a, b) => b[1] - a[1])
-          .slice(0, 20);
-        aggs.columnStats[col] = {
-          uniqueCount: uniqueValues.length,
-          topValues: sorted
-        };
+  // Sum, average, min and max need a number column; count and distinct take any
+  const updatePivotMeasure = useCallback((index, patch) => {
+    setPivotConfig(prev => {
+      const measures = [...prev.measures];
+      const measure = { ...measures[index], ...patch };
+      if (['sum', 'avg', 'min', 'max'].includes(measure.agg) && !measureColumns.includes(measure.column)) {
+        measure.column = measureColumns[0] || '';
+      } else if (measure.agg === 'distinct' && !allColumns.includes(measure.column)) {
+        measure.column = allColumns[0] || '';
       }
+      measures[index] = measure;
+      return { ...prev, measures };
+    });
+  }, [measureColumns, allColumns]);
+
+  const togglePivotNode = useCallback((id) => {
+    setPivotCollapsed(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  }, []);
 
-      // For numeric columns, compute sum/avg/min/max
-      const numericVals = values.map(v => parseFloat(v)).filter(v => !isNaN(v));
-      if (numericVals.length > values.length * 0.5) {
-        aggs.columnStats[col] = {
-          ...aggs.columnStats[col],
-          sum: numericVals.reduce((a, b) => a + b, 0),
-          avg: numericVals.reduce((a, b) => a + b, 0) / numericVals.length,
-          min: Math.min(...numericVals),
-          max: Math.max(...numericVals)
-        };
+  // Profile view - recomputed off the UI thread once the matching rows stop changing; sorting doesn't change a profile
+  useEffect(() => {
+    if (activeView !== 'profile') return undefined;
+    let task = null;
+    setProfileLoading(true);
+    const timer = setTimeout(() => {
+      task = startPipelineTask({ type: 'profile', rows: matchedData, cols: allColumns, types: columnTypes, locale: activeLocale });
+      task.promise
+        .then(result => {
+          setProfile(result);
+          setProfileLoading(false);
+        })
+        .catch(err => {
+          if (err instanceof TaskCancelledError) return;
+          console.error('Profile error:', err);
+          setProfileLoading(false);
+        });
+    }, PROFILE_DELAY_MS);
+    return () => {
+      clearTimeout(timer);
+      if (task) task.cancel();
+    };
+  }, [activeView, matchedData, allColumns, columnTypes, activeLocale]);
+
+  const updateDashboardConfig = useCallback((patch) => {
+    setDashboardConfigs(prev => ({ ...prev, [activeTable]: { ...dashboardConfig, ...patch } }));
+    setDrillPath([]);
+    setDashboardSort({});
+  }, [activeTable, dashboardConfig]);
+
+  // Summaries go biggest total first, records newest first
+  const dashboardSortFor = useCallback((id) => {
+    if (dashboardSort[id]) return dashboardSort[id];
+    const { measure, date, levels } = dashboardConfig;
+    if (id === 'records') return { key: date || measure || levels[0]?.column, dir: 'desc' };
+    return { key: measure ? 'total' : 'count', dir: 'desc' };
+  }, [dashboardSort, dashboardConfig]);
+
+  const dashboardRows = useMemo(() => (
+    activeView === 'dashboard' ? rowsForPath(periodData, dashboardConfig.levels, drillPath) : []
+  ), [activeView, periodData, dashboardConfig, drillPath]);
+
+  // One summary table per level below the drill path; while comparing, each row gets its change since the comparison period
+  const dashboardSummaries = useMemo(() => {
+    const { levels, measure } = dashboardConfig;
+    const previousRows = comparisonRows && rowsForPath(comparisonRows.previous, levels, drillPath);
+    return remainingLevels(levels, drillPath).map(level => {
+      const { key, dir } = dashboardSortFor(`level-${level}`);
+      let groups = summarizeLevel(dashboardRows, levels, level, measure);
+      // Values with rows in the current period; groups found only in the comparison period come on top
+      const values = groups.length;
+      if (previousRows) {
+        const previous = summarizeLevel(previousRows, levels, level, measure);
+        const missing = (g) => ({ ...g, count: 0, total: measure ? 0 : null, children: g.children === null ? null : 0 });
+        groups = markMovers(withDeltas(groups, previous, 'value', measure ? 'total' : 'count', missing));
       }
+      return { level, values, groups: groups.sort(compareBy(key, dir)) };
     });
+  }, [dashboardConfig, drillPath, dashboardRows, comparisonRows, dashboardSortFor]);
+
+  // The rows under the drill path, once something has been picked
+  const dashboardRecords = useMemo(() => {
+    if (drillPath.length === 0) return [];
+    const { key, dir } = dashboardSortFor('records');
+    return key ? [...dashboardRows].sort(compareBy(key, dir)) : dashboardRows;
+  }, [drillPath, dashboardRows, dashboardSortFor]);
+
+  // Rises in green, falls in red; the biggest movers get a tinted row
+  const deltaColor = (delta) => (delta > 0 ? '#00F5D4' : delta < 0 ? '#FF6B6B' : 'inherit');
+  const deltaBackground = (delta) => (delta > 0 ? 'rgba(0, 245, 212, 0.08)' : 'rgba(255, 107, 107, 0.08)');
+
+  const exportPivotCSV = () => {
+    if (!pivot) return;
+    downloadCSV(pivotToCSV(pivot, pivotView, pivotConfig.rows), `${activeTable}_pivot.csv`);
+  };
 
-    // Compute grouped aggregations for common patterns
-    if (hasCardId && hasAmountCol) {
-      aggs.groupedStats.topCardsBySpend = groupAndSum(rows, hasCardId, hasAmountCol, 10);
-    }
-    if (hasProgramId && hasAmountCol) {
-      aggs.groupedStats.topProgramsBySpend = groupAndSum(rows, hasProgramId, hasAmountCol, 10);
-    }
-    if (hasCardId) {
-      aggs.groupedStats.topCardsByCount = groupAndCount(rows, hasCardId, 10);
-    }
-    if (hasProgramId) {
-      aggs.groupedStats.topProgramsByCount = groupAndCount(rows, hasProgramId, 10);
-    }
-    if (hasMerchantCol && hasAmountCol) {
-      aggs.groupedStats.topMerchantsBySpend = groupAndSum(rows, hasMerchantCol, hasAmountCol, 10);
-    }
-    if (hasMerchantCol) {
-      aggs.groupedStats.topMerchantsByCount = groupAndCount(rows, hasMerchantCol, 10);
-    }
+  const formatPivotValue = (value, measure) => {
+    if (value === null || value === undefined) return formatCell(null);
+    if (measure.agg === 'count' || measure.agg === 'distinct') return value.toLocaleString();
+    const format = columnFormats[measure.column] || {};
+    // Averages of whole numbers still get decimals
+    return formatCell(value, 'number', measure.agg === 'avg' ? { ...format, decimals: Math.max(format.decimals ?? 2, 2) } : format);
+  };
 
-    return aggs;
+  // Rows / Columns drop zone of the pivot view; fields are dragged in by name
+  const renderPivotZone = (axis, title) => {
+    const dims = pivotConfig[axis];
+    const placed = [...pivotConfig.rows, ...pivotConfig.columns].map(d => d.column);
+    const drop = (index) => (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const column = e.dataTransfer.getData('text/plain');
+      if (allColumns.includes(column)) placePivotDimension(axis, column, index);
+    };
+    return (
+      <div
+        onDragOver={(e) => e.preventDefault()}
+        onDrop={drop()}
+        style={{ display: 'flex', gap: 6, alignItems: 'center', flexWrap: 'wrap', padding: 8, minHeight: 40, border: '1px dashed rgba(0, 245, 212, 0.25)', borderRadius: 6 }}
+      >
+        <span style={{ fontSize: 11, opacity: 0.6, width: 60 }}>{title}</span>
+        {dims.map((dim, i) => (
+          <span
+            key={dim.column}
+            draggable
+            onDragStart={(e) => e.dataTransfer.setData('text/plain', dim.column)}
+            onDrop={drop(i)}
+            style={{ display: 'inline-flex', alignItems: 'center', gap: 6, padding: '4px 10px', background: 'rgba(0, 245, 212, 0.12)', border: '1px solid rgba(0, 245, 212, 0.3)', borderRadius: 12, fontSize: 11, color: '#00F5D4', cursor: 'grab' }}
+          >
+            {i > 0 && <span style={{ opacity: 0.5 }}>›</span>}
+            {dim.column}
+            {dim.grain && (
+              <select
+                value={dim.grain}
+                onChange={(e) => updatePivotDimension(dim.column, { grain: e.target.value })}
+                style={{ padding: '1px 4px', fontSize: 10 }}
+              >
+                {DATE_GRAINS.map(grain => <option key={grain} value={grain}>by {grain}</option>)}
+              </select>
+            )}
+            <button
+              onClick={() => updatePivotDimension(dim.column, null)}
+              title="Remove"
+              style={{ background: 'none', border: 'none', color: 'inherit', cursor: 'pointer', opacity: 0.6, padding: 0, fontSize: 11 }}
+            >
+              ✕
+            </button>
+          </span>
+        ))}
+        <select
+          value=""
+          onChange={(e) => e.target.value && placePivotDimension(axis, e.target.value)}
+          style={{ padding: '3px 6px', fontSize: 10 }}
+        >
+          <option value="">{dims.length ? '+ Add' : 'Drag a field here or pick one'}</option>
+          {allColumns.filter(col => !placed.includes(col)).map(col => <option key={col} value={col}>{col}</option>)}
+        </select>
+      </div>
+    );
   };
 
   const askAI = async () => {
-    if (!aiQuestion.trim() || !data.length) return;
+    if (!aiQuestion.trim() || !expressionData.length) return;
 
     setAiLoading(true);
     setAiAnswer('');
@@ -1097,11 +1277,12 @@ export default function App() {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           question: aiQuestion,
-          schema: columns,
-          sampleData: data.slice(0, 50),
-          rowCount: data.length,
-          // Pre-compute aggregations from FULL dataset
-          aggregations: computeAggregations(data, columns)
+          schema: allColumns,
+          sampleData: expressionData.slice(0, 50),
+          rowCount: expressionData.length,
+          filter: formatExpression(filterExpression) || undefined,
+          // Pre-compute aggregations from FULL dataset, off the UI thread
+          aggregations: await startPipelineTask({ type: 'aggregate', rows: expressionData, cols: allColumns }).promise
         })
       });
 
@@ -1218,6 +1399,18 @@ export default function App() {
         
         tr:hover td { background: rgba(0, 245, 212, 0.03); }
         
+        .grid { table-layout: fixed; }
+        .grid td { max-width: none; height: ${ROW_HEIGHT}px; padding-top: 0; padding-bottom: 0; }
+        .grid .resize-handle {
+          position: absolute;
+          top: 0;
+          right: 0;
+          width: 6px;
+          height: 100%;
+          cursor: col-resize;
+        }
+        .grid .resize-handle:hover { background: rgba(0, 245, 212, 0.4); }
+        
         .stat-val {
           font-family: 'Space Grotesk', sans-serif;
           font-size: 24px;
@@ -1294,18 +1487,56 @@ export default function App() {
         )}
       </div>
 
+      {/* Load Progress - streamed from the worker */}
+      {isLoading && (
+        <div className="card" style={{ padding: 12, marginBottom: 20, background: 'rgba(0,245,212,0.05)', borderColor: 'rgba(0,245,212,0.2)' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+            <span style={{ fontSize: 12, fontWeight: 500 }}>⏳ Loading {loadingName}...</span>
+            {cancelTask && (
+              <button className="btn btn-ghost" onClick={cancelTask} style={{ padding: '4px 12px', fontSize: 11 }}>
+                ⏹️ Cancel
+              </button>
+            )}
+          </div>
+          {parseLog.length > 0 && (
+            <div style={{ marginTop: 8, paddingTop: 8, borderTop: '1px solid rgba(255,255,255,0.1)' }}>
+              {parseLog.slice(-8).map((log, i) => (
+                <div key={i} style={{
+                  padding: '2px 0',
+                  fontSize: 11,
+                  fontFamily: 'monospace',
+                  color: log.includes('⚠️') ? '#ffaa50' : '#e0e0e0'
+                }}>
+                  {log}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Upload Zone */}
-      {Object.keys(tables).length === 0 && (
+      {(Object.keys(tables).length === 0 || addingToWorkspace) && (
         <div style={{ marginBottom: 24 }}>
+          {addingFiles && (
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 12, marginBottom: 12 }}>
+              <span style={{ fontSize: 12, opacity: 0.8 }}>
+                ➕ Adding to workspace ({Object.keys(tables).length} tables open). New tables are merged in; a name that's already taken gets a _2 suffix.
+              </span>
+              <button className="btn btn-ghost" onClick={() => setAddingToWorkspace(false)} style={{ padding: '6px 12px' }}>
+                ✕ Cancel
+              </button>
+            </div>
+          )}
           {/* File Upload */}
           <label className="upload-zone" style={{ display: 'block', marginBottom: 16 }}>
-            <input type="file" accept=".sql,.csv,.xlsx,.xls,.tsv" onChange={handleFileUpload} style={{ display: 'none' }} />
+            <input type="file" accept=".sql,.db,.sqlite,.sqlite3,.csv,.xlsx,.xls,.tsv,.json,.ndjson,.jsonl,.gz,.zip" onChange={handleFileUpload} style={{ display: 'none' }} />
             <div style={{ fontSize: 40, marginBottom: 12 }}>🗄️</div>
             <div style={{ fontSize: 16, fontFamily: "'Space Grotesk', sans-serif", marginBottom: 6 }}>
               Drop your file here
             </div>
             <div style={{ opacity: 0.4, fontSize: 12, marginBottom: 16 }}>
-              .sql • .csv • .xlsx • .xls • .tsv
+              .sql • .db • .sqlite • .csv • .xlsx • .xls • .tsv • .json • .ndjson • .gz • .zip
             </div>
             <div style={{ display: 'flex', gap: 8, justifyContent: 'center', flexWrap: 'wrap' }}>
               <span className="tag tag-category">SQL dumps</span>
@@ -1314,6 +1545,117 @@ export default function App() {
             </div>
           </label>
 
+          {/* Row limit for very large SQL/CSV files */}
+          <div style={{ display: 'flex', gap: 8, justifyContent: 'center', alignItems: 'center', flexWrap: 'wrap', marginBottom: 16 }}>
+            <span style={{ fontSize: 11, opacity: 0.6 }}>Rows per table:</span>
+            <select
+              value={loadLimits.rowLimit}
+              onChange={(e) => setLoadLimits(prev => ({ ...prev, rowLimit: Number(e.target.value) }))}
+              style={{ minWidth: 110 }}
+            >
+              <option value={0}>All rows</option>
+              <option value={10000}>10,000</option>
+              <option value={100000}>100,000</option>
+              <option value={1000000}>1,000,000</option>
+            </select>
+            {loadLimits.rowLimit > 0 && (
+              <select
+                value={loadLimits.sample ? 'sample' : 'first'}
+                onChange={(e) => setLoadLimits(prev => ({ ...prev, sample: e.target.value === 'sample' }))}
+                style={{ minWidth: 140 }}
+              >
+                <option value="first">First rows</option>
+                <option value="sample">Random sample</option>
+              </select>
+            )}
+            <label style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 11, opacity: 0.6, cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={splitArrays}
+                onChange={(e) => setSplitArrays(e.target.checked)}
+              />
+              Split nested JSON arrays into child tables
+            </label>
+          </div>
+
+          {/* CSV settings - detected from the file unless set here */}
+          <div style={{ display: 'flex', gap: 8, justifyContent: 'center', alignItems: 'center', flexWrap: 'wrap', marginBottom: 16 }}>
+            <span style={{ fontSize: 11, opacity: 0.6 }}>CSV delimiter:</span>
+            <select
+              value={csvOptions.delimiter}
+              onChange={(e) => setCsvOptions(prev => ({ ...prev, delimiter: e.target.value }))}
+              style={{ minWidth: 110 }}
+            >
+              <option value="auto">Auto-detect</option>
+              <option value=",">Comma ,</option>
+              <option value=";">Semicolon ;</option>
+              <option value={'\t'}>Tab</option>
+              <option value="|">Pipe |</option>
+            </select>
+            <span style={{ fontSize: 11, opacity: 0.6 }}>Encoding:</span>
+            <select
+              value={csvOptions.encoding}
+              onChange={(e) => setCsvOptions(prev => ({ ...prev, encoding: e.target.value }))}
+              style={{ minWidth: 110 }}
+            >
+              <option value="auto">Auto-detect</option>
+              <option value="utf-8">UTF-8</option>
+              <option value="windows-1252">Windows-1252</option>
+              <option value="iso-8859-1">ISO-8859-1</option>
+              <option value="utf-16le">UTF-16</option>
+            </select>
+            <span style={{ fontSize: 11, opacity: 0.6 }}>Header row:</span>
+            <select
+              value={csvOptions.headerRow}
+              onChange={(e) => setCsvOptions(prev => ({ ...prev, headerRow: e.target.value }))}
+              style={{ minWidth: 110 }}
+            >
+              <option value="auto">Auto-detect</option>
+              {[1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(n => (
+                <option key={n} value={n}>Line {n}</option>
+              ))}
+              <option value="none">No header</option>
+            </select>
+          </div>
+
+          {/* Locale - how numbers and dates are written in this dataset */}
+          <div style={{ display: 'flex', gap: 8, justifyContent: 'center', alignItems: 'center', flexWrap: 'wrap', marginBottom: 16 }}>
+            <span style={{ fontSize: 11, opacity: 0.6 }}>Numbers:</span>
+            <select
+              value={NUMBER_FORMATS.findIndex(f => f.decimal === locale.decimal && f.thousands === locale.thousands)}
+              onChange={(e) => {
+                const { decimal, thousands } = NUMBER_FORMATS[Number(e.target.value)];
+                setLocale(prev => ({ ...prev, decimal, thousands }));
+              }}
+              style={{ minWidth: 110 }}
+            >
+              {NUMBER_FORMATS.map((f, i) => (
+                <option key={f.label} value={i}>{f.label}</option>
+              ))}
+            </select>
+            <span style={{ fontSize: 11, opacity: 0.6 }}>Negatives:</span>
+            <select
+              value={locale.negatives}
+              onChange={(e) => setLocale(prev => ({ ...prev, negatives: e.target.value }))}
+              style={{ minWidth: 110 }}
+            >
+              <option value="any">Any style</option>
+              <option value="minus">-500</option>
+              <option value="parentheses">(500)</option>
+              <option value="trailing">500-</option>
+            </select>
+            <span style={{ fontSize: 11, opacity: 0.6 }}>Dates:</span>
+            <select
+              value={locale.dateOrder}
+              onChange={(e) => setLocale(prev => ({ ...prev, dateOrder: e.target.value }))}
+              style={{ minWidth: 110 }}
+            >
+              <option value="auto">Auto-detect</option>
+              <option value="dmy">Day first (31/12)</option>
+              <option value="mdy">Month first (12/31)</option>
+            </select>
+          </div>
+
           {/* Divider */}
           <div style={{ display: 'flex', alignItems: 'center', gap: 16, margin: '20px 0' }}>
             <div style={{ flex: 1, height: 1, background: 'rgba(0, 245, 212, 0.2)' }} />
@@ -1396,7 +1738,7 @@ export default function App() {
                 />
                 <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: 12 }}>
                   <div style={{ fontSize: 10, opacity: 0.4 }}>
-                    Supports: CREATE TABLE, INSERT INTO statements
+                    Supports: CREATE TABLE, INSERT INTO, COPY ... FROM stdin
                   </div>
                   <button
                     className="btn"
@@ -1414,7 +1756,7 @@ export default function App() {
       )}
 
       {/* Parse Log - dismissible */}
-      {parseLog.length > 0 && Object.keys(tables).length > 0 && showParseLog && (
+      {parseLog.length > 0 && Object.keys(tables).length > 0 && showParseLog && !isLoading && (
         <div className="card" style={{
           padding: 12,
           marginBottom: 20,
@@ -1444,9 +1786,9 @@ export default function App() {
               ✕
             </button>
           </div>
-          {parseLog.some(l => l.includes('⚠️') || l.includes('Sample')) && (
+          {parseLog.some(l => l.includes('⚠️') || l.includes('Sample') || l.includes('📄') || l.includes('✂️')) && (
             <div style={{ marginTop: 8, paddingTop: 8, borderTop: '1px solid rgba(255,255,255,0.1)' }}>
-              {parseLog.filter(l => l.includes('⚠️') || l.includes('Sample') || l.includes('🔗')).map((log, i) => (
+              {parseLog.filter(l => l.includes('⚠️') || l.includes('Sample') || l.includes('🔗') || l.includes('📄') || l.includes('✂️')).map((log, i) => (
                 <div key={i} style={{
                   padding: '2px 0',
                   fontSize: 11,
@@ -1464,6 +1806,23 @@ export default function App() {
       {/* Main Content */}
       {Object.keys(tables).length > 0 && (
         <>
+          {/* Joined Views */}
+          {joinPlans.length > 0 && (
+            <div style={{ display: 'flex', gap: 8, marginBottom: 12, flexWrap: 'wrap', alignItems: 'center' }}>
+              <span style={{ opacity: 0.5, fontSize: 11 }}>Joined views:</span>
+              {joinPlans.map(plan => (
+                <button
+                  key={plan.name}
+                  className={`tab ${activeTable === plan.name ? 'active' : ''}`}
+                  onClick={() => openJoinedView(plan)}
+                  title={plan.steps.map(s => `${s.from}.${s.column} → ${s.to}.${s.toColumn} (${s.source})`).join('\n')}
+                >
+                  🔗 {plan.description}
+                </button>
+              ))}
+            </div>
+          )}
+
           {/* Table Tabs */}
           {Object.keys(tables).length > 1 && (
             <div style={{ display: 'flex', gap: 8, marginBottom: 20, flexWrap: 'wrap', alignItems: 'center' }}>
@@ -1486,25 +1845,47 @@ export default function App() {
               <span style={{ fontSize: 10, textTransform: 'uppercase', letterSpacing: 0.5, opacity: 0.5 }}>
                 Columns — {activeTable}
               </span>
-              {detectedColumns.quantity && detectedColumns.amount && !calculatedColumns.find(c => c.name === 'ext_total') && (
-                <button className="btn" onClick={addCalculatedColumn} style={{ padding: '5px 12px', fontSize: 10 }}>
-                  ➕ Add Qty × Price
+              <div style={{ display: 'flex', gap: 6 }}>
+                {detectedColumns.quantity && detectedColumns.amount && !calculatedColumns.find(c => c.name === 'ext_total') && (
+                  <button className="btn" onClick={addCalculatedColumn} style={{ padding: '5px 12px', fontSize: 10 }}>
+                    ➕ Add Qty × Price
+                  </button>
+                )}
+                <button
+                  className="btn"
+                  onClick={() => { setFormulaDraft({ editing: null, name: '', formula: '' }); setFormulaError(null); }}
+                  style={{ padding: '5px 12px', fontSize: 10 }}
+                >
+                  🧮 New Formula Column
                 </button>
-              )}
+              </div>
             </div>
             <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8 }}>
               {columns.map(col => (
-                <div key={col} style={{ 
-                  display: 'flex', 
-                  alignItems: 'center', 
-                  gap: 6,
-                  padding: '6px 10px',
-                  background: 'rgba(10, 10, 15, 0.5)',
-                  borderRadius: 6,
-                  fontSize: 11
-                }}>
+                <div
+                  key={col}
+                  onClick={() => setInspectedColumn(inspectedColumn === col ? null : col)}
+                  title="Change type and format"
+                  style={{ 
+                    display: 'flex', 
+                    alignItems: 'center', 
+                    gap: 6,
+                    padding: '6px 10px',
+                    background: 'rgba(10, 10, 15, 0.5)',
+                    borderRadius: 6,
+                    fontSize: 11,
+                    cursor: 'pointer',
+                    border: inspectedColumn === col ? '1px solid rgba(0, 245, 212, 0.5)' : '1px solid transparent'
+                  }}
+                >
                   <span>{col}</span>
-                  <span className={`tag tag-${columnTypes[col]}`}>{columnTypes[col]}</span>
+                  <span className={`tag tag-${columnTypes[col]}`} title={tableOverrides[col] ? `Set to ${COLUMN_KINDS.find(k => k.kind === tableOverrides[col].kind)?.label} in the column inspector` : columnFormats[col]?.sqlType ? `Declared as ${columnFormats[col].sqlType}${columnFormats[col].notNull ? ' NOT NULL' : ''}` : 'Detected from values'}>
+                    {tableOverrides[col] ? tableOverrides[col].kind : columnTypes[col]}
+                  </span>
+                  {columnFormats[col]?.primaryKey && <span title="Primary key">🔑</span>}
+                  {columnFormats[col]?.references && (
+                    <span title={`References ${columnFormats[col].references.table}${columnFormats[col].references.column ? `.${columnFormats[col].references.column}` : ''}`}>🔗</span>
+                  )}
                   {col === detectedColumns.account && <span title="Account/Name">👤</span>}
                   {col === detectedColumns.amount && <span title="Amount/Cost">💰</span>}
                   {col === detectedColumns.quantity && <span title="Quantity">📦</span>}
@@ -1514,22 +1895,139 @@ export default function App() {
                 </div>
               ))}
               {calculatedColumns.map(col => (
-                <div key={col.name} style={{ 
-                  display: 'flex', 
-                  alignItems: 'center', 
-                  gap: 6,
-                  padding: '6px 10px',
-                  background: 'rgba(0, 245, 212, 0.1)',
-                  borderRadius: 6,
-                  fontSize: 11,
-                  border: '1px solid rgba(0, 245, 212, 0.3)'
-                }}>
+                <div
+                  key={col.name}
+                  onClick={() => { setFormulaDraft({ editing: col.name, name: col.name, formula: col.formula }); setFormulaError(null); }}
+                  title={`${col.formula} (click to edit)`}
+                  style={{ 
+                    display: 'flex', 
+                    alignItems: 'center', 
+                    gap: 6,
+                    padding: '6px 10px',
+                    background: 'rgba(0, 245, 212, 0.1)',
+                    borderRadius: 6,
+                    fontSize: 11,
+                    border: '1px solid rgba(0, 245, 212, 0.3)',
+                    cursor: 'pointer'
+                  }}
+                >
                   <span>{col.label}</span>
                   <span className="tag tag-calc">calc</span>
-                  <span title={col.formula}>🧮</span>
+                  <span>🧮</span>
+                  <button
+                    onClick={(e) => { e.stopPropagation(); removeCalculatedColumn(col.name); }}
+                    title="Remove column"
+                    style={{ background: 'none', border: 'none', color: 'inherit', cursor: 'pointer', opacity: 0.6, padding: '0 2px', fontSize: 11 }}
+                  >
+                    ✕
+                  </button>
                 </div>
               ))}
             </div>
+
+            {/* Formula editor - same expressions as the query console, minus SUM()/COUNT() */}
+            {formulaDraft && (
+              <div style={{ display: 'flex', flexDirection: 'column', gap: 8, marginTop: 12, padding: 12, background: 'rgba(10, 10, 15, 0.5)', borderRadius: 6, fontSize: 11 }}>
+                <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+                  <input
+                    type="text"
+                    placeholder="Column name"
+                    value={formulaDraft.name}
+                    onChange={(e) => setFormulaDraft(prev => ({ ...prev, name: e.target.value }))}
+                    style={{ width: 160 }}
+                  />
+                  <span style={{ opacity: 0.6 }}>=</span>
+                  <input
+                    type="text"
+                    placeholder={`IF(qty > 10, unit_price * 0.9, unit_price) * qty`}
+                    value={formulaDraft.formula}
+                    onChange={(e) => setFormulaDraft(prev => ({ ...prev, formula: e.target.value }))}
+                    onKeyDown={(e) => e.key === 'Enter' && saveFormulaDraft()}
+                    spellCheck={false}
+                    style={{ flex: 1 }}
+                  />
+                  <button className="btn" onClick={saveFormulaDraft} style={{ padding: '4px 12px', fontSize: 10 }}>
+                    {formulaDraft.editing ? 'Save' : 'Add'}
+                  </button>
+                  <button className="btn btn-ghost" onClick={() => { setFormulaDraft(null); setFormulaError(null); }} style={{ padding: '4px 10px', fontSize: 10 }}>
+                    Cancel
+                  </button>
+                </div>
+                <div style={{ opacity: 0.5, lineHeight: 1.6 }}>
+                  + - * / %, || to join text, = != &lt; &gt;, AND / OR, IF(cond, a, b), CASE WHEN ... THEN ... ELSE ... END,
+                  UPPER, LOWER, TRIM, LEFT, RIGHT, SUBSTR, REPLACE, CONCAT, LENGTH, ROUND, ABS, COALESCE,
+                  DATE, YEAR, MONTH, DAY, DAYS_BETWEEN(start, end), ADD_DAYS(date, n), TODAY().
+                  Quote column names with spaces as "merchant name"; earlier calculated columns can be used too.
+                </div>
+              </div>
+            )}
+            {formulaError && (
+              <div style={{ marginTop: 8, padding: 8, background: 'rgba(255,107,107,0.08)', borderRadius: 6, fontSize: 11, color: '#FF6B6B' }}>
+                ❌ {formulaError.line ? `Line ${formulaError.line}, col ${formulaError.column}: ` : ''}{formulaError.message}
+              </div>
+            )}
+
+            {/* Column inspector - type and display format for one column, remembered per table */}
+            {inspectedColumn && columns.includes(inspectedColumn) && (() => {
+              const override = tableOverrides[inspectedColumn];
+              const kind = override?.kind || defaultKind(detectedTypes[inspectedColumn]);
+              const current = override || { kind };
+              const update = (patch) => setColumnOverride(inspectedColumn, { ...current, ...patch });
+              return (
+                <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap', marginTop: 12, padding: '10px 12px', background: 'rgba(10, 10, 15, 0.5)', borderRadius: 6, fontSize: 11 }}>
+                  <span style={{ fontWeight: 600 }}>{inspectedColumn}</span>
+                  <span style={{ opacity: 0.5 }}>detected as {detectedTypes[inspectedColumn]}</span>
+                  <span style={{ opacity: 0.6 }}>Type:</span>
+                  <select value={kind} onChange={(e) => setColumnOverride(inspectedColumn, { kind: e.target.value })}>
+                    {COLUMN_KINDS.map(k => (
+                      <option key={k.kind} value={k.kind}>{k.label}</option>
+                    ))}
+                  </select>
+                  {kindType(kind) === 'number' && (
+                    <>
+                      <span style={{ opacity: 0.6 }}>Decimals:</span>
+                      <select value={current.decimals ?? ''} onChange={(e) => update({ decimals: e.target.value === '' ? undefined : Number(e.target.value) })}>
+                        <option value="">Default</option>
+                        {[0, 1, 2, 3, 4].map(n => <option key={n} value={n}>{n}</option>)}
+                      </select>
+                    </>
+                  )}
+                  {kind === 'currency' && (
+                    <>
+                      <span style={{ opacity: 0.6 }}>Symbol:</span>
+                      <select value={current.currency ?? '$'} onChange={(e) => update({ currency: e.target.value })}>
+                        {CURRENCY_SYMBOLS.map(c => <option key={c} value={c}>{c || 'None'}</option>)}
+                      </select>
+                    </>
+                  )}
+                  {kind === 'date' && (
+                    <>
+                      <span style={{ opacity: 0.6 }}>Show as:</span>
+                      <select value={current.datePattern || 'raw'} onChange={(e) => update({ datePattern: e.target.value })}>
+                        {DATE_PATTERNS.map(d => <option key={d.pattern} value={d.pattern}>{d.label}</option>)}
+                      </select>
+                    </>
+                  )}
+                  {kind === 'id' && (
+                    <>
+                      <span style={{ opacity: 0.6 }}>Pad with zeros to:</span>
+                      <select value={current.padDigits || 0} onChange={(e) => update({ padDigits: Number(e.target.value) || undefined })}>
+                        <option value={0}>Off</option>
+                        {[4, 5, 6, 8, 10, 12, 16].map(n => <option key={n} value={n}>{n} digits</option>)}
+                      </select>
+                    </>
+                  )}
+                  {override && (
+                    <button className="btn btn-ghost" onClick={() => setColumnOverride(inspectedColumn, null)} style={{ padding: '4px 10px', fontSize: 10 }}>
+                      Reset
+                    </button>
+                  )}
+                  <button className="btn btn-ghost" onClick={() => setInspectedColumn(null)} style={{ padding: '4px 10px', fontSize: 10 }}>
+                    ✕
+                  </button>
+                </div>
+              );
+            })()}
           </div>
 
           {/* Stats */}
@@ -1595,7 +2093,7 @@ export default function App() {
                 {uniqueCategories.length > 0 && (
                   <select
                     value={selectedCategory}
-                    onChange={(e) => setSelectedCategory(e.target.value)}
+                    onChange={(e) => setFilter(detectedColumns.category || detectedColumns.account, e.target.value === 'all' ? null : { kind: 'values', values: [e.target.value] })}
                     style={{ minWidth: 180 }}
                   >
                     <option value="all">All ({uniqueCategories.length} groups)</option>
@@ -1607,7 +2105,7 @@ export default function App() {
                 {uniqueMonths.length > 0 && (
                   <select
                     value={selectedMonth}
-                    onChange={(e) => setSelectedMonth(e.target.value)}
+                    onChange={(e) => setFilter(detectedColumns.date, e.target.value === 'all' ? null : monthRange(e.target.value))}
                     style={{ minWidth: 150 }}
                   >
                     <option value="all">All Months</option>
@@ -1616,22 +2114,37 @@ export default function App() {
                     ))}
                   </select>
                 )}
-                {(globalSearch || Object.values(filters).some(v => v) || selectedMonth !== 'all' || selectedCategory !== 'all') && (
-                  <button className="btn btn-ghost" onClick={() => { setGlobalSearch(''); setFilters({}); setSelectedMonth('all'); setSelectedCategory('all'); }} style={{ padding: '6px 12px' }}>
+                <select
+                  value=""
+                  onChange={(e) => e.target.value && openFilterEditor(e.target.value)}
+                  style={{ minWidth: 140 }}
+                >
+                  <option value="">➕ Filter column...</option>
+                  {allColumns.map(col => (
+                    <option key={col} value={col}>{col}</option>
+                  ))}
+                </select>
+                <button
+                  className={`btn btn-ghost ${showExpression ? 'active' : ''}`}
+                  onClick={() => setShowExpression(prev => !prev)}
+                  style={{ padding: '6px 12px' }}
+                >
+                  🧩 Expression{countConditions(filterExpression) > 0 && ` (${countConditions(filterExpression)})`}
+                </button>
+                {(globalSearch || Object.keys(filters).length > 0 || countConditions(filterExpression) > 0) && (
+                  <button className="btn btn-ghost" onClick={() => { setGlobalSearch(''); setFilters({}); setFilterDraft(null); editExpression([], () => emptyGroup()); }} style={{ padding: '6px 12px' }}>
                     Clear All
                   </button>
                 )}
               </div>
               <div style={{ display: 'flex', gap: 6 }}>
-                {tables['transactions_joined'] && (
-                  <button
-                    className={`btn btn-ghost ${activeView === 'dashboard' ? 'active' : ''}`}
-                    onClick={() => { setActiveView('dashboard'); setDrilldown({ level: 'overview', cardId: null, programId: null, programName: null }); }}
-                    style={{ padding: '6px 14px' }}
-                  >
-                    🏠 Dashboard
-                  </button>
-                )}
+                <button
+                  className={`btn btn-ghost ${activeView === 'dashboard' ? 'active' : ''}`}
+                  onClick={() => { setActiveView('dashboard'); setDrillPath([]); }}
+                  style={{ padding: '6px 14px' }}
+                >
+                  🏠 Dashboard
+                </button>
                 <button
                   className={`btn btn-ghost ${activeView === 'table' ? 'active' : ''}`}
                   onClick={() => setActiveView('table')}
@@ -1639,6 +2152,16 @@ export default function App() {
                 >
                   📋 Table
                 </button>
+                <button
+                  className={`btn btn-ghost ${activeView === 'query' ? 'active' : ''}`}
+                  onClick={() => {
+                    setActiveView('query');
+                    if (!queryText) setQueryText(`SELECT *\nFROM ${activeTable === QUERY_TABLE ? Object.keys(tables)[0] : activeTable}\nLIMIT 100`);
+                  }}
+                  style={{ padding: '6px 14px' }}
+                >
+                  🧮 Query
+                </button>
                 <button
                   className={`btn btn-ghost ${activeView === 'charts' ? 'active' : ''}`}
                   onClick={() => setActiveView('charts')}
@@ -1646,6 +2169,20 @@ export default function App() {
                 >
                   📊 Charts
                 </button>
+                <button
+                  className={`btn btn-ghost ${activeView === 'pivot' ? 'active' : ''}`}
+                  onClick={() => setActiveView('pivot')}
+                  style={{ padding: '6px 14px' }}
+                >
+                  🔀 Pivot
+                </button>
+                <button
+                  className={`btn btn-ghost ${activeView === 'profile' ? 'active' : ''}`}
+                  onClick={() => setActiveView('profile')}
+                  style={{ padding: '6px 14px' }}
+                >
+                  🔬 Profile
+                </button>
                 <button
                   className={`btn btn-ghost ${activeView === 'ask' ? 'active' : ''}`}
                   onClick={() => setActiveView('ask')}
@@ -1656,6 +2193,179 @@ export default function App() {
               </div>
             </div>
 
+            {/* Active filters as chips - click to edit, ✕ to remove */}
+            {Object.keys(filters).length > 0 && (
+              <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap', marginTop: 12 }}>
+                {Object.entries(filters).map(([col, filter]) => (
+                  <span
+                    key={col}
+                    style={{
+                      display: 'inline-flex',
+                      alignItems: 'center',
+                      gap: 6,
+                      padding: '4px 6px 4px 10px',
+                      background: filter.exclude ? 'rgba(255, 100, 100, 0.1)' : 'rgba(0, 245, 212, 0.1)',
+                      border: `1px solid ${filter.exclude ? 'rgba(255, 100, 100, 0.4)' : 'rgba(0, 245, 212, 0.3)'}`,
+                      borderRadius: 12,
+                      fontSize: 11
+                    }}
+                  >
+                    <span onClick={() => openFilterEditor(col)} style={{ cursor: 'pointer' }} title="Edit filter">
+                      {describeFilter(col, filter)}
+                    </span>
+                    <button
+                      onClick={() => setFilter(col, null)}
+                      title="Remove filter"
+                      style={{ background: 'none', border: 'none', color: 'inherit', cursor: 'pointer', opacity: 0.6, padding: '0 4px', fontSize: 11 }}
+                    >
+                      ✕
+                    </button>
+                  </span>
+                ))}
+              </div>
+            )}
+
+            {/* Expression builder - nested AND/OR groups, with a text form to paste in and out */}
+            {showExpression && (
+              <div style={{ display: 'flex', flexDirection: 'column', gap: 10, marginTop: 12, padding: 12, background: 'rgba(10, 10, 15, 0.5)', borderRadius: 6, fontSize: 11 }}>
+                {renderExpressionGroup(filterExpression, [])}
+                <textarea
+                  value={expressionDraft ?? formatExpression(filterExpression)}
+                  onChange={(e) => setExpressionDraft(e.target.value)}
+                  placeholder={`program = 'X' AND (amount > 500 OR merchant contains 'air')`}
+                  spellCheck={false}
+                  rows={2}
+                  style={{ width: '100%', fontFamily: 'inherit', fontSize: 11, resize: 'vertical' }}
+                />
+                {expressionError && (
+                  <div style={{ padding: 8, background: 'rgba(255,107,107,0.08)', borderRadius: 6, color: '#FF6B6B' }}>
+                    ❌ {expressionError.line ? `Line ${expressionError.line}, col ${expressionError.column}: ` : ''}{expressionError.message}
+                  </div>
+                )}
+                <div style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+                  <button className="btn" onClick={applyExpressionText} disabled={expressionDraft === null} style={{ padding: '4px 12px', fontSize: 10 }}>
+                    Apply Text
+                  </button>
+                  <button className="btn btn-ghost" onClick={() => navigator.clipboard?.writeText(formatExpression(filterExpression))} style={{ padding: '4px 10px', fontSize: 10 }}>
+                    📋 Copy
+                  </button>
+                  <span style={{ opacity: 0.5 }}>
+                    {expressionData.length.toLocaleString()} of {data.length.toLocaleString()} rows match
+                  </span>
+                </div>
+              </div>
+            )}
+
+            {/* Filter editor - the choices depend on the column's type */}
+            {filterDraft && (
+              <div style={{ display: 'flex', flexDirection: 'column', gap: 10, marginTop: 12, padding: 12, background: 'rgba(10, 10, 15, 0.5)', borderRadius: 6, fontSize: 11 }}>
+                <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' }}>
+                  <span style={{ fontWeight: 600 }}>{filterDraft.column}</span>
+                  <select
+                    value={filterDraft.kind}
+                    onChange={(e) => setFilterDraft(prev => ({ ...prev, kind: e.target.value }))}
+                  >
+                    {FILTER_KINDS[columnTypes[filterDraft.column] || 'text'].map(kind => (
+                      <option key={kind} value={kind}>{FILTER_KIND_LABELS[kind]}</option>
+                    ))}
+                  </select>
+                  {filterDraft.kind === 'range' && (
+                    <>
+                      <input type="number" placeholder="Min" value={filterDraft.min} onChange={(e) => setFilterDraft(prev => ({ ...prev, min: e.target.value }))} style={{ width: 110 }} />
+                      <span style={{ opacity: 0.6 }}>to</span>
+                      <input type="number" placeholder="Max" value={filterDraft.max} onChange={(e) => setFilterDraft(prev => ({ ...prev, max: e.target.value }))} style={{ width: 110 }} />
+                    </>
+                  )}
+                  {filterDraft.kind === 'dates' && (
+                    <>
+                      <input type="date" value={filterDraft.from} onChange={(e) => setFilterDraft(prev => ({ ...prev, from: e.target.value }))} />
+                      <span style={{ opacity: 0.6 }}>to</span>
+                      <input type="date" value={filterDraft.to} onChange={(e) => setFilterDraft(prev => ({ ...prev, to: e.target.value }))} />
+                    </>
+                  )}
+                  {filterDraft.kind === 'contains' && (
+                    <input type="text" placeholder="Text..." value={filterDraft.text} onChange={(e) => setFilterDraft(prev => ({ ...prev, text: e.target.value }))} style={{ width: 180 }} />
+                  )}
+                  {filterDraft.kind === 'values' && (
+                    <input type="text" placeholder="Find a value..." value={filterDraft.search} onChange={(e) => setFilterDraft(prev => ({ ...prev, search: e.target.value }))} style={{ width: 180 }} />
+                  )}
+                  <label style={{ display: 'flex', alignItems: 'center', gap: 4, cursor: 'pointer' }}>
+                    <input type="checkbox" checked={filterDraft.exclude} onChange={(e) => setFilterDraft(prev => ({ ...prev, exclude: e.target.checked }))} />
+                    Exclude matches
+                  </label>
+                  <button className="btn" onClick={applyFilterDraft} style={{ padding: '4px 12px', fontSize: 10 }}>
+                    Apply
+                  </button>
+                  <button className="btn btn-ghost" onClick={() => setFilterDraft(null)} style={{ padding: '4px 10px', fontSize: 10 }}>
+                    Cancel
+                  </button>
+                </div>
+                {filterDraft.kind === 'values' && (
+                  <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6, maxHeight: 160, overflowY: 'auto' }}>
+                    {draftValueCounts
+                      .filter(({ value }) => value.toLowerCase().includes(filterDraft.search.toLowerCase()))
+                      .slice(0, 200)
+                      .map(({ value, count }) => (
+                        <label key={value} style={{ display: 'flex', alignItems: 'center', gap: 4, padding: '2px 8px', background: 'rgba(255,255,255,0.04)', borderRadius: 4, cursor: 'pointer' }}>
+                          <input
+                            type="checkbox"
+                            checked={filterDraft.values.includes(value)}
+                            onChange={(e) => setFilterDraft(prev => ({
+                              ...prev,
+                              values: e.target.checked ? [...prev.values, value] : prev.values.filter(v => v !== value)
+                            }))}
+                          />
+                          {value || <span style={{ opacity: 0.5 }}>(empty)</span>}
+                          <span style={{ opacity: 0.5 }}>{count.toLocaleString()}</span>
+                        </label>
+                      ))}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Period comparison - dashboard and charts, when the table has a date column */}
+            {(activeView === 'dashboard' || activeView === 'charts') && dashboardConfig.date && (
+              <div style={{ display: 'flex', gap: 8, marginTop: 16, paddingTop: 16, borderTop: '1px solid rgba(255,255,255,0.1)', flexWrap: 'wrap', alignItems: 'center', fontSize: 11 }}>
+                <button
+                  className={`btn btn-ghost ${comparison ? 'active' : ''}`}
+                  onClick={toggleComparison}
+                  style={{ padding: '4px 10px', fontSize: 11 }}
+                  title={`Compare two periods of ${dashboardConfig.date}`}
+                >
+                  ⇄ Compare
+                </button>
+                {comparison && (
+                  <>
+                    <input type="date" value={comparison.from} onChange={(e) => setComparison(prev => ({ ...prev, from: e.target.value }))} />
+                    <span style={{ opacity: 0.6 }}>to</span>
+                    <input type="date" value={comparison.to} onChange={(e) => setComparison(prev => ({ ...prev, to: e.target.value }))} />
+                    <span style={{ opacity: 0.6, marginLeft: 8 }}>vs</span>
+                    <select value={comparison.mode} onChange={(e) => setComparison(prev => ({ ...prev, mode: e.target.value }))}>
+                      {COMPARE_MODES.map(m => (
+                        <option key={m.mode} value={m.mode}>{m.label}</option>
+                      ))}
+                    </select>
+                    {comparison.mode === 'custom' ? (
+                      <>
+                        <input type="date" value={comparison.customFrom} onChange={(e) => setComparison(prev => ({ ...prev, customFrom: e.target.value }))} />
+                        <span style={{ opacity: 0.6 }}>to</span>
+                        <input type="date" value={comparison.customTo} onChange={(e) => setComparison(prev => ({ ...prev, customTo: e.target.value }))} />
+                      </>
+                    ) : comparisonRows && (
+                      <span style={{ opacity: 0.6 }}>{comparisonRows.previousRange.from} → {comparisonRows.previousRange.to}</span>
+                    )}
+                    {comparisonRows && (
+                      <span style={{ opacity: 0.6, marginLeft: 'auto' }}>
+                        {comparisonRows.current.length.toLocaleString()} vs {comparisonRows.previous.length.toLocaleString()} rows
+                        {filters[dashboardConfig.date] && ` · the ${dashboardConfig.date} filter is set aside while comparing`}
+                      </span>
+                    )}
+                  </>
+                )}
+              </div>
+            )}
+
             {/* Chart Controls - only show when in chart view */}
             {activeView === 'charts' && (
               <div style={{ display: 'flex', gap: 12, marginTop: 16, paddingTop: 16, borderTop: '1px solid rgba(255,255,255,0.1)', flexWrap: 'wrap', alignItems: 'center' }}>
@@ -1670,6 +2380,17 @@ export default function App() {
                     <option key={col} value={col}>{col}</option>
                   ))}
                 </select>
+                <span style={{ fontSize: 11, opacity: 0.6, marginLeft: 8 }}>Measure:</span>
+                <select
+                  value={measureColumn}
+                  onChange={(e) => setMeasureColumn(e.target.value)}
+                  style={{ minWidth: 140 }}
+                >
+                  <option value="">Auto-detect</option>
+                  {measureColumns.map(col => (
+                    <option key={col} value={col}>{col}</option>
+                  ))}
+                </select>
                 <span style={{ fontSize: 11, opacity: 0.6, marginLeft: 8 }}>Show:</span>
                 <div style={{ display: 'flex', gap: 4 }}>
                   <button
@@ -1703,306 +2424,403 @@ export default function App() {
             )}
           </div>
 
-          {/* Dashboard View */}
-          {activeView === 'dashboard' && tables['transactions_joined'] && (
-            <div>
-              {/* Summary Stats */}
-              {drilldown.level === 'overview' && (
-                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))', gap: 12, marginBottom: 20 }}>
-                  <div className="card" style={{ padding: 16, textAlign: 'center' }}>
-                    <div style={{ fontSize: 10, opacity: 0.5, marginBottom: 4 }}>TOTAL TRANSACTIONS</div>
-                    <div className="stat-val">{tables['transactions_joined'].length.toLocaleString()}</div>
-                  </div>
-                  <div className="card" style={{ padding: 16, textAlign: 'center' }}>
-                    <div style={{ fontSize: 10, opacity: 0.5, marginBottom: 4 }}>TOTAL SPEND</div>
-                    <div className="stat-val">${programSummaries.reduce((s, p) => s + p.total_spend, 0).toLocaleString(undefined, { maximumFractionDigits: 0 })}</div>
-                  </div>
-                  <div className="card" style={{ padding: 16, textAlign: 'center' }}>
-                    <div style={{ fontSize: 10, opacity: 0.5, marginBottom: 4 }}>CARD PROGRAMS</div>
-                    <div className="stat-val">{programSummaries.filter(p => p.card_program_name !== 'Unknown Program').length}</div>
-                  </div>
-                  <div className="card" style={{ padding: 16, textAlign: 'center' }}>
-                    <div style={{ fontSize: 10, opacity: 0.5, marginBottom: 4 }}>ACTIVE CARDS</div>
-                    <div className="stat-val">{cardSummaries.length}</div>
-                  </div>
-                </div>
-              )}
-
-              {/* Warning for unmatched data - show parse log details */}
-              {drilldown.level === 'overview' && programSummaries.some(p => p.card_program_name === 'Unknown Program') && (
-                <div className="card" style={{ padding: 16, marginBottom: 20, background: 'rgba(255,150,50,0.1)', borderColor: 'rgba(255,150,50,0.3)' }}>
-                  <div style={{ fontSize: 13, color: '#ffaa50', fontWeight: 500, marginBottom: 8 }}>
-                    ⚠️ Some transactions couldn't be matched to card programs
-                  </div>
-                  <div style={{ fontSize: 12, color: '#e0e0e0', opacity: 0.8 }}>
-                    {parseLog.filter(l => l.includes('⚠️') || l.includes('Sample') || l.includes('Joined')).map((log, i) => (
-                      <div key={i} style={{ padding: '2px 0', fontFamily: 'monospace' }}>{log}</div>
-                    ))}
-                  </div>
-                  {parseLog.filter(l => l.includes('Sample')).length === 0 && (
-                    <div style={{ fontSize: 11, opacity: 0.6, marginTop: 8 }}>
-                      Check the Parse Log above for details, or card_id values in transactions may not exist in the cards table.
-                    </div>
-                  )}
-                </div>
-              )}
-
-              {/* Breadcrumb */}
-              {drilldown.level !== 'overview' && (
-                <div style={{ marginBottom: 16, display: 'flex', alignItems: 'center', gap: 8, fontSize: 12 }}>
+          {/* Dashboard View - summary tables generated from the hierarchy in dashboardConfig */}
+          {activeView === 'dashboard' && (() => {
+            const { levels, measure, date } = dashboardConfig;
+            const rowLabel = dashboardConfig.rowLabel || 'Rows';
+            const totalLabel = `Total ${dashboardConfig.measureLabel || measure}`;
+            // The detected amount reads as money unless the inspector says otherwise
+            const measureFormat = measure === detectedColumns.amount && !columnFormats[measure]?.kind
+              ? { ...columnFormats[measure], kind: 'currency', currency: amountSymbol }
+              : columnFormats[measure];
+            const formatMeasure = (value) => formatCell(value, 'number', measureFormat);
+            const stepLabel = (step) => `${levels[step.level].label}: ${step.value === '' ? EMPTY_LABEL : step.value}`;
+            const sortHeader = (id, key, label, align = 'left') => {
+              const current = dashboardSortFor(id);
+              return (
+                <th
+                  style={{ textAlign: align, cursor: 'pointer' }}
+                  onClick={() => setDashboardSort(s => ({ ...s, [id]: { key, dir: current.key === key && current.dir === 'desc' ? 'asc' : 'desc' } }))}
+                >
+                  {label} {current.key === key && (current.dir === 'asc' ? '↑' : '↓')}
+                </th>
+              );
+            };
+            const unpinned = levels.filter((_, i) => !drillPath.some(step => step.level === i));
+            return (
+              <div>
+                {/* Breadcrumb - any step jumps back to that level */}
+                <div style={{ marginBottom: 16, display: 'flex', alignItems: 'center', gap: 8, fontSize: 12, flexWrap: 'wrap' }}>
                   <button
-                    className="btn btn-ghost"
-                    onClick={() => setDrilldown({ level: 'overview', cardId: null, programId: null, programName: null })}
+                    className={`btn btn-ghost ${drillPath.length === 0 ? 'active' : ''}`}
+                    onClick={() => setDrillPath([])}
                     style={{ padding: '4px 10px', fontSize: 11 }}
                   >
-                    ← Back to Overview
+                    🏠 Overview
+                  </button>
+                  {drillPath.map((step, i) => (
+                    <React.Fragment key={step.level}>
+                      <span style={{ opacity: 0.5 }}>›</span>
+                      {i === drillPath.length - 1 ? (
+                        <span style={{ color: '#00F5D4' }}>{stepLabel(step)}</span>
+                      ) : (
+                        <button className="btn btn-ghost" onClick={() => setDrillPath(prev => prev.slice(0, i + 1))} style={{ padding: '4px 10px', fontSize: 11 }}>
+                          {stepLabel(step)}
+                        </button>
+                      )}
+                    </React.Fragment>
+                  ))}
+                  <button
+                    className={`btn btn-ghost ${showDashboardConfig ? 'active' : ''}`}
+                    onClick={() => setShowDashboardConfig(v => !v)}
+                    style={{ padding: '4px 10px', fontSize: 11, marginLeft: 'auto' }}
+                  >
+                    ⚙️ Levels
                   </button>
-                  <span style={{ opacity: 0.5 }}>|</span>
-                  <span style={{ color: '#00F5D4' }}>
-                    {drilldown.level === 'card' && `Card #${drilldown.cardId}`}
-                    {drilldown.level === 'program' && drilldown.programName}
-                  </span>
                 </div>
-              )}
 
-              {/* Overview - Card Programs & Cards side by side */}
-              {drilldown.level === 'overview' && (
-                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(400px, 1fr))', gap: 20 }}>
-                  {/* Card Programs */}
-                  <div className="card" style={{ padding: 20 }}>
-                    <h3 style={{ margin: '0 0 16px', fontSize: 14, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-                      <span>💳 Card Programs</span>
-                      <span style={{ fontSize: 11, opacity: 0.5 }}>{programSummaries.filter(p => p.card_program_name !== 'Unknown Program').length} programs</span>
-                    </h3>
-                    <div style={{ maxHeight: 400, overflow: 'auto' }}>
-                      <table style={{ width: '100%' }}>
-                        <thead>
-                          <tr>
-                            <th
-                              style={{ textAlign: 'left', cursor: 'pointer' }}
-                              onClick={() => setDashboardSort(s => ({ ...s, programs: { key: 'card_program_name', dir: s.programs.key === 'card_program_name' && s.programs.dir === 'asc' ? 'desc' : 'asc' } }))}
-                            >
-                              Program {dashboardSort.programs.key === 'card_program_name' && (dashboardSort.programs.dir === 'asc' ? '↑' : '↓')}
-                            </th>
-                            <th
-                              style={{ textAlign: 'right', cursor: 'pointer' }}
-                              onClick={() => setDashboardSort(s => ({ ...s, programs: { key: 'card_count', dir: s.programs.key === 'card_count' && s.programs.dir === 'desc' ? 'asc' : 'desc' } }))}
-                            >
-                              Cards {dashboardSort.programs.key === 'card_count' && (dashboardSort.programs.dir === 'asc' ? '↑' : '↓')}
-                            </th>
-                            <th
-                              style={{ textAlign: 'right', cursor: 'pointer' }}
-                              onClick={() => setDashboardSort(s => ({ ...s, programs: { key: 'transaction_count', dir: s.programs.key === 'transaction_count' && s.programs.dir === 'desc' ? 'asc' : 'desc' } }))}
+                {/* Hierarchy, measure and date column */}
+                {(showDashboardConfig || levels.length === 0) && (
+                  <div className="card" style={{ padding: 16, marginBottom: 20, fontSize: 11, display: 'flex', flexDirection: 'column', gap: 10 }}>
+                    <div style={{ display: 'flex', gap: 6, alignItems: 'center', flexWrap: 'wrap' }}>
+                      <span style={{ opacity: 0.6, width: 60 }}>Levels</span>
+                      {levels.map((level, i) => (
+                        <span
+                          key={level.column}
+                          title={level.column}
+                          style={{ display: 'inline-flex', alignItems: 'center', gap: 4, padding: '4px 10px', background: 'rgba(0, 245, 212, 0.12)', border: '1px solid rgba(0, 245, 212, 0.3)', borderRadius: 12, color: '#00F5D4' }}
+                        >
+                          {i > 0 && <span style={{ opacity: 0.5 }}>›</span>}
+                          {level.label}
+                          {[
+                            ['←', 'Move up', i > 0, () => [...levels.slice(0, i - 1), level, levels[i - 1], ...levels.slice(i + 1)]],
+                            ['→', 'Move down', i < levels.length - 1, () => [...levels.slice(0, i), levels[i + 1], level, ...levels.slice(i + 2)]],
+                            ['✕', 'Remove', true, () => levels.filter((_, j) => j !== i)]
+                          ].filter(([, , show]) => show).map(([icon, title, , next]) => (
+                            <button
+                              key={icon}
+                              onClick={() => updateDashboardConfig({ levels: next() })}
+                              title={title}
+                              style={{ background: 'none', border: 'none', color: 'inherit', cursor: 'pointer', opacity: 0.6, padding: '0 2px', fontSize: 11 }}
                             >
-                              Transactions {dashboardSort.programs.key === 'transaction_count' && (dashboardSort.programs.dir === 'asc' ? '↑' : '↓')}
-                            </th>
-                            <th
-                              style={{ textAlign: 'right', cursor: 'pointer' }}
-                              onClick={() => setDashboardSort(s => ({ ...s, programs: { key: 'total_spend', dir: s.programs.key === 'total_spend' && s.programs.dir === 'desc' ? 'asc' : 'desc' } }))}
-                            >
-                              Total Spend {dashboardSort.programs.key === 'total_spend' && (dashboardSort.programs.dir === 'asc' ? '↑' : '↓')}
-                            </th>
-                          </tr>
-                        </thead>
-                        <tbody>
-                          {programSummaries.filter(p => p.card_program_name !== 'Unknown Program').map((prog, idx) => (
-                            <tr
-                              key={prog.card_program_id || idx}
-                              onClick={() => setDrilldown({ level: 'program', cardId: null, programId: prog.card_program_id, programName: prog.card_program_name })}
-                              style={{ cursor: 'pointer' }}
-                            >
-                              <td style={{ color: COLORS[idx % COLORS.length] }}>{prog.card_program_name}</td>
-                              <td style={{ textAlign: 'right', opacity: 0.7 }}>{prog.card_count}</td>
-                              <td style={{ textAlign: 'right', opacity: 0.7 }}>{prog.transaction_count.toLocaleString()}</td>
-                              <td style={{ textAlign: 'right', color: '#00F5D4', fontVariantNumeric: 'tabular-nums' }}>
-                                ${prog.total_spend.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
-                              </td>
-                            </tr>
+                              {icon}
+                            </button>
                           ))}
-                        </tbody>
-                      </table>
+                        </span>
+                      ))}
+                      <select
+                        value=""
+                        onChange={(e) => e.target.value && updateDashboardConfig({ levels: [...levels, { column: e.target.value, label: e.target.value }] })}
+                        style={{ padding: '3px 6px', fontSize: 10 }}
+                      >
+                        <option value="">{levels.length ? '+ Add level' : 'Pick the top level, e.g. region or supplier'}</option>
+                        {allColumns.filter(col => !levels.some(l => l.column === col)).map(col => <option key={col} value={col}>{col}</option>)}
+                      </select>
+                    </div>
+                    <div style={{ display: 'flex', gap: 6, alignItems: 'center', flexWrap: 'wrap' }}>
+                      <span style={{ opacity: 0.6, width: 60 }}>Measure</span>
+                      <select value={measure} onChange={(e) => updateDashboardConfig({ measure: e.target.value, measureLabel: '' })} style={{ padding: '3px 6px', fontSize: 10 }}>
+                        <option value="">Row count only</option>
+                        {measureColumns.map(col => <option key={col} value={col}>{col}</option>)}
+                      </select>
+                      <span style={{ opacity: 0.6, marginLeft: 12 }}>Date</span>
+                      <select value={date} onChange={(e) => updateDashboardConfig({ date: e.target.value })} style={{ padding: '3px 6px', fontSize: 10 }}>
+                        <option value="">None</option>
+                        {allColumns.filter(col => columnTypes[col] === 'date').map(col => <option key={col} value={col}>{col}</option>)}
+                      </select>
+                    </div>
+                  </div>
+                )}
+
+                {/* Summary Stats */}
+                {drillPath.length === 0 && (
+                  <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))', gap: 12, marginBottom: 20 }}>
+                    <div className="card" style={{ padding: 16, textAlign: 'center' }}>
+                      <div style={{ fontSize: 10, opacity: 0.5, marginBottom: 4 }}>{rowLabel.toUpperCase()}</div>
+                      <div className="stat-val">{periodData.length.toLocaleString()}</div>
+                    </div>
+                    {measure && (
+                      <div className="card" style={{ padding: 16, textAlign: 'center' }}>
+                        <div style={{ fontSize: 10, opacity: 0.5, marginBottom: 4 }}>{totalLabel.toUpperCase()}</div>
+                        <div className="stat-val">{formatNumber(periodData.reduce((sum, row) => sum + (parseFloat(row[measure]) || 0), 0), measureFormat?.kind === 'currency' ? measureFormat.currency ?? '$' : '')}</div>
+                      </div>
+                    )}
+                    {dashboardSummaries.slice(0, 2).map(({ level, values }) => (
+                      <div key={level} className="card" style={{ padding: 16, textAlign: 'center' }}>
+                        <div style={{ fontSize: 10, opacity: 0.5, marginBottom: 4 }}>{`${levels[level].label}s`.toUpperCase()}</div>
+                        <div className="stat-val">{values.toLocaleString()}</div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {/* Warning for unmatched data - show parse log details */}
+                {drillPath.length === 0 && activeTable === 'transactions_joined' && filteredData.some(txn => txn.card_program_name === 'Unknown Program') && (
+                  <div className="card" style={{ padding: 16, marginBottom: 20, background: 'rgba(255,150,50,0.1)', borderColor: 'rgba(255,150,50,0.3)' }}>
+                    <div style={{ fontSize: 13, color: '#ffaa50', fontWeight: 500, marginBottom: 8 }}>
+                      ⚠️ Some transactions couldn't be matched to card programs
+                    </div>
+                    <div style={{ fontSize: 12, color: '#e0e0e0', opacity: 0.8 }}>
+                      {parseLog.filter(l => l.includes('⚠️') || l.includes('Sample') || l.includes('Joined')).map((log, i) => (
+                        <div key={i} style={{ padding: '2px 0', fontFamily: 'monospace' }}>{log}</div>
+                      ))}
                     </div>
+                    {parseLog.filter(l => l.includes('Sample')).length === 0 && (
+                      <div style={{ fontSize: 11, opacity: 0.6, marginTop: 8 }}>
+                        Check the Parse Log above for details, or card_id values in transactions may not exist in the cards table.
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {/* One summary per level below the path - click a row to drill into it */}
+                {dashboardSummaries.length > 0 && (
+                  <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(400px, 1fr))', gap: 20, marginBottom: 20 }}>
+                    {dashboardSummaries.map(({ level, values, groups }) => {
+                      const id = `level-${level}`;
+                      const next = levels[level + 1];
+                      return (
+                        <div key={level} className="card" style={{ padding: 20 }}>
+                          <h3 style={{ margin: '0 0 16px', fontSize: 14, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                            <span>{levels[level].icon || '📂'} {levels[level].label}</span>
+                            <span style={{ fontSize: 11, opacity: 0.5 }}>{values.toLocaleString()} values</span>
+                          </h3>
+                          <div style={{ maxHeight: 400, overflow: 'auto' }}>
+                            <table style={{ width: '100%' }}>
+                              <thead>
+                                <tr>
+                                  {sortHeader(id, 'label', levels[level].label)}
+                                  {next && sortHeader(id, 'children', `${next.label}s`, 'right')}
+                                  {sortHeader(id, 'count', rowLabel, 'right')}
+                                  {measure && sortHeader(id, 'total', totalLabel, 'right')}
+                                  {comparisonRows && sortHeader(id, 'delta', 'Change', 'right')}
+                                  {comparisonRows && sortHeader(id, 'deltaPct', '%', 'right')}
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {groups.slice(0, MAX_SUMMARY_ROWS).map((group, idx) => (
+                                  <tr
+                                    key={group.value}
+                                    onClick={() => setDrillPath(prev => [...prev, { level, value: group.value }])}
+                                    style={{ cursor: 'pointer', background: group.mover ? deltaBackground(group.delta) : undefined }}
+                                  >
+                                    <td style={{ color: level === 0 ? COLORS[idx % COLORS.length] : 'inherit' }}>{group.label}</td>
+                                    {next && <td style={{ textAlign: 'right', opacity: 0.7 }}>{group.children.toLocaleString()}</td>}
+                                    <td style={{ textAlign: 'right', opacity: 0.7 }}>{group.count.toLocaleString()}</td>
+                                    {measure && (
+                                      <td style={{ textAlign: 'right', color: '#00F5D4', fontVariantNumeric: 'tabular-nums' }}>
+                                        {formatMeasure(group.total)}
+                                      </td>
+                                    )}
+                                    {comparisonRows && (
+                                      <td style={{ textAlign: 'right', color: deltaColor(group.delta), fontVariantNumeric: 'tabular-nums' }} title={`Was ${measure ? formatMeasure(group.previous) : group.previous.toLocaleString()}`}>
+                                        {group.mover && (group.delta > 0 ? '▲ ' : '▼ ')}
+                                        {group.delta > 0 ? '+' : ''}{measure ? formatMeasure(group.delta) : group.delta.toLocaleString()}
+                                      </td>
+                                    )}
+                                    {comparisonRows && (
+                                      <td style={{ textAlign: 'right', color: deltaColor(group.delta), fontVariantNumeric: 'tabular-nums' }}>
+                                        {formatPercentChange(group)}
+                                      </td>
+                                    )}
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                            {groups.length > MAX_SUMMARY_ROWS && (
+                              <div style={{ padding: 12, textAlign: 'center', opacity: 0.5, fontSize: 11 }}>
+                                Showing top {MAX_SUMMARY_ROWS} of {values.toLocaleString()}
+                                {groups.length > values && ` values and ${(groups.length - values).toLocaleString()} only in the comparison period`}
+                              </div>
+                            )}
+                          </div>
+                        </div>
+                      );
+                    })}
                   </div>
+                )}
 
-                  {/* Cards */}
+                {/* Rows under the drill path */}
+                {drillPath.length > 0 && (
                   <div className="card" style={{ padding: 20 }}>
                     <h3 style={{ margin: '0 0 16px', fontSize: 14, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-                      <span>🪪 Cards</span>
-                      <span style={{ fontSize: 11, opacity: 0.5 }}>{cardSummaries.length} cards</span>
+                      <span>{rowLabel} for {drillPath.map(stepLabel).join(' › ')}</span>
+                      <span style={{ fontSize: 11, opacity: 0.5 }}>
+                        {dashboardRecords.length.toLocaleString()} {rowLabel.toLowerCase()}
+                        {measure && <> | Total: {formatMeasure(dashboardRecords.reduce((sum, row) => sum + (parseFloat(row[measure]) || 0), 0))}</>}
+                      </span>
                     </h3>
-                    <div style={{ maxHeight: 400, overflow: 'auto' }}>
+                    <div style={{ maxHeight: 500, overflow: 'auto' }}>
                       <table style={{ width: '100%' }}>
                         <thead>
                           <tr>
-                            <th
-                              style={{ textAlign: 'left', cursor: 'pointer' }}
-                              onClick={() => setDashboardSort(s => ({ ...s, cards: { key: 'card_id', dir: s.cards.key === 'card_id' && s.cards.dir === 'asc' ? 'desc' : 'asc' } }))}
-                            >
-                              Card ID {dashboardSort.cards.key === 'card_id' && (dashboardSort.cards.dir === 'asc' ? '↑' : '↓')}
-                            </th>
-                            <th
-                              style={{ textAlign: 'left', cursor: 'pointer' }}
-                              onClick={() => setDashboardSort(s => ({ ...s, cards: { key: 'card_program_name', dir: s.cards.key === 'card_program_name' && s.cards.dir === 'asc' ? 'desc' : 'asc' } }))}
-                            >
-                              Program {dashboardSort.cards.key === 'card_program_name' && (dashboardSort.cards.dir === 'asc' ? '↑' : '↓')}
-                            </th>
-                            <th
-                              style={{ textAlign: 'right', cursor: 'pointer' }}
-                              onClick={() => setDashboardSort(s => ({ ...s, cards: { key: 'transaction_count', dir: s.cards.key === 'transaction_count' && s.cards.dir === 'desc' ? 'asc' : 'desc' } }))}
-                            >
-                              Transactions {dashboardSort.cards.key === 'transaction_count' && (dashboardSort.cards.dir === 'asc' ? '↑' : '↓')}
-                            </th>
-                            <th
-                              style={{ textAlign: 'right', cursor: 'pointer' }}
-                              onClick={() => setDashboardSort(s => ({ ...s, cards: { key: 'total_spend', dir: s.cards.key === 'total_spend' && s.cards.dir === 'desc' ? 'asc' : 'desc' } }))}
-                            >
-                              Total Spend {dashboardSort.cards.key === 'total_spend' && (dashboardSort.cards.dir === 'asc' ? '↑' : '↓')}
-                            </th>
+                            {date && sortHeader('records', date, date)}
+                            {unpinned.map(level => <React.Fragment key={level.column}>{sortHeader('records', level.column, level.label)}</React.Fragment>)}
+                            {measure && sortHeader('records', measure, dashboardConfig.measureLabel || measure, 'right')}
                           </tr>
                         </thead>
                         <tbody>
-                          {cardSummaries.slice(0, 100).map((card, idx) => (
-                            <tr
-                              key={card.card_id}
-                              onClick={() => setDrilldown({ level: 'card', cardId: card.card_id, programId: null, programName: null })}
-                              style={{ cursor: 'pointer' }}
-                            >
-                              <td>#{card.card_id}</td>
-                              <td style={{ opacity: 0.7 }}>{card.card_program_name}</td>
-                              <td style={{ textAlign: 'right', opacity: 0.7 }}>{card.transaction_count}</td>
-                              <td style={{ textAlign: 'right', color: '#00F5D4', fontVariantNumeric: 'tabular-nums' }}>
-                                ${card.total_spend.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
-                              </td>
+                          {dashboardRecords.slice(0, MAX_DASHBOARD_RECORDS).map((row, idx) => (
+                            <tr key={row._id ?? idx}>
+                              {date && <td>{formatCell(row[date], 'date', columnFormats[date])}</td>}
+                              {unpinned.map(level => (
+                                <td key={level.column} style={{ opacity: 0.8 }}>{formatCell(row[level.column], columnTypes[level.column], columnFormats[level.column])}</td>
+                              ))}
+                              {measure && (
+                                <td style={{ textAlign: 'right', color: '#00F5D4', fontVariantNumeric: 'tabular-nums' }}>
+                                  {formatMeasure(parseFloat(row[measure]) || 0)}
+                                </td>
+                              )}
                             </tr>
                           ))}
                         </tbody>
                       </table>
-                      {cardSummaries.length > 100 && (
+                      {dashboardRecords.length > MAX_DASHBOARD_RECORDS && (
                         <div style={{ padding: 12, textAlign: 'center', opacity: 0.5, fontSize: 11 }}>
-                          Showing top 100 of {cardSummaries.length} cards
+                          Showing {MAX_DASHBOARD_RECORDS} of {dashboardRecords.length.toLocaleString()} - open the Table view for all of them
                         </div>
                       )}
                     </div>
                   </div>
+                )}
+              </div>
+            );
+          })()}
+
+          {/* Query Console */}
+          {activeView === 'query' && (
+            <div className="card" style={{ padding: 20, marginBottom: 16 }}>
+              <textarea
+                value={queryText}
+                onChange={(e) => setQueryText(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                    e.preventDefault();
+                    runSQLQuery();
+                  }
+                }}
+                placeholder="SELECT category, COUNT(*) AS n, SUM(amount) AS total FROM transactions GROUP BY category ORDER BY total DESC"
+                spellCheck={false}
+                style={{
+                  width: '100%',
+                  minHeight: 140,
+                  background: 'rgba(10, 10, 15, 0.9)',
+                  border: `1px solid ${queryError ? 'rgba(255, 107, 107, 0.5)' : 'rgba(0, 245, 212, 0.2)'}`,
+                  borderRadius: 6,
+                  padding: 12,
+                  color: '#e0e0e0',
+                  fontFamily: 'inherit',
+                  fontSize: 12,
+                  resize: 'vertical'
+                }}
+              />
+              {queryError && (
+                <div style={{ marginTop: 10, padding: 10, background: 'rgba(255,107,107,0.08)', borderRadius: 6, fontSize: 12, color: '#FF6B6B' }}>
+                  ❌ {queryError.line ? `Line ${queryError.line}, col ${queryError.column}: ` : ''}{queryError.message}
+                  {queryError.line && queryText.split('\n')[queryError.line - 1] !== undefined && (
+                    <pre style={{ margin: '8px 0 0', fontFamily: 'inherit', fontSize: 11, color: '#e0e0e0', whiteSpace: 'pre' }}>
+                      {queryText.split('\n')[queryError.line - 1]}{'\n'}{' '.repeat(Math.max(queryError.column - 1, 0))}<span style={{ color: '#FF6B6B' }}>^</span>
+                    </pre>
+                  )}
                 </div>
               )}
-
-              {/* Drilldown - Show transactions for selected card or program */}
-              {(drilldown.level === 'card' || drilldown.level === 'program') && (
-                <div className="card" style={{ padding: 20 }}>
-                  <h3 style={{ margin: '0 0 16px', fontSize: 14, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-                    <span>
-                      {drilldown.level === 'card' ? `Transactions for Card #${drilldown.cardId}` : `Transactions for ${drilldown.programName}`}
-                    </span>
-                    <span style={{ fontSize: 11, opacity: 0.5 }}>
-                      {drilldownData.length} transactions |
-                      Total: ${drilldownData.reduce((sum, t) => sum + (amountColumn ? parseFloat(t[amountColumn]) || 0 : 0), 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
-                    </span>
-                  </h3>
-                  <div style={{ maxHeight: 500, overflow: 'auto' }}>
-                    <table style={{ width: '100%' }}>
-                      <thead>
-                        <tr>
-                          <th
-                            style={{ textAlign: 'left', cursor: 'pointer' }}
-                            onClick={() => setDashboardSort(s => ({ ...s, drilldown: { key: 'date', dir: s.drilldown.key === 'date' && s.drilldown.dir === 'desc' ? 'asc' : 'desc' } }))}
-                          >
-                            Date {dashboardSort.drilldown.key === 'date' && (dashboardSort.drilldown.dir === 'asc' ? '↑' : '↓')}
-                          </th>
-                          <th
-                            style={{ textAlign: 'left', cursor: 'pointer' }}
-                            onClick={() => setDashboardSort(s => ({ ...s, drilldown: { key: 'card_id', dir: s.drilldown.key === 'card_id' && s.drilldown.dir === 'asc' ? 'desc' : 'asc' } }))}
-                          >
-                            Card ID {dashboardSort.drilldown.key === 'card_id' && (dashboardSort.drilldown.dir === 'asc' ? '↑' : '↓')}
-                          </th>
-                          <th
-                            style={{ textAlign: 'left', cursor: 'pointer' }}
-                            onClick={() => setDashboardSort(s => ({ ...s, drilldown: { key: 'card_program_name', dir: s.drilldown.key === 'card_program_name' && s.drilldown.dir === 'asc' ? 'desc' : 'asc' } }))}
-                          >
-                            Program {dashboardSort.drilldown.key === 'card_program_name' && (dashboardSort.drilldown.dir === 'asc' ? '↑' : '↓')}
-                          </th>
-                          <th
-                            style={{ textAlign: 'right', cursor: 'pointer' }}
-                            onClick={() => setDashboardSort(s => ({ ...s, drilldown: { key: 'amount', dir: s.drilldown.key === 'amount' && s.drilldown.dir === 'desc' ? 'asc' : 'desc' } }))}
-                          >
-                            Amount {dashboardSort.drilldown.key === 'amount' && (dashboardSort.drilldown.dir === 'asc' ? '↑' : '↓')}
-                          </th>
-                        </tr>
-                      </thead>
-                      <tbody>
-                        {drilldownData.map((txn, idx) => (
-                          <tr key={txn._id || idx}>
-                            <td>{txn.user_transaction_time}</td>
-                            <td>#{txn.card_id}</td>
-                            <td style={{ opacity: 0.7 }}>{txn.card_program_name}</td>
-                            <td style={{ textAlign: 'right', color: '#00F5D4', fontVariantNumeric: 'tabular-nums' }}>
-                              ${(amountColumn ? parseFloat(txn[amountColumn]) || 0 : 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
-                            </td>
-                          </tr>
-                        ))}
-                      </tbody>
-                    </table>
-                  </div>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: 12, gap: 12 }}>
+                <div style={{ fontSize: 10, opacity: 0.5 }}>
+                  {queryStatus || `Tables: ${Object.keys(tables).filter(t => t !== QUERY_TABLE).join(', ')} · Ctrl+Enter to run`}
                 </div>
-              )}
+                <button
+                  className="btn"
+                  onClick={runSQLQuery}
+                  disabled={!queryText.trim()}
+                  style={{ opacity: queryText.trim() ? 1 : 0.5 }}
+                >
+                  ▶ Run Query
+                </button>
+              </div>
             </div>
           )}
 
-          {/* Table View */}
-          {activeView === 'table' && (
-            <div className="card" style={{ overflow: 'hidden' }}>
-              <div style={{ maxHeight: 600, overflow: 'auto' }}>
-                <table>
-                  <thead>
-                    <tr>
-                      {columns.map(col => (
-                        <th key={col} onClick={() => handleSort(col)}>
-                          {col}
-                          {sortConfig.key === col && (
-                            <span style={{ marginLeft: 6 }}>
-                              {sortConfig.direction === 'asc' ? '↑' : '↓'}
-                            </span>
-                          )}
-                        </th>
-                      ))}
-                      {calculatedColumns.map(col => (
-                        <th key={col.name} onClick={() => handleSort(col.name)} style={{ background: 'rgba(0, 245, 212, 0.12)' }}>
-                          {col.label}
-                          {sortConfig.key === col.name && (
-                            <span style={{ marginLeft: 6 }}>
-                              {sortConfig.direction === 'asc' ? '↑' : '↓'}
-                            </span>
-                          )}
-                        </th>
-                      ))}
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {filteredData.map((row, idx) => (
-                      <tr key={row._id ?? idx}>
-                        {columns.map(col => (
-                          <td key={col} style={{
-                            color: columnTypes[col] === 'number' ? '#00F5D4' : 'inherit',
-                            fontVariantNumeric: columnTypes[col] === 'number' ? 'tabular-nums' : 'normal'
-                          }}>
-                            {formatCell(row[col], columnTypes[col])}
-                          </td>
-                        ))}
-                        {calculatedColumns.map(col => (
-                          <td key={col.name} style={{ color: '#00F5D4', fontVariantNumeric: 'tabular-nums', background: 'rgba(0, 245, 212, 0.03)' }}>
-                            {col.calculate(row).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
-                          </td>
+          {/* Table View - only the rows in view are rendered, see lib/virtualRows */}
+          {(activeView === 'table' || (activeView === 'query' && activeTable === QUERY_TABLE)) && (() => {
+            const gridColumns = [
+              ...columns.map(col => ({ name: col, label: col, calc: false })),
+              ...calculatedColumns.map(col => ({ name: col.name, label: col.label, calc: true }))
+            ];
+            const widthOf = (col) => columnWidths[col] || DEFAULT_COLUMN_WIDTH;
+            const { start, end, padTop, padBottom } = visibleWindow(tableScrollTop, TABLE_HEIGHT, filteredData.length);
+            return (
+              <div className="card" style={{ overflow: 'hidden' }}>
+                <div
+                  ref={tableScroller}
+                  onScroll={(e) => setTableScrollTop(Math.floor(e.currentTarget.scrollTop / ROW_HEIGHT) * ROW_HEIGHT)}
+                  style={{ maxHeight: TABLE_HEIGHT, overflow: 'auto' }}
+                >
+                  <table className="grid" style={{ width: gridColumns.reduce((w, col) => w + widthOf(col.name), 0) }}>
+                    <colgroup>
+                      {gridColumns.map(col => <col key={col.name} style={{ width: widthOf(col.name) }} />)}
+                    </colgroup>
+                    <thead>
+                      <tr>
+                        {gridColumns.map(col => (
+                          <th
+                            key={col.name}
+                            onClick={() => handleSort(col.name)}
+                            title={col.label}
+                            style={{ overflow: 'hidden', textOverflow: 'ellipsis', ...(col.calc && { background: 'rgba(0, 245, 212, 0.12)' }) }}
+                          >
+                            {col.label}
+                            {sortConfig.key === col.name && (
+                              <span style={{ marginLeft: 6 }}>
+                                {sortConfig.direction === 'asc' ? '↑' : '↓'}
+                              </span>
+                            )}
+                            <div
+                              className="resize-handle"
+                              onMouseDown={(e) => startColumnResize(e, col.name)}
+                              onClick={(e) => e.stopPropagation()}
+                              onDoubleClick={(e) => {
+                                e.stopPropagation();
+                                setColumnWidths(prev => {
+                                  const next = { ...prev };
+                                  delete next[col.name];
+                                  return next;
+                                });
+                              }}
+                            />
+                          </th>
                         ))}
                       </tr>
-                    ))}
-                  </tbody>
-                </table>
-              </div>
-              <div style={{ padding: 12, textAlign: 'center', opacity: 0.5, fontSize: 11, borderTop: '1px solid rgba(255,255,255,0.05)' }}>
-                {filteredData.length.toLocaleString()} rows
+                    </thead>
+                    <tbody>
+                      {padTop > 0 && <tr style={{ height: padTop }}><td colSpan={gridColumns.length} style={{ padding: 0, border: 'none' }} /></tr>}
+                      {filteredData.slice(start, end).map((row, i) => (
+                        <tr key={start + i}>
+                          {gridColumns.map(col => (col.calc ? (
+                            <td key={col.name} style={{ color: '#00F5D4', fontVariantNumeric: 'tabular-nums', background: 'rgba(0, 245, 212, 0.03)' }}>
+                              {formatCell(row[col.name], columnTypes[col.name])}
+                            </td>
+                          ) : (
+                            <td key={col.name} style={{
+                              color: columnTypes[col.name] === 'number' ? '#00F5D4' : 'inherit',
+                              fontVariantNumeric: columnTypes[col.name] === 'number' ? 'tabular-nums' : 'normal'
+                            }}>
+                              {formatCell(row[col.name], columnTypes[col.name], columnFormats[col.name])}
+                            </td>
+                          )))}
+                        </tr>
+                      ))}
+                      {padBottom > 0 && <tr style={{ height: padBottom }}><td colSpan={gridColumns.length} style={{ padding: 0, border: 'none' }} /></tr>}
+                    </tbody>
+                  </table>
+                </div>
+                <div style={{ padding: 12, textAlign: 'center', opacity: 0.5, fontSize: 11, borderTop: '1px solid rgba(255,255,255,0.05)' }}>
+                  {filteredData.length.toLocaleString()} rows
+                  {filteredData.length < data.length && ` of ${data.length.toLocaleString()}`}
+                  {filteredData.length > 0 && ` · showing ${(Math.min(Math.floor(tableScrollTop / ROW_HEIGHT), filteredData.length - 1) + 1).toLocaleString()}–${Math.min(Math.floor((tableScrollTop + TABLE_HEIGHT) / ROW_HEIGHT), filteredData.length).toLocaleString()}`}
+                </div>
               </div>
-            </div>
-          )}
+            );
+          })()}
 
           {/* Charts View */}
           {activeView === 'charts' && (
@@ -2010,8 +2828,15 @@ export default function App() {
               {categoryBreakdown.length > 0 && (
                 <div className="card" style={{ padding: 20 }}>
                   <h3 style={{ margin: '0 0 16px', fontSize: 12, textTransform: 'uppercase', letterSpacing: 0.5, opacity: 0.7 }}>
-                    {aggregationType === 'count' ? '# Transactions' : 'Total Spend'} by {groupByColumn || detectedColumns.category || detectedColumns.account || 'Category'}
-                    {selectedMonth !== 'all' && ` (${uniqueMonths.find(m => m.key === selectedMonth)?.label || selectedMonth})`}
+                    {aggregationType === 'count' ? '# Transactions' : measureColumn ? `Total ${measureColumn}` : 'Total Spend'} by {groupByColumn || detectedColumns.category || detectedColumns.account || 'Category'}
+                    {comparisonRows ? (
+                      ` (${comparison.from} → ${comparison.to} vs ${comparisonRows.previousRange.from} → ${comparisonRows.previousRange.to})`
+                    ) : (
+                      <>
+                        {selectedMonth !== 'all' && ` (${uniqueMonths.find(m => m.key === selectedMonth)?.label || selectedMonth})`}
+                        {selectedMonth === 'all' && filters[detectedColumns.date] && ` (${describeFilter(detectedColumns.date, filters[detectedColumns.date])})`}
+                      </>
+                    )}
                   </h3>
                   <ResponsiveContainer width="100%" height={Math.max(320, categoryBreakdown.length * 28)}>
                     <BarChart data={categoryBreakdown} layout="vertical">
@@ -2029,13 +2854,14 @@ export default function App() {
                         itemStyle={{ color: '#e0e0e0' }}
                         formatter={(value, name, props) => {
                           const item = props.payload;
-                          if (aggregationType === 'count') {
-                            return [`${value.toLocaleString()} transactions`, item.fullName || item.name];
-                          }
-                          return [formatNumber(value), item.fullName || item.name];
+                          const text = aggregationType === 'count' ? `${value.toLocaleString()} transactions` : formatNumber(value);
+                          if (props.dataKey === 'previous') return [text, 'Previous period'];
+                          if (comparisonRows) return [`${text} (${formatPercentChange(item)})`, item.fullName || item.name];
+                          return [text, item.fullName || item.name];
                         }}
                         labelFormatter={() => ''}
                       />
+                      {comparisonRows && <Bar dataKey="previous" name="Previous period" fill="rgba(255,255,255,0.2)" radius={[0, 4, 4, 0]} />}
                       <Bar dataKey={aggregationType === 'count' ? 'count' : 'value'} radius={[0, 4, 4, 0]}>
                         {categoryBreakdown.map((_, index) => (
                           <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
@@ -2085,48 +2911,150 @@ export default function App() {
                 </div>
               )}
 
-              {timeSeriesData.data.length > 1 && (
-                <div className="card" style={{ padding: 20, gridColumn: '1 / -1' }}>
+              {comparisonRows && categoryBreakdown.some(c => c.mover) && (
+                <div className="card" style={{ padding: 20 }}>
                   <h3 style={{ margin: '0 0 16px', fontSize: 12, textTransform: 'uppercase', letterSpacing: 0.5, opacity: 0.7 }}>
-                    Spend Over Time by {groupByColumn || detectedColumns.category || detectedColumns.account || 'Category'}
+                    📈 Biggest movers
                   </h3>
-                  <ResponsiveContainer width="100%" height={300}>
-                    <LineChart data={timeSeriesData.data}>
-                      <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.08)" />
-                      <XAxis dataKey="date" stroke="#555" tick={{ fontSize: 10 }} />
-                      <YAxis stroke="#555" tickFormatter={(v) => formatNumber(v)} tick={{ fontSize: 10 }} />
-                      <Tooltip
-                        contentStyle={{ background: '#1a1a2e', border: '1px solid rgba(0, 245, 212, 0.3)', borderRadius: 6, fontSize: 11, color: '#e0e0e0' }}
-                        labelStyle={{ color: '#e0e0e0' }}
-                        itemStyle={{ color: '#e0e0e0' }}
-                        formatter={(value, name) => [formatNumber(value), name]}
-                      />
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>{groupByColumn || detectedColumns.category || detectedColumns.account || 'Category'}</th>
+                        <th style={{ textAlign: 'right' }}>Previous</th>
+                        <th style={{ textAlign: 'right' }}>Current</th>
+                        <th style={{ textAlign: 'right' }}>Change</th>
+                        <th style={{ textAlign: 'right' }}>%</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {categoryBreakdown
+                        .filter(c => c.mover)
+                        .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+                        .map(c => {
+                          const format = (v) => (aggregationType === 'count' ? v.toLocaleString() : formatNumber(v));
+                          const current = aggregationType === 'count' ? c.count : c.value;
+                          return (
+                            <tr key={c.fullName} style={{ background: deltaBackground(c.delta) }}>
+                              <td title={c.fullName}>{c.delta > 0 ? '▲' : '▼'} {c.name}</td>
+                              <td style={{ textAlign: 'right', fontVariantNumeric: 'tabular-nums' }}>{format(c.previous)}</td>
+                              <td style={{ textAlign: 'right', fontVariantNumeric: 'tabular-nums' }}>{format(current)}</td>
+                              <td style={{ textAlign: 'right', color: deltaColor(c.delta), fontVariantNumeric: 'tabular-nums' }}>
+                                {c.delta > 0 ? '+' : ''}{format(c.delta)}
+                              </td>
+                              <td style={{ textAlign: 'right', color: deltaColor(c.delta), fontVariantNumeric: 'tabular-nums' }}>{formatPercentChange(c)}</td>
+                            </tr>
+                          );
+                        })}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {timeSeriesData.data.length > 0 && (() => {
+                const { grain, fiscalStart, fillGaps, mode, stacked } = timeSeriesOptions;
+                const setOption = (patch) => setTimeSeriesOptions(prev => ({ ...prev, ...patch }));
+                const modeLabel = VALUE_MODES.find(m => m.mode === mode)?.label;
+                const SeriesChart = stacked ? AreaChart : LineChart;
+                return (
+                  <div className="card" style={{ padding: 20, gridColumn: '1 / -1' }}>
+                    <h3 style={{ margin: '0 0 16px', fontSize: 12, textTransform: 'uppercase', letterSpacing: 0.5, opacity: 0.7 }}>
+                      {measureColumn || 'Spend'} Over Time by {groupByColumn || detectedColumns.category || detectedColumns.account || 'Category'}
+                      {mode !== 'period' && ` (${modeLabel})`}
+                    </h3>
+                    <div style={{ display: 'flex', gap: 8, marginBottom: 16, flexWrap: 'wrap', alignItems: 'center', fontSize: 11 }}>
+                      <span style={{ opacity: 0.6 }}>By:</span>
+                      <div style={{ display: 'flex', gap: 4 }}>
+                        {GRANULARITIES.map(g => (
+                          <button
+                            key={g.grain}
+                            className={`btn btn-ghost ${grain === g.grain ? 'active' : ''}`}
+                            onClick={() => setOption({ grain: g.grain })}
+                            style={{ padding: '4px 10px', fontSize: 11 }}
+                          >
+                            {g.label}
+                          </button>
+                        ))}
+                      </div>
+                      {(grain === 'quarter' || grain === 'year') && (
+                        <>
+                          <span style={{ opacity: 0.6, marginLeft: 8 }}>Fiscal year starts:</span>
+                          <select value={fiscalStart} onChange={(e) => setOption({ fiscalStart: Number(e.target.value) })}>
+                            {MONTHS.map((name, i) => (
+                              <option key={name} value={i + 1}>{name}</option>
+                            ))}
+                          </select>
+                        </>
+                      )}
+                      <span style={{ opacity: 0.6, marginLeft: 8 }}>Show:</span>
+                      <select value={mode} onChange={(e) => setOption({ mode: e.target.value })}>
+                        {VALUE_MODES.map(m => (
+                          <option key={m.mode} value={m.mode}>{m.label}</option>
+                        ))}
+                      </select>
+                      <label style={{ display: 'flex', alignItems: 'center', gap: 4, marginLeft: 8, cursor: 'pointer' }} title="Periods with no rows count as zero">
+                        <input type="checkbox" checked={fillGaps} onChange={(e) => setOption({ fillGaps: e.target.checked })} />
+                        Fill empty periods
+                      </label>
+                      <label style={{ display: 'flex', alignItems: 'center', gap: 4, cursor: 'pointer' }}>
+                        <input type="checkbox" checked={stacked} onChange={(e) => setOption({ stacked: e.target.checked })} />
+                        Stacked area
+                      </label>
+                    </div>
+                    {timeSeriesData.data.length === 1 ? (
+                      <div style={{ padding: 32, textAlign: 'center', opacity: 0.5 }}>
+                        Everything falls in {timeSeriesData.data[0].label}; pick a shorter period to see a trend.
+                      </div>
+                    ) : (
+                      <ResponsiveContainer width="100%" height={300}>
+                        <SeriesChart data={timeSeriesData.data}>
+                          <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.08)" />
+                          <XAxis dataKey="label" stroke="#555" tick={{ fontSize: 10 }} />
+                          <YAxis stroke="#555" tickFormatter={(v) => formatNumber(v)} tick={{ fontSize: 10 }} />
+                          <Tooltip
+                            contentStyle={{ background: '#1a1a2e', border: '1px solid rgba(0, 245, 212, 0.3)', borderRadius: 6, fontSize: 11, color: '#e0e0e0' }}
+                            labelStyle={{ color: '#e0e0e0' }}
+                            itemStyle={{ color: '#e0e0e0' }}
+                            formatter={(value, name) => [formatNumber(value), name]}
+                          />
+                          {timeSeriesData.categories.map((cat, idx) => (stacked ? (
+                            <Area
+                              key={cat}
+                              type="monotone"
+                              dataKey={cat}
+                              name={cat}
+                              stackId="series"
+                              stroke={COLORS[idx % COLORS.length]}
+                              fill={COLORS[idx % COLORS.length]}
+                              fillOpacity={0.35}
+                            />
+                          ) : (
+                            <Line
+                              key={cat}
+                              type="monotone"
+                              dataKey={cat}
+                              name={cat}
+                              stroke={COLORS[idx % COLORS.length]}
+                              strokeWidth={2}
+                              dot={false}
+                              activeDot={{ r: 4, fill: COLORS[idx % COLORS.length] }}
+                            />
+                          )))}
+                        </SeriesChart>
+                      </ResponsiveContainer>
+                    )}
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8, justifyContent: 'center', marginTop: 12 }}>
                       {timeSeriesData.categories.map((cat, idx) => (
-                        <Line
-                          key={cat}
-                          type="monotone"
-                          dataKey={cat}
-                          name={cat}
-                          stroke={COLORS[idx % COLORS.length]}
-                          strokeWidth={2}
-                          dot={false}
-                          activeDot={{ r: 4, fill: COLORS[idx % COLORS.length] }}
-                        />
+                        <div key={cat} style={{ display: 'flex', alignItems: 'center', gap: 4, fontSize: 10 }}>
+                          <div style={{ width: 12, height: 3, borderRadius: 2, background: COLORS[idx % COLORS.length] }} />
+                          {String(cat).slice(0, 20)}
+                        </div>
                       ))}
-                    </LineChart>
-                  </ResponsiveContainer>
-                  <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8, justifyContent: 'center', marginTop: 12 }}>
-                    {timeSeriesData.categories.map((cat, idx) => (
-                      <div key={cat} style={{ display: 'flex', alignItems: 'center', gap: 4, fontSize: 10 }}>
-                        <div style={{ width: 12, height: 3, borderRadius: 2, background: COLORS[idx % COLORS.length] }} />
-                        {String(cat).slice(0, 20)}
-                      </div>
-                    ))}
+                    </div>
                   </div>
-                </div>
-              )}
+                );
+              })()}
 
-              {categoryBreakdown.length === 0 && timeSeriesData.data.length <= 1 && (
+              {categoryBreakdown.length === 0 && timeSeriesData.data.length === 0 && (
                 <div className="card" style={{ padding: 32, textAlign: 'center', opacity: 0.5, gridColumn: '1 / -1' }}>
                   Charts need numeric columns (amounts, costs, quantities) or date columns to display.
                 </div>
@@ -2134,6 +3062,256 @@ export default function App() {
             </div>
           )}
 
+          {/* Pivot View */}
+          {activeView === 'pivot' && pivot && (
+            <div className="card" style={{ padding: 20 }}>
+              <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap', alignItems: 'center', marginBottom: 12 }}>
+                <span style={{ fontSize: 11, opacity: 0.6, width: 60 }}>Fields</span>
+                {allColumns.filter(col => ![...pivotConfig.rows, ...pivotConfig.columns].some(d => d.column === col)).map(col => (
+                  <span
+                    key={col}
+                    draggable
+                    onDragStart={(e) => e.dataTransfer.setData('text/plain', col)}
+                    style={{ padding: '4px 10px', background: 'rgba(10, 10, 15, 0.5)', border: '1px solid rgba(255,255,255,0.1)', borderRadius: 12, fontSize: 11, cursor: 'grab' }}
+                  >
+                    {col}
+                  </span>
+                ))}
+              </div>
+              <div style={{ display: 'flex', flexDirection: 'column', gap: 8, marginBottom: 12 }}>
+                {renderPivotZone('rows', 'Rows')}
+                {renderPivotZone('columns', 'Columns')}
+                <div style={{ display: 'flex', gap: 6, alignItems: 'center', flexWrap: 'wrap', padding: 8 }}>
+                  <span style={{ fontSize: 11, opacity: 0.6, width: 60 }}>Values</span>
+                  {pivotConfig.measures.map((measure, i) => (
+                    <span key={i} style={{ display: 'inline-flex', gap: 4, alignItems: 'center' }}>
+                      <select value={measure.agg} onChange={(e) => updatePivotMeasure(i, { agg: e.target.value })} style={{ padding: '3px 6px', fontSize: 10 }}>
+                        {AGGREGATES.map(({ agg, label }) => <option key={agg} value={agg}>{label}</option>)}
+                      </select>
+                      {measure.agg !== 'count' && (
+                        <select value={measure.column} onChange={(e) => updatePivotMeasure(i, { column: e.target.value })} style={{ padding: '3px 6px', fontSize: 10 }}>
+                          {(measure.agg === 'distinct' ? allColumns : measureColumns).map(col => <option key={col} value={col}>{col}</option>)}
+                        </select>
+                      )}
+                      {pivotConfig.measures.length > 1 && (
+                        <button
+                          onClick={() => setPivotConfig(prev => ({ ...prev, measures: prev.measures.filter((_, j) => j !== i) }))}
+                          title="Remove"
+                          style={{ background: 'none', border: 'none', color: '#00F5D4', cursor: 'pointer', opacity: 0.6, fontSize: 11 }}
+                        >
+                          ✕
+                        </button>
+                      )}
+                    </span>
+                  ))}
+                  <button
+                    className="btn btn-ghost"
+                    onClick={() => setPivotConfig(prev => ({ ...prev, measures: [...prev.measures, { column: measureColumns[0] || '', agg: measureColumns.length ? 'sum' : 'count' }] }))}
+                    style={{ padding: '3px 10px', fontSize: 10 }}
+                  >
+                    + Value
+                  </button>
+                </div>
+              </div>
+              <div style={{ display: 'flex', gap: 6, justifyContent: 'flex-end', marginBottom: 8 }}>
+                <button className="btn btn-ghost" onClick={() => setPivotCollapsed(new Set())} style={{ padding: '4px 10px', fontSize: 10 }}>
+                  Expand all
+                </button>
+                <button
+                  className="btn btn-ghost"
+                  onClick={() => setPivotCollapsed(new Set([...groupNodeIds(pivot.rowRoot), ...groupNodeIds(pivot.colRoot)]))}
+                  style={{ padding: '4px 10px', fontSize: 10 }}
+                >
+                  Collapse all
+                </button>
+                <button className="btn btn-ghost" onClick={exportPivotCSV} style={{ padding: '4px 10px', fontSize: 10 }}>
+                  ⬇️ Export
+                </button>
+              </div>
+              <div style={{ maxHeight: 600, overflow: 'auto' }}>
+                <table>
+                  <thead>
+                    <tr>
+                      <th rowSpan={pivot.measures.length > 1 ? 2 : 1} style={{ cursor: 'default' }}>
+                        {pivotConfig.rows.map(d => d.column).join(' › ')}
+                      </th>
+                      {pivotView.columns.map(col => (
+                        <th
+                          key={col.node.id}
+                          colSpan={pivot.measures.length}
+                          onClick={() => col.node.children.length && togglePivotNode(col.node.id)}
+                          style={{ textAlign: 'right', cursor: col.node.depth > 0 && col.node.children.length ? 'pointer' : 'default', background: col.subtotal ? 'rgba(0, 245, 212, 0.14)' : undefined }}
+                        >
+                          {col.node.depth > 0 && col.node.children.length > 0 && <span style={{ marginRight: 4 }}>{pivotCollapsed.has(col.node.id) ? '▸' : '▾'}</span>}
+                          {pivotColumnLabel(col)}
+                        </th>
+                      ))}
+                    </tr>
+                    {pivot.measures.length > 1 && (
+                      <tr>
+                        {pivotView.columns.flatMap(col => pivot.measures.map((m, i) => (
+                          <th key={`${col.node.id}-${i}`} style={{ textAlign: 'right', top: 37, cursor: 'default', opacity: 0.8 }}>{measureLabel(m)}</th>
+                        )))}
+                      </tr>
+                    )}
+                  </thead>
+                  <tbody>
+                    {pivotView.rows.slice(0, MAX_PIVOT_ROWS).map(({ node }) => {
+                      const isGroup = node.children.length > 0;
+                      const rowStyle = node.depth === 0
+                        ? { fontWeight: 700, background: 'rgba(0, 245, 212, 0.08)' }
+                        : isGroup ? { fontWeight: 600, background: 'rgba(255, 255, 255, 0.02)' } : {};
+                      return (
+                        <tr key={node.id}>
+                          <td
+                            onClick={() => isGroup && node.depth > 0 && togglePivotNode(node.id)}
+                            style={{ ...rowStyle, paddingLeft: 10 + Math.max(node.depth - 1, 0) * 16, cursor: isGroup && node.depth > 0 ? 'pointer' : 'default' }}
+                          >
+                            {isGroup && node.depth > 0 && <span style={{ marginRight: 4, color: '#00F5D4' }}>{pivotCollapsed.has(node.id) ? '▸' : '▾'}</span>}
+                            {node.label}
+                          </td>
+                          {pivotView.columns.flatMap(col => pivot.measures.map((m, i) => (
+                            <td key={`${col.node.id}-${i}`} style={{ ...rowStyle, textAlign: 'right', color: '#00F5D4', fontVariantNumeric: 'tabular-nums' }}>
+                              {formatPivotValue(pivot.value(node, col.node, i), m)}
+                            </td>
+                          )))}
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+              <div style={{ padding: 12, textAlign: 'center', opacity: 0.5, fontSize: 11, borderTop: '1px solid rgba(255,255,255,0.05)' }}>
+                {pivotView.rows.length > MAX_PIVOT_ROWS
+                  ? `Showing ${MAX_PIVOT_ROWS.toLocaleString()} of ${pivotView.rows.length.toLocaleString()} rows - collapse groups or export for the rest`
+                  : `${pivotView.rows.length.toLocaleString()} rows`} · {filteredData.length.toLocaleString()} records
+              </div>
+            </div>
+          )}
+
+          {/* Profile View - click a bar to filter to it */}
+          {activeView === 'profile' && (
+            <div>
+              <div style={{ fontSize: 11, opacity: 0.6, marginBottom: 12 }}>
+                {profileLoading ? '⏳ Profiling...' : `${filteredData.length.toLocaleString()} rows · ${allColumns.length} columns · click a bar to filter the table to it`}
+              </div>
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(340px, 1fr))', gap: 16, opacity: profileLoading ? 0.5 : 1 }}>
+                {(profile || []).filter(p => allColumns.includes(p.column)).map(p => {
+                  const emptyPct = p.rows ? (p.empty / p.rows) * 100 : 0;
+                  const maxTop = p.topValues[0]?.count || 1;
+                  const format = (v) => formatCell(v, 'number', columnFormats[p.column]);
+                  const showTop = p.type !== 'number' || p.distinct <= 20;
+                  return (
+                    <div key={p.column} className="card" style={{ padding: 16, fontSize: 11 }}>
+                      <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 10 }}>
+                        <span style={{ fontWeight: 600, fontSize: 12, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{p.column}</span>
+                        <span className={`tag tag-${p.type}`}>{p.type}</span>
+                        <span style={{ marginLeft: 'auto', opacity: 0.6 }}>{p.distinct.toLocaleString()} distinct</span>
+                      </div>
+
+                      {/* Filled vs empty */}
+                      <div
+                        onClick={() => p.empty && setFilter(p.column, { kind: 'empty' })}
+                        title={p.empty ? 'Show only empty rows' : 'No empty values'}
+                        style={{ display: 'flex', height: 6, borderRadius: 3, overflow: 'hidden', background: 'rgba(0, 245, 212, 0.6)', cursor: p.empty ? 'pointer' : 'default' }}
+                      >
+                        <div style={{ marginLeft: 'auto', width: `${emptyPct}%`, background: 'rgba(255, 100, 100, 0.7)' }} />
+                      </div>
+                      <div style={{ opacity: 0.6, margin: '4px 0 10px' }}>
+                        {emptyPct === 0 ? 'No empty values' : `${emptyPct < 0.1 ? '<0.1' : emptyPct.toFixed(1)}% empty (${p.empty.toLocaleString()})`}
+                      </div>
+
+                      {p.numbers && (
+                        <>
+                          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: 6, marginBottom: 10 }}>
+                            {[['Min', p.numbers.min], ['P25', p.numbers.p25], ['Median', p.numbers.median], ['P75', p.numbers.p75], ['Max', p.numbers.max], ['P5', p.numbers.p5], ['Mean', p.numbers.mean], ['P95', p.numbers.p95]].map(([label, value]) => (
+                              <div key={label}>
+                                <div style={{ fontSize: 9, opacity: 0.5, textTransform: 'uppercase' }}>{label}</div>
+                                <div style={{ color: '#00F5D4', fontVariantNumeric: 'tabular-nums', overflow: 'hidden', textOverflow: 'ellipsis' }}>{format(value)}</div>
+                              </div>
+                            ))}
+                          </div>
+                          <ResponsiveContainer width="100%" height={80}>
+                            <BarChart data={p.numbers.histogram} margin={{ top: 0, right: 0, bottom: 0, left: 0 }}>
+                              <Tooltip
+                                contentStyle={{ background: '#1a1a2e', border: '1px solid rgba(0, 245, 212, 0.3)', borderRadius: 6, fontSize: 11, color: '#e0e0e0' }}
+                                labelFormatter={(_, payload) => (payload?.[0] ? `${formatNumber(payload[0].payload.from, '')} – ${formatNumber(payload[0].payload.to, '')}` : '')}
+                                formatter={(value) => [`${value.toLocaleString()} rows`, 'Count']}
+                              />
+                              <Bar dataKey="count" fill="#00BBF9" cursor="pointer" onClick={(bin) => setFilter(p.column, { kind: 'range', min: bin.from, max: bin.to })} />
+                            </BarChart>
+                          </ResponsiveContainer>
+                          {p.numbers.outliers && (
+                            <div style={{ display: 'flex', alignItems: 'center', gap: 6, marginTop: 8, color: '#FEE440', flexWrap: 'wrap' }}>
+                              ⚠️ {p.numbers.outliers.count.toLocaleString()} outlier{p.numbers.outliers.count === 1 ? '' : 's'} outside {format(p.numbers.outliers.low)} – {format(p.numbers.outliers.high)}
+                              <span style={{ opacity: 0.6 }}>e.g. {p.numbers.outliers.examples.map(format).join(', ')}</span>
+                              <button
+                                className="btn btn-ghost"
+                                onClick={() => setFilter(p.column, { kind: 'range', min: p.numbers.outliers.low, max: p.numbers.outliers.high, exclude: true })}
+                                style={{ padding: '2px 8px', fontSize: 10 }}
+                              >
+                                Show
+                              </button>
+                              <button
+                                className="btn btn-ghost"
+                                onClick={() => setFilter(p.column, { kind: 'range', min: p.numbers.outliers.low, max: p.numbers.outliers.high })}
+                                style={{ padding: '2px 8px', fontSize: 10 }}
+                              >
+                                Hide
+                              </button>
+                            </div>
+                          )}
+                        </>
+                      )}
+
+                      {p.dates && (
+                        <>
+                          <div style={{ opacity: 0.7, marginBottom: 6 }}>
+                            {p.dates.min} → {p.dates.max}
+                            {p.dates.gaps > 0 && <span style={{ color: '#FEE440' }}> · ⚠️ {p.dates.gaps} {p.dates.grain}{p.dates.gaps === 1 ? '' : 's'} with no rows</span>}
+                            {p.dates.unparsed > 0 && <span style={{ color: '#FEE440' }}> · {p.dates.unparsed.toLocaleString()} unreadable</span>}
+                          </div>
+                          <ResponsiveContainer width="100%" height={60}>
+                            <BarChart data={p.dates.coverage} margin={{ top: 0, right: 0, bottom: 0, left: 0 }} barCategoryGap={1}>
+                              <Tooltip
+                                contentStyle={{ background: '#1a1a2e', border: '1px solid rgba(0, 245, 212, 0.3)', borderRadius: 6, fontSize: 11, color: '#e0e0e0' }}
+                                labelFormatter={(_, payload) => payload?.[0]?.payload.period || ''}
+                                formatter={(value) => [`${value.toLocaleString()} rows`, 'Count']}
+                              />
+                              <Bar
+                                dataKey="count"
+                                fill="#F15BB5"
+                                cursor="pointer"
+                                onClick={({ period }) => setFilter(p.column, p.dates.grain === 'year' ? { kind: 'dates', from: `${period}-01-01`, to: `${period}-12-31` } : monthRange(period))}
+                              />
+                            </BarChart>
+                          </ResponsiveContainer>
+                        </>
+                      )}
+
+                      {showTop && p.topValues.length > 0 && (
+                        <div style={{ display: 'flex', flexDirection: 'column', gap: 3, marginTop: 10 }}>
+                          {p.topValues.map(({ value, count }) => (
+                            <div
+                              key={value}
+                              onClick={() => setFilter(p.column, { kind: 'values', values: [value] })}
+                              title={`Filter to ${value}`}
+                              style={{ position: 'relative', display: 'flex', justifyContent: 'space-between', gap: 8, padding: '3px 6px', cursor: 'pointer', borderRadius: 3 }}
+                            >
+                              <div style={{ position: 'absolute', inset: 0, width: `${(count / maxTop) * 100}%`, background: 'rgba(0, 245, 212, 0.1)', borderRadius: 3 }} />
+                              <span style={{ position: 'relative', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{value}</span>
+                              <span style={{ position: 'relative', opacity: 0.6 }}>{count.toLocaleString()} · {((count / p.rows) * 100).toFixed(1)}%</span>
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
           {/* Ask AI View */}
           {activeView === 'ask' && (
             <div className="card" style={{ padding: 24 }}>
@@ -2225,14 +3403,25 @@ export default function App() {
           )}
 
           {/* Upload New */}
-          <div style={{ marginTop: 28, textAlign: 'center' }}>
-            <label>
-              <input type="file" accept=".sql,.csv,.xlsx,.xls,.tsv" onChange={handleFileUpload} style={{ display: 'none' }} />
-              <span className="btn btn-ghost" style={{ cursor: 'pointer' }}>
-                📁 Upload Different File
-              </span>
-            </label>
-          </div>
+          {!addingToWorkspace && (
+            <div style={{ marginTop: 28, display: 'flex', gap: 12, justifyContent: 'center' }}>
+              <label>
+                <input type="file" accept=".sql,.db,.sqlite,.sqlite3,.csv,.xlsx,.xls,.tsv,.json,.ndjson,.jsonl,.gz,.zip" onChange={handleFileUpload} style={{ display: 'none' }} />
+                <span className="btn btn-ghost" style={{ cursor: 'pointer' }}>
+                  📁 Upload Different File
+                </span>
+              </label>
+              <button
+                className="btn btn-ghost"
+                onClick={() => {
+                  setAddingToWorkspace(true);
+                  window.scrollTo({ top: 0, behavior: 'smooth' });
+                }}
+              >
+                ➕ Add to Workspace
+              </button>
+            </div>
+          )}
         </>
       )}
     </div>
@@ -0,0 +1,119 @@
+// Summary statistics sent along with AI questions
+
+// Helper: group by a column and sum another column, return top N
+const groupAndSum = (rows, groupCol, sumCol, topN = 10) => {
+  const groups = {};
+  rows.forEach(row => {
+    const key = row[groupCol];
+    if (key === null || key === undefined || key === '') return;
+    const val = parseFloat(row[sumCol]);
+    if (isNaN(val)) return;
+    groups[key] = (groups[key] || 0) + val;
+  });
+  return Object.entries(groups)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, topN)
+    .map(([key, sum]) => ({ key, sum: Math.round(sum * 100) / 100 }));
+};
+
+// Helper: group by a column and count occurrences, return top N
+const groupAndCount = (rows, groupCol, topN = 10) => {
+  const groups = {};
+  rows.forEach(row => {
+    const key = row[groupCol];
+    if (key === null || key === undefined || key === '') return;
+    groups[key] = (groups[key] || 0) + 1;
+  });
+  return Object.entries(groups)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, topN)
+    .map(([key, count]) => ({ key, count }));
+};
+
+// Merchant name and merchant category (MCC) columns of a transactions table, if any
+export const findMerchantColumns = (cols) => {
+  const isCategory = (c) => /categ|mcc/i.test(c);
+  const names = cols.filter(c => /merchant/i.test(c) && !isCategory(c));
+  return {
+    merchant: names.find(c => !/_id$/i.test(c)) || names[0] || null,
+    category: cols.find(c => /merchant/i.test(c) && isCategory(c)) || cols.find(c => /^mcc/i.test(c)) || null
+  };
+};
+
+// Compute aggregations from full dataset for AI
+export const computeAggregations = (rows, cols) => {
+  if (!rows.length) return {};
+
+  const aggs = {
+    totalRows: rows.length,
+    columnStats: {},
+    groupedStats: {}
+  };
+
+  // Detect common column patterns
+  const colsLower = cols.map(c => c.toLowerCase());
+  const hasCardId = cols.find(c => c.toLowerCase().includes('card_id') || c.toLowerCase() === 'card_id');
+  const hasProgramId = cols.find(c => c.toLowerCase().includes('program_id') || c.toLowerCase() === 'card_program_id');
+  const hasAmountCol = cols.find(c =>
+    c.toLowerCase().includes('amount') ||
+    c.toLowerCase().includes('spend') ||
+    c.toLowerCase().includes('total')
+  );
+  const hasMerchantCol = findMerchantColumns(cols).merchant;
+
+  cols.forEach(col => {
+    const values = rows.map(r => r[col]).filter(v => v !== null && v !== undefined && v !== '');
+    const uniqueValues = [...new Set(values)];
+
+    // For categorical columns (< 100 unique values), count occurrences
+    if (uniqueValues.length > 0 && uniqueValues.length <= 100) {
+      const counts = {};
+      values.forEach(v => {
+        const key = String(v).slice(0, 50); // Truncate long values
+        counts[key] = (counts[key] || 0) + 1;
+      });
+      // Sort by count descending, take top 20
+      const sorted = Object.entries(counts)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 20);
+      aggs.columnStats[col] = {
+        uniqueCount: uniqueValues.length,
+        topValues: sorted
+      };
+    }
+
+    // For numeric columns, compute sum/avg/min/max
+    const numericVals = values.map(v => parseFloat(v)).filter(v => !isNaN(v));
+    if (numericVals.length > values.length * 0.5) {
+      aggs.columnStats[col] = {
+        ...aggs.columnStats[col],
+        sum: numericVals.reduce((a, b) => a + b, 0),
+        avg: numericVals.reduce((a, b) => a + b, 0) / numericVals.length,
+        min: Math.min(...numericVals),
+        max: Math.max(...numericVals)
+      };
+    }
+  });
+
+  // Compute grouped aggregations for common patterns
+  if (hasCardId && hasAmountCol) {
+    aggs.groupedStats.topCardsBySpend = groupAndSum(rows, hasCardId, hasAmountCol, 10);
+  }
+  if (hasProgramId && hasAmountCol) {
+    aggs.groupedStats.topProgramsBySpend = groupAndSum(rows, hasProgramId, hasAmountCol, 10);
+  }
+  if (hasCardId) {
+    aggs.groupedStats.topCardsByCount = groupAndCount(rows, hasCardId, 10);
+  }
+  if (hasProgramId) {
+    aggs.groupedStats.topProgramsByCount = groupAndCount(rows, hasProgramId, 10);
+  }
+  if (hasMerchantCol && hasAmountCol) {
+    aggs.groupedStats.topMerchantsBySpend = groupAndSum(rows, hasMerchantCol, hasAmountCol, 10);
+  }
+  if (hasMerchantCol) {
+    aggs.groupedStats.topMerchantsByCount = groupAndCount(rows, hasMerchantCol, 10);
+  }
+
+  return aggs;
+};
@@ -0,0 +1,138 @@
+// Compressed input: .gz files and .zip archives are inflated with fflate's
+// streaming decoders as the compressed bytes are read, so each file inside
+// reaches its own loader a slice at a time instead of unpacked whole.
+
+import { Gunzip, Unzip, UnzipInflate } from 'fflate';
+
+const EXTENSION_KINDS = {
+  sql: 'sql',
+  db: 'sqlite',
+  sqlite: 'sqlite',
+  sqlite3: 'sqlite',
+  csv: 'csv',
+  tsv: 'csv',
+  xlsx: 'workbook',
+  xls: 'workbook',
+  json: 'json',
+  ndjson: 'json',
+  jsonl: 'json',
+  gz: 'archive',
+  zip: 'archive'
+};
+
+/**
+ * Pipeline loader for a file name, from its last extension, or null if we
+ * don't read that kind of file.
+ */
+export const fileKind = (name) => EXTENSION_KINDS[name.split('.').pop().toLowerCase()] || null;
+
+const isGzip = (bytes) => bytes[0] === 0x1f && bytes[1] === 0x8b;
+const isZip = (bytes) => bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+
+// Folders and OS metadata (__MACOSX/, .DS_Store) aren't data
+const isJunk = (path) => path.endsWith('/') || path.startsWith('__MACOSX/') || path.split('/').pop().startsWith('.');
+
+// Inflate a gzip stream as its compressed slices arrive
+const gunzipChunks = async function* (chunks) {
+  const out = [];
+  const gunzip = new Gunzip((data) => {
+    if (data.length > 0) out.push(data);
+  });
+  for await (const chunk of chunks) {
+    gunzip.push(chunk);
+    while (out.length > 0) yield out.shift();
+  }
+  gunzip.push(new Uint8Array(0), true);
+  while (out.length > 0) yield out.shift();
+};
+
+// Files of a zip stream in order, each as { name, chunks }. fflate reports a
+// file's data as the slices that hold it are pushed, so events are queued and
+// more input is read only when the queue runs dry.
+const unzipEntries = async function* (chunks) {
+  const queue = [];
+  const unzip = new Unzip((file) => {
+    if (isJunk(file.name)) return;
+    queue.push({ name: file.name });
+    file.ondata = (err, data, final) => {
+      if (err) {
+        queue.push({ error: err });
+        return;
+      }
+      if (data.length > 0) queue.push({ data });
+      if (final) queue.push({ end: true });
+    };
+    file.start();
+  });
+  unzip.register(UnzipInflate);
+
+  const input = chunks[Symbol.asyncIterator]();
+  let inputDone = false;
+  // The next event, or null once the whole archive has been read
+  const next = async () => {
+    while (queue.length === 0) {
+      if (inputDone) return null;
+      const { value, done } = await input.next();
+      inputDone = !!done;
+      unzip.push(done ? new Uint8Array(0) : value, inputDone);
+    }
+    return queue.shift();
+  };
+
+  let event = await next();
+  while (event) {
+    const { name } = event;
+    let ended = false;
+    const entryChunks = async function* () {
+      while (!ended) {
+        const e = await next();
+        if (!e || e.end || e.error || e.name) {
+          ended = true;
+          if (e?.name) queue.unshift(e);
+          if (e?.error) throw e.error;
+          if (!e) throw new Error(`${name} is cut short`);
+          return;
+        }
+        yield e.data;
+      }
+    };
+    yield { name, chunks: entryChunks() };
+    // Whatever the loader didn't read of this file is skipped
+    for (const rest = entryChunks(); !ended;) {
+      try {
+        await rest.next();
+      } catch {
+        ended = true;
+      }
+    }
+    event = await next();
+  }
+};
+
+/**
+ * Unpack a .gz or .zip file read as a series of byte slices. Yields
+ * { name, chunks } per file inside, where chunks are the file's inflated
+ * bytes; read each file's chunks before moving on to the next. A .gz inside
+ * a zip is inflated too. Throws if the bytes are neither gzip nor zip.
+ */
+export const unpackArchive = async function* (chunks, name) {
+  const input = chunks[Symbol.asyncIterator]();
+  const first = await input.next();
+  const head = first.done ? new Uint8Array(0) : first.value;
+  const all = (async function* () {
+    yield head;
+    for (let r = await input.next(); !r.done; r = await input.next()) yield r.value;
+  })();
+
+  if (isGzip(head)) {
+    // dump.sql.gz → dump.sql
+    yield { name: name.replace(/\.gz$/i, '') || name, chunks: gunzipChunks(all) };
+    return;
+  }
+  if (!isZip(head)) throw new Error(`${name} is not a gzip or zip file`);
+  for await (const entry of unzipEntries(all)) {
+    yield /\.gz$/i.test(entry.name)
+      ? { name: entry.name.replace(/\.gz$/i, ''), chunks: gunzipChunks(entry.chunks) }
+      : entry;
+  }
+};
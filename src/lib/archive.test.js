@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { gzipSync, strToU8, zipSync } from 'fflate';
+import { fileKind, unpackArchive } from './archive';
+
+// Bytes as an async series of small slices, the way files are read
+const slices = async function* (bytes, size = 100) {
+  for (let i = 0; i < bytes.length; i += size) yield bytes.subarray(i, i + size);
+};
+
+// Every file in the archive, fully read, as { name: text }
+const unpack = async (bytes, name) => {
+  const files = {};
+  for await (const entry of unpackArchive(slices(bytes), name)) {
+    const decoder = new TextDecoder();
+    let text = '';
+    for await (const chunk of entry.chunks) text += decoder.decode(chunk, { stream: true });
+    files[entry.name] = text + decoder.decode();
+  }
+  return files;
+};
+
+const BIG_CSV = `id,value\n${Array.from({ length: 5000 }, (_, i) => `${i},${i * 2}`).join('\n')}\n`;
+
+describe('fileKind', () => {
+  it('goes by the last extension', () => {
+    expect(fileKind('dump.SQL')).toBe('sql');
+    expect(fileKind('data.csv.gz')).toBe('archive');
+    expect(fileKind('book.xlsx')).toBe('workbook');
+    expect(fileKind('events.jsonl')).toBe('json');
+    expect(fileKind('README')).toBeNull();
+  });
+});
+
+describe('unpackArchive', () => {
+  it('inflates a .gz file under its name without the .gz', async () => {
+    expect(await unpack(gzipSync(strToU8(BIG_CSV)), 'values.csv.gz')).toEqual({ 'values.csv': BIG_CSV });
+  });
+
+  it('yields each file in a zip, inflating a .gz inside it', async () => {
+    const zip = zipSync({
+      'data/values.csv': strToU8(BIG_CSV),
+      'dump.sql.gz': gzipSync(strToU8('CREATE TABLE t (id INT);')),
+      'notes.txt': [strToU8('stored, not deflated'), { level: 0 }]
+    });
+    expect(await unpack(zip, 'bundle.zip')).toEqual({
+      'data/values.csv': BIG_CSV,
+      'dump.sql': 'CREATE TABLE t (id INT);',
+      'notes.txt': 'stored, not deflated'
+    });
+  });
+
+  it('skips folders and OS metadata, and entries the reader leaves unread', async () => {
+    const zip = zipSync({ '__MACOSX/._a.csv': strToU8('x'), '.DS_Store': strToU8('x'), 'a.csv': strToU8('a\n1\n'), 'b.csv': strToU8('b\n2\n') });
+    const names = [];
+    for await (const entry of unpackArchive(slices(zip, 7), 'x.zip')) names.push(entry.name);
+    expect(names).toEqual(['a.csv', 'b.csv']);
+  });
+
+  it('rejects files that are not archives', async () => {
+    await expect(unpack(strToU8('just text'), 'fake.zip')).rejects.toThrow('fake.zip is not a gzip or zip file');
+  });
+});
@@ -0,0 +1,107 @@
+// Column inspector overrides: what a column holds (its kind) and how its
+// cells are shown. Every kind maps onto one of the four detected types, so
+// the rest of the app keeps dealing with number / date / text / category.
+
+import { DEFAULT_LOCALE, parseNumber, toISODate } from './locale';
+
+export const COLUMN_KINDS = [
+  { kind: 'number', type: 'number', label: 'Number' },
+  { kind: 'currency', type: 'number', label: 'Currency' },
+  { kind: 'integer', type: 'number', label: 'Integer' },
+  { kind: 'id', type: 'text', label: 'ID / text' },
+  { kind: 'date', type: 'date', label: 'Date' },
+  { kind: 'category', type: 'category', label: 'Category' },
+  { kind: 'boolean', type: 'category', label: 'Boolean' }
+];
+
+export const CURRENCY_SYMBOLS = ['$', '€', '£', '¥', ''];
+
+export const DATE_PATTERNS = [
+  { pattern: 'raw', label: 'As in file' },
+  { pattern: 'iso', label: '2024-03-31' },
+  { pattern: 'dmy', label: '31/03/2024' },
+  { pattern: 'mdy', label: '03/31/2024' },
+  { pattern: 'long', label: '31 Mar 2024' }
+];
+
+export const kindType = (kind) => COLUMN_KINDS.find(k => k.kind === kind)?.type;
+
+// What the inspector shows for a column nobody has overridden
+export const defaultKind = (type) => (type === 'text' ? 'id' : type || 'id');
+
+// Detected types with the inspector's choices on top
+export const typesWithOverrides = (types, overrides) => {
+  const merged = { ...types };
+  Object.entries(overrides).forEach(([col, { kind }]) => {
+    if (merged[col]) merged[col] = kindType(kind);
+  });
+  return merged;
+};
+
+const convertValue = (value, kind, locale) => {
+  if (value === null || value === undefined || value === '') return value;
+  if (kindType(kind) === 'number') {
+    const num = parseNumber(value, locale);
+    return isNaN(num) ? null : num;
+  }
+  // Dates stay as written; toISODate reads them wherever they're used
+  return typeof value === 'string' ? value : String(value);
+};
+
+/**
+ * Re-type a table's values for columns whose override changes their type:
+ * zip codes typed as numbers become text, "1.234,50" text becomes a number.
+ * Returns the rows untouched when no override changes anything.
+ */
+export const applyColumnOverrides = (rows, overrides, types, locale = DEFAULT_LOCALE) => {
+  const changed = Object.entries(overrides).filter(([col, { kind }]) => types[col] && kindType(kind) !== types[col]);
+  if (changed.length === 0) return rows;
+  return rows.map(row => {
+    const next = { ...row };
+    changed.forEach(([col, { kind }]) => {
+      next[col] = convertValue(row[col], kind, locale);
+    });
+    return next;
+  });
+};
+
+const BOOLEAN_TRUE = /^(true|yes|y|t|1)$/i;
+const BOOLEAN_FALSE = /^(false|no|n|f|0)$/i;
+
+const formatDate = (value, pattern, locale) => {
+  const iso = toISODate(value, locale);
+  if (!iso) return String(value);
+  const [year, month, day] = iso.split('-');
+  if (pattern === 'dmy') return `${day}/${month}/${year}`;
+  if (pattern === 'mdy') return `${month}/${day}/${year}`;
+  if (pattern === 'long') {
+    return new Date(Number(year), Number(month) - 1, Number(day)).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+  }
+  return iso;
+};
+
+/**
+ * Text for a non-empty cell. format combines DDL hints (decimals, isKey) with
+ * the inspector's kind, decimals, currency symbol, date pattern and zero padding.
+ */
+export const formatValue = (value, type, format = {}, locale = DEFAULT_LOCALE) => {
+  const { kind } = format;
+  if (type === 'number' && !isNaN(value)) {
+    const decimals = format.decimals ?? (kind === 'integer' ? 0 : 2);
+    const options = { minimumFractionDigits: decimals, maximumFractionDigits: decimals, useGrouping: !format.isKey };
+    if (kind === 'currency') {
+      const num = Number(value);
+      return `${num < 0 ? '-' : ''}${format.currency ?? '$'}${Math.abs(num).toLocaleString(undefined, options)}`;
+    }
+    return value.toLocaleString(undefined, options);
+  }
+  if (kind === 'boolean') {
+    if (BOOLEAN_TRUE.test(String(value))) return 'Yes';
+    if (BOOLEAN_FALSE.test(String(value))) return 'No';
+  }
+  if (type === 'date' && format.datePattern && format.datePattern !== 'raw') {
+    return formatDate(value, format.datePattern, locale);
+  }
+  if (kind === 'id' && format.padDigits) return String(value).padStart(format.padDigits, '0');
+  return String(value);
+};
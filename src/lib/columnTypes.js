@@ -0,0 +1,54 @@
+// Column type detection and value cleanup shared by every loader
+
+import { DEFAULT_LOCALE, parseNumber, toISODate } from './locale';
+
+// Guess a column's type from a sample of its values, read in the dataset's locale
+export const detectColumnType = (values, locale = DEFAULT_LOCALE) => {
+  const sample = values.filter(v => v !== null && v !== '' && v !== undefined).slice(0, 100);
+  if (sample.length === 0) return 'text';
+  
+  const numericCount = sample.filter(v => !isNaN(parseNumber(v, locale))).length;
+  
+  const dateCount = sample.filter(v => typeof v === 'string' && toISODate(v, locale) !== null).length;
+  
+  if (numericCount > sample.length * 0.7) return 'number';
+  if (dateCount > sample.length * 0.7) return 'date';
+  
+  const uniqueRatio = new Set(sample).size / sample.length;
+  if (uniqueRatio < 0.3 && sample.length > 5) return 'category';
+  
+  return 'text';
+};
+
+// Type every column and clean number values. Known types (declared or native)
+// win over the heuristic.
+export const processTableData = (tableData, cols, knownTypes = {}, locale = DEFAULT_LOCALE) => {
+  const types = {};
+  cols.forEach(col => {
+    // Declared text columns stay text (zip codes, card numbers); we only decide if they're categories
+    if (knownTypes[col] === 'text') {
+      types[col] = detectColumnType(tableData.map(row => row[col]), locale) === 'category' ? 'category' : 'text';
+      return;
+    }
+    if (knownTypes[col]) {
+      types[col] = knownTypes[col];
+      return;
+    }
+    const values = tableData.map(row => row[col]);
+    types[col] = detectColumnType(values, locale);
+  });
+  
+  const processedData = tableData.map((row, idx) => {
+    const newRow = { _id: idx };
+    cols.forEach(col => {
+      if (types[col] === 'number' && row[col] !== null && row[col] !== undefined) {
+        newRow[col] = parseNumber(row[col], locale) || 0;
+      } else {
+        newRow[col] = row[col];
+      }
+    });
+    return newRow;
+  });
+  
+  return { processedData, types };
+};
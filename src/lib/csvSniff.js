@@ -0,0 +1,80 @@
+// Delimited-file sniffing: text encoding, delimiter and which row holds the
+// header, guessed from the first slice of the file before the real parse.
+
+import Papa from 'papaparse';
+
+export const DELIMITERS = [',', ';', '\t', '|'];
+
+const DELIMITER_LABELS = { ',': 'comma', ';': 'semicolon', '\t': 'tab', '|': 'pipe' };
+export const delimiterLabel = (d) => DELIMITER_LABELS[d] || `"${d}"`;
+
+// Rows looked at when guessing; title blocks above a header are rarely longer
+const SNIFF_ROWS = 50;
+
+/**
+ * Guess the text encoding of the first bytes of a file: a byte order mark
+ * wins, then UTF-8 if the bytes decode cleanly, else Windows-1252 (what Excel
+ * writes for "CSV" on Western Windows machines).
+ */
+export const detectEncoding = (bytes, truncated = false) => {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return 'utf-8';
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return 'utf-16le';
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return 'utf-16be';
+  try {
+    // A cut-off sample can end inside a multi-byte character; stream mode holds it back
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: truncated });
+    return 'utf-8';
+  } catch {
+    return 'windows-1252';
+  }
+};
+
+const mode = (values) => {
+  const counts = new Map();
+  values.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+  let best = null;
+  let bestCount = 0;
+  counts.forEach((count, value) => {
+    if (count > bestCount || (count === bestCount && value > best)) {
+      best = value;
+      bestCount = count;
+    }
+  });
+  return { value: best, count: bestCount };
+};
+
+const sampleRows = (text, delimiter, truncated) => {
+  const rows = Papa.parse(text, { delimiter, preview: SNIFF_ROWS + 1, skipEmptyLines: false }).data;
+  // The last line of a cut-off sample is probably incomplete
+  if (truncated && rows.length > 1) rows.pop();
+  return rows.slice(0, SNIFF_ROWS);
+};
+
+const nonEmpty = (row) => row.filter(cell => String(cell).trim() !== '').length;
+
+/**
+ * Guess the delimiter and header row from the start of a delimited file.
+ * Returns { delimiter, headerRow } with headerRow as a 0-based line index.
+ */
+export const sniffCSV = (text, truncated = false) => {
+  // The delimiter that splits the most lines into the same number of fields
+  let delimiter = ',';
+  let best = { count: 0, value: 1 };
+  DELIMITERS.forEach(d => {
+    const widths = sampleRows(text, d, truncated).map(r => r.length).filter(w => w > 1);
+    if (widths.length === 0) return;
+    const m = mode(widths);
+    if (m.count > best.count || (m.count === best.count && m.value > best.value)) {
+      best = m;
+      delimiter = d;
+    }
+  });
+
+  // Title rows and blank lines above the header fill only a cell or two
+  const rows = sampleRows(text, delimiter, truncated);
+  const width = mode(rows.map(r => r.length)).value || 1;
+  const needed = Math.max(Math.min(2, width), Math.ceil(width / 2));
+  const headerRow = Math.max(0, rows.findIndex(r => nonEmpty(r) >= needed));
+
+  return { delimiter, headerRow };
+};
@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { detectEncoding, sniffCSV } from './csvSniff';
+
+describe('sniffCSV', () => {
+  it('picks the delimiter that splits lines evenly', () => {
+    expect(sniffCSV('a,b,c\n1,2,3\n4,5,6\n').delimiter).toBe(',');
+    expect(sniffCSV('a;b;c\n1,5;2,5;3\n4;5;6\n').delimiter).toBe(';');
+    expect(sniffCSV('a\tb\n1\t2\n').delimiter).toBe('\t');
+    expect(sniffCSV('a|b|c\n1|2|3\n').delimiter).toBe('|');
+  });
+
+  it('finds the header below title rows and blank lines', () => {
+    const rows = Array.from({ length: 10 }, (_, i) => `2024-01-${String(i + 1).padStart(2, '0')},A${i},${i * 10},note`);
+    const text = `Monthly export\nGenerated 2024-03-01\n\ndate,account,amount,memo\n${rows.join('\n')}\n`;
+    expect(sniffCSV(text)).toEqual({ delimiter: ',', headerRow: 3 });
+  });
+
+  it('takes the first line when there is no title block', () => {
+    expect(sniffCSV('id,name\n1,Ann\n2,Bob\n').headerRow).toBe(0);
+  });
+
+  it('ignores the cut-off last line of a truncated sample', () => {
+    const text = 'id;name;city\n1;Ann;Oslo\n2;Bob;Rome\n3,4,5,6,7,8';
+    expect(sniffCSV(text, true).delimiter).toBe(';');
+  });
+});
+
+describe('detectEncoding', () => {
+  it('trusts a byte order mark', () => {
+    expect(detectEncoding(new Uint8Array([0xef, 0xbb, 0xbf, 0x61]))).toBe('utf-8');
+    expect(detectEncoding(new Uint8Array([0xff, 0xfe, 0x61, 0x00]))).toBe('utf-16le');
+  });
+
+  it('falls back to Windows-1252 for bytes that are not UTF-8', () => {
+    expect(detectEncoding(new TextEncoder().encode('café'))).toBe('utf-8');
+    expect(detectEncoding(new Uint8Array([0x63, 0x61, 0x66, 0xe9]))).toBe('windows-1252');
+  });
+
+  it('accepts a truncated sample that ends inside a character', () => {
+    const bytes = new TextEncoder().encode('naïve').slice(0, 3);
+    expect(detectEncoding(bytes, true)).toBe('utf-8');
+  });
+});
@@ -0,0 +1,127 @@
+import * as XLSX from 'xlsx';
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Sheet names become table names the same way CSV file names do
+export const toTableName = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '_');
+
+// Excel stores dates as serial numbers with a date number format.
+// Decode them without going through JS Date to avoid timezone shifts.
+const serialToDateString = (serial) => {
+  const d = XLSX.SSF.parse_date_code(serial);
+  if (!d) return null;
+  const date = `${d.y}-${pad(d.m)}-${pad(d.d)}`;
+  if (d.H || d.M || d.S) return `${date} ${pad(d.H)}:${pad(d.M)}:${pad(Math.floor(d.S))}`;
+  return date;
+};
+
+// Read a cell into a plain value plus the native kind Excel gave it
+const readCell = (cell) => {
+  if (!cell || cell.v === undefined || cell.v === null || cell.t === 'z' || cell.t === 'e') {
+    return { value: null, kind: null };
+  }
+  if (cell.t === 'n') {
+    if (cell.z && XLSX.SSF.is_date(cell.z)) {
+      return { value: serialToDateString(cell.v), kind: 'date' };
+    }
+    return { value: cell.v, kind: 'number' };
+  }
+  if (cell.t === 'd') {
+    const v = cell.v;
+    return { value: `${v.getFullYear()}-${pad(v.getMonth() + 1)}-${pad(v.getDate())}`, kind: 'date' };
+  }
+  if (cell.t === 'b') return { value: cell.v, kind: 'boolean' };
+
+  const text = String(cell.v).trim();
+  return { value: text === '' ? null : text, kind: text === '' ? null : 'string' };
+};
+
+// Pick a column type from the native cell kinds. Returns null for text
+// columns so the caller can still decide between 'text' and 'category'.
+const typeFromKinds = (kinds) => {
+  const total = kinds.number + kinds.date + kinds.boolean + kinds.string;
+  if (total === 0) return null;
+  if (kinds.date === total) return 'date';
+  if (kinds.number === total) return 'number';
+  if (kinds.boolean === total) return 'category';
+  return null;
+};
+
+const readSheet = (sheet) => {
+  if (!sheet || !sheet['!ref']) return null;
+  const range = XLSX.utils.decode_range(sheet['!ref']);
+
+  // First row of the used range is the header
+  const cols = [];
+  const seen = {};
+  for (let c = range.s.c; c <= range.e.c; c++) {
+    const cell = sheet[XLSX.utils.encode_cell({ r: range.s.r, c })];
+    let name = cell ? String(cell.w ?? cell.v ?? '').trim() : '';
+    if (!name) name = `column_${c - range.s.c + 1}`;
+    if (seen[name]) {
+      seen[name]++;
+      name = `${name}_${seen[name]}`;
+    } else {
+      seen[name] = 1;
+    }
+    cols.push(name);
+  }
+
+  const kinds = cols.map(() => ({ number: 0, date: 0, boolean: 0, string: 0 }));
+  const rows = [];
+
+  for (let r = range.s.r + 1; r <= range.e.r; r++) {
+    const row = { _id: rows.length };
+    let hasValue = false;
+    cols.forEach((col, i) => {
+      const { value, kind } = readCell(sheet[XLSX.utils.encode_cell({ r, c: range.s.c + i })]);
+      row[col] = value;
+      if (kind) {
+        kinds[i][kind]++;
+        hasValue = true;
+      }
+    });
+    if (hasValue) rows.push(row);
+  }
+
+  const types = {};
+  cols.forEach((col, i) => {
+    const type = typeFromKinds(kinds[i]);
+    if (type) types[col] = type;
+  });
+
+  return { cols, rows, types };
+};
+
+// Parse an .xlsx/.xls workbook into one table per sheet
+export const parseWorkbook = (buffer) => {
+  const logs = ['📗 Reading workbook...'];
+  const workbook = XLSX.read(buffer, { type: 'array', cellNF: true });
+  const tables = {};
+  const types = {};
+
+  workbook.SheetNames.forEach(sheetName => {
+    const parsed = readSheet(workbook.Sheets[sheetName]);
+    if (!parsed || parsed.rows.length === 0) {
+      logs.push(`⏭️ Skipped empty sheet "${sheetName}"`);
+      return;
+    }
+
+    let tableName = toTableName(sheetName) || 'sheet';
+    let suffix = 2;
+    while (tables[tableName]) tableName = `${toTableName(sheetName)}_${suffix++}`;
+
+    tables[tableName] = parsed.rows;
+    types[tableName] = parsed.types;
+    logs.push(`📄 Sheet "${sheetName}" → ${tableName} (${parsed.rows.length} rows, ${parsed.cols.length} columns)`);
+  });
+
+  if (Object.keys(tables).length === 0) {
+    logs.push('⚠️ No data found. The workbook has no non-empty sheets.');
+  } else {
+    const totalRows = Object.values(tables).reduce((sum, rows) => sum + rows.length, 0);
+    logs.push(`✅ Done! ${Object.keys(tables).length} sheet(s), ${totalRows} total rows`);
+  }
+
+  return { tables, types, logs };
+};
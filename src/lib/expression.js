@@ -0,0 +1,301 @@
+// Filter expressions: nested AND/OR groups of column conditions, edited in the
+// expression builder or written as text, e.g.
+//   program = 'X' AND (amount > 500 OR merchant contains 'air')
+// The text form is read with the shared SQL lexer, so quoting follows SQL:
+// 'it''s' for values, "column name" for columns that aren't plain words.
+
+import { tokenize, SqlSyntaxError } from './sqlLexer';
+import { DEFAULT_LOCALE, toISODate } from './locale';
+
+const LEX_OPTIONS = { backslashEscapes: false, hashComments: false, dollarQuotes: false };
+
+export const OPERATORS = ['=', '!=', '<', '>', 'between', 'in', 'contains', 'starts with', 'regex'];
+
+// Words that can't be bare column names in the text form
+const KEYWORDS = new Set(['AND', 'OR', 'BETWEEN', 'IN', 'CONTAINS', 'STARTS', 'WITH', 'REGEX']);
+
+export const emptyGroup = (op = 'and') => ({ type: 'group', op, children: [] });
+export const newCondition = (column) => ({ type: 'condition', column, operator: '=', value: '', value2: '', values: [] });
+
+/**
+ * Copy of the tree with the node at `path` (child indexes from the root)
+ * replaced by update(node). Returning null from update removes the node.
+ */
+export const updateNode = (root, path, update) => {
+  if (path.length === 0) return update(root);
+  const [index, ...rest] = path;
+  const child = updateNode(root.children[index], rest, update);
+  const children = [...root.children];
+  if (child) children[index] = child;
+  else children.splice(index, 1);
+  return { ...root, children };
+};
+
+export const countConditions = (node) => (
+  node.type === 'condition' ? 1 : node.children.reduce((n, child) => n + countConditions(child), 0)
+);
+
+// Conditions still being filled in don't filter anything
+const isComplete = ({ operator, value, value2, values }) => {
+  if (operator === 'in') return values.length > 0;
+  if (operator === 'between') return value !== '' && value2 !== '';
+  return value !== '';
+};
+
+// ---------------------------------------------------------------------------
+// Text form
+
+const describe = (tok) => {
+  if (!tok) return 'end of expression';
+  if (tok.type === 'string') return `'${tok.value}'`;
+  return `"${tok.value}"`;
+};
+
+class ExpressionParser {
+  constructor(text, columns) {
+    this.tokens = tokenize(text, LEX_OPTIONS);
+    this.i = 0;
+    this.columns = columns;
+  }
+
+  peek() {
+    return this.tokens[this.i];
+  }
+
+  next() {
+    return this.tokens[this.i++];
+  }
+
+  error(message, tok = this.peek()) {
+    if (tok) return new SqlSyntaxError(message, tok.line, tok.col);
+    const last = this.tokens[this.tokens.length - 1];
+    return new SqlSyntaxError(message, last ? last.line : 1, last ? last.col + (last.end - last.start) : 1);
+  }
+
+  isWord(word) {
+    const tok = this.peek();
+    return tok && tok.type === 'ident' && tok.upper === word;
+  }
+
+  isOp(op) {
+    const tok = this.peek();
+    return tok && tok.type === 'op' && tok.value === op;
+  }
+
+  expectWord(word) {
+    if (!this.isWord(word)) throw this.error(`Expected ${word} but found ${describe(this.peek())}`);
+    this.next();
+  }
+
+  expectOp(op) {
+    if (!this.isOp(op)) throw this.error(`Expected "${op}" but found ${describe(this.peek())}`);
+    this.next();
+  }
+
+  parseGroup(op, parseChild) {
+    const children = [parseChild()];
+    while (this.isWord(op.toUpperCase())) {
+      this.next();
+      children.push(parseChild());
+    }
+    return children.length === 1 ? children[0] : { type: 'group', op, children };
+  }
+
+  // OR binds looser than AND: a AND b OR c is (a AND b) OR c
+  parseOr() {
+    return this.parseGroup('or', () => this.parseAnd());
+  }
+
+  parseAnd() {
+    return this.parseGroup('and', () => this.parsePrimary());
+  }
+
+  parsePrimary() {
+    if (this.isOp('(')) {
+      this.next();
+      const node = this.parseOr();
+      this.expectOp(')');
+      return node;
+    }
+    return this.parseCondition();
+  }
+
+  parseColumn() {
+    const tok = this.peek();
+    let name;
+    if (tok && (tok.type === 'dquote' || tok.type === 'quoted')) {
+      name = this.next().value;
+    } else if (tok && tok.type === 'ident' && !KEYWORDS.has(tok.upper)) {
+      name = this.next().value;
+      // Flattened JSON columns: address.city
+      while (this.isOp('.') && this.tokens[this.i + 1]?.type === 'ident') {
+        this.next();
+        name += `.${this.next().value}`;
+      }
+    } else {
+      throw this.error(`Expected a column name but found ${describe(tok)}`);
+    }
+    if (!this.columns) return name;
+    const match = this.columns.find(c => c === name) || this.columns.find(c => c.toLowerCase() === name.toLowerCase());
+    if (!match) throw this.error(`Unknown column "${name}"`, tok);
+    return match;
+  }
+
+  parseOperator() {
+    const tok = this.peek();
+    if (tok && tok.type === 'op' && ['=', '!=', '<>', '<', '>'].includes(tok.value)) {
+      this.next();
+      return tok.value === '<>' ? '!=' : tok.value;
+    }
+    if (this.isWord('STARTS')) {
+      this.next();
+      this.expectWord('WITH');
+      return 'starts with';
+    }
+    if (['BETWEEN', 'IN', 'CONTAINS', 'REGEX'].some(word => this.isWord(word))) {
+      return this.next().value.toLowerCase();
+    }
+    throw this.error(`Expected an operator (${OPERATORS.join(', ')}) but found ${describe(tok)}`);
+  }
+
+  parseValue() {
+    const tok = this.peek();
+    if (tok && tok.type === 'string') return this.next().value;
+    if (tok && tok.type === 'number') return Number(this.next().value);
+    if (this.isOp('-') && this.tokens[this.i + 1]?.type === 'number') {
+      this.next();
+      return -Number(this.next().value);
+    }
+    // Bare words read as text: program = Visa
+    if (tok && tok.type === 'ident' && !KEYWORDS.has(tok.upper)) return this.next().value;
+    throw this.error(`Expected a value but found ${describe(tok)}`);
+  }
+
+  parseCondition() {
+    const column = this.parseColumn();
+    const operatorTok = this.peek();
+    const condition = { ...newCondition(column), operator: this.parseOperator() };
+    if (condition.operator === 'in') {
+      this.expectOp('(');
+      condition.values = [this.parseValue()];
+      while (this.isOp(',')) {
+        this.next();
+        condition.values.push(this.parseValue());
+      }
+      this.expectOp(')');
+    } else if (condition.operator === 'between') {
+      condition.value = this.parseValue();
+      this.expectWord('AND');
+      condition.value2 = this.parseValue();
+    } else {
+      condition.value = this.parseValue();
+    }
+    if (condition.operator === 'regex') {
+      try {
+        new RegExp(condition.value, 'i');
+      } catch (err) {
+        throw this.error(`Invalid regex: ${err.message}`, operatorTok);
+      }
+    }
+    return condition;
+  }
+}
+
+/**
+ * Read the text form into a tree whose root is always a group. With
+ * `columns`, column names are checked and matched case-insensitively.
+ * Throws SqlSyntaxError with the line and column of the problem.
+ */
+export const parseExpression = (text, columns = null) => {
+  const parser = new ExpressionParser(text, columns);
+  if (parser.tokens.length === 0) return emptyGroup();
+  const node = parser.parseOr();
+  if (parser.peek()) throw parser.error(`Unexpected ${describe(parser.peek())}`);
+  return node.type === 'group' ? node : { ...emptyGroup(), children: [node] };
+};
+
+const formatColumn = (name) => (
+  /^[A-Za-z_]\w*(\.[A-Za-z_]\w*)*$/.test(name) && !KEYWORDS.has(name.toUpperCase()) ? name : `"${name.replace(/"/g, '""')}"`
+);
+
+// Numbers stay bare so they read back as numbers; everything else is quoted
+const formatLiteral = (value) => {
+  if (typeof value === 'number') return String(value);
+  const text = String(value);
+  if (text.trim() !== '' && String(Number(text)) === text) return text;
+  return `'${text.replace(/'/g, "''")}'`;
+};
+
+const formatCondition = ({ column, operator, value, value2, values }) => {
+  if (operator === 'between') return `${formatColumn(column)} between ${formatLiteral(value)} AND ${formatLiteral(value2)}`;
+  if (operator === 'in') return `${formatColumn(column)} in (${values.map(formatLiteral).join(', ')})`;
+  return `${formatColumn(column)} ${operator} ${formatLiteral(value)}`;
+};
+
+// Text form of a tree; parseExpression reads it back to the same tree
+export const formatExpression = (node, nested = false) => {
+  if (node.type === 'condition') return formatCondition(node);
+  const parts = node.children.map(child => formatExpression(child, true)).filter(Boolean);
+  const text = parts.join(` ${node.op.toUpperCase()} `);
+  return nested && parts.length > 1 ? `(${text})` : text;
+};
+
+// ---------------------------------------------------------------------------
+// Evaluation
+
+const isEmpty = (v) => v === null || v === undefined || v === '';
+
+// Numbers compare as numbers, dates as dates (in the table's locale), the rest as text
+const compare = (a, b, locale) => {
+  if (isEmpty(a) || isEmpty(b)) return null;
+  const na = Number(a);
+  const nb = Number(b);
+  if (!isNaN(na) && !isNaN(nb)) return Math.sign(na - nb);
+  const da = toISODate(a, locale);
+  const db = toISODate(b, locale);
+  if (da && db) return da < db ? -1 : da > db ? 1 : 0;
+  const sa = String(a);
+  const sb = String(b);
+  return sa < sb ? -1 : sa > sb ? 1 : 0;
+};
+
+const compileCondition = (condition, locale) => {
+  const { column, operator, value, value2, values } = condition;
+  const text = (row) => String(row[column] ?? '').toLowerCase();
+  switch (operator) {
+    case '=': return (row) => compare(row[column], value, locale) === 0;
+    case '!=': return (row) => compare(row[column], value, locale) !== 0;
+    case '<': return (row) => compare(row[column], value, locale) === -1;
+    case '>': return (row) => compare(row[column], value, locale) === 1;
+    case 'between': return (row) => {
+      // Empty cells compare as null, which >= and <= would both let through
+      const low = compare(row[column], value, locale);
+      const high = compare(row[column], value2, locale);
+      return low !== null && high !== null && low >= 0 && high <= 0;
+    };
+    case 'in': return (row) => values.some(v => compare(row[column], v, locale) === 0);
+    case 'contains': return (row) => text(row).includes(String(value).toLowerCase());
+    case 'starts with': return (row) => text(row).startsWith(String(value).toLowerCase());
+    case 'regex': {
+      let pattern;
+      try {
+        pattern = new RegExp(value, 'i');
+      } catch {
+        return () => false;
+      }
+      return (row) => pattern.test(String(row[column] ?? ''));
+    }
+    default: return () => true;
+  }
+};
+
+/**
+ * Turn a tree into a row predicate, or null if nothing in it filters yet.
+ * Empty groups and half-filled conditions are left out.
+ */
+export const compileExpression = (node, locale = DEFAULT_LOCALE) => {
+  if (node.type === 'condition') return isComplete(node) ? compileCondition(node, locale) : null;
+  const tests = node.children.map(child => compileExpression(child, locale)).filter(Boolean);
+  if (tests.length === 0) return null;
+  return node.op === 'or' ? (row) => tests.some(t => t(row)) : (row) => tests.every(t => t(row));
+};
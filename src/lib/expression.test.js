@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { compileExpression, countConditions, emptyGroup, formatExpression, parseExpression, updateNode } from './expression';
+import { SqlSyntaxError } from './sqlLexer';
+
+const COLUMNS = ['program', 'amount', 'merchant', 'posted on'];
+
+const ROWS = [
+  { id: 1, program: 'X', amount: 800, merchant: 'Acme Air', 'posted on': '2024-01-05' },
+  { id: 2, program: 'X', amount: 100, merchant: 'Corner Shop', 'posted on': '2024-02-10' },
+  { id: 3, program: 'Y', amount: 900, merchant: 'Airline Co', 'posted on': '' },
+  { id: 4, program: 'X', amount: '', merchant: 'Skyair', 'posted on': '2024-03-01' }
+];
+
+const matching = (text, locale) => ROWS.filter(compileExpression(parseExpression(text, COLUMNS), locale)).map(r => r.id);
+
+describe('parseExpression', () => {
+  it('reads nested AND/OR groups', () => {
+    const tree = parseExpression("program = 'X' AND (amount > 500 OR merchant contains 'air')", COLUMNS);
+    expect(tree.op).toBe('and');
+    expect(tree.children[1]).toMatchObject({ type: 'group', op: 'or' });
+    expect(countConditions(tree)).toBe(3);
+  });
+
+  it('matches column names case-insensitively and quotes awkward ones', () => {
+    const tree = parseExpression('PROGRAM = \'X\' and "posted on" between \'2024-01-01\' AND \'2024-01-31\'', COLUMNS);
+    expect(tree.children.map(c => c.column)).toEqual(['program', 'posted on']);
+  });
+
+  it('reports the position of a mistake', () => {
+    expect(() => parseExpression("program = 'X' AND", COLUMNS)).toThrow(SqlSyntaxError);
+    expect(() => parseExpression("nope = 'X'", COLUMNS)).toThrow(/nope/);
+    const error = (() => {
+      try {
+        parseExpression("program = 'X' amount > 1", COLUMNS);
+      } catch (err) {
+        return err;
+      }
+    })();
+    expect(error).toMatchObject({ line: 1, column: 15 });
+  });
+
+  it('reads back what formatExpression writes', () => {
+    const text = "program in ('X', 'it''s') AND (amount > 500 OR \"posted on\" between '2024-01-01' AND '2024-02-01')";
+    const tree = parseExpression(text, COLUMNS);
+    expect(parseExpression(formatExpression(tree), COLUMNS)).toEqual(tree);
+  });
+});
+
+describe('compileExpression', () => {
+  it('filters rows with AND/OR', () => {
+    expect(matching("program = 'X' AND (amount > 500 OR merchant contains 'air')")).toEqual([1, 4]);
+    expect(matching("merchant starts with 'air' OR amount < 200")).toEqual([2, 3]);
+    expect(matching("merchant regex '^(acme|sky)'")).toEqual([1, 4]);
+  });
+
+  it('leaves empty cells out of BETWEEN', () => {
+    expect(matching('amount between 0 AND 1000')).toEqual([1, 2, 3]);
+    expect(matching("\"posted on\" between '2024-01-01' AND '2024-02-28'")).toEqual([1, 2]);
+  });
+
+  it('compares dates in the locale', () => {
+    const rows = [{ d: '03/04/2024' }, { d: '20/04/2024' }];
+    const test = compileExpression(parseExpression("d > '2024-04-10'"), { decimal: '.', thousands: ',', negatives: 'any', dateOrder: 'dmy' });
+    expect(rows.filter(test)).toEqual([{ d: '20/04/2024' }]);
+  });
+
+  it('ignores empty groups and half-filled conditions', () => {
+    expect(compileExpression(emptyGroup())).toBeNull();
+    const tree = { ...emptyGroup(), children: [{ type: 'condition', column: 'amount', operator: 'between', value: '1', value2: '', values: [] }] };
+    expect(compileExpression(tree)).toBeNull();
+  });
+});
+
+describe('updateNode', () => {
+  it('replaces or removes a node without touching the original', () => {
+    const tree = parseExpression("program = 'X' OR (amount > 1 AND amount < 5)", COLUMNS);
+    const removed = updateNode(tree, [1, 0], () => null);
+    expect(countConditions(removed)).toBe(2);
+    expect(countConditions(tree)).toBe(3);
+    const changed = updateNode(tree, [0], node => ({ ...node, value: 'Y' }));
+    expect(changed.children[0].value).toBe('Y');
+  });
+});
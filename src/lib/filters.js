@@ -0,0 +1,128 @@
+// Typed table filters, at most one per column: number ranges, date ranges,
+// picked values, text search and empty checks. Any of them can be inverted
+// with exclude.
+
+import { DEFAULT_LOCALE, toISODate } from './locale';
+
+// Filter kinds offered for each column type; the first is the default
+export const FILTER_KINDS = {
+  number: ['range', 'values', 'empty', 'notEmpty'],
+  date: ['dates', 'empty', 'notEmpty'],
+  category: ['values', 'contains', 'empty', 'notEmpty'],
+  text: ['contains', 'values', 'empty', 'notEmpty']
+};
+
+export const FILTER_KIND_LABELS = {
+  range: 'Between',
+  dates: 'Between dates',
+  values: 'Is one of',
+  contains: 'Contains',
+  empty: 'Is empty',
+  notEmpty: 'Is not empty'
+};
+
+export const isEmptyValue = (value) => value === null || value === undefined || String(value).trim() === '';
+
+// Picked values are compared as text so 5 and "5" are the same choice
+export const valueKey = (value) => (isEmptyValue(value) ? '' : String(value));
+
+/**
+ * Distinct values of a column with how many rows hold each, most common
+ * first. Returns [{ value, count }] with value as its valueKey.
+ */
+export const valueCounts = (rows, col) => {
+  const counts = new Map();
+  rows.forEach(row => {
+    const key = valueKey(row[col]);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+};
+
+// First and last day of a YYYY-MM month, as a date range filter
+export const monthRange = (monthKey) => {
+  const [year, month] = monthKey.split('-').map(Number);
+  const lastDay = new Date(year, month, 0).getDate();
+  return { kind: 'dates', from: `${monthKey}-01`, to: `${monthKey}-${String(lastDay).padStart(2, '0')}` };
+};
+
+// Whether a filter has what it needs to do anything (a bound, a value, some text)
+export const isCompleteFilter = (filter) => {
+  switch (filter.kind) {
+    case 'range': return filter.min !== undefined || filter.max !== undefined;
+    case 'dates': return !!(filter.from || filter.to);
+    case 'values': return filter.values.length > 0;
+    case 'contains': return !!filter.text;
+    default: return true;
+  }
+};
+
+const matches = (value, filter, locale) => {
+  switch (filter.kind) {
+    case 'empty':
+      return isEmptyValue(value);
+    case 'notEmpty':
+      return !isEmptyValue(value);
+    case 'range': {
+      if (isEmptyValue(value)) return false;
+      const num = Number(value);
+      if (isNaN(num)) return false;
+      return (filter.min === undefined || num >= filter.min) && (filter.max === undefined || num <= filter.max);
+    }
+    case 'dates': {
+      const iso = toISODate(value, locale);
+      if (!iso) return false;
+      return (!filter.from || iso >= filter.from) && (!filter.to || iso <= filter.to);
+    }
+    case 'values':
+      return filter.values.includes(valueKey(value));
+    case 'contains':
+      return String(value ?? '').toLowerCase().includes(filter.text.toLowerCase());
+    default:
+      return true;
+  }
+};
+
+/**
+ * Keep the rows that pass every column filter. filters maps a column to its
+ * filter; dates are read in the table's locale.
+ */
+export const applyFilters = (rows, filters, locale = DEFAULT_LOCALE) => {
+  const active = Object.entries(filters).filter(([, filter]) => filter && isCompleteFilter(filter));
+  if (active.length === 0) return rows;
+  return rows.filter(row => active.every(([col, filter]) => matches(row[col], filter, locale) !== !!filter.exclude));
+};
+
+const MAX_LISTED_VALUES = 3;
+
+// Chip text for a filter, e.g. "amount 10 – 500" or "region not: East, West"
+export const describeFilter = (col, filter) => {
+  const not = filter.exclude ? ' not' : '';
+  switch (filter.kind) {
+    case 'empty':
+      return `${col} is${not} empty`;
+    case 'notEmpty':
+      return `${col} is${filter.exclude ? '' : ' not'} empty`;
+    case 'range': {
+      const { min, max } = filter;
+      if (min !== undefined && max !== undefined) return `${col}${not} ${min.toLocaleString()} – ${max.toLocaleString()}`;
+      return min !== undefined ? `${col}${not} ≥ ${min.toLocaleString()}` : `${col}${not} ≤ ${max.toLocaleString()}`;
+    }
+    case 'dates': {
+      const { from, to } = filter;
+      if (from && to) return `${col}${not} ${from} → ${to}`;
+      return from ? `${col}${not} from ${from}` : `${col}${not} until ${to}`;
+    }
+    case 'values': {
+      const shown = filter.values.slice(0, MAX_LISTED_VALUES).map(v => v || '(empty)').join(', ');
+      const more = filter.values.length - MAX_LISTED_VALUES;
+      return `${col}${not}: ${shown}${more > 0 ? ` +${more} more` : ''}`;
+    }
+    case 'contains':
+      return `${col} ${filter.exclude ? "doesn't contain" : 'contains'} "${filter.text}"`;
+    default:
+      return col;
+  }
+};
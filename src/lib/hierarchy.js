@@ -0,0 +1,64 @@
+// Drill-down dashboards: an ordered hierarchy of dimension columns, e.g.
+// region → customer → order, and a measure column to total. The drill path
+// pins a value for some of the levels; every level below the deepest pinned
+// one gets its own summary table, so a level can also be skipped
+// (program → merchant without picking a card first).
+
+import { isEmptyValue, valueKey } from './filters';
+
+export const EMPTY_LABEL = '(empty)';
+
+/**
+ * Rows matching every step of the drill path. path is [{ level, value }]
+ * ordered by level, with value as a valueKey of the level's column.
+ */
+export const rowsForPath = (rows, levels, path) => {
+  if (path.length === 0) return rows;
+  return rows.filter(row => path.every(step => valueKey(row[levels[step.level].column]) === step.value));
+};
+
+// Indexes of the levels that can still be drilled into
+export const remainingLevels = (levels, path) => {
+  const deepest = path.length ? path[path.length - 1].level : -1;
+  return levels.map((_, i) => i).filter(i => i > deepest);
+};
+
+/**
+ * One summary row per value of levels[level].column:
+ * { value, label, count, total, children }. total sums the measure column
+ * (null without one); children counts distinct values of the next level.
+ */
+export const summarizeLevel = (rows, levels, level, measure) => {
+  const column = levels[level].column;
+  const childColumn = levels[level + 1]?.column;
+  const groups = new Map();
+  rows.forEach(row => {
+    const value = valueKey(row[column]);
+    if (!groups.has(value)) {
+      groups.set(value, { value, label: value === '' ? EMPTY_LABEL : value, count: 0, total: measure ? 0 : null, childValues: new Set() });
+    }
+    const group = groups.get(value);
+    group.count++;
+    if (measure) group.total += parseFloat(row[measure]) || 0;
+    if (childColumn && !isEmptyValue(row[childColumn])) group.childValues.add(valueKey(row[childColumn]));
+  });
+  return [...groups.values()].map(({ childValues, ...group }) => ({ ...group, children: childColumn ? childValues.size : null }));
+};
+
+// Comparator for summary rows or records on `key`: numbers (and numeric text
+// such as ids) as numbers, other text case-insensitively, empties last
+export const compareBy = (key, dir) => (a, b) => {
+  let aVal = a[key];
+  let bVal = b[key];
+  if (isEmptyValue(aVal) || isEmptyValue(bVal)) return isEmptyValue(aVal) - isEmptyValue(bVal);
+  if (!isNaN(Number(aVal)) && !isNaN(Number(bVal))) {
+    aVal = Number(aVal);
+    bVal = Number(bVal);
+  } else {
+    aVal = String(aVal).toLowerCase();
+    bVal = String(bVal).toLowerCase();
+  }
+  if (aVal < bVal) return dir === 'asc' ? -1 : 1;
+  if (aVal > bVal) return dir === 'asc' ? 1 : -1;
+  return 0;
+};
@@ -0,0 +1,222 @@
+// Join engine: finds relationships between loaded tables (declared foreign
+// keys plus <table>_id → <table>.id naming) and builds denormalized views.
+
+// How many hops a joined view follows, e.g. transactions → cards → card_programs
+const MAX_DEPTH = 3;
+
+// Columns tried, in order, for a readable label of a referenced row
+const LABEL_COLUMNS = ['display_name', 'name', 'title', 'label'];
+
+const keyOf = (value) => (value === null || value === undefined || value === '' ? null : String(value).trim());
+
+const tableColumns = (rows) => Object.keys(rows[0] || {}).filter(k => k !== '_id');
+
+// card_id → card_, card_program_id → card_program_, owner → owner_
+const prefixFor = (column) => {
+  const stripped = column.replace(/_?id$/i, '');
+  return `${stripped || column}_`;
+};
+
+// Table names a "<base>_id" column could point at: card → card, cards; category → categories
+const tableCandidates = (base) => {
+  const lower = base.toLowerCase();
+  return [lower, `${lower}s`, `${lower}es`, lower.replace(/y$/, 'ies')];
+};
+
+/**
+ * Find single-column relationships between the loaded tables.
+ * Declared foreign keys come first; naming conventions fill the gaps.
+ * Returns [{ from, column, to, toColumn, source: 'foreign key' | 'naming' }]
+ */
+export const findRelations = (tables, schemas = {}) => {
+  const relations = [];
+  const seen = new Set();
+
+  const add = (rel) => {
+    const id = `${rel.from}.${rel.column}`;
+    if (seen.has(id)) return;
+    if (!tables[rel.to] || tables[rel.to].length === 0) return;
+    if (!tableColumns(tables[rel.to]).includes(rel.toColumn)) return;
+    seen.add(id);
+    relations.push(rel);
+  };
+
+  Object.keys(tables).forEach(from => {
+    const schema = schemas[from];
+    (schema?.foreignKeys || []).forEach(fk => {
+      if (fk.columns.length !== 1) return;
+      const target = schemas[fk.table];
+      const toColumn = fk.refColumns ? fk.refColumns[0] : (target?.primaryKey[0] || 'id');
+      add({ from, column: fk.columns[0], to: fk.table, toColumn, source: 'foreign key' });
+    });
+  });
+
+  Object.keys(tables).forEach(from => {
+    tableColumns(tables[from]).forEach(column => {
+      const m = column.match(/^(.+)_id$/i);
+      if (!m) return;
+      const to = tableCandidates(m[1]).find(name => name !== from && tables[name]);
+      if (to) add({ from, column, to, toColumn: 'id', source: 'naming' });
+    });
+  });
+
+  return relations;
+};
+
+/**
+ * Plan one joined view per table that references others. Each plan lists the
+ * joins to apply in order, following chains up to MAX_DEPTH without cycles.
+ */
+export const planJoinedViews = (tables, relations) => {
+  const bySource = {};
+  relations.forEach(rel => {
+    (bySource[rel.from] = bySource[rel.from] || []).push(rel);
+  });
+
+  const plans = [];
+  Object.keys(tables).forEach(base => {
+    if (!bySource[base] || base.endsWith('_joined')) return;
+
+    const steps = [];
+
+    // Column names are assigned while planning so nested steps can find their key
+    const used = new Set(tableColumns(tables[base]));
+    const assignNames = (step) => {
+      const cols = tableColumns(tables[step.to]);
+      cols.forEach(col => {
+        if (col === step.toColumn) return;
+        let name = col.toLowerCase().startsWith(step.prefix.toLowerCase()) ? col : `${step.prefix}${col}`;
+        if (used.has(name)) name = `${step.prefix}${col}`;
+        let n = 2;
+        while (used.has(name)) name = `${step.prefix}${col}_${n++}`;
+        used.add(name);
+        step.columnMap[col] = name;
+      });
+      // <prefix>name holds the best label (display_name before name), like card_program_name
+      const labelCol = LABEL_COLUMNS.find(c => cols.includes(c));
+      const labelName = `${step.prefix}name`;
+      if (labelCol && (step.columnMap.name === labelName || !used.has(labelName))) {
+        used.add(labelName);
+        step.labelColumn = { from: labelCol, name: labelName };
+      }
+    };
+
+    // Name each level's columns before descending so nested steps can find their key column
+    const walkAndName = (table, parentStep, path, depth) => {
+      if (depth > MAX_DEPTH) return;
+      const children = [];
+      (bySource[table] || []).forEach(rel => {
+        if (path.includes(rel.to)) return;
+        const viaColumn = parentStep ? parentStep.columnMap[rel.column] : rel.column;
+        if (!viaColumn) return;
+        const step = { ...rel, parent: parentStep, viaColumn, prefix: prefixFor(rel.column), depth, columnMap: {} };
+        assignNames(step);
+        steps.push(step);
+        children.push(step);
+      });
+      children.forEach(step => walkAndName(step.to, step, [...path, step.to], depth + 1));
+    };
+    walkAndName(base, null, [base], 1);
+
+    if (steps.length > 0) {
+      plans.push({
+        name: `${base}_joined`,
+        base,
+        steps,
+        description: `${base} → ${[...new Set(steps.map(s => s.to))].join(', ')}`
+      });
+    }
+  });
+
+  return plans;
+};
+
+// Lookup map from key string to row for one target table/column
+const indexBy = (rows, column) => {
+  const map = new Map();
+  rows.forEach(row => {
+    const key = keyOf(row[column]);
+    if (key !== null && !map.has(key)) map.set(key, row);
+  });
+  return map;
+};
+
+/**
+ * Materialize a planned view. Returns { rows, stats, columnSources } where
+ * stats has per-step match counts and columnSources maps each added column
+ * back to { table, column } so types and formats can be carried over.
+ */
+export const buildJoinedView = (tables, plan) => {
+  const indexes = plan.steps.map(step => indexBy(tables[step.to], step.toColumn));
+  const stats = plan.steps.map(step => ({ step, total: 0, matched: 0, nulls: 0, unmatched: new Set() }));
+
+  const rows = tables[plan.base].map((baseRow, idx) => {
+    const row = { ...baseRow, _id: idx };
+    const matchedSteps = new Set();
+    plan.steps.forEach((step, i) => {
+      const stat = stats[i];
+      // Nested steps only run when their parent matched
+      if (step.parent && !matchedSteps.has(step.parent)) {
+        Object.values(step.columnMap).forEach(name => { row[name] = null; });
+        if (step.labelColumn) row[step.labelColumn.name] = null;
+        return;
+      }
+      stat.total++;
+      const key = keyOf(row[step.viaColumn]);
+      const target = key === null ? null : indexes[i].get(key);
+      if (key === null) stat.nulls++;
+      else if (!target) stat.unmatched.add(row[step.viaColumn]);
+      if (target) {
+        stat.matched++;
+        matchedSteps.add(step);
+      }
+      Object.entries(step.columnMap).forEach(([col, name]) => {
+        row[name] = target ? target[col] : null;
+      });
+      if (step.labelColumn) {
+        const label = target ? LABEL_COLUMNS.map(c => target[c]).find(v => v !== null && v !== undefined && v !== '') : null;
+        row[step.labelColumn.name] = label ?? null;
+      }
+    });
+    return row;
+  });
+
+  const columnSources = {};
+  plan.steps.forEach(step => {
+    Object.entries(step.columnMap).forEach(([col, name]) => {
+      columnSources[name] = { table: step.to, column: col };
+    });
+    if (step.labelColumn) columnSources[step.labelColumn.name] = { table: step.to, column: step.labelColumn.from };
+  });
+
+  return { rows, stats, columnSources };
+};
+
+// Parse log lines for a built view, in the same shape as the original card join
+export const joinLogs = (plan, stats, tables) => {
+  const logs = [];
+  stats.forEach(({ step, total, matched, nulls, unmatched }) => {
+    const key = `${step.from}.${step.column}`;
+    const keyed = total - nulls;
+    const how = step.source === 'foreign key' ? 'foreign key' : 'name match';
+    if (keyed === 0) {
+      logs.push(`⚠️ ${plan.name}: no ${key} values to join to ${step.to}`);
+      return;
+    }
+    if (matched === keyed) {
+      logs.push(`✅ ${plan.name}: all ${keyed} ${plan.base} matched to ${step.to} (${key} → ${step.to}.${step.toColumn}, ${how})`);
+    } else {
+      logs.push(`🔗 Joined: ${matched}/${keyed} ${plan.base} matched ${step.to} on ${key} (${Math.round(matched / keyed * 100)}%, ${how})`);
+    }
+    if (nulls > 0) {
+      logs.push(`   ${nulls} ${plan.base} have no ${key}`);
+    }
+    if (matched < keyed) {
+      logs.push(`⚠️ ${unmatched.size} unique ${step.column} values not found in ${step.to} table`);
+      logs.push(`   Sample unmatched ${step.column}s: ${[...unmatched].slice(0, 5).join(', ')}`);
+      const sampleKeys = tables[step.to].slice(0, 5).map(r => r[step.toColumn]);
+      logs.push(`   Sample ${step.to}.${step.toColumn} values in ${step.to} table: ${sampleKeys.join(', ')}`);
+    }
+  });
+  return logs;
+};
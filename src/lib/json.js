@@ -0,0 +1,235 @@
+// JSON / NDJSON reader. Arrays of objects become tables, nested objects become
+// dotted columns (address.city), and nested arrays of objects can be split
+// into child tables that link back with a <parent>_id column.
+
+import { createRowCollector, rowLimitLog } from './rowLimit';
+
+// Cap on how many bad NDJSON lines we spell out in the parse log
+const MAX_LOGGED_ERRORS = 25;
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// File and key names become table names the same way CSV file names do
+const toTableName = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '_');
+
+const kindOf = (v) => (typeof v === 'number' ? 'number' : typeof v === 'boolean' ? 'boolean' : 'string');
+
+/**
+ * Collects JSON records into flat tables.
+ * Options: { splitArrays, rowLimit, sample }; the row limit applies to
+ * top-level records, and child tables keep the rows of the records kept.
+ * Returns { add(tableName, record, label), finish() → { tables, types, logs } }
+ */
+const createTableBuilder = ({ splitArrays = false, rowLimit = 0, sample = false } = {}) => {
+  const built = {};
+  const parentRows = new Map(); // child row → the row it was nested in
+
+  const tableFor = (tableName, label, parentTable) => {
+    if (!built[tableName]) {
+      built[tableName] = {
+        label,
+        parentTable,
+        columns: [],
+        seenColumns: new Set(),
+        kinds: {},
+        rows: createRowCollector(parentTable ? {} : { rowLimit, sample })
+      };
+    }
+    return built[tableName];
+  };
+
+  const setValue = (table, row, column, value) => {
+    if (!table.seenColumns.has(column)) {
+      table.seenColumns.add(column);
+      table.columns.push(column);
+    }
+    row[column] = value;
+    if (value !== null && value !== undefined) {
+      (table.kinds[column] = table.kinds[column] || new Set()).add(kindOf(value));
+    }
+  };
+
+  const add = (tableName, record, label, parent = null) => {
+    const table = tableFor(tableName, label, parent?.table);
+    if (!isPlainObject(record)) record = { value: record };
+
+    const row = {};
+    const children = [];
+    if (parent) setValue(table, row, parent.column, parent.id);
+
+    const flatten = (obj, prefix) => {
+      Object.entries(obj).forEach(([key, value]) => {
+        const column = prefix ? `${prefix}.${key}` : key;
+        if (isPlainObject(value)) {
+          if (Object.keys(value).length === 0) setValue(table, row, column, null);
+          else flatten(value, column);
+        } else if (Array.isArray(value)) {
+          // An empty list is an empty child table when splitting
+          if (splitArrays && value.length === 0) return;
+          if (splitArrays && value.some(isPlainObject)) {
+            children.push({ column, items: value });
+          } else if (value.every(v => !isPlainObject(v) && !Array.isArray(v))) {
+            setValue(table, row, column, value.length > 0 ? value.join(', ') : null);
+          } else {
+            setValue(table, row, column, JSON.stringify(value));
+          }
+        } else {
+          setValue(table, row, column, value);
+        }
+      });
+    };
+    flatten(record, '');
+
+    // Child rows need a key to point at; records without an id get their row number
+    if (splitArrays && (row.id === undefined || row.id === null)) {
+      setValue(table, row, 'id', table.rows.seen + 1);
+    }
+    if (parent) parentRows.set(row, parent.row);
+    // A record the row limit leaves out takes its nested arrays with it
+    if (!table.rows.add(row)) return;
+
+    children.forEach(({ column, items }) => {
+      const childName = `${tableName}_${toTableName(column)}`;
+      const link = { table: tableName, row, column: `${tableName}_id`, id: row.id };
+      items.forEach(item => add(childName, item, `nested "${column}" arrays of ${tableName}`, link));
+    });
+  };
+
+  const finish = () => {
+    const tables = {};
+    const types = {};
+    const logs = [];
+    const keptRows = {};
+    // Parents come before their children, so a sampled-out parent's rows are known by then
+    Object.entries(built).forEach(([tableName, table]) => {
+      let rows = table.rows.rows();
+      if (table.parentTable) rows = rows.filter(row => keptRows[table.parentTable].has(parentRows.get(row)));
+      keptRows[tableName] = new Set(rows);
+      if (rows.length === 0) return;
+      // Records don't all have the same keys; missing ones become null
+      tables[tableName] = rows.map((row, idx) => {
+        const full = { _id: idx };
+        table.columns.forEach(col => {
+          full[col] = row[col] !== undefined ? row[col] : null;
+        });
+        return full;
+      });
+      // Native JSON numbers and booleans are trusted; strings go through the heuristic
+      types[tableName] = {};
+      table.columns.forEach(col => {
+        const kinds = table.kinds[col];
+        if (!kinds || kinds.size !== 1) return;
+        if (kinds.has('number')) types[tableName][col] = 'number';
+        else if (kinds.has('boolean')) types[tableName][col] = 'category';
+      });
+      logs.push(`📄 ${table.label} → ${tableName} (${rows.length} rows, ${table.columns.length} columns)`);
+      if (table.parentTable) {
+        if (rows.length < table.rows.seen) logs.push(`✂️ Kept ${rows.length.toLocaleString()} of ${table.rows.seen.toLocaleString()} rows → ${tableName} (nested in the sampled ${table.parentTable} rows)`);
+      } else {
+        const limited = rowLimitLog(tableName, rows.length, table.rows.seen, sample);
+        if (limited) logs.push(limited);
+      }
+    });
+    return { tables, types, logs };
+  };
+
+  return { add, finish };
+};
+
+/**
+ * Parse a whole JSON document. A top-level array is one table named after the
+ * file; a top-level object contributes one table per property that holds an
+ * array of objects (or a single row if it has none).
+ */
+export const parseJSON = (text, name, options = {}) => {
+  const baseName = toTableName(name.replace(/\.[^/.]+$/, '')) || 'data';
+  const data = JSON.parse(text);
+  const builder = createTableBuilder(options);
+
+  if (Array.isArray(data)) {
+    data.forEach(record => builder.add(baseName, record, 'JSON array'));
+  } else if (isPlainObject(data)) {
+    const arrays = Object.entries(data).filter(([, v]) => Array.isArray(v) && v.some(isPlainObject));
+    if (arrays.length === 0) {
+      builder.add(baseName, data, 'JSON object');
+    } else {
+      // { "data": [...] } wrappers keep the file's name
+      arrays.forEach(([key, records]) => {
+        const tableName = arrays.length === 1 ? baseName : toTableName(key);
+        records.forEach(record => builder.add(tableName, record, `"${key}" array`));
+      });
+    }
+  } else {
+    builder.add(baseName, { value: data }, 'JSON value');
+  }
+
+  return builder.finish();
+};
+
+/**
+ * Incremental NDJSON / JSON Lines reader: push(text) in chunks, then finish().
+ * Each line is one record; lines that don't parse are reported and skipped.
+ */
+export const createNDJSONReader = (name, options = {}) => {
+  const baseName = toTableName(name.replace(/\.[^/.]+$/, '')) || 'data';
+  const builder = createTableBuilder(options);
+  const errors = [];
+  let buffer = '';
+  let line = 0;
+  let records = 0;
+
+  const readLine = (text) => {
+    line++;
+    const trimmed = text.trim();
+    if (!trimmed) return;
+    try {
+      builder.add(baseName, JSON.parse(trimmed), 'JSON lines');
+      records++;
+    } catch (err) {
+      errors.push(`Line ${line}: ${err.message}`);
+    }
+  };
+
+  return {
+    push(text) {
+      buffer += text;
+      let start = 0;
+      let eol;
+      while ((eol = buffer.indexOf('\n', start)) !== -1) {
+        readLine(buffer.slice(start, eol));
+        start = eol + 1;
+      }
+      buffer = buffer.slice(start);
+    },
+
+    get records() {
+      return records;
+    },
+
+    finish() {
+      if (buffer) readLine(buffer);
+      buffer = '';
+      const result = builder.finish();
+      if (errors.length > 0) {
+        result.logs.push(`⚠️ ${errors.length} line(s) could not be parsed as JSON:`);
+        errors.slice(0, MAX_LOGGED_ERRORS).forEach(e => result.logs.push(`⚠️ ${e}`));
+        if (errors.length > MAX_LOGGED_ERRORS) {
+          result.logs.push(`⚠️ ...and ${errors.length - MAX_LOGGED_ERRORS} more`);
+        }
+      }
+      return result;
+    }
+  };
+};
+
+// A .json file that isn't one document but one record per line
+export const looksLikeNDJSON = (text) => {
+  const lines = text.split('\n', 3).map(l => l.trim()).filter(Boolean);
+  if (lines.length < 2) return false;
+  try {
+    lines.forEach(l => JSON.parse(l));
+    return true;
+  } catch {
+    return false;
+  }
+};
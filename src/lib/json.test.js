@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { createNDJSONReader, looksLikeNDJSON, parseJSON } from './json';
+
+const ORDERS = [
+  { id: 1, address: { city: 'Oslo' }, items: [{ sku: 'a' }, { sku: 'b' }] },
+  { id: 2, items: [{ sku: 'c' }] },
+  { id: 3, items: [{ sku: 'd' }] }
+];
+
+describe('parseJSON', () => {
+  it('flattens nested objects into dotted columns', () => {
+    const { tables } = parseJSON(JSON.stringify(ORDERS), 'orders.json');
+    expect(tables.orders[0]).toMatchObject({ id: 1, 'address.city': 'Oslo' });
+    expect(tables.orders[1]['address.city']).toBeNull();
+    expect(tables.orders_items).toBeUndefined();
+  });
+
+  it('splits nested arrays into a child table linked to its parent', () => {
+    const { tables } = parseJSON(JSON.stringify(ORDERS), 'orders.json', { splitArrays: true });
+    expect(tables.orders_items.map(r => [r.orders_id, r.sku])).toEqual([[1, 'a'], [1, 'b'], [2, 'c'], [3, 'd']]);
+  });
+
+  it('keeps child rows only for the parent records the row limit keeps', () => {
+    const { tables, logs } = parseJSON(JSON.stringify(ORDERS), 'orders.json', { splitArrays: true, rowLimit: 2 });
+    expect(tables.orders.map(r => r.id)).toEqual([1, 2]);
+    expect(tables.orders_items.map(r => r.orders_id)).toEqual([1, 1, 2]);
+    expect(logs).toContain('✂️ Kept the first 2 of 3 rows → orders (row limit)');
+  });
+
+  it('has no orphan child rows when sampling', () => {
+    const many = Array.from({ length: 300 }, (_, i) => ({ id: i, items: [{ n: i }, { n: i }] }));
+    const { tables } = parseJSON(JSON.stringify(many), 'orders.json', { splitArrays: true, rowLimit: 20, sample: true });
+    const kept = new Set(tables.orders.map(r => r.id));
+    expect(kept.size).toBe(20);
+    expect(tables.orders_items).toHaveLength(40);
+    expect(tables.orders_items.every(r => kept.has(r.orders_id))).toBe(true);
+  });
+
+  it('makes one table per array in a wrapper object', () => {
+    const { tables } = parseJSON(JSON.stringify({ users: [{ id: 1 }], teams: [{ id: 2 }], meta: { v: 1 } }), 'export.json');
+    expect(Object.keys(tables)).toEqual(['users', 'teams']);
+  });
+});
+
+describe('createNDJSONReader', () => {
+  it('reads records split across chunks and reports bad lines', () => {
+    const reader = createNDJSONReader('events.ndjson');
+    '{"a":1}\n{"a":\n2}\n{"a":3}'.match(/.{1,4}/gs).forEach(chunk => reader.push(chunk));
+    const { tables, logs } = reader.finish();
+    expect(tables.events.map(r => r.a)).toEqual([1, 3]);
+    expect(logs.some(line => line.startsWith('⚠️ 2 line(s) could not be parsed'))).toBe(true);
+  });
+
+  it('recognises JSON lines in a .json file', () => {
+    expect(looksLikeNDJSON('{"a":1}\n{"a":2}\n')).toBe(true);
+    expect(looksLikeNDJSON('[{"a":1},\n{"a":2}]')).toBe(false);
+  });
+});
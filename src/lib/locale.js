@@ -0,0 +1,161 @@
+// Per-dataset number and date conventions: decimal and thousands separators,
+// how negatives are written, and whether 03/04/2024 is 3 April or March 4.
+
+export const DEFAULT_LOCALE = { decimal: '.', thousands: ',', negatives: 'any', dateOrder: 'auto' };
+
+// Separator pairs offered in the UI, keyed by decimal + thousands
+export const NUMBER_FORMATS = [
+  { decimal: '.', thousands: ',', label: '1,234.56' },
+  { decimal: ',', thousands: '.', label: '1.234,56' },
+  { decimal: ',', thousands: ' ', label: '1 234,56' },
+  { decimal: '.', thousands: "'", label: "1'234.56" }
+];
+
+const NEGATIVE_LABELS = { any: '-500, (500) or 500-', minus: '-500', parentheses: '-500 or (500)', trailing: '-500 or 500-' };
+const DATE_ORDER_LABELS = { dmy: 'day/month/year', mdy: 'month/day/year' };
+
+const CURRENCY = /[$€£¥]/g;
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "1.234,56" style numbers for one separator pair: digits grouped in threes,
+// or not grouped at all, with an optional decimal part
+const patterns = new Map();
+const numberPattern = ({ decimal, thousands }) => {
+  const key = decimal + thousands;
+  if (!patterns.has(key)) {
+    const t = thousands === ' ' ? '[\\s\\u00a0\\u202f]' : escapeRegExp(thousands);
+    const d = escapeRegExp(decimal);
+    patterns.set(key, new RegExp(`^(\\d{1,3}(?:${t}\\d{3})+|\\d+)?(?:${d}(\\d+))?$`));
+  }
+  return patterns.get(key);
+};
+
+/**
+ * Read a number written in the dataset's locale. Currency symbols are
+ * ignored; negatives may be -500, (500) or 500- depending on locale.negatives.
+ * Returns NaN for anything that isn't a number.
+ */
+export const parseNumber = (value, locale = DEFAULT_LOCALE) => {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return NaN;
+  let s = value.replace(CURRENCY, '').trim();
+  let negative = false;
+
+  const { negatives } = locale;
+  if ((negatives === 'any' || negatives === 'parentheses') && /^\(.+\)$/.test(s)) {
+    negative = true;
+    s = s.slice(1, -1).trim();
+  } else if ((negatives === 'any' || negatives === 'trailing') && /^[^-]+-$/.test(s)) {
+    negative = true;
+    s = s.slice(0, -1).trim();
+  }
+  if (!negative && /^[-+]/.test(s)) {
+    negative = s[0] === '-';
+    s = s.slice(1).trim();
+  }
+
+  // Plain JS notation (1e6) for datasets that use a decimal point
+  if (locale.decimal === '.' && /^\d+(\.\d+)?e[+-]?\d+$/i.test(s)) {
+    return (negative ? -1 : 1) * Number(s);
+  }
+  const m = s.match(numberPattern(locale));
+  if (!m || (m[1] === undefined && m[2] === undefined)) return NaN;
+  const num = Number(`${(m[1] || '0').replace(/\D/g, '')}.${m[2] || '0'}`);
+  return negative ? -num : num;
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const isoFromParts = (year, month, day) => {
+  if (year < 100) year += year < 70 ? 2000 : 1900;
+  if (month < 1 || month > 12 || day < 1) return null;
+  // Rejects 31/02 and the like
+  if (day > new Date(year, month, 0).getDate()) return null;
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+// A whole value that's an ISO date, optionally followed by a time (2024-03-04T10:30:00Z, 2024-03-04 10:30)
+const ISO_DATE = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s].*)?$/;
+const SHORT_DATE = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})\b/;
+const MONTH_NAME = /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\b/i;
+
+/**
+ * Read a date written in the dataset's locale and return it as YYYY-MM-DD,
+ * or null. ISO dates are always year-first; 03/04/2024 follows
+ * locale.dateOrder, and with 'auto' a day above 12 decides.
+ */
+export const toISODate = (value, locale = DEFAULT_LOCALE) => {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  if (typeof value !== 'string') return null;
+  const s = value.trim();
+
+  const iso = s.match(ISO_DATE);
+  if (iso) return isoFromParts(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+  // 2024-03 is the month as a whole
+  const yearMonth = s.match(/^(\d{4})-(\d{1,2})$/);
+  if (yearMonth) return isoFromParts(Number(yearMonth[1]), Number(yearMonth[2]), 1);
+
+  const short = s.match(SHORT_DATE);
+  if (short) {
+    const [a, b, year] = [Number(short[1]), Number(short[2]), Number(short[3])];
+    const dayFirst = locale.dateOrder === 'dmy' || (locale.dateOrder === 'auto' && a > 12);
+    return dayFirst ? isoFromParts(year, b, a) : isoFromParts(year, a, b);
+  }
+
+  // Spelled-out months: "Mar 4, 2024", "4 March 2024"
+  if (MONTH_NAME.test(s) && /\d/.test(s)) {
+    const parsed = new Date(s);
+    if (!isNaN(parsed.getTime())) return toISODate(parsed);
+  }
+  return null;
+};
+
+// Which way round d/m/y dates are written, judging by values where one part
+// is above 12. Returns null if nothing in the sample decides it.
+export const detectDateOrder = (values) => {
+  let dayFirst = 0;
+  let monthFirst = 0;
+  values.forEach(v => {
+    if (typeof v !== 'string') return;
+    const m = v.trim().match(SHORT_DATE);
+    if (!m) return;
+    if (Number(m[1]) > 12 && Number(m[2]) <= 12) dayFirst++;
+    if (Number(m[2]) > 12 && Number(m[1]) <= 12) monthFirst++;
+  });
+  if (dayFirst === monthFirst) return null;
+  return dayFirst > monthFirst ? 'dmy' : 'mdy';
+};
+
+// Rows per table looked at when guessing the date order
+const DATE_SAMPLE_ROWS = 500;
+
+/**
+ * Settle 'auto' date order for a load by looking at the raw tables, falling
+ * back to month-first. Returns { locale, detected }.
+ */
+export const resolveLocale = (tables, locale = DEFAULT_LOCALE) => {
+  if (locale.dateOrder !== 'auto') return { locale, detected: false };
+  const values = [];
+  Object.values(tables).forEach(rows => {
+    rows.slice(0, DATE_SAMPLE_ROWS).forEach(row => {
+      Object.values(row).forEach(v => {
+        if (typeof v === 'string') values.push(v);
+      });
+    });
+  });
+  const order = detectDateOrder(values);
+  return { locale: { ...locale, dateOrder: order || 'mdy' }, detected: order !== null };
+};
+
+// Parse log line for the settings a load used, or null when they're all the defaults
+export const localeLog = (locale, detected) => {
+  const isDefault = locale.decimal === DEFAULT_LOCALE.decimal && locale.thousands === DEFAULT_LOCALE.thousands &&
+    locale.negatives === DEFAULT_LOCALE.negatives;
+  if (isDefault && !detected && locale.dateOrder === 'mdy') return null;
+  const format = NUMBER_FORMATS.find(f => f.decimal === locale.decimal && f.thousands === locale.thousands);
+  return `🌐 Numbers read as ${format ? format.label : `${locale.thousands}/${locale.decimal}`}` +
+    ` (negatives ${NEGATIVE_LABELS[locale.negatives]}), dates as ${DATE_ORDER_LABELS[locale.dateOrder]}` +
+    ` (${detected ? 'detected' : 'set by you'})`;
+};
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_LOCALE, detectDateOrder, parseNumber, resolveLocale, toISODate } from './locale';
+
+const GERMAN = { decimal: ',', thousands: '.', negatives: 'any', dateOrder: 'dmy' };
+const FRENCH = { decimal: ',', thousands: ' ', negatives: 'minus', dateOrder: 'dmy' };
+
+describe('parseNumber', () => {
+  it('reads the default 1,234.56 style', () => {
+    expect(parseNumber('1,234.56')).toBe(1234.56);
+    expect(parseNumber('$1,000')).toBe(1000);
+    expect(parseNumber('.5')).toBe(0.5);
+    expect(parseNumber('1e6')).toBe(1000000);
+    expect(parseNumber(42)).toBe(42);
+  });
+
+  it('reads other separators', () => {
+    expect(parseNumber('1.234,56', GERMAN)).toBe(1234.56);
+    expect(parseNumber('1.234', GERMAN)).toBe(1234);
+    expect(parseNumber('1 234,5', FRENCH)).toBe(1234.5);
+    expect(parseNumber('1\u202f234,5', FRENCH)).toBe(1234.5);
+    expect(parseNumber("1'234.5", { ...DEFAULT_LOCALE, thousands: "'" })).toBe(1234.5);
+  });
+
+  it('reads negatives the way the locale allows', () => {
+    expect(parseNumber('-500')).toBe(-500);
+    expect(parseNumber('(500)')).toBe(-500);
+    expect(parseNumber('500-')).toBe(-500);
+    expect(parseNumber('-500', FRENCH)).toBe(-500);
+    expect(parseNumber('(500)', FRENCH)).toBeNaN();
+  });
+
+  it('rejects text and badly grouped digits', () => {
+    expect(parseNumber('abc')).toBeNaN();
+    expect(parseNumber('12,34')).toBeNaN();
+    expect(parseNumber('1,234.56', GERMAN)).toBeNaN();
+    expect(parseNumber('')).toBeNaN();
+    expect(parseNumber(null)).toBeNaN();
+  });
+});
+
+describe('toISODate', () => {
+  it('reads ISO dates and drops the time', () => {
+    expect(toISODate('2024-03-04')).toBe('2024-03-04');
+    expect(toISODate('2024-03-04T10:30:00Z')).toBe('2024-03-04');
+    expect(toISODate('2024-3-4 10:30')).toBe('2024-03-04');
+    expect(toISODate('2024-03')).toBe('2024-03-01');
+  });
+
+  it('only takes a whole value as an ISO date', () => {
+    expect(toISODate('12024-03-04')).toBeNull();
+    expect(toISODate('2024-03-04x')).toBeNull();
+  });
+
+  it('follows the date order for short dates', () => {
+    expect(toISODate('03/04/2024', GERMAN)).toBe('2024-04-03');
+    expect(toISODate('03/04/2024', { ...DEFAULT_LOCALE, dateOrder: 'mdy' })).toBe('2024-03-04');
+    expect(toISODate('25/12/24')).toBe('2024-12-25');
+    expect(toISODate('03.04.2024', GERMAN)).toBe('2024-04-03');
+  });
+
+  it('reads spelled-out months', () => {
+    expect(toISODate('Mar 4, 2024')).toBe('2024-03-04');
+    expect(toISODate('4 March 2024')).toBe('2024-03-04');
+  });
+
+  it('rejects dates that do not exist', () => {
+    expect(toISODate('31/02/2024', GERMAN)).toBeNull();
+    expect(toISODate('2023-02-29')).toBeNull();
+    expect(toISODate('2024-02-29')).toBe('2024-02-29');
+    expect(toISODate('hello')).toBeNull();
+    expect(toISODate(20240304)).toBeNull();
+  });
+});
+
+describe('date order detection', () => {
+  it('decides from values with a part above 12', () => {
+    expect(detectDateOrder(['01/02/2024', '25/02/2024'])).toBe('dmy');
+    expect(detectDateOrder(['01/02/2024', '02/25/2024'])).toBe('mdy');
+    expect(detectDateOrder(['01/02/2024', 'x'])).toBeNull();
+  });
+
+  it('settles auto from the tables and falls back to month-first', () => {
+    const dmy = resolveLocale({ t: [{ d: '13/01/2024' }, { d: '01/02/2024' }] });
+    expect(dmy).toEqual({ locale: { ...DEFAULT_LOCALE, dateOrder: 'dmy' }, detected: true });
+    expect(resolveLocale({ t: [{ d: '01/02/2024' }] }).locale.dateOrder).toBe('mdy');
+    expect(resolveLocale({ t: [{ d: '13/01/2024' }] }, GERMAN)).toEqual({ locale: GERMAN, detected: false });
+  });
+});
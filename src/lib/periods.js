@@ -0,0 +1,102 @@
+// Period-over-period comparison: a current date range, the range it's
+// compared with, and the change per group between the two.
+
+import { DEFAULT_LOCALE, toISODate } from './locale';
+
+export const COMPARE_MODES = [
+  { mode: 'previous', label: 'Previous period' },
+  { mode: 'lastYear', label: 'Same period last year' },
+  { mode: 'custom', label: 'Custom range' }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseISO = (iso) => {
+  const [year, month, day] = iso.split('-').map(Number);
+  return { year, month, day };
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+const dayNumber = (iso) => {
+  const { year, month, day } = parseISO(iso);
+  return Date.UTC(year, month - 1, day) / DAY_MS;
+};
+
+const addDays = (iso, days) => new Date((dayNumber(iso) + days) * DAY_MS).toISOString().slice(0, 10);
+
+// Same day n months later, or the month's last day if it's shorter (Mar 31 - 1 month = Feb 28/29)
+const addMonths = (iso, months) => {
+  const { year, month, day } = parseISO(iso);
+  const index = year * 12 + (month - 1) + months;
+  const y = Math.floor(index / 12);
+  const m = index - y * 12 + 1;
+  return `${y}-${pad(m)}-${pad(Math.min(day, daysInMonth(y, m)))}`;
+};
+
+const endOfMonth = (iso) => {
+  const { year, month } = parseISO(iso);
+  return `${year}-${pad(month)}-${pad(daysInMonth(year, month))}`;
+};
+
+const isWholeMonths = ({ from, to }) => parseISO(from).day === 1 && endOfMonth(to) === to;
+
+/**
+ * The range a current { from, to } (ISO dates, both inclusive) is compared
+ * with. 'previous' is the same length right before it, counted in months
+ * when the range is whole months (March compares with February);
+ * 'lastYear' moves it back a year; 'custom' uses the given range.
+ */
+export const comparisonRange = (current, mode, custom = {}) => {
+  const { from, to } = current;
+  if (mode === 'custom') return { from: custom.from || '', to: custom.to || '' };
+  if (mode === 'lastYear') {
+    return { from: addMonths(from, -12), to: isWholeMonths(current) ? endOfMonth(addMonths(to, -12)) : addMonths(to, -12) };
+  }
+  if (isWholeMonths(current)) {
+    const a = parseISO(from);
+    const b = parseISO(to);
+    const months = (b.year - a.year) * 12 + b.month - a.month + 1;
+    return { from: addMonths(from, -months), to: addDays(from, -1) };
+  }
+  const days = dayNumber(to) - dayNumber(from) + 1;
+  return { from: addDays(from, -days), to: addDays(from, -1) };
+};
+
+// Rows whose date column falls in { from, to }; an open end doesn't limit
+export const rowsInRange = (rows, column, { from, to }, locale = DEFAULT_LOCALE) => rows.filter(row => {
+  const iso = toISODate(row[column], locale);
+  return !!iso && (!from || iso >= from) && (!to || iso <= to);
+});
+
+/**
+ * Current groups with { previous, delta, deltaPct } added, matched to the
+ * comparison groups on `key` and compared on `field`. Groups found only in
+ * the comparison period come back through missing(group) with a zero
+ * current value. deltaPct is null when there's nothing to compare with.
+ */
+export const withDeltas = (current, previous, key, field, missing) => {
+  const before = new Map(previous.map(g => [g[key], g]));
+  const seen = new Set(current.map(g => g[key]));
+  return [...current, ...previous.filter(g => !seen.has(g[key])).map(missing)].map(group => {
+    const prev = before.get(group[key])?.[field] ?? 0;
+    const delta = (group[field] ?? 0) - prev;
+    return { ...group, previous: prev, delta, deltaPct: prev ? (delta / Math.abs(prev)) * 100 : null };
+  });
+};
+
+// Flag the `count` groups that changed the most either way
+export const markMovers = (groups, count = 3) => {
+  const movers = new Set(
+    groups.filter(g => g.delta).sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta)).slice(0, count)
+  );
+  return groups.map(g => (movers.has(g) ? { ...g, mover: true } : g));
+};
+
+// "+40.0%", "-12.5%", or "new" for something that wasn't there before
+export const formatPercentChange = ({ delta, deltaPct }) => {
+  if (deltaPct === null) return delta ? 'new' : '—';
+  return `${deltaPct > 0 ? '+' : ''}${deltaPct.toFixed(1)}%`;
+};
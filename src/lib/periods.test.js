@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { comparisonRange, formatPercentChange, markMovers, rowsInRange, withDeltas } from './periods';
+
+describe('comparisonRange', () => {
+  it('compares whole months with the months before', () => {
+    expect(comparisonRange({ from: '2024-03-01', to: '2024-03-31' }, 'previous')).toEqual({ from: '2024-02-01', to: '2024-02-29' });
+    expect(comparisonRange({ from: '2024-01-01', to: '2024-03-31' }, 'previous')).toEqual({ from: '2023-10-01', to: '2023-12-31' });
+  });
+
+  it('compares other ranges with as many days before', () => {
+    expect(comparisonRange({ from: '2024-03-05', to: '2024-03-11' }, 'previous')).toEqual({ from: '2024-02-27', to: '2024-03-04' });
+  });
+
+  it('moves back a year, keeping month ends', () => {
+    expect(comparisonRange({ from: '2024-02-01', to: '2024-02-29' }, 'lastYear')).toEqual({ from: '2023-02-01', to: '2023-02-28' });
+    expect(comparisonRange({ from: '2023-02-01', to: '2023-02-28' }, 'lastYear')).toEqual({ from: '2022-02-01', to: '2022-02-28' });
+    expect(comparisonRange({ from: '2024-03-10', to: '2024-03-20' }, 'lastYear')).toEqual({ from: '2023-03-10', to: '2023-03-20' });
+  });
+
+  it('uses a custom range as given', () => {
+    expect(comparisonRange({ from: '2024-03-01', to: '2024-03-31' }, 'custom', { from: '2020-01-01' })).toEqual({ from: '2020-01-01', to: '' });
+  });
+});
+
+describe('rowsInRange', () => {
+  const rows = [{ d: '01/03/2024' }, { d: '15/03/2024' }, { d: '01/04/2024' }, { d: '' }];
+  const dmy = { decimal: '.', thousands: ',', negatives: 'any', dateOrder: 'dmy' };
+
+  it('keeps rows dated inside the range, read in the locale', () => {
+    expect(rowsInRange(rows, 'd', { from: '2024-03-01', to: '2024-03-31' }, dmy)).toEqual([{ d: '01/03/2024' }, { d: '15/03/2024' }]);
+    expect(rowsInRange(rows, 'd', { from: '2024-03-10', to: '' }, dmy)).toHaveLength(2);
+  });
+});
+
+describe('withDeltas', () => {
+  it('matches groups on a key and adds the change', () => {
+    const current = [{ name: 'a', total: 150 }, { name: 'b', total: 50 }];
+    const previous = [{ name: 'a', total: 100 }, { name: 'c', total: 20 }];
+    const groups = withDeltas(current, previous, 'name', 'total', g => ({ name: g.name, total: 0 }));
+    expect(groups).toEqual([
+      { name: 'a', total: 150, previous: 100, delta: 50, deltaPct: 50 },
+      { name: 'b', total: 50, previous: 0, delta: 50, deltaPct: null },
+      { name: 'c', total: 0, previous: 20, delta: -20, deltaPct: -100 }
+    ]);
+    expect(groups.map(formatPercentChange)).toEqual(['+50.0%', 'new', '-100.0%']);
+  });
+
+  it('flags the biggest movers either way', () => {
+    const groups = [{ delta: 5 }, { delta: -40 }, { delta: 0 }, { delta: 12 }];
+    expect(markMovers(groups, 2).map(g => !!g.mover)).toEqual([false, true, false, true]);
+  });
+});
@@ -0,0 +1,639 @@
+// Load pipeline: read → parse → type detection → joins. Runs inside
+// pipeline.worker.js so large files don't block the UI; every step reports
+// progress as a parse log line.
+
+import Papa from 'papaparse';
+import { parseWorkbook } from './excel';
+import { createSQLParser, declaredTypes } from './sqlDump';
+import { readSQLiteDatabase, isSQLiteFile } from './sqlite';
+import { unpackArchive, fileKind } from './archive';
+import { sniffCSV, detectEncoding, delimiterLabel } from './csvSniff';
+import { parseJSON, createNDJSONReader, looksLikeNDJSON } from './json';
+import { findRelations, planJoinedViews, buildJoinedView, joinLogs } from './joins';
+import { processTableData } from './columnTypes';
+import { DEFAULT_LOCALE, resolveLocale, localeLog } from './locale';
+import { computeAggregations } from './aggregations';
+import { profileColumns } from './profile';
+import { createRowCollector, rowLimitLog } from './rowLimit';
+
+// Files are read and parsed in slices of this size, so a dump never has to
+// fit in memory as one string
+const READ_CHUNK = 4 * 1024 * 1024;
+
+// A source is a string, File/Blob, ArrayBuffer, or a file inflated out of an
+// archive ({ chunks }), whose size isn't known until it has been read
+const isStream = (source) => !!source?.chunks;
+
+const mb = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+const percent = (part, total) => (total > 0 ? Math.floor(part / total * 100) : 100);
+const sizeOf = (source) => {
+  if (typeof source === 'string') return source.length;
+  if (source instanceof ArrayBuffer) return source.byteLength;
+  return isStream(source) ? null : source.size;
+};
+// "12.5 of 80.0 MB (15%)", or just "12.5 MB" when the total isn't known
+const amountRead = (read, total) => (total === null ? `${mb(read)} MB` : `${mb(read)} of ${mb(total)} MB (${percent(read, total)}%)`);
+
+// The bytes of a non-string source, slice by slice
+const byteChunks = async function* (source) {
+  if (isStream(source)) {
+    yield* source.chunks;
+    return;
+  }
+  if (source instanceof ArrayBuffer) {
+    for (let offset = 0; offset < source.byteLength; offset += READ_CHUNK) {
+      yield new Uint8Array(source, offset, Math.min(READ_CHUNK, source.byteLength - offset));
+    }
+    return;
+  }
+  for (let offset = 0; offset < source.size; offset += READ_CHUNK) {
+    yield new Uint8Array(await source.slice(offset, offset + READ_CHUNK).arrayBuffer());
+  }
+};
+
+const rowCounts = (rows) => Object.entries(rows).map(([t, n]) => `${t} ${n.toLocaleString()}`).join(' · ');
+
+// Feed a source to `onText` slice by slice, decoding UTF-8 across slice
+// boundaries; strings go through in one piece
+const streamText = async (source, onText, onRead) => {
+  if (typeof source === 'string') {
+    onText(source);
+    return;
+  }
+  const decoder = new TextDecoder();
+  let read = 0;
+  for await (const bytes of byteChunks(source)) {
+    onText(decoder.decode(bytes, { stream: true }));
+    read += bytes.length;
+    onRead(read);
+  }
+  onText(decoder.decode());
+};
+
+// Formats that can only be read whole (SQLite, workbooks) get one buffer
+const readBuffer = async (source, name, progress) => {
+  if (source instanceof ArrayBuffer) return source;
+  if (!isStream(source)) {
+    progress(`⏳ Reading ${name}: ${mb(source.size)} MB`);
+    return source.arrayBuffer();
+  }
+  const parts = [];
+  let size = 0;
+  for await (const bytes of source.chunks) {
+    parts.push(bytes);
+    size += bytes.length;
+    progress(`⏳ Reading ${name}: ${mb(size)} MB`);
+  }
+  const buffer = new Uint8Array(size);
+  let offset = 0;
+  parts.forEach(bytes => {
+    buffer.set(bytes, offset);
+    offset += bytes.length;
+  });
+  return buffer.buffer;
+};
+
+// Number and date conventions for one load: the user's settings, with an
+// 'auto' date order settled from the raw values
+const loadLocale = (rawTables, options, logs) => {
+  const { locale, detected } = resolveLocale(rawTables, options.locale || DEFAULT_LOCALE);
+  const line = localeLog(locale, detected);
+  if (line) logs.push(line);
+  return locale;
+};
+
+const localesFor = (tables, locale) => Object.fromEntries(Object.keys(tables).map(t => [t, locale]));
+
+// Type every table, reporting which one is being scanned
+const typeTables = (rawTables, knownTypes, progress, locale) => {
+  const tables = {};
+  const types = {};
+  const names = Object.keys(rawTables);
+  names.forEach((tableName, i) => {
+    progress(`⏳ Detecting column types: ${tableName} (${i + 1}/${names.length})`);
+    const tableData = rawTables[tableName];
+    const cols = Object.keys(tableData[0] || {}).filter(k => k !== '_id');
+    const { processedData, types: tableTypes } = processTableData(tableData, cols, knownTypes[tableName] || {}, locale);
+    tables[tableName] = processedData;
+    types[tableName] = tableTypes;
+  });
+  return { tables, types, locales: localesFor(tables, locale) };
+};
+
+// Materialize a planned joined view. Joined columns keep the type and DDL info
+// of the column they came from; anything new goes through the heuristic.
+export const buildView = (plan, sourceTables, sourceTypes, sourceSchemas, locale = DEFAULT_LOCALE) => {
+  const { rows, stats, columnSources } = buildJoinedView(sourceTables, plan);
+  const knownTypes = { ...sourceTypes[plan.base] };
+  const schemaColumns = [...(sourceSchemas[plan.base]?.columns || [])];
+  Object.entries(columnSources).forEach(([name, { table, column }]) => {
+    if (sourceTypes[table]?.[column]) knownTypes[name] = sourceTypes[table][column];
+    const declared = sourceSchemas[table]?.columns.find(c => c.name === column);
+    if (declared) schemaColumns.push({ ...declared, name, primaryKey: false });
+  });
+
+  const cols = Object.keys(rows[0] || {}).filter(k => k !== '_id');
+  const { processedData, types } = processTableData(rows, cols, knownTypes, locale);
+  return {
+    rows: processedData,
+    types,
+    schema: schemaColumns.length > 0 ? { columns: schemaColumns, primaryKey: [], foreignKeys: [] } : null,
+    logs: joinLogs(plan, stats, sourceTables)
+  };
+};
+
+// Offer a joined view for every table that references others, and pick the
+// table to open first
+const joinTables = ({ tables, types, schemas, locales = {}, logs }, progress) => {
+  const plans = planJoinedViews(tables, findRelations(tables, schemas));
+  if (plans.length > 0) {
+    logs.push(`🔗 ${plans.length} joined view(s) available: ${plans.map(p => p.name).join(', ')}`);
+  }
+
+  // transactions → cards → card_programs feeds the dashboard, so build it right away
+  const txnPlan = plans.find(p => p.name === 'transactions_joined');
+  if (txnPlan && tables['cards'] && tables['card_programs']) {
+    progress(`⏳ Building ${txnPlan.name}: ${txnPlan.description}`);
+    const view = buildView(txnPlan, tables, types, schemas, locales[txnPlan.base]);
+    view.rows.forEach(txn => {
+      if (!txn.card_program_name) {
+        txn.card_program_name = txn.card_program_id !== undefined && txn.card_program_id !== null
+          ? `Program #${txn.card_program_id}`
+          : 'Unknown Program';
+      }
+    });
+    tables['transactions_joined'] = view.rows;
+    types['transactions_joined'] = view.types;
+    if (view.schema) schemas['transactions_joined'] = view.schema;
+    locales['transactions_joined'] = locales[txnPlan.base];
+    logs.push(...view.logs);
+  }
+
+  // Prefer transactions_joined if it exists, else transactions, else first table
+  let defaultTable = Object.keys(tables)[0];
+  if (tables['transactions_joined']) {
+    defaultTable = 'transactions_joined';
+  } else if (tables['transactions']) {
+    defaultTable = 'transactions';
+  }
+
+  return { tables, types, schemas, locales, plans, logs, defaultTable };
+};
+
+// Shared by SQL dumps and SQLite files
+const finishSQLTables = (parsedTables, parsedSchemas, logs, progress, options) => {
+  if (Object.keys(parsedTables).length === 0) {
+    return { tables: {}, types: {}, schemas: parsedSchemas, locales: {}, plans: [], logs, defaultTable: null };
+  }
+
+  // Declared CREATE TABLE types win over the heuristic
+  const knownTypes = {};
+  Object.keys(parsedTables).forEach(tableName => {
+    knownTypes[tableName] = declaredTypes(parsedSchemas[tableName]);
+  });
+  const locale = loadLocale(parsedTables, options, logs);
+  const { tables, types, locales } = typeTables(parsedTables, knownTypes, progress, locale);
+  const result = { tables, types, schemas: parsedSchemas, locales, plans: [], logs, defaultTable: Object.keys(tables)[0] };
+  return options.deferJoins ? result : joinTables(result, progress);
+};
+
+const loadSQL = async (source, name, progress, limits, options) => {
+  const total = sizeOf(source);
+  let read = 0;
+  let counts = '';
+  const report = () => {
+    progress(`⏳ Reading ${name}: ${amountRead(read, total)}${counts ? ` — ${counts} rows` : ''}`);
+  };
+
+  // Statements are parsed as each slice arrives
+  const parser = createSQLParser({
+    ...limits,
+    onProgress: ({ position, rows }) => {
+      if (typeof source === 'string') read = position;
+      counts = rowCounts(rows);
+      report();
+    }
+  });
+  await streamText(source, text => parser.push(text), (bytes) => {
+    read = bytes;
+    report();
+  });
+  const { tables: parsedTables, logs, schemas: parsedSchemas } = parser.finish();
+  return finishSQLTables(parsedTables, parsedSchemas, logs, progress, options);
+};
+
+// How much of a delimited file is looked at to guess its settings
+const SNIFF_BYTES = 64 * 1024;
+
+// The start of a delimited file to sniff: { head, truncated, source }. A
+// stream's first slices are read ahead, so it comes back as a new stream that
+// starts over from them.
+const csvHead = async (source) => {
+  if (typeof source === 'string') {
+    // Already decoded (URL downloads)
+    return { head: source.slice(0, SNIFF_BYTES), truncated: source.length > SNIFF_BYTES, source };
+  }
+  if (!isStream(source)) {
+    const blob = source instanceof ArrayBuffer ? new Blob([source]) : source;
+    return { head: new Uint8Array(await blob.slice(0, SNIFF_BYTES).arrayBuffer()), truncated: blob.size > SNIFF_BYTES, source: blob };
+  }
+  const input = source.chunks[Symbol.asyncIterator]();
+  const read = [];
+  let size = 0;
+  let done = false;
+  while (size <= SNIFF_BYTES && !done) {
+    const next = await input.next();
+    done = !!next.done;
+    if (!done) {
+      read.push(next.value);
+      size += next.value.length;
+    }
+  }
+  const head = new Uint8Array(Math.min(size, SNIFF_BYTES));
+  let offset = 0;
+  for (const bytes of read) {
+    if (offset === head.length) break;
+    const part = bytes.subarray(0, head.length - offset);
+    head.set(part, offset);
+    offset += part.length;
+  }
+  const chunks = (async function* () {
+    yield* read.splice(0);
+    for (let next = await input.next(); !next.done; next = await input.next()) yield next.value;
+  })();
+  return { head, truncated: size > SNIFF_BYTES, source: { chunks } };
+};
+
+// Encoding, delimiter and header row for a delimited file: whatever the user
+// picked, sniffed from its first bytes (or text) otherwise. headerRow is a
+// 0-based line index, or null when the file has no header.
+const csvSettings = (head, truncated, overrides) => {
+  const isSet = (key) => overrides[key] !== undefined && overrides[key] !== 'auto';
+  let encoding = null;
+  let sample = head;
+  if (typeof head !== 'string') {
+    encoding = isSet('encoding') ? overrides.encoding : detectEncoding(head, truncated);
+    sample = new TextDecoder(encoding).decode(head, { stream: truncated });
+  }
+
+  const sniffed = sniffCSV(sample, truncated);
+  let headerRow = sniffed.headerRow;
+  if (isSet('headerRow')) headerRow = overrides.headerRow === 'none' ? null : Number(overrides.headerRow) - 1;
+  return {
+    encoding,
+    delimiter: isSet('delimiter') ? overrides.delimiter : sniffed.delimiter,
+    headerRow,
+    chosen: { encoding: isSet('encoding'), delimiter: isSet('delimiter'), headerRow: isSet('headerRow') }
+  };
+};
+
+const csvSettingsLog = (name, { encoding, delimiter, headerRow, chosen }) => {
+  const how = (key) => (chosen[key] ? 'set by you' : 'detected');
+  const parts = [`${delimiterLabel(delimiter)}-delimited (${how('delimiter')})`];
+  if (encoding) parts.push(`${encoding} (${how('encoding')})`);
+  parts.push(headerRow === null
+    ? `no header row, columns named column_1, column_2, ... (${how('headerRow')})`
+    : `header on line ${headerRow + 1} (${how('headerRow')})`);
+  return `📄 ${name}: ${parts.join(', ')}`;
+};
+
+// Papa reads Node-style streams; this one is fed decoded text by hand
+const textStream = () => {
+  const handlers = {};
+  return {
+    readable: true,
+    read: () => null,
+    on: (event, fn) => { handlers[event] = fn; },
+    removeListener: (event) => { delete handlers[event]; },
+    pause: () => {},
+    resume: () => {},
+    write: (text) => handlers.data?.(text),
+    end: () => handlers.end?.()
+  };
+};
+
+// Papa's chunk mode hands rows over a slice at a time, so only the rows we
+// keep are held in memory
+const parseCSVChunks = (source, name, progress, limits, settings) => new Promise((resolve, reject) => {
+  const total = sizeOf(source);
+  const collector = createRowCollector(limits);
+  const hasHeader = settings.headerRow !== null;
+  const input = isStream(source) ? textStream() : source;
+  let fields = [];
+  Papa.parse(input, {
+    header: hasHeader,
+    delimiter: settings.delimiter,
+    encoding: settings.encoding || undefined,
+    // Title rows above the header are dropped before Papa reads the header (skipFirstNLines needs Papa 5.5+)
+    skipFirstNLines: hasHeader ? settings.headerRow : 0,
+    skipEmptyLines: true,
+    chunkSize: READ_CHUNK,
+    chunk: (results) => {
+      if (hasHeader) {
+        if (results.meta.fields) fields = results.meta.fields;
+        results.data.forEach(row => collector.add(row));
+      } else {
+        results.data.forEach(cells => {
+          const row = {};
+          cells.forEach((cell, i) => {
+            if (i >= fields.length) fields.push(`column_${i + 1}`);
+            row[fields[i]] = cell;
+          });
+          collector.add(row);
+        });
+      }
+      const read = total === null ? results.meta.cursor : Math.min(results.meta.cursor, total);
+      progress(`⏳ Reading ${name}: ${amountRead(read, total)} — ${collector.seen.toLocaleString()} rows`);
+    },
+    complete: () => resolve({ rows: collector.rows(), seen: collector.seen, fields }),
+    error: (err) => reject(new Error(`Could not read ${name}: ${err.message}`))
+  });
+  if (input !== source) {
+    // The first write holds the whole sniffed head, so skipFirstNLines sees the title rows
+    (async () => {
+      const decoder = new TextDecoder(settings.encoding || 'utf-8');
+      let pending = '';
+      for await (const bytes of source.chunks) {
+        pending += decoder.decode(bytes, { stream: true });
+        if (pending.length >= SNIFF_BYTES) {
+          input.write(pending);
+          pending = '';
+        }
+      }
+      pending += decoder.decode();
+      if (pending) input.write(pending);
+      input.end();
+    })().catch(err => reject(new Error(`Could not read ${name}: ${err.message}`)));
+  }
+});
+
+const loadCSV = async (source, name, progress, limits, options) => {
+  const { head, truncated, source: rest } = await csvHead(source);
+  const settings = csvSettings(head, truncated, options.csv || {});
+  const { rows, seen, fields } = await parseCSVChunks(rest, name, progress, limits, settings);
+
+  const tableName = name.replace(/\.[^/.]+$/, '').toLowerCase().replace(/[^a-z0-9]/g, '_');
+  const logs = [csvSettingsLog(name, settings)];
+  const locale = loadLocale({ [tableName]: rows }, options, logs);
+  progress(`⏳ Detecting column types: ${tableName} (${rows.length.toLocaleString()} rows)`);
+  const { processedData, types } = processTableData(rows, fields, {}, locale);
+
+  logs.push(`✅ Loaded ${processedData.length} rows`);
+  const limited = rowLimitLog(tableName, processedData.length, seen, limits.sample);
+  if (limited) logs.push(limited);
+
+  return {
+    tables: { [tableName]: processedData },
+    types: { [tableName]: types },
+    schemas: {},
+    locales: { [tableName]: locale },
+    plans: [],
+    logs,
+    defaultTable: tableName
+  };
+};
+
+const loadWorkbook = async (source, name, progress, limits, options) => {
+  const buffer = await readBuffer(source, name, progress);
+  progress(`⏳ Parsing workbook ${name}...`);
+  let parsed;
+  try {
+    parsed = parseWorkbook(buffer);
+  } catch (err) {
+    throw new Error(`Could not read workbook ${name}: ${err.message}`);
+  }
+
+  const { tables: sheets, types: sheetTypes, logs } = parsed;
+  if (Object.keys(sheets).length === 0) {
+    return { tables: {}, types: {}, schemas: {}, locales: {}, plans: [], logs, defaultTable: null };
+  }
+
+  // Native cell types win over the heuristic; only text columns get re-guessed
+  const locale = loadLocale(sheets, options, logs);
+  const { tables, types, locales } = typeTables(sheets, sheetTypes, progress, locale);
+  return {
+    tables,
+    types,
+    schemas: {},
+    locales,
+    // Sheets can reference each other too (orders.customer_id → customers.id)
+    plans: planJoinedViews(tables, findRelations(tables)),
+    logs,
+    defaultTable: Object.keys(tables)[0]
+  };
+};
+
+const loadSQLite = async (source, name, progress, limits, options) => {
+  const buffer = await readBuffer(source, name, progress);
+  if (!isSQLiteFile(buffer)) throw new Error(`${name} is not a SQLite database`);
+  progress(`⏳ Opening SQLite database ${name}...`);
+  let parsed;
+  try {
+    parsed = await readSQLiteDatabase(buffer, { ...limits, onProgress: progress });
+  } catch (err) {
+    throw new Error(`Could not read SQLite database ${name}: ${err.message}`);
+  }
+  return finishSQLTables(parsed.tables, parsed.schemas, parsed.logs, progress, options);
+};
+
+const loadJSON = async (source, name, progress, limits, options) => {
+  const total = sizeOf(source);
+  const readerOptions = { ...limits, splitArrays: options.splitArrays };
+  let parsed;
+
+  if (/\.(ndjson|jsonl)$/i.test(name)) {
+    // One record per line, so lines are parsed as each slice arrives
+    const reader = createNDJSONReader(name, readerOptions);
+    await streamText(source, text => reader.push(text), (read) => {
+      progress(`⏳ Reading ${name}: ${amountRead(read, total)} — ${reader.records.toLocaleString()} records`);
+    });
+    parsed = reader.finish();
+  } else {
+    // A JSON document only parses whole
+    let text = '';
+    await streamText(source, chunk => { text += chunk; }, (read) => {
+      progress(`⏳ Reading ${name}: ${amountRead(read, total)}`);
+    });
+    progress(`⏳ Parsing ${name}...`);
+    try {
+      parsed = parseJSON(text, name, readerOptions);
+    } catch (err) {
+      if (!looksLikeNDJSON(text)) throw new Error(`Could not read JSON ${name}: ${err.message}`);
+      const reader = createNDJSONReader(name, readerOptions);
+      reader.push(text);
+      parsed = reader.finish();
+    }
+  }
+
+  const { tables: rawTables, types: nativeTypes, logs } = parsed;
+  if (Object.keys(rawTables).length === 0) {
+    return { tables: {}, types: {}, schemas: {}, locales: {}, plans: [], logs, defaultTable: null };
+  }
+
+  // Native JSON numbers and booleans win over the heuristic
+  const locale = loadLocale(rawTables, options, logs);
+  const { tables, types, locales } = typeTables(rawTables, nativeTypes, progress, locale);
+  const result = { tables, types, schemas: {}, locales, plans: [], logs, defaultTable: Object.keys(tables)[0] };
+  return options.deferJoins ? result : joinTables(result, progress);
+};
+
+// Add one file's tables to a combined result. A name that's already taken
+// gets a numeric suffix (cards → cards_2), and foreign keys between the new
+// tables follow the rename. Returns [{ from, to }] per table.
+const mergeTables = (target, result) => {
+  const renames = {};
+  Object.keys(result.tables).forEach(tableName => {
+    let to = tableName;
+    let n = 2;
+    while (target.tables[to] || Object.values(renames).includes(to)) to = `${tableName}_${n++}`;
+    renames[tableName] = to;
+  });
+
+  return Object.entries(renames).map(([from, to]) => {
+    target.tables[to] = result.tables[from];
+    target.types[to] = result.types[from];
+    target.locales[to] = result.locales[from];
+    const schema = result.schemas[from];
+    if (schema) {
+      const foreignKeys = schema.foreignKeys.map(fk => ({ ...fk, table: renames[fk.table] || fk.table }));
+      target.schemas[to] = { ...schema, foreignKeys };
+    } else {
+      delete target.schemas[to];
+    }
+    return { from, to };
+  });
+};
+
+// Merge a load result into the tables already open. Views joined from the old
+// tables are dropped so they're rebuilt with the new ones.
+const addToWorkspace = (workspace, result, progress) => {
+  const merged = {
+    tables: { ...workspace.tables },
+    types: { ...workspace.types },
+    schemas: { ...workspace.schemas },
+    locales: { ...workspace.locales },
+    logs: [...result.logs]
+  };
+  Object.keys(merged.tables).forEach(tableName => {
+    const base = tableName.replace(/_joined$/, '');
+    if (base !== tableName && merged.tables[base]) {
+      delete merged.tables[tableName];
+      delete merged.types[tableName];
+      delete merged.schemas[tableName];
+      delete merged.locales[tableName];
+    }
+  });
+
+  const added = mergeTables(merged, result);
+  added.forEach(({ from, to }) => {
+    merged.logs.push(to === from
+      ? `📥 Added ${to} to the workspace (${merged.tables[to].length} rows)`
+      : `📥 Added ${from} to the workspace as ${to} (${merged.tables[to].length} rows, ${from} was already loaded)`);
+  });
+  if (added.length === 0) return { ...merged, plans: [], defaultTable: null };
+
+  const joined = joinTables(merged, progress);
+  // Open the first new table, unless the new tables completed the dashboard join
+  const builtDashboard = joined.tables['transactions_joined'] && !workspace.tables['transactions_joined'];
+  return { ...joined, defaultTable: builtDashboard ? 'transactions_joined' : added[0].to };
+};
+
+// Every CSV, SQL, JSON, SQLite or Excel file in a .gz/.zip loads as if it had
+// been uploaded on its own; joins run once across all of them. Files are
+// inflated as the archive is read and go to their loader a slice at a time.
+const loadArchive = async (source, name, progress, limits, options) => {
+  progress(`⏳ Unpacking ${name}...`);
+  const merged = { tables: {}, types: {}, schemas: {}, locales: {}, logs: [] };
+  let count = 0;
+  try {
+    for await (const entry of unpackArchive(byteChunks(source), name)) {
+      count++;
+      const kind = fileKind(entry.name);
+      if (!kind || kind === 'archive') {
+        merged.logs.push(`⏭️ Skipped ${entry.name} (not a CSV, SQL, JSON, SQLite or Excel file)`);
+        continue;
+      }
+      progress(`⏳ Loading ${entry.name} (file ${count})`);
+      const fileName = entry.name.split('/').pop();
+      let size = 0;
+      const counted = (async function* () {
+        for await (const bytes of entry.chunks) {
+          size += bytes.length;
+          yield bytes;
+        }
+      })();
+      let result;
+      try {
+        result = await LOADERS[kind]({ chunks: counted }, fileName, progress, limits, { ...options, deferJoins: true });
+      } catch (err) {
+        merged.logs.push(`⚠️ ${entry.name}: ${err.message}`);
+        continue;
+      }
+      const names = mergeTables(merged, result).map(({ from, to }) => (
+        `${to} (${merged.tables[to].length} rows${to !== from ? `, renamed from ${from}` : ''})`
+      ));
+      merged.logs.push(`📄 ${entry.name} (${(size / 1024).toFixed(1)} KB) → ${names.length > 0 ? names.join(', ') : 'no tables'}`);
+      merged.logs.push(...result.logs);
+    }
+  } catch (err) {
+    throw new Error(`Could not unpack ${name}: ${err.message}`);
+  }
+  merged.logs.unshift(`📦 Unpacked ${name}: ${count} file(s)`);
+
+  if (Object.keys(merged.tables).length === 0) {
+    merged.logs.push(`⚠️ No data found in ${name}`);
+    return { ...merged, plans: [], defaultTable: null };
+  }
+  return options.deferJoins
+    ? { ...merged, plans: [], defaultTable: Object.keys(merged.tables)[0] }
+    : joinTables(merged, progress);
+};
+
+const LOADERS = { sql: loadSQL, sqlite: loadSQLite, csv: loadCSV, workbook: loadWorkbook, json: loadJSON, archive: loadArchive };
+
+/**
+ * Run one pipeline task. Messages:
+ *   { type: 'load', kind: 'sql' | 'sqlite' | 'csv' | 'workbook' | 'json' | 'archive', source: File | string | ArrayBuffer, name, limits, options }
+ *     (loaders also take { chunks }, a file inflated out of an archive)
+ *     limits: { rowLimit, sample } per table, for SQL, SQLite, CSV and JSON
+ *     options: { splitArrays } turns nested JSON arrays into child tables;
+ *              { csv: { delimiter, encoding, headerRow } } overrides CSV sniffing ('auto' = sniff,
+ *                headerRow is 1-based or 'none');
+ *              { locale: { decimal, thousands, negatives, dateOrder } } how numbers and dates are written;
+ *              { deferJoins } leaves joined views to the caller (used per archive entry)
+ *     workspace: { tables, types, schemas, locales } already open; new tables are
+ *                merged into it and the result holds the whole workspace
+ *   { type: 'view', plan, tables, types, schemas, locale }
+ *   { type: 'aggregate', rows, cols }
+ *   { type: 'profile', rows, cols, types, locale }
+ * `onProgress(line)` receives parse log lines while the task runs. Loaders
+ * report progress between chunks, and that's where the task stops once
+ * `isCancelled()` turns true (for the main-thread fallback, which can't be
+ * terminated like a worker).
+ */
+export const runTask = async (message, onProgress = () => {}, isCancelled = () => false) => {
+  const progress = (line) => {
+    if (isCancelled()) throw new Error('Cancelled');
+    onProgress(line);
+  };
+  switch (message.type) {
+    case 'load': {
+      const load = LOADERS[message.kind];
+      if (!message.workspace) {
+        return load(message.source, message.name, progress, message.limits || {}, message.options || {});
+      }
+      // Joins wait until the new tables sit next to the existing ones
+      const result = await load(message.source, message.name, progress, message.limits || {}, { ...message.options, deferJoins: true });
+      return addToWorkspace(message.workspace, result, progress);
+    }
+    case 'view':
+      progress(`⏳ Building ${message.plan.name}: ${message.plan.description}`);
+      return buildView(message.plan, message.tables, message.types, message.schemas, message.locale);
+    case 'aggregate':
+      return computeAggregations(message.rows, message.cols);
+    case 'profile':
+      return profileColumns(message.rows, message.cols, message.types, message.locale);
+    default:
+      throw new Error(`Unknown pipeline task: ${message.type}`);
+  }
+};
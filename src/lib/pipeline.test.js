@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { gzipSync, strToU8, zipSync } from 'fflate';
+import { runTask } from './pipeline';
+
+const TITLED_CSV = 'Quarterly sales report\nRegion: North\n\nid,product,amount\n1,Widget,10\n2,Gadget,20\n3,Gizmo,30\n4,Doohickey,40\n5,Sprocket,50\n';
+
+// A { chunks } stream of the text in small slices, like a streamed download or archive entry
+const streamOf = (text, size) => {
+  const bytes = new TextEncoder().encode(text);
+  return {
+    chunks: (async function* () {
+      for (let i = 0; i < bytes.length; i += size) yield bytes.subarray(i, i + size);
+    })()
+  };
+};
+
+const loadCSV = (source, csv = {}) => runTask({ type: 'load', kind: 'csv', source, name: 'sales.csv', options: { csv } });
+
+describe('loading delimited files', () => {
+  it('skips the title rows above a detected header', async () => {
+    const { tables, logs } = await loadCSV(TITLED_CSV);
+    expect(tables.sales.map(r => r.product)).toEqual(['Widget', 'Gadget', 'Gizmo', 'Doohickey', 'Sprocket']);
+    expect(Object.keys(tables.sales[0])).toEqual(expect.arrayContaining(['id', 'product', 'amount']));
+    expect(logs[0]).toContain('header on line 4 (detected)');
+  });
+
+  it('skips them when the file arrives in small chunks', async () => {
+    const { tables } = await loadCSV(streamOf(TITLED_CSV, 7));
+    expect(tables.sales.map(r => r.id)).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('uses a header row the user picked', async () => {
+    const { tables, logs } = await loadCSV('a,b\nx,y\n1,2\n', { headerRow: '2' });
+    expect(tables.sales).toHaveLength(1);
+    expect(tables.sales[0]).toMatchObject({ x: 1, y: 2 });
+    expect(logs[0]).toContain('header on line 2 (set by you)');
+  });
+
+  it('names the columns itself when there is no header', async () => {
+    const { tables } = await loadCSV('1;2\n3;4\n', { headerRow: 'none' });
+    expect(tables.sales.map(r => [r.column_1, r.column_2])).toEqual([[1, 2], [3, 4]]);
+  });
+});
+
+describe('loading archives', () => {
+  it('loads every data file in a zip', async () => {
+    const zip = zipSync({
+      'sales.csv': strToU8(TITLED_CSV),
+      'dump.sql.gz': gzipSync(strToU8("CREATE TABLE regions (id INT, name TEXT);\nINSERT INTO regions VALUES (1,'North'),(2,'South');\n")),
+      'readme.txt': strToU8('not data')
+    });
+    const { tables, logs } = await runTask({ type: 'load', kind: 'archive', source: zip.buffer, name: 'bundle.zip' });
+    expect(tables.sales).toHaveLength(5);
+    expect(tables.regions.map(r => r.name)).toEqual(['North', 'South']);
+    expect(logs[0]).toBe('📦 Unpacked bundle.zip: 3 file(s)');
+    expect(logs).toContain('⏭️ Skipped readme.txt (not a CSV, SQL, JSON, SQLite or Excel file)');
+  });
+
+  it('logs a file cut off partway through instead of failing the load', async () => {
+    const zip = zipSync({ 'sales.csv': strToU8(TITLED_CSV.repeat(50)) });
+    const { tables, logs } = await runTask({ type: 'load', kind: 'archive', source: zip.slice(0, 60).buffer, name: 'cut.zip' });
+    expect(tables).toEqual({});
+    expect(logs).toEqual(['📦 Unpacked cut.zip: 1 file(s)', '⚠️ sales.csv: invalid zip data', '⚠️ No data found in cut.zip']);
+  });
+});
@@ -0,0 +1,13 @@
+// Runs pipeline tasks off the UI thread. Posts { type: 'progress', line }
+// while working, then { type: 'done', result } or { type: 'error', message }.
+
+import { runTask } from './pipeline';
+
+self.onmessage = async (event) => {
+  try {
+    const result = await runTask(event.data, (line) => self.postMessage({ type: 'progress', line }));
+    self.postMessage({ type: 'done', result });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
@@ -0,0 +1,56 @@
+// Starts pipeline tasks in a fresh worker so a running task can be cancelled
+// by terminating it. Falls back to the main thread where workers aren't available.
+
+import { runTask } from './pipeline';
+
+export class TaskCancelledError extends Error {
+  constructor() {
+    super('Cancelled');
+    this.name = 'TaskCancelledError';
+  }
+}
+
+/**
+ * Start a task (see runTask in pipeline.js).
+ * Returns { promise, cancel }; cancel() rejects the promise with TaskCancelledError.
+ */
+export const startPipelineTask = (message, onProgress = () => {}) => {
+  if (typeof Worker === 'undefined') {
+    let cancelled = false;
+    let cancel;
+    const promise = new Promise((resolve, reject) => {
+      // Settles right away; the task itself stops at its next chunk
+      cancel = () => {
+        cancelled = true;
+        reject(new TaskCancelledError());
+      };
+      runTask(message, onProgress, () => cancelled).then(resolve, reject);
+    });
+    return { promise, cancel };
+  }
+
+  const worker = new Worker(new URL('./pipeline.worker.js', import.meta.url), { type: 'module' });
+  let cancel;
+  const promise = new Promise((resolve, reject) => {
+    worker.onmessage = (event) => {
+      const msg = event.data;
+      if (msg.type === 'progress') {
+        onProgress(msg.line);
+        return;
+      }
+      worker.terminate();
+      if (msg.type === 'done') resolve(msg.result);
+      else reject(new Error(msg.message));
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'Worker failed'));
+    };
+    cancel = () => {
+      worker.terminate();
+      reject(new TaskCancelledError());
+    };
+    worker.postMessage(message);
+  });
+  return { promise, cancel };
+};
@@ -0,0 +1,202 @@
+// Pivot tables: rows grouped by one or more row dimensions, split across
+// column dimensions, with several measures per cell. Every level of both
+// axes keeps its own totals, so collapsing a group shows its subtotal and
+// the root of each axis is the grand total.
+
+import { DEFAULT_LOCALE, toISODate } from './locale';
+import { isEmptyValue, valueKey } from './filters';
+
+export const AGGREGATES = [
+  { agg: 'sum', label: 'Sum' },
+  { agg: 'count', label: 'Count' },
+  { agg: 'avg', label: 'Average' },
+  { agg: 'distinct', label: 'Distinct count' },
+  { agg: 'min', label: 'Min' },
+  { agg: 'max', label: 'Max' }
+];
+
+// How a date dimension is bucketed
+export const DATE_GRAINS = ['day', 'month', 'quarter', 'year'];
+
+export const EMPTY_LABEL = '(empty)';
+
+// Joins a node's path into its id; can't appear in cell text
+const SEP = '\u0001';
+
+export const measureLabel = ({ column, agg }) => {
+  const { label } = AGGREGATES.find(a => a.agg === agg);
+  return agg === 'count' ? label : `${label} of ${column}`;
+};
+
+// Bucket a cell for a dimension; dates go by their grain (2024-03, 2024-Q1, ...)
+const dimensionValue = (value, { grain }, locale) => {
+  if (isEmptyValue(value)) return '';
+  if (!grain) return valueKey(value);
+  const iso = toISODate(value, locale);
+  if (!iso) return valueKey(value);
+  if (grain === 'year') return iso.slice(0, 4);
+  if (grain === 'quarter') return `${iso.slice(0, 4)}-Q${Math.ceil(Number(iso.slice(5, 7)) / 3)}`;
+  if (grain === 'month') return iso.slice(0, 7);
+  return iso;
+};
+
+const newNode = (id, key, depth) => ({ id, key, label: key === '' ? EMPTY_LABEL : key, depth, children: new Map() });
+
+// The nodes a row falls in along one axis, from the root down
+const nodePath = (root, dims, row, locale) => {
+  const path = [root];
+  let node = root;
+  dims.forEach((dim, i) => {
+    const key = dimensionValue(row[dim.column], dim, locale);
+    if (!node.children.has(key)) node.children.set(key, newNode(`${node.id}${SEP}${key}`, key, i + 1));
+    node = node.children.get(key);
+    path.push(node);
+  });
+  return path;
+};
+
+// Numbers compare as numbers, everything else as text; empty goes last
+const compareKeys = (a, b) => {
+  if (a === '' || b === '') return a === '' ? (b === '' ? 0 : 1) : -1;
+  const na = Number(a);
+  const nb = Number(b);
+  if (!isNaN(na) && !isNaN(nb)) return na - nb;
+  return a.localeCompare(b);
+};
+
+// Child maps become sorted arrays once every row is in
+const finishNode = (node) => {
+  node.children = [...node.children.values()].sort((a, b) => compareKeys(a.key, b.key));
+  node.children.forEach(finishNode);
+  return node;
+};
+
+const newAccumulator = () => ({ rows: 0, count: 0, sum: 0, min: null, max: null, distinct: new Set() });
+
+const accumulate = (acc, value) => {
+  acc.rows++;
+  if (isEmptyValue(value)) return;
+  acc.distinct.add(valueKey(value));
+  const num = Number(value);
+  if (typeof value === 'boolean' || isNaN(num)) return;
+  acc.count++;
+  acc.sum += num;
+  acc.min = acc.min === null ? num : Math.min(acc.min, num);
+  acc.max = acc.max === null ? num : Math.max(acc.max, num);
+};
+
+const result = (acc, agg) => {
+  if (!acc) return null;
+  switch (agg) {
+    case 'count': return acc.rows;
+    case 'distinct': return acc.distinct.size;
+    case 'sum': return acc.count ? acc.sum : null;
+    case 'avg': return acc.count ? acc.sum / acc.count : null;
+    case 'min': return acc.min;
+    case 'max': return acc.max;
+    default: return null;
+  }
+};
+
+/**
+ * Group rows into a pivot. config is { rows, columns, measures }: rows and
+ * columns are dimensions { column, grain } (grain only for date columns),
+ * measures are { column, agg } with agg from AGGREGATES. Returns the two
+ * axis trees and value(rowNode, colNode, measureIndex) for any pair of
+ * nodes, subtotals and grand totals included.
+ */
+export const buildPivot = (data, { rows, columns, measures }, locale = DEFAULT_LOCALE) => {
+  const rowRoot = newNode('r', '', 0);
+  const colRoot = newNode('c', '', 0);
+  const cells = new Map();
+
+  data.forEach(row => {
+    const rowPath = nodePath(rowRoot, rows, row, locale);
+    const colPath = nodePath(colRoot, columns, row, locale);
+    rowPath.forEach(r => colPath.forEach(c => {
+      const id = `${r.id}|${c.id}`;
+      if (!cells.has(id)) cells.set(id, measures.map(newAccumulator));
+      cells.get(id).forEach((acc, i) => accumulate(acc, row[measures[i].column]));
+    }));
+  });
+
+  rowRoot.label = 'Grand total';
+  colRoot.label = 'Total';
+  return {
+    rowRoot: finishNode(rowRoot),
+    colRoot: finishNode(colRoot),
+    measures,
+    value: (rowNode, colNode, i) => result(cells.get(`${rowNode.id}|${colNode.id}`)?.[i], measures[i].agg)
+  };
+};
+
+// Ids of every node that has children, for collapse all
+export const groupNodeIds = (root) => root.children.flatMap(child => (
+  child.children.length ? [child.id, ...groupNodeIds(child)] : []
+));
+
+/**
+ * What's on screen for the collapsed node ids: rows as { node, path } in
+ * display order (each open group above its members, grand total last), and
+ * columns as { node, path, subtotal } with a total after each open group.
+ * path holds the labels from the top level down.
+ */
+export const pivotLayout = (pivot, collapsed = new Set()) => {
+  const rowList = [];
+  const walkRows = (node, path) => {
+    node.children.forEach(child => {
+      const childPath = [...path, child.label];
+      rowList.push({ node: child, path: childPath });
+      if (!collapsed.has(child.id)) walkRows(child, childPath);
+    });
+  };
+  walkRows(pivot.rowRoot, []);
+  rowList.push({ node: pivot.rowRoot, path: [pivot.rowRoot.label] });
+
+  const colList = [];
+  const walkCols = (node, path) => {
+    node.children.forEach(child => {
+      const childPath = [...path, child.label];
+      if (child.children.length === 0 || collapsed.has(child.id)) {
+        colList.push({ node: child, path: childPath, subtotal: false });
+      } else {
+        walkCols(child, childPath);
+        colList.push({ node: child, path: childPath, subtotal: true });
+      }
+    });
+  };
+  walkCols(pivot.colRoot, []);
+  // With no column dimension the total is the only column
+  colList.push({ node: pivot.colRoot, path: [pivot.colRoot.label], subtotal: true });
+
+  return { rows: rowList, columns: colList };
+};
+
+// Header text for a laid-out column: "Visa / 2024-03", "Visa total", "Total"
+export const pivotColumnLabel = ({ node, path, subtotal }) => (
+  node.depth === 0 ? path[0] : `${path.join(' / ')}${subtotal ? ' total' : ''}`
+);
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV of the pivot as laid out: one column per row dimension, then one per
+// column × measure; subtotal rows leave their deeper dimensions blank
+export const pivotToCSV = (pivot, layout, rowDims) => {
+  const { measures } = pivot;
+  const depth = Math.max(rowDims.length, 1);
+  const header = [
+    ...(rowDims.length ? rowDims.map(d => d.column) : ['']),
+    ...layout.columns.flatMap(col => measures.map(m => `${pivotColumnLabel(col)} ${measureLabel(m)}`))
+  ];
+  const lines = [header.map(csvCell).join(',')];
+  layout.rows.forEach(({ node, path }) => {
+    const labels = Array.from({ length: depth }, (_, i) => path[i] ?? '');
+    const values = layout.columns.flatMap(col => measures.map((m, i) => pivot.value(node, col.node, i)));
+    lines.push([...labels, ...values].map(csvCell).join(','));
+  });
+  return lines.join('\n');
+};
@@ -0,0 +1,122 @@
+// Column profiles for the Profile view: how full each column is, how many
+// distinct values it holds and its most common ones, plus number statistics
+// with a histogram and outliers, or date coverage per month for dates.
+
+import { DEFAULT_LOCALE, parseNumber, toISODate } from './locale';
+import { isEmptyValue, valueCounts } from './filters';
+
+const TOP_VALUES = 8;
+const HISTOGRAM_BINS = 20;
+// Date coverage switches from months to years past this many months
+const MAX_MONTH_BUCKETS = 120;
+
+// Value at fraction p of a sorted array, interpolating between neighbours
+const percentile = (sorted, p) => {
+  const pos = (sorted.length - 1) * p;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+};
+
+// Equal-width bins from min to max; the last bin includes max
+const histogram = (sorted, min, max) => {
+  if (min === max) return [{ from: min, to: max, count: sorted.length }];
+  const width = (max - min) / HISTOGRAM_BINS;
+  const bins = Array.from({ length: HISTOGRAM_BINS }, (_, i) => ({
+    from: min + i * width,
+    to: i === HISTOGRAM_BINS - 1 ? max : min + (i + 1) * width,
+    count: 0
+  }));
+  sorted.forEach(v => {
+    bins[Math.min(Math.floor((v - min) / width), HISTOGRAM_BINS - 1)].count++;
+  });
+  return bins;
+};
+
+// Tukey fences: values more than 1.5 × IQR outside the middle half
+const outliers = (sorted, q1, q3) => {
+  const iqr = q3 - q1;
+  if (iqr === 0) return null;
+  const low = q1 - 1.5 * iqr;
+  const high = q3 + 1.5 * iqr;
+  const flagged = sorted.filter(v => v < low || v > high);
+  if (flagged.length === 0) return null;
+  return {
+    low,
+    high,
+    count: flagged.length,
+    // The most extreme few from each end
+    examples: [...new Set([...flagged.filter(v => v < low).slice(0, 3), ...flagged.filter(v => v > high).slice(-3)])]
+  };
+};
+
+const numberProfile = (values, locale) => {
+  const sorted = Float64Array.from(
+    values.map(v => (typeof v === 'number' ? v : parseNumber(v, locale))).filter(v => !isNaN(v))
+  ).sort();
+  if (sorted.length === 0) return null;
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const q1 = percentile(sorted, 0.25);
+  const q3 = percentile(sorted, 0.75);
+  return {
+    min,
+    max,
+    mean: sorted.reduce((a, b) => a + b, 0) / sorted.length,
+    median: percentile(sorted, 0.5),
+    p5: percentile(sorted, 0.05),
+    p25: q1,
+    p75: q3,
+    p95: percentile(sorted, 0.95),
+    histogram: histogram(sorted, min, max),
+    outliers: outliers(sorted, q1, q3)
+  };
+};
+
+const nextMonth = (key) => {
+  const [year, month] = key.split('-').map(Number);
+  return month === 12 ? `${year + 1}-01` : `${year}-${String(month + 1).padStart(2, '0')}`;
+};
+
+// Rows per month (or year) from the first date to the last; empty periods show as gaps
+const dateProfile = (values, locale) => {
+  const isos = values.map(v => toISODate(v, locale)).filter(Boolean).sort();
+  if (isos.length === 0) return null;
+  const min = isos[0];
+  const max = isos[isos.length - 1];
+  const months = (Number(max.slice(0, 4)) - Number(min.slice(0, 4))) * 12 + Number(max.slice(5, 7)) - Number(min.slice(5, 7)) + 1;
+  const grain = months > MAX_MONTH_BUCKETS ? 'year' : 'month';
+  const length = grain === 'year' ? 4 : 7;
+
+  const counts = new Map();
+  isos.forEach(iso => counts.set(iso.slice(0, length), (counts.get(iso.slice(0, length)) || 0) + 1));
+  const coverage = [];
+  for (let key = min.slice(0, length); key <= max.slice(0, length); key = grain === 'year' ? String(Number(key) + 1) : nextMonth(key)) {
+    coverage.push({ period: key, count: counts.get(key) || 0 });
+  }
+  return { min, max, grain, coverage, gaps: coverage.filter(c => c.count === 0).length, unparsed: values.length - isos.length };
+};
+
+/**
+ * Profile each column of rows. types gives each column's type (number /
+ * date / text / category); numbers and dates are read in the table's locale.
+ * Returns [{ column, type, rows, empty, distinct, topValues, numbers, dates }]
+ * where numbers holds min/max/mean/median/percentiles, histogram bins and
+ * outliers, and dates holds the range and per-period coverage.
+ */
+export const profileColumns = (rows, cols, types, locale = DEFAULT_LOCALE) => cols.map(column => {
+  const type = types[column] || 'text';
+  const counts = valueCounts(rows, column);
+  const emptyEntry = counts.find(c => c.value === '');
+  const filled = rows.map(row => row[column]).filter(v => !isEmptyValue(v));
+  return {
+    column,
+    type,
+    rows: rows.length,
+    empty: emptyEntry ? emptyEntry.count : 0,
+    distinct: counts.length - (emptyEntry ? 1 : 0),
+    topValues: counts.filter(c => c.value !== '').slice(0, TOP_VALUES),
+    numbers: type === 'number' ? numberProfile(filled, locale) : null,
+    dates: type === 'date' ? dateProfile(filled, locale) : null
+  };
+});
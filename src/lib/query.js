@@ -0,0 +1,1001 @@
+// In-memory SELECT engine for the query console. Parses with the shared SQL
+// lexer and runs against the loaded `tables` (arrays of row objects).
+//
+// Supported: SELECT [DISTINCT] ... FROM t [alias] [INNER|LEFT|CROSS] JOIN ... ON ...
+// WHERE ... GROUP BY ... HAVING ... ORDER BY ... LIMIT n [OFFSET m]
+//
+// The same expressions, minus aggregates, are the formula language for
+// calculated columns (compileFormula).
+
+import { tokenize, SqlSyntaxError } from './sqlLexer';
+import { DEFAULT_LOCALE, parseNumber, toISODate } from './locale';
+
+// Query text follows standard SQL quoting: 'it''s', "column", `column`
+const LEX_OPTIONS = { backslashEscapes: false, hashComments: false, dollarQuotes: false };
+
+// Words that end an expression or select item instead of being read as an alias
+const RESERVED = new Set([
+  'SELECT', 'DISTINCT', 'FROM', 'WHERE', 'GROUP', 'BY', 'HAVING', 'ORDER', 'LIMIT', 'OFFSET',
+  'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS', 'ON', 'AS', 'AND', 'OR', 'NOT',
+  'IS', 'NULL', 'IN', 'BETWEEN', 'LIKE', 'ILIKE', 'ASC', 'DESC', 'CASE', 'WHEN', 'THEN', 'ELSE',
+  'END', 'TRUE', 'FALSE', 'UNION'
+]);
+
+const AGGREGATES = new Set(['COUNT', 'SUM', 'AVG', 'MIN', 'MAX']);
+
+// Cap for joins without an equality condition
+const MAX_CROSS_ROWS = 2000000;
+
+const isOp = (tok, op) => tok && tok.type === 'op' && tok.value === op;
+const isWord = (tok, word) => tok && tok.type === 'ident' && tok.upper === word;
+const isName = (tok) => tok && ((tok.type === 'ident' && !RESERVED.has(tok.upper)) || tok.type === 'quoted' || tok.type === 'dquote');
+
+const describe = (tok) => {
+  if (!tok) return 'end of query';
+  if (tok.type === 'string') return `'${tok.value}'`;
+  return `"${tok.value}"`;
+};
+
+// ---------------------------------------------------------------------------
+// Parser
+
+class Parser {
+  constructor(src) {
+    this.src = src;
+    this.tokens = tokenize(src, LEX_OPTIONS);
+    this.i = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.i + offset];
+  }
+
+  next() {
+    return this.tokens[this.i++];
+  }
+
+  error(message, tok = this.peek()) {
+    if (tok) return new SqlSyntaxError(message, tok.line, tok.col);
+    // Past the end: point just after the last token
+    const last = this.tokens[this.tokens.length - 1];
+    return new SqlSyntaxError(message, last ? last.line : 1, last ? last.col + (last.end - last.start) : 1);
+  }
+
+  acceptWord(word) {
+    if (isWord(this.peek(), word)) return this.next();
+    return null;
+  }
+
+  expectWord(word) {
+    const tok = this.next();
+    if (!isWord(tok, word)) throw this.error(`expected ${word} but found ${describe(tok)}`, tok);
+    return tok;
+  }
+
+  acceptOp(op) {
+    if (isOp(this.peek(), op)) return this.next();
+    return null;
+  }
+
+  expectOp(op) {
+    const tok = this.next();
+    if (!isOp(tok, op)) throw this.error(`expected '${op}' but found ${describe(tok)}`, tok);
+    return tok;
+  }
+
+  name() {
+    const tok = this.next();
+    if (!isName(tok)) throw this.error(`expected a name but found ${describe(tok)}`, tok);
+    return tok;
+  }
+
+  text(startTok, endTok) {
+    return this.src.slice(startTok.start, endTok.end);
+  }
+
+  parseQuery() {
+    const query = this.parseSelect();
+    this.acceptOp(';');
+    if (this.peek()) throw this.error(`unexpected ${describe(this.peek())} after end of query`);
+    return query;
+  }
+
+  parseSelect() {
+    this.expectWord('SELECT');
+    const distinct = !!this.acceptWord('DISTINCT');
+    if (!distinct) this.acceptWord('ALL');
+
+    const items = [];
+    do {
+      items.push(this.parseSelectItem());
+    } while (this.acceptOp(','));
+
+    this.expectWord('FROM');
+    const from = this.parseTableRef();
+    const joins = [];
+    for (;;) {
+      const tok = this.peek();
+      let kind = null;
+      if (this.acceptOp(',')) kind = 'cross';
+      else if (isWord(tok, 'JOIN')) kind = 'inner';
+      else if (isWord(tok, 'INNER')) {
+        this.next();
+        kind = 'inner';
+      } else if (isWord(tok, 'LEFT')) {
+        this.next();
+        this.acceptWord('OUTER');
+        kind = 'left';
+      } else if (isWord(tok, 'CROSS')) {
+        this.next();
+        kind = 'cross';
+      } else if (isWord(tok, 'RIGHT') || isWord(tok, 'FULL')) {
+        throw this.error(`${tok.upper} JOIN is not supported; swap the tables and use LEFT JOIN`, tok);
+      }
+      if (!kind) break;
+      if (!isOp(this.tokens[this.i - 1], ',')) this.expectWord('JOIN');
+      const table = this.parseTableRef();
+      let on = null;
+      if (kind !== 'cross') {
+        this.expectWord('ON');
+        on = this.parseExpr();
+      }
+      joins.push({ kind, table, on });
+    }
+
+    const where = this.acceptWord('WHERE') ? this.parseExpr() : null;
+
+    const groupBy = [];
+    if (this.acceptWord('GROUP')) {
+      this.expectWord('BY');
+      do {
+        groupBy.push(this.parseExpr());
+      } while (this.acceptOp(','));
+    }
+
+    const having = this.acceptWord('HAVING') ? this.parseExpr() : null;
+
+    const orderBy = [];
+    if (this.acceptWord('ORDER')) {
+      this.expectWord('BY');
+      do {
+        const expr = this.parseExpr();
+        let dir = 'asc';
+        if (this.acceptWord('DESC')) dir = 'desc';
+        else this.acceptWord('ASC');
+        orderBy.push({ expr, dir });
+      } while (this.acceptOp(','));
+    }
+
+    let limit = null;
+    let offset = 0;
+    if (this.acceptWord('LIMIT')) {
+      limit = this.parseCount('LIMIT');
+      if (this.acceptOp(',')) {
+        // MySQL: LIMIT offset, count
+        offset = limit;
+        limit = this.parseCount('LIMIT');
+      }
+    }
+    if (this.acceptWord('OFFSET')) offset = this.parseCount('OFFSET');
+
+    return { distinct, items, from, joins, where, groupBy, having, orderBy, limit, offset };
+  }
+
+  parseCount(clause) {
+    const tok = this.next();
+    if (!tok || tok.type !== 'number' || !/^\d+$/.test(tok.value)) {
+      throw this.error(`${clause} needs a whole number but found ${describe(tok)}`, tok);
+    }
+    return Number(tok.value);
+  }
+
+  parseTableRef() {
+    const tok = this.name();
+    let name = tok.value;
+    // schema.table → table
+    while (this.acceptOp('.')) name = this.name().value;
+    let alias = name;
+    if (this.acceptWord('AS')) alias = this.name().value;
+    else if (isName(this.peek())) alias = this.next().value;
+    return { name, alias, tok };
+  }
+
+  parseSelectItem() {
+    const start = this.peek();
+    if (isOp(start, '*')) {
+      this.next();
+      return { star: true, table: null, tok: start };
+    }
+    if (isName(start) && isOp(this.peek(1), '.') && isOp(this.peek(2), '*')) {
+      this.i += 3;
+      return { star: true, table: start.value, tok: start };
+    }
+
+    const expr = this.parseExpr();
+    const end = this.tokens[this.i - 1];
+    let alias = null;
+    if (this.acceptWord('AS')) {
+      const tok = this.next();
+      if (!tok || !(isName(tok) || tok.type === 'string' || tok.type === 'ident')) throw this.error(`expected an alias after AS but found ${describe(tok)}`, tok);
+      alias = tok.value;
+    } else if (isName(this.peek())) {
+      alias = this.next().value;
+    }
+    return { expr, alias, text: this.text(start, end) };
+  }
+
+  parseExpr() {
+    return this.parseOr();
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.acceptWord('OR')) {
+      left = { type: 'binary', op: 'OR', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.acceptWord('AND')) {
+      left = { type: 'binary', op: 'AND', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.acceptWord('NOT')) return { type: 'unary', op: 'NOT', expr: this.parseNot() };
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseAdditive();
+    const tok = this.peek();
+
+    if (tok && tok.type === 'op' && ['=', '==', '!=', '<>', '<', '<=', '>', '>='].includes(tok.value)) {
+      this.next();
+      const op = tok.value === '==' ? '=' : tok.value === '<>' ? '!=' : tok.value;
+      return { type: 'binary', op, left, right: this.parseAdditive(), tok };
+    }
+
+    if (isWord(tok, 'IS')) {
+      this.next();
+      const not = !!this.acceptWord('NOT');
+      this.expectWord('NULL');
+      return { type: 'is_null', expr: left, not };
+    }
+
+    const not = isWord(tok, 'NOT') && (isWord(this.peek(1), 'IN') || isWord(this.peek(1), 'BETWEEN') || isWord(this.peek(1), 'LIKE') || isWord(this.peek(1), 'ILIKE'));
+    if (not) this.next();
+    const kw = this.peek();
+
+    if (isWord(kw, 'IN')) {
+      this.next();
+      this.expectOp('(');
+      const list = [];
+      if (!isOp(this.peek(), ')')) {
+        do {
+          list.push(this.parseExpr());
+        } while (this.acceptOp(','));
+      }
+      this.expectOp(')');
+      return { type: 'in', expr: left, list, not };
+    }
+    if (isWord(kw, 'BETWEEN')) {
+      this.next();
+      const low = this.parseAdditive();
+      this.expectWord('AND');
+      const high = this.parseAdditive();
+      return { type: 'between', expr: left, low, high, not };
+    }
+    if (isWord(kw, 'LIKE') || isWord(kw, 'ILIKE')) {
+      this.next();
+      return { type: 'like', expr: left, pattern: this.parseAdditive(), not };
+    }
+    if (not) throw this.error(`expected IN, BETWEEN or LIKE after NOT but found ${describe(kw)}`, kw);
+
+    return left;
+  }
+
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+    for (;;) {
+      const tok = this.peek();
+      if (isOp(tok, '+') || isOp(tok, '-') || isOp(tok, '||')) {
+        this.next();
+        left = { type: 'binary', op: tok.value, left, right: this.parseMultiplicative(), tok };
+      } else {
+        return left;
+      }
+    }
+  }
+
+  parseMultiplicative() {
+    let left = this.parseUnary();
+    for (;;) {
+      const tok = this.peek();
+      if (isOp(tok, '*') || isOp(tok, '/') || isOp(tok, '%')) {
+        this.next();
+        left = { type: 'binary', op: tok.value, left, right: this.parseUnary(), tok };
+      } else {
+        return left;
+      }
+    }
+  }
+
+  parseUnary() {
+    if (this.acceptOp('-')) return { type: 'unary', op: '-', expr: this.parseUnary() };
+    if (this.acceptOp('+')) return this.parseUnary();
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const tok = this.next();
+    if (!tok) throw this.error('expected an expression but the query ended');
+
+    if (tok.type === 'number') return { type: 'literal', value: Number(tok.value) };
+    if (tok.type === 'string') return { type: 'literal', value: tok.value };
+    if (isOp(tok, '(')) {
+      const expr = this.parseExpr();
+      this.expectOp(')');
+      return expr;
+    }
+    if (isWord(tok, 'NULL')) return { type: 'literal', value: null };
+    if (isWord(tok, 'TRUE')) return { type: 'literal', value: true };
+    if (isWord(tok, 'FALSE')) return { type: 'literal', value: false };
+    if (isWord(tok, 'CASE')) return this.parseCase();
+
+    // Function call
+    if (tok.type === 'ident' && isOp(this.peek(), '(')) {
+      this.next();
+      const name = tok.upper;
+      if (name === 'CAST') {
+        const expr = this.parseExpr();
+        this.expectWord('AS');
+        const typeTok = this.next();
+        if (!typeTok || typeTok.type !== 'ident') throw this.error(`expected a type name but found ${describe(typeTok)}`, typeTok);
+        // Skip type arguments like DECIMAL(10,2)
+        if (this.acceptOp('(')) {
+          while (this.peek() && !isOp(this.peek(), ')')) this.next();
+          this.expectOp(')');
+        }
+        this.expectOp(')');
+        return { type: 'cast', expr, to: typeTok.upper };
+      }
+      if (isOp(this.peek(), '*') && name === 'COUNT') {
+        this.next();
+        this.expectOp(')');
+        return { type: 'call', name, args: [], star: true, aggregate: true, tok };
+      }
+      const distinct = AGGREGATES.has(name) && !!this.acceptWord('DISTINCT');
+      const args = [];
+      if (!isOp(this.peek(), ')')) {
+        do {
+          args.push(this.parseExpr());
+        } while (this.acceptOp(','));
+      }
+      this.expectOp(')');
+      if (!AGGREGATES.has(name) && !SCALAR_FUNCTIONS[name] && !NUMBER_FUNCTIONS[name] && !DATE_FUNCTIONS[name]) throw this.error(`unknown function ${tok.value}()`, tok);
+      if (AGGREGATES.has(name) && args.length !== 1) throw this.error(`${name}() takes one argument`, tok);
+      return { type: 'call', name, args, distinct, aggregate: AGGREGATES.has(name), tok };
+    }
+
+    // Column reference: col or table.col
+    if (isName(tok) || (tok.type === 'ident' && isOp(this.peek(), '.'))) {
+      if (this.acceptOp('.')) {
+        const col = this.name();
+        return { type: 'column', table: tok.value, name: col.value, tok: col };
+      }
+      return { type: 'column', table: null, name: tok.value, tok };
+    }
+
+    throw this.error(`unexpected ${describe(tok)}`, tok);
+  }
+
+  parseCase() {
+    let operand = null;
+    if (!isWord(this.peek(), 'WHEN')) operand = this.parseExpr();
+    const whens = [];
+    while (this.acceptWord('WHEN')) {
+      const when = this.parseExpr();
+      this.expectWord('THEN');
+      whens.push({ when, then: this.parseExpr() });
+    }
+    if (whens.length === 0) throw this.error(`expected WHEN but found ${describe(this.peek())}`);
+    const otherwise = this.acceptWord('ELSE') ? this.parseExpr() : null;
+    this.expectWord('END');
+    return { type: 'case', operand, whens, otherwise };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Evaluation helpers
+
+const isNil = (v) => v === null || v === undefined;
+
+// Text is read as a number in the table's locale, so 1.234,5 can be 1234.5
+const toNumber = (v, locale = DEFAULT_LOCALE) => {
+  if (isNil(v) || v === '') return null;
+  if (typeof v === 'number') return v;
+  if (typeof v === 'boolean') return v ? 1 : 0;
+  const n = parseNumber(String(v), locale);
+  return Number.isNaN(n) ? null : n;
+};
+
+// Numbers compare numerically (also against numeric strings), everything else as text
+const compareValues = (a, b, locale = DEFAULT_LOCALE) => {
+  if (isNil(a) || isNil(b)) return null;
+  if (typeof a === 'number' || typeof b === 'number') {
+    const na = toNumber(a, locale);
+    const nb = toNumber(b, locale);
+    if (na !== null && nb !== null) return na < nb ? -1 : na > nb ? 1 : 0;
+  }
+  const sa = String(a);
+  const sb = String(b);
+  return sa < sb ? -1 : sa > sb ? 1 : 0;
+};
+
+const likeToRegex = (pattern) => {
+  const escaped = String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+  return new RegExp(`^${escaped}$`, 'is');
+};
+
+const truthy = (v) => v === true || (typeof v === 'number' && v !== 0) || (typeof v === 'string' && v !== '' && v !== '0');
+
+const SCALAR_FUNCTIONS = {
+  LOWER: (s) => (isNil(s) ? null : String(s).toLowerCase()),
+  UPPER: (s) => (isNil(s) ? null : String(s).toUpperCase()),
+  LENGTH: (s) => (isNil(s) ? null : String(s).length),
+  TRIM: (s) => (isNil(s) ? null : String(s).trim()),
+  COALESCE: (...args) => args.find(v => !isNil(v)) ?? null,
+  IFNULL: (a, b) => (isNil(a) ? b : a),
+  CONCAT: (...args) => args.map(v => (isNil(v) ? '' : String(v))).join(''),
+  SUBSTR: (s, start, len) => {
+    if (isNil(s)) return null;
+    const from = Math.max((toNumber(start) || 1) - 1, 0);
+    return isNil(len) ? String(s).slice(from) : String(s).slice(from, from + toNumber(len));
+  },
+  LEFT: (s, n) => (isNil(s) ? null : String(s).slice(0, Math.max(toNumber(n) || 0, 0))),
+  RIGHT: (s, n) => {
+    if (isNil(s)) return null;
+    const count = Math.max(toNumber(n) || 0, 0);
+    return count ? String(s).slice(-count) : '';
+  },
+  REPLACE: (s, from, to) => (isNil(s) ? null : String(s).split(String(from ?? '')).join(isNil(to) ? '' : String(to))),
+  IF: (cond, then, otherwise = null) => (truthy(cond) ? then : otherwise)
+};
+SCALAR_FUNCTIONS.SUBSTRING = SCALAR_FUNCTIONS.SUBSTR;
+SCALAR_FUNCTIONS.LEN = SCALAR_FUNCTIONS.LENGTH;
+SCALAR_FUNCTIONS.IIF = SCALAR_FUNCTIONS.IF;
+
+// Number functions read text in the table's locale too; each takes the locale
+// first, like the date functions below
+const NUMBER_FUNCTIONS = {
+  ABS: (locale, n) => (toNumber(n, locale) === null ? null : Math.abs(toNumber(n, locale))),
+  ROUND: (locale, n, d = 0) => {
+    const x = toNumber(n, locale);
+    if (x === null) return null;
+    const f = 10 ** (toNumber(d) || 0);
+    return Math.round(x * f) / f;
+  },
+  // Compares like =
+  NULLIF: (locale, a, b) => (compareValues(a, b, locale) === 0 ? null : a)
+};
+
+const DAY_MS = 86400000;
+const dayNumber = (iso) => {
+  const [y, m, d] = iso.split('-').map(Number);
+  return Date.UTC(y, m - 1, d) / DAY_MS;
+};
+
+// Date functions read their arguments in the table's locale (03/04/2024 may
+// be 3 April) and return ISO dates; each takes the locale first
+const DATE_FUNCTIONS = {
+  DATE: (locale, d) => toISODate(d, locale),
+  YEAR: (locale, d) => toNumber(toISODate(d, locale)?.slice(0, 4)),
+  MONTH: (locale, d) => toNumber(toISODate(d, locale)?.slice(5, 7)),
+  DAY: (locale, d) => toNumber(toISODate(d, locale)?.slice(8, 10)),
+  // Days from start to end, negative if end comes first
+  DAYS_BETWEEN: (locale, start, end) => {
+    const a = toISODate(start, locale);
+    const b = toISODate(end, locale);
+    return a && b ? dayNumber(b) - dayNumber(a) : null;
+  },
+  ADD_DAYS: (locale, d, n) => {
+    const iso = toISODate(d, locale);
+    if (!iso || toNumber(n) === null) return null;
+    return new Date((dayNumber(iso) + Math.trunc(toNumber(n))) * DAY_MS).toISOString().slice(0, 10);
+  },
+  TODAY: () => new Date().toISOString().slice(0, 10)
+};
+// MySQL order: DATEDIFF(end, start)
+DATE_FUNCTIONS.DATEDIFF = (locale, end, start) => DATE_FUNCTIONS.DAYS_BETWEEN(locale, start, end);
+
+const hasAggregate = (node) => {
+  if (!node || typeof node !== 'object') return false;
+  if (node.type === 'call' && node.aggregate) return true;
+  return ['left', 'right', 'expr', 'low', 'high', 'pattern', 'operand', 'otherwise'].some(k => hasAggregate(node[k]))
+    || (node.args || []).some(hasAggregate)
+    || (node.list || []).some(hasAggregate)
+    || (node.whens || []).some(w => hasAggregate(w.when) || hasAggregate(w.then));
+};
+
+const aggregate = (node, rows, evaluate, locale) => {
+  if (node.star) return rows.length;
+  let values = rows.map(r => evaluate(node.args[0], { row: r, locale })).filter(v => !isNil(v));
+  if (node.distinct) {
+    const seen = new Set();
+    values = values.filter(v => {
+      const key = typeof v === 'number' ? `n:${v}` : `s:${v}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+  switch (node.name) {
+    case 'COUNT':
+      return values.length;
+    case 'SUM': {
+      const nums = values.map(v => toNumber(v, locale)).filter(v => v !== null);
+      return nums.length ? nums.reduce((a, b) => a + b, 0) : null;
+    }
+    case 'AVG': {
+      const nums = values.map(v => toNumber(v, locale)).filter(v => v !== null);
+      return nums.length ? nums.reduce((a, b) => a + b, 0) / nums.length : null;
+    }
+    case 'MIN':
+    case 'MAX':
+      return values.reduce((best, v) => {
+        if (best === null) return v;
+        const c = compareValues(v, best, locale);
+        return (node.name === 'MIN' ? c < 0 : c > 0) ? v : best;
+      }, null);
+    default:
+      return null;
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Planning: resolve table and column names so errors point at the query text
+
+const columnsOf = (rows) => Object.keys(rows[0] || {}).filter(k => k !== '_id');
+
+const findTable = (tables, ref) => {
+  if (tables[ref.name]) return ref.name;
+  const lower = ref.name.toLowerCase();
+  const match = Object.keys(tables).find(t => t.toLowerCase() === lower);
+  if (match) return match;
+  throw new SqlSyntaxError(`unknown table "${ref.name}" (loaded: ${Object.keys(tables).join(', ')})`, ref.tok.line, ref.tok.col);
+};
+
+const resolveColumns = (node, scope, outputAliases) => {
+  if (!node || typeof node !== 'object') return;
+  if (node.type === 'column') {
+    const { table, name, tok } = node;
+    if (table) {
+      const src = scope.find(s => s.alias.toLowerCase() === table.toLowerCase());
+      if (!src) throw new SqlSyntaxError(`unknown table or alias "${table}"`, tok.line, tok.col);
+      const col = src.columns.find(c => c === name) || src.columns.find(c => c.toLowerCase() === name.toLowerCase());
+      if (!col) throw new SqlSyntaxError(`column "${name}" not found in ${src.alias}`, tok.line, tok.col);
+      node.alias = src.alias;
+      node.column = col;
+      return;
+    }
+    const matches = scope.filter(s => s.columns.some(c => c.toLowerCase() === name.toLowerCase()));
+    if (matches.length > 1) {
+      throw new SqlSyntaxError(`column "${name}" is ambiguous (in ${matches.map(m => m.alias).join(', ')}); prefix it with a table name`, tok.line, tok.col);
+    }
+    if (matches.length === 1) {
+      node.alias = matches[0].alias;
+      node.column = matches[0].columns.find(c => c === name) || matches[0].columns.find(c => c.toLowerCase() === name.toLowerCase());
+      return;
+    }
+    if (outputAliases && outputAliases.has(name.toLowerCase())) {
+      node.type = 'output';
+      node.index = outputAliases.get(name.toLowerCase());
+      return;
+    }
+    throw new SqlSyntaxError(`unknown column "${name}"`, tok.line, tok.col);
+  }
+  ['left', 'right', 'expr', 'low', 'high', 'pattern', 'operand', 'otherwise'].forEach(k => resolveColumns(node[k], scope, outputAliases));
+  (node.args || []).forEach(a => resolveColumns(a, scope, outputAliases));
+  (node.list || []).forEach(a => resolveColumns(a, scope, outputAliases));
+  (node.whens || []).forEach(w => {
+    resolveColumns(w.when, scope, outputAliases);
+    resolveColumns(w.then, scope, outputAliases);
+  });
+};
+
+// ---------------------------------------------------------------------------
+// Execution
+
+function evaluate(node, ctx) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'column': {
+      const row = (ctx.row || (ctx.group && ctx.group[0]) || {})[node.alias];
+      return row ? row[node.column] ?? null : null;
+    }
+    case 'output':
+      return ctx.output ? ctx.output[node.index] : null;
+    case 'unary': {
+      const v = evaluate(node.expr, ctx);
+      if (node.op === 'NOT') return isNil(v) ? null : !truthy(v);
+      const n = toNumber(v, ctx.locale);
+      return n === null ? null : -n;
+    }
+    case 'binary': {
+      if (node.op === 'AND') {
+        const l = evaluate(node.left, ctx);
+        if (!isNil(l) && !truthy(l)) return false;
+        const r = evaluate(node.right, ctx);
+        if (!isNil(r) && !truthy(r)) return false;
+        return isNil(l) || isNil(r) ? null : true;
+      }
+      if (node.op === 'OR') {
+        const l = evaluate(node.left, ctx);
+        if (truthy(l)) return true;
+        const r = evaluate(node.right, ctx);
+        if (truthy(r)) return true;
+        return isNil(l) || isNil(r) ? null : false;
+      }
+      const l = evaluate(node.left, ctx);
+      const r = evaluate(node.right, ctx);
+      if (node.op === '||') return isNil(l) || isNil(r) ? null : `${l}${r}`;
+      if (['=', '!=', '<', '<=', '>', '>='].includes(node.op)) {
+        const c = compareValues(l, r, ctx.locale);
+        if (c === null) return null;
+        switch (node.op) {
+          case '=': return c === 0;
+          case '!=': return c !== 0;
+          case '<': return c < 0;
+          case '<=': return c <= 0;
+          case '>': return c > 0;
+          default: return c >= 0;
+        }
+      }
+      const a = toNumber(l, ctx.locale);
+      const b = toNumber(r, ctx.locale);
+      if (a === null || b === null) return null;
+      switch (node.op) {
+        case '+': return a + b;
+        case '-': return a - b;
+        case '*': return a * b;
+        case '/': return b === 0 ? null : a / b;
+        default: return b === 0 ? null : a % b;
+      }
+    }
+    case 'is_null': {
+      const v = evaluate(node.expr, ctx);
+      return node.not ? !isNil(v) : isNil(v);
+    }
+    case 'in': {
+      const v = evaluate(node.expr, ctx);
+      if (isNil(v)) return null;
+      const found = node.list.some(item => compareValues(v, evaluate(item, ctx), ctx.locale) === 0);
+      return node.not ? !found : found;
+    }
+    case 'between': {
+      const v = evaluate(node.expr, ctx);
+      const lo = compareValues(v, evaluate(node.low, ctx), ctx.locale);
+      const hi = compareValues(v, evaluate(node.high, ctx), ctx.locale);
+      if (lo === null || hi === null) return null;
+      const inside = lo >= 0 && hi <= 0;
+      return node.not ? !inside : inside;
+    }
+    case 'like': {
+      const v = evaluate(node.expr, ctx);
+      const p = evaluate(node.pattern, ctx);
+      if (isNil(v) || isNil(p)) return null;
+      if (!node.regex || node.regexSource !== p) {
+        node.regex = likeToRegex(p);
+        node.regexSource = p;
+      }
+      const match = node.regex.test(String(v));
+      return node.not ? !match : match;
+    }
+    case 'case': {
+      const operand = node.operand ? evaluate(node.operand, ctx) : undefined;
+      for (const { when, then } of node.whens) {
+        const w = evaluate(when, ctx);
+        const hit = node.operand ? compareValues(operand, w, ctx.locale) === 0 : truthy(w);
+        if (hit) return evaluate(then, ctx);
+      }
+      return node.otherwise ? evaluate(node.otherwise, ctx) : null;
+    }
+    case 'cast': {
+      const v = evaluate(node.expr, ctx);
+      if (isNil(v)) return null;
+      if (['INT', 'INTEGER', 'BIGINT', 'SMALLINT'].includes(node.to)) {
+        const n = toNumber(v, ctx.locale);
+        return n === null ? null : Math.trunc(n);
+      }
+      if (['DECIMAL', 'NUMERIC', 'FLOAT', 'DOUBLE', 'REAL'].includes(node.to)) return toNumber(v, ctx.locale);
+      if (node.to === 'DATE') return toISODate(v, ctx.locale);
+      return String(v);
+    }
+    case 'call': {
+      if (node.aggregate) {
+        if (!ctx.group) throw new SqlSyntaxError(`${node.name}() is not allowed here`, node.tok.line, node.tok.col);
+        return aggregate(node, ctx.group, evaluate, ctx.locale);
+      }
+      const args = node.args.map(a => evaluate(a, ctx));
+      if (NUMBER_FUNCTIONS[node.name]) return NUMBER_FUNCTIONS[node.name](ctx.locale, ...args);
+      if (DATE_FUNCTIONS[node.name]) return DATE_FUNCTIONS[node.name](ctx.locale || DEFAULT_LOCALE, ...args);
+      return SCALAR_FUNCTIONS[node.name](...args);
+    }
+    default:
+      return null;
+  }
+}
+
+const keyOf = (v) => (isNil(v) || v === '' ? null : String(v).trim());
+
+// Run the FROM/JOIN part. Each result row maps alias → source row.
+const runJoins = (tables, query, scope, locale) => {
+  const base = scope[0];
+  let rows = tables[base.table].map(r => ({ [base.alias]: r }));
+
+  query.joins.forEach((join, i) => {
+    const src = scope[i + 1];
+    const right = tables[src.table];
+
+    if (join.kind === 'cross') {
+      if (rows.length * right.length > MAX_CROSS_ROWS) {
+        throw new SqlSyntaxError(`cross join of ${rows.length} × ${right.length} rows is too large; add a JOIN ... ON condition`, join.table.tok.line, join.table.tok.col);
+      }
+      rows = rows.flatMap(env => right.map(r => ({ ...env, [src.alias]: r })));
+      return;
+    }
+
+    // Equality between the new table and an earlier one → hash join
+    const on = join.on;
+    let hashed = null;
+    if (on.type === 'binary' && on.op === '=' && on.left.type === 'column' && on.right.type === 'column') {
+      if (on.left.alias === src.alias && on.right.alias !== src.alias) hashed = { inner: on.left, outer: on.right };
+      else if (on.right.alias === src.alias && on.left.alias !== src.alias) hashed = { inner: on.right, outer: on.left };
+    }
+
+    const next = [];
+    if (hashed) {
+      const index = new Map();
+      right.forEach(r => {
+        const key = keyOf(r[hashed.inner.column]);
+        if (key === null) return;
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push(r);
+      });
+      rows.forEach(env => {
+        const key = keyOf(env[hashed.outer.alias]?.[hashed.outer.column]);
+        const matches = key === null ? null : index.get(key);
+        if (matches) matches.forEach(r => next.push({ ...env, [src.alias]: r }));
+        else if (join.kind === 'left') next.push({ ...env, [src.alias]: null });
+      });
+    } else {
+      if (rows.length * right.length > MAX_CROSS_ROWS) {
+        throw new SqlSyntaxError(`join of ${rows.length} × ${right.length} rows needs an equality condition (a.col = b.col)`, join.table.tok.line, join.table.tok.col);
+      }
+      rows.forEach(env => {
+        let matched = false;
+        right.forEach(r => {
+          const candidate = { ...env, [src.alias]: r };
+          if (truthy(evaluate(on, { row: candidate, locale }))) {
+            matched = true;
+            next.push(candidate);
+          }
+        });
+        if (!matched && join.kind === 'left') next.push({ ...env, [src.alias]: null });
+      });
+    }
+    rows = next;
+  });
+
+  return rows;
+};
+
+/**
+ * Run a SELECT against the loaded tables, reading numbers and dates in the
+ * given locale.
+ * Returns { rows, columns, sources } where `sources` maps output columns that
+ * are plain column references back to { table, column }.
+ * Throws SqlSyntaxError (with line/column) for syntax and name errors.
+ */
+export const runQuery = (sql, tables, locale = DEFAULT_LOCALE) => {
+  if (!sql.trim()) throw new SqlSyntaxError('the query is empty');
+  const query = new Parser(sql).parseQuery();
+
+  // FROM scope: one entry per table reference
+  const scope = [query.from, ...query.joins.map(j => j.table)].map(ref => {
+    const table = findTable(tables, ref);
+    return { alias: ref.alias, table, columns: columnsOf(tables[table]), ref };
+  });
+  const aliases = new Set();
+  scope.forEach(s => {
+    const key = s.alias.toLowerCase();
+    if (aliases.has(key)) throw new SqlSyntaxError(`table alias "${s.alias}" is used twice`, s.ref.tok.line, s.ref.tok.col);
+    aliases.add(key);
+  });
+
+  // Expand * and t.* into column references
+  const items = [];
+  query.items.forEach(item => {
+    if (!item.star) {
+      items.push(item);
+      return;
+    }
+    const sources = item.table ? scope.filter(s => s.alias.toLowerCase() === item.table.toLowerCase()) : scope;
+    if (sources.length === 0) throw new SqlSyntaxError(`unknown table or alias "${item.table}"`, item.tok.line, item.tok.col);
+    sources.forEach(s => s.columns.forEach(col => {
+      items.push({ expr: { type: 'column', table: s.alias, name: col, tok: item.tok }, alias: null, text: col, fromStar: s.alias });
+    }));
+  });
+
+  items.forEach(item => resolveColumns(item.expr, scope));
+  query.joins.forEach(j => j.on && resolveColumns(j.on, scope));
+  if (query.where) {
+    if (hasAggregate(query.where)) throw new SqlSyntaxError('aggregates are not allowed in WHERE; use HAVING');
+    resolveColumns(query.where, scope);
+  }
+  // GROUP BY 1 / GROUP BY alias → the select item's expression
+  query.groupBy = query.groupBy.map(g => {
+    if (g.type === 'literal' && typeof g.value === 'number') {
+      const item = items[g.value - 1];
+      if (!item) throw new SqlSyntaxError(`GROUP BY position ${g.value} is out of range`);
+      return item.expr;
+    }
+    if (g.type === 'column' && !g.table && !scope.some(s => s.columns.some(c => c.toLowerCase() === g.name.toLowerCase()))) {
+      const item = items.find(i => i.alias && i.alias.toLowerCase() === g.name.toLowerCase());
+      if (item) return item.expr;
+    }
+    resolveColumns(g, scope);
+    return g;
+  });
+  if (query.groupBy.some(hasAggregate)) throw new SqlSyntaxError('aggregates are not allowed in GROUP BY');
+
+  // Output column names: alias, column name, or the expression text
+  const names = [];
+  items.forEach(item => {
+    let name = item.alias || (item.expr.type === 'column' ? item.expr.column : item.text);
+    if (names.includes(name) && item.fromStar) name = `${item.fromStar}.${name}`;
+    let n = 2;
+    const baseName = name;
+    while (names.includes(name)) name = `${baseName}_${n++}`;
+    names.push(name);
+  });
+  const outputAliases = new Map();
+  items.forEach((item, i) => {
+    if (item.alias) outputAliases.set(item.alias.toLowerCase(), i);
+  });
+  if (query.having) resolveColumns(query.having, scope, outputAliases);
+  query.orderBy.forEach(o => {
+    // ORDER BY 2 → second output column
+    if (o.expr.type === 'literal' && typeof o.expr.value === 'number') {
+      if (o.expr.value < 1 || o.expr.value > items.length) throw new SqlSyntaxError(`ORDER BY position ${o.expr.value} is out of range`);
+      o.expr = { type: 'output', index: o.expr.value - 1 };
+      return;
+    }
+    if (o.expr.type === 'column' && !o.expr.table && outputAliases.has(o.expr.name.toLowerCase())) {
+      o.expr = { type: 'output', index: outputAliases.get(o.expr.name.toLowerCase()) };
+      return;
+    }
+    resolveColumns(o.expr, scope, outputAliases);
+  });
+
+  let rows = runJoins(tables, query, scope, locale);
+  if (query.where) rows = rows.filter(env => truthy(evaluate(query.where, { row: env, locale })));
+
+  const grouped = query.groupBy.length > 0 || items.some(i => hasAggregate(i.expr)) || (query.having && hasAggregate(query.having));
+
+  // Each result is { ctx, output } so ORDER BY can use either
+  let results;
+  if (grouped) {
+    const groups = new Map();
+    rows.forEach(env => {
+      const key = JSON.stringify(query.groupBy.map(g => evaluate(g, { row: env, locale })));
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(env);
+    });
+    // Aggregates without GROUP BY produce one row even for no input
+    if (query.groupBy.length === 0 && groups.size === 0) groups.set('[]', []);
+
+    results = [...groups.values()].map(group => {
+      const ctx = { group, row: null, locale };
+      const output = items.map(item => evaluate(item.expr, ctx));
+      return { ctx: { ...ctx, output }, output };
+    });
+    if (query.having) results = results.filter(r => truthy(evaluate(query.having, r.ctx)));
+  } else {
+    results = rows.map(env => {
+      const ctx = { row: env, locale };
+      const output = items.map(item => evaluate(item.expr, ctx));
+      return { ctx: { ...ctx, output }, output };
+    });
+  }
+
+  if (query.distinct) {
+    const seen = new Set();
+    results = results.filter(r => {
+      const key = JSON.stringify(r.output);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  if (query.orderBy.length > 0) {
+    const keyed = results.map(r => ({ r, keys: query.orderBy.map(o => evaluate(o.expr, r.ctx)) }));
+    keyed.sort((a, b) => {
+      for (let i = 0; i < query.orderBy.length; i++) {
+        const av = a.keys[i];
+        const bv = b.keys[i];
+        // NULLs sort last either way, like the table view
+        if (isNil(av) && isNil(bv)) continue;
+        if (isNil(av)) return 1;
+        if (isNil(bv)) return -1;
+        const c = compareValues(av, bv, locale);
+        if (c !== 0) return query.orderBy[i].dir === 'asc' ? c : -c;
+      }
+      return 0;
+    });
+    results = keyed.map(k => k.r);
+  }
+
+  const end = query.limit === null ? undefined : query.offset + query.limit;
+  results = results.slice(query.offset, end);
+
+  const sources = {};
+  items.forEach((item, i) => {
+    if (item.expr.type === 'column') {
+      const src = scope.find(s => s.alias === item.expr.alias);
+      sources[names[i]] = { table: src.table, column: item.expr.column };
+    }
+  });
+
+  return {
+    rows: results.map((r, idx) => {
+      const row = { _id: idx };
+      names.forEach((name, i) => {
+        row[name] = r.output[i] === undefined ? null : r.output[i];
+      });
+      return row;
+    }),
+    columns: names,
+    sources
+  };
+};
+
+// Calculated columns see the row under one alias, so table.col prefixes aren't needed
+const ROW_ALIAS = 'row';
+
+const columnsRead = (node, out = new Set()) => {
+  if (!node || typeof node !== 'object') return out;
+  if (node.type === 'column') out.add(node.column);
+  ['left', 'right', 'expr', 'low', 'high', 'pattern', 'operand', 'otherwise'].forEach(k => columnsRead(node[k], out));
+  [...(node.args || []), ...(node.list || [])].forEach(a => columnsRead(a, out));
+  (node.whens || []).forEach(w => {
+    columnsRead(w.when, out);
+    columnsRead(w.then, out);
+  });
+  return out;
+};
+
+/**
+ * Compile a calculated-column formula: any expression a SELECT list takes,
+ * except aggregates, over the given columns of one row. Numbers and dates are
+ * read in `locale`. Returns { evaluate(row), columns } with the columns it reads.
+ * Throws SqlSyntaxError (with line/column) for syntax and name errors.
+ */
+export const compileFormula = (formula, columns, locale = DEFAULT_LOCALE) => {
+  if (!formula.trim()) throw new SqlSyntaxError('the formula is empty');
+  const parser = new Parser(formula);
+  const expr = parser.parseExpr();
+  if (parser.peek()) throw parser.error(`unexpected ${describe(parser.peek())} after end of formula`);
+  if (hasAggregate(expr)) throw new SqlSyntaxError('aggregates like SUM() are not allowed in a formula');
+  resolveColumns(expr, [{ alias: ROW_ALIAS, columns }]);
+  return {
+    evaluate: (row) => evaluate(expr, { row: { [ROW_ALIAS]: row }, locale }),
+    columns: [...columnsRead(expr)]
+  };
+};
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { compileFormula, runQuery } from './query';
+import { SqlSyntaxError } from './sqlLexer';
+
+const GERMAN = { decimal: ',', thousands: '.', negatives: 'any', dateOrder: 'dmy' };
+
+const TABLES = {
+  orders: [
+    { _id: 0, id: 1, customer_id: 10, total: 12.5, placed: '2024-01-05' },
+    { _id: 1, id: 2, customer_id: 11, total: 40, placed: '2024-02-10' },
+    { _id: 2, id: 3, customer_id: 10, total: null, placed: '2024-02-11' }
+  ],
+  customers: [
+    { _id: 0, id: 10, name: 'Ann' },
+    { _id: 1, id: 11, name: 'Bob' },
+    { _id: 2, id: 12, name: 'Cy' }
+  ]
+};
+
+const rowsOf = (sql, tables = TABLES, locale) => runQuery(sql, tables, locale).rows.map(({ _id, ...row }) => row);
+
+describe('runQuery', () => {
+  it('filters, groups and orders', () => {
+    expect(rowsOf('SELECT customer_id, COUNT(*) AS n, SUM(total) AS spent FROM orders GROUP BY customer_id ORDER BY spent DESC')).toEqual([
+      { customer_id: 11, n: 1, spent: 40 },
+      { customer_id: 10, n: 2, spent: 12.5 }
+    ]);
+  });
+
+  it('joins tables', () => {
+    expect(rowsOf('SELECT c.name, o.total FROM customers c LEFT JOIN orders o ON o.customer_id = c.id WHERE c.id > 10')).toEqual([
+      { name: 'Bob', total: 40 },
+      { name: 'Cy', total: null }
+    ]);
+  });
+
+  it('leaves NULL values out of BETWEEN either way', () => {
+    expect(rowsOf('SELECT id FROM orders WHERE total BETWEEN 10 AND 50')).toEqual([{ id: 1 }, { id: 2 }]);
+    expect(rowsOf('SELECT id FROM orders WHERE NOT total BETWEEN 10 AND 20')).toEqual([{ id: 2 }]);
+  });
+
+  it('reports syntax errors with a position', () => {
+    expect(() => runQuery('SELECT FROM orders', TABLES)).toThrow(SqlSyntaxError);
+    expect(() => runQuery('SELECT nope FROM orders', TABLES)).toThrow(/nope/);
+  });
+});
+
+describe('runQuery in a locale', () => {
+  const tables = { t: [{ _id: 0, amount: '1.234,5', day: '03/04/2024', refund: '(12,5)' }, { _id: 1, amount: '2,25', day: '2024-05-06T10:00', refund: '7' }] };
+
+  it('reads text numbers with the locale separators', () => {
+    expect(rowsOf('SELECT amount + 1 AS a, CAST(amount AS INT) AS i, ABS(refund) AS r FROM t', tables, GERMAN)).toEqual([
+      { a: 1235.5, i: 1234, r: 12.5 },
+      { a: 3.25, i: 2, r: 7 }
+    ]);
+    expect(rowsOf('SELECT SUM(amount) AS s FROM t', tables, GERMAN)).toEqual([{ s: 1236.75 }]);
+    expect(rowsOf('SELECT refund FROM t WHERE amount > 100', tables, GERMAN)).toEqual([{ refund: '(12,5)' }]);
+  });
+
+  it('does not read them with the default separators', () => {
+    expect(rowsOf('SELECT amount + 1 AS a FROM t', tables)).toEqual([{ a: null }, { a: null }]);
+  });
+
+  it('casts to dates in the locale date order', () => {
+    expect(rowsOf('SELECT CAST(day AS DATE) AS d, MONTH(day) AS m FROM t', tables, GERMAN)).toEqual([
+      { d: '2024-04-03', m: 4 },
+      { d: '2024-05-06', m: 5 }
+    ]);
+    expect(rowsOf('SELECT CAST(day AS DATE) AS d FROM t', tables, { ...GERMAN, dateOrder: 'mdy' })[0]).toEqual({ d: '2024-03-04' });
+  });
+});
+
+describe('compileFormula', () => {
+  it('evaluates one row at a time in the locale', () => {
+    const { evaluate, columns } = compileFormula('amount * 2', ['amount', 'other'], GERMAN);
+    expect(columns).toEqual(['amount']);
+    expect(evaluate({ amount: '1.000,5' })).toBe(2001);
+  });
+
+  it('rejects aggregates', () => {
+    expect(() => compileFormula('SUM(amount)', ['amount'])).toThrow(/not allowed/);
+  });
+});
@@ -0,0 +1,54 @@
+// Per-table row limits for very large files: keep the first N rows, or a
+// uniform random sample of N rows (reservoir sampling) in original order.
+
+/**
+ * Collects rows for one table. With rowLimit 0 every row is kept.
+ * Returns { add(row), rows(), seen } — `seen` counts every row offered and
+ * add() says whether the row was kept (a sampled row can still be replaced later).
+ */
+export const createRowCollector = ({ rowLimit = 0, sample = false } = {}) => {
+  const kept = [];
+  const positions = []; // original row number of each kept row, only when sampling
+  let seen = 0;
+
+  return {
+    add(row) {
+      let keep = false;
+      if (!rowLimit || kept.length < rowLimit) {
+        kept.push(row);
+        if (sample) positions.push(seen);
+        keep = true;
+      } else if (sample) {
+        // Every row so far has the same chance of being in the sample
+        const slot = Math.floor(Math.random() * (seen + 1));
+        if (slot < rowLimit) {
+          kept[slot] = row;
+          positions[slot] = seen;
+          keep = true;
+        }
+      }
+      seen++;
+      return keep;
+    },
+
+    rows() {
+      if (!sample || seen <= kept.length) return kept;
+      return positions
+        .map((position, i) => [position, kept[i]])
+        .sort((a, b) => a[0] - b[0])
+        .map(([, row]) => row);
+    },
+
+    get seen() {
+      return seen;
+    }
+  };
+};
+
+// Parse log line for a table that was cut down, or null if nothing was dropped
+export const rowLimitLog = (tableName, kept, seen, sample) => {
+  if (seen <= kept) return null;
+  return sample
+    ? `✂️ Sampled ${kept.toLocaleString()} of ${seen.toLocaleString()} rows → ${tableName} (random sample)`
+    : `✂️ Kept the first ${kept.toLocaleString()} of ${seen.toLocaleString()} rows → ${tableName} (row limit)`;
+};
@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+import { createRowCollector, rowLimitLog } from './rowLimit';
+
+const offer = (collector, count) => {
+  for (let i = 0; i < count; i++) collector.add({ i });
+  return collector.rows().map(r => r.i);
+};
+
+describe('createRowCollector', () => {
+  it('keeps every row without a limit', () => {
+    expect(offer(createRowCollector(), 5)).toEqual([0, 1, 2, 3, 4]);
+  });
+
+  it('keeps the first rows up to the limit', () => {
+    const collector = createRowCollector({ rowLimit: 3 });
+    expect(offer(collector, 10)).toEqual([0, 1, 2]);
+    expect(collector.seen).toBe(10);
+  });
+
+  it('samples rows from the whole input, in their original order', () => {
+    const collector = createRowCollector({ rowLimit: 50, sample: true });
+    const kept = offer(collector, 5000);
+    expect(kept).toHaveLength(50);
+    expect(new Set(kept).size).toBe(50);
+    expect([...kept].sort((a, b) => a - b)).toEqual(kept);
+    expect(Math.max(...kept)).toBeGreaterThanOrEqual(50);
+  });
+});
+
+describe('rowLimitLog', () => {
+  it('only reports tables that were cut down', () => {
+    expect(rowLimitLog('t', 10, 10, false)).toBeNull();
+    expect(rowLimitLog('t', 10, 20, false)).toContain('Kept the first 10 of 20 rows → t');
+    expect(rowLimitLog('t', 10, 20, true)).toContain('(random sample)');
+  });
+});
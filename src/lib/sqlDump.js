@@ -0,0 +1,784 @@
+import { lexStatement, detectDialect, dialectOptions, DIALECT_LABELS, SqlSyntaxError } from './sqlLexer';
+import { createRowCollector, rowLimitLog } from './rowLimit';
+
+// Cap on how many per-statement problems we spell out in the parse log
+const MAX_LOGGED_ERRORS = 25;
+
+// Table-level clauses inside CREATE TABLE (...) that are not columns
+const CONSTRAINT_KEYWORDS = new Set(['CONSTRAINT', 'PRIMARY', 'FOREIGN', 'UNIQUE', 'KEY', 'INDEX', 'CHECK', 'FULLTEXT', 'SPATIAL', 'EXCLUDE', 'LIKE', 'PERIOD']);
+
+const isName = (tok) => tok && (tok.type === 'ident' || tok.type === 'quoted' || tok.type === 'dquote');
+const isOp = (tok, op) => tok && tok.type === 'op' && tok.value === op;
+const isWord = (tok, word) => tok && tok.type === 'ident' && tok.upper === word;
+
+const describe = (tok) => {
+  if (!tok) return 'end of statement';
+  if (tok.type === 'string') return `'${tok.value.slice(0, 20)}'`;
+  return `"${String(tok.value).slice(0, 20)}"`;
+};
+
+// Small cursor over a statement's tokens
+class Cursor {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.i = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.i + offset];
+  }
+
+  next() {
+    return this.tokens[this.i++];
+  }
+
+  error(message, tok = this.peek()) {
+    const at = tok || this.tokens[this.tokens.length - 1];
+    return new SqlSyntaxError(message, at?.line, at?.col);
+  }
+
+  expectOp(op) {
+    const tok = this.next();
+    if (!isOp(tok, op)) throw this.error(`expected '${op}' but found ${describe(tok)}`, tok);
+    return tok;
+  }
+
+  // Read a possibly schema-qualified name and return its last part
+  name() {
+    const tok = this.next();
+    if (!isName(tok)) throw this.error(`expected a name but found ${describe(tok)}`, tok);
+    let value = tok.value;
+    while (isOp(this.peek(), '.') && isName(this.peek(1))) {
+      this.i++;
+      value = this.next().value;
+    }
+    return value;
+  }
+
+  // Collect the tokens of one comma-separated item, stopping at a top-level ',' or ')'
+  item() {
+    const start = this.i;
+    let depth = 0;
+    while (this.i < this.tokens.length) {
+      const tok = this.peek();
+      if (tok.type === 'op') {
+        if (tok.value === '(' || tok.value === '[') depth++;
+        else if (tok.value === ')' || tok.value === ']') {
+          if (depth === 0) break;
+          depth--;
+        } else if ((tok.value === ',' && depth === 0) || tok.value === ';') break;
+      }
+      this.i++;
+    }
+    return this.tokens.slice(start, this.i);
+  }
+}
+
+// Turn the tokens of a single VALUES item into a JS value
+const evaluate = (toks, src) => {
+  const [first, second] = toks;
+  let sign = 1;
+  let lit = first;
+  let rest = toks.slice(1);
+
+  if ((isOp(first, '-') || isOp(first, '+')) && second && second.type === 'number') {
+    sign = first.value === '-' ? -1 : 1;
+    lit = second;
+    rest = toks.slice(2);
+  }
+
+  // Adjacent string literals are concatenated: 'abc' 'def'
+  if (toks.length > 1 && toks.every(t => t.type === 'string')) return toks.map(t => t.value).join('');
+
+  // 'value'::type casts keep the literal (PostgreSQL)
+  if (rest.length > 0 && !isOp(rest[0], '::')) lit = null;
+
+  if (lit) {
+    switch (lit.type) {
+      case 'string':
+      case 'dquote':
+        return lit.value;
+      case 'number': {
+        const num = Number(lit.value) * sign;
+        // Keep huge integer ids as text so they don't lose precision
+        if (/^\d+$/.test(lit.value) && !Number.isSafeInteger(num)) return sign < 0 ? `-${lit.value}` : lit.value;
+        return num;
+      }
+      case 'hex':
+        return `0x${lit.value}`;
+      case 'bits':
+        return lit.value.length <= 53 ? parseInt(lit.value || '0', 2) : lit.value;
+      case 'ident':
+        if (lit.upper === 'NULL' || lit.upper === 'DEFAULT') return null;
+        if (lit.upper === 'TRUE') return true;
+        if (lit.upper === 'FALSE') return false;
+        break;
+      default:
+        break;
+    }
+  }
+
+  // Anything else (function calls, arrays, expressions) is kept as its SQL text
+  return src.slice(toks[0].start, toks[toks.length - 1].end);
+};
+
+const parseColumnList = (cur) => {
+  cur.expectOp('(');
+  const cols = [];
+  while (!isOp(cur.peek(), ')')) {
+    cols.push(cur.name());
+    // MySQL index prefix lengths: KEY (name(10))
+    if (isOp(cur.peek(), '(')) {
+      cur.next();
+      cur.item();
+      cur.expectOp(')');
+    }
+    while (isWord(cur.peek(), 'ASC') || isWord(cur.peek(), 'DESC')) cur.next();
+    if (isOp(cur.peek(), ',')) cur.next();
+    else if (!isOp(cur.peek(), ')')) throw cur.error(`expected ',' or ')' in column list but found ${describe(cur.peek())}`);
+  }
+  cur.next();
+  return cols;
+};
+
+// Words that continue a multi-word type name, e.g. DOUBLE PRECISION,
+// CHARACTER VARYING, TIMESTAMP WITHOUT TIME ZONE, INT UNSIGNED
+const TYPE_MODIFIERS = new Set(['PRECISION', 'VARYING', 'UNSIGNED', 'SIGNED', 'ZEROFILL', 'WITHOUT', 'WITH', 'TIME', 'ZONE', 'LOCAL']);
+
+const INTEGER_TYPES = new Set(['INT', 'INTEGER', 'BIGINT', 'SMALLINT', 'MEDIUMINT', 'TINYINT', 'INT2', 'INT4', 'INT8', 'SERIAL', 'BIGSERIAL', 'SMALLSERIAL', 'SERIAL4', 'SERIAL8', 'YEAR']);
+const DECIMAL_TYPES = new Set(['DECIMAL', 'NUMERIC', 'DEC', 'FIXED', 'NUMBER']);
+const FLOAT_TYPES = new Set(['FLOAT', 'FLOAT4', 'FLOAT8', 'DOUBLE', 'REAL']);
+const MONEY_TYPES = new Set(['MONEY', 'SMALLMONEY']);
+const BOOLEAN_TYPES = new Set(['BOOLEAN', 'BOOL']);
+const DATE_TYPES = new Set(['DATE', 'DATETIME', 'DATETIME2', 'SMALLDATETIME', 'TIMESTAMP', 'TIMESTAMPTZ', 'DATETIMEOFFSET']);
+const CATEGORY_TYPES = new Set(['ENUM', 'SET']);
+
+// Map a declared SQL type to the app's column type plus display hints.
+// Text types come back as 'text'; the caller may still refine them to 'category'.
+export const mapSqlType = (base, args = []) => {
+  const [p, sc] = args.map(Number);
+  if (INTEGER_TYPES.has(base)) {
+    // MySQL writes booleans as TINYINT(1)
+    if (base === 'TINYINT' && p === 1) return { type: 'category', boolean: true };
+    return { type: 'number', decimals: 0 };
+  }
+  if (DECIMAL_TYPES.has(base)) return { type: 'number', decimals: Number.isFinite(sc) ? sc : (args.length === 1 ? 0 : undefined) };
+  if (FLOAT_TYPES.has(base)) return { type: 'number' };
+  if (MONEY_TYPES.has(base)) return { type: 'number', decimals: 2 };
+  if (BOOLEAN_TYPES.has(base) || (base === 'BIT' && (!args.length || p === 1))) return { type: 'category', boolean: true };
+  if (DATE_TYPES.has(base)) return { type: 'date', dateOnly: base === 'DATE' };
+  if (CATEGORY_TYPES.has(base)) return { type: 'category' };
+  return { type: 'text' };
+};
+
+// Read "name(col, ...)" after REFERENCES
+const parseReference = (cur) => {
+  const table = cur.name().toLowerCase();
+  const columns = isOp(cur.peek(), '(') ? parseColumnList(cur) : null;
+  return { table, columns };
+};
+
+const parseColumnDef = (def) => {
+  const column = { name: def[0].value, sqlType: '', type: 'text', notNull: false, primaryKey: false, unique: false, references: null };
+
+  // Type name: words, then optional (args), then more words, e.g. TIMESTAMP(3) WITH TIME ZONE
+  const words = [];
+  let args = null;
+  let argsAt = 0;
+  let i = 1;
+  while (i < def.length) {
+    const tok = def[i];
+    if (tok.type === 'ident' && (words.length === 0 || TYPE_MODIFIERS.has(tok.upper))) {
+      words.push(tok.upper);
+      i++;
+    } else if (isOp(tok, '(') && words.length > 0 && !args) {
+      args = [];
+      argsAt = words.length;
+      i++;
+      while (i < def.length && !isOp(def[i], ')')) {
+        if (def[i].type === 'number' || def[i].type === 'string') args.push(def[i].value);
+        i++;
+      }
+      i++;
+    } else if (isOp(tok, '[') && words.length > 0) {
+      // PostgreSQL arrays: text[] is kept as text
+      words.push('[]');
+      while (i < def.length && !isOp(def[i], ']')) i++;
+      i++;
+    } else {
+      break;
+    }
+  }
+
+  const base = words[0] || '';
+  const isArray = words.includes('[]');
+  const typeArgs = args && !CATEGORY_TYPES.has(base) ? `(${args.join(',')})` : '';
+  const typeWords = words.filter(w => w !== '[]');
+  column.sqlType = [`${typeWords.slice(0, argsAt || typeWords.length).join(' ')}${typeArgs}`, ...typeWords.slice(argsAt || typeWords.length)].join(' ') + (isArray ? '[]' : '');
+  Object.assign(column, isArray ? { type: 'text' } : mapSqlType(base, (args || []).filter(a => /^\d+$/.test(a))));
+
+  // Column constraints
+  for (; i < def.length; i++) {
+    const tok = def[i];
+    if (tok.type !== 'ident') continue;
+    if (tok.upper === 'NOT' && isWord(def[i + 1], 'NULL')) {
+      column.notNull = true;
+      i++;
+    } else if (tok.upper === 'PRIMARY' && isWord(def[i + 1], 'KEY')) {
+      column.primaryKey = true;
+      column.notNull = true;
+      i++;
+    } else if (tok.upper === 'UNIQUE') {
+      column.unique = true;
+    } else if (tok.upper === 'REFERENCES') {
+      const cur = new Cursor(def.slice(i + 1));
+      const ref = parseReference(cur);
+      column.references = { table: ref.table, column: ref.columns ? ref.columns[0] : null };
+      i += cur.i;
+    } else if (tok.upper === 'DEFAULT' || tok.upper === 'COMMENT') {
+      // Skip the value so e.g. DEFAULT 'NOT NULL' isn't read as a constraint
+      i++;
+      if (isOp(def[i], '-')) i++;
+      if (def[i] && def[i].type === 'ident' && isOp(def[i + 1], '(')) i++;
+      if (isOp(def[i], '(')) {
+        let depth = 0;
+        for (; i < def.length; i++) {
+          if (isOp(def[i], '(')) depth++;
+          else if (isOp(def[i], ')') && --depth === 0) break;
+        }
+      }
+      while (isOp(def[i + 1], '::')) i += 2;
+    }
+  }
+
+  return column;
+};
+
+// PRIMARY KEY (...), FOREIGN KEY (...) REFERENCES t (...), with optional CONSTRAINT name.
+// Returns null for constraints we don't track (UNIQUE, KEY, CHECK, ...).
+const parseTableConstraint = (def) => {
+  const cur = new Cursor(def);
+  if (isWord(cur.peek(), 'CONSTRAINT')) {
+    cur.next();
+    if (isName(cur.peek()) && !isWord(cur.peek(), 'PRIMARY') && !isWord(cur.peek(), 'FOREIGN')) cur.next();
+  }
+  if (isWord(cur.peek(), 'PRIMARY')) {
+    cur.next();
+    if (isWord(cur.peek(), 'KEY')) cur.next();
+    return { kind: 'primaryKey', columns: parseColumnList(cur) };
+  }
+  if (isWord(cur.peek(), 'FOREIGN')) {
+    cur.next();
+    if (isWord(cur.peek(), 'KEY')) cur.next();
+    // MySQL allows an index name before the column list
+    if (isName(cur.peek())) cur.next();
+    const columns = parseColumnList(cur);
+    if (!isWord(cur.peek(), 'REFERENCES')) throw cur.error(`expected REFERENCES but found ${describe(cur.peek())}`);
+    cur.next();
+    const ref = parseReference(cur);
+    return { kind: 'foreignKey', columns, table: ref.table, refColumns: ref.columns };
+  }
+  return null;
+};
+
+const applyConstraint = (schema, constraint) => {
+  if (!constraint) return;
+  if (constraint.kind === 'primaryKey') {
+    schema.primaryKey = constraint.columns;
+    schema.columns.forEach(col => {
+      if (constraint.columns.includes(col.name)) {
+        col.primaryKey = true;
+        col.notNull = true;
+      }
+    });
+  } else if (constraint.kind === 'foreignKey') {
+    schema.foreignKeys.push({ columns: constraint.columns, table: constraint.table, refColumns: constraint.refColumns });
+    if (constraint.columns.length === 1) {
+      const col = schema.columns.find(c => c.name === constraint.columns[0]);
+      if (col) col.references = { table: constraint.table, column: constraint.refColumns ? constraint.refColumns[0] : null };
+    }
+  }
+};
+
+const parseCreateTable = (cur) => {
+  while (cur.peek() && !isWord(cur.peek(), 'TABLE')) cur.next();
+  cur.next();
+  if (isWord(cur.peek(), 'IF')) {
+    cur.next();
+    if (isWord(cur.peek(), 'NOT')) cur.next();
+    if (isWord(cur.peek(), 'EXISTS')) cur.next();
+  }
+  const tableName = cur.name();
+
+  // CREATE TABLE ... AS SELECT / LIKE carry no column list we can read
+  if (!isOp(cur.peek(), '(')) return { tableName, schema: null };
+  cur.next();
+
+  const schema = { columns: [], primaryKey: [], foreignKeys: [] };
+  const constraints = [];
+  while (cur.peek() && !isOp(cur.peek(), ')')) {
+    const def = cur.item();
+    if (def.length > 0 && isName(def[0])) {
+      if (def[0].type === 'ident' && CONSTRAINT_KEYWORDS.has(def[0].upper)) {
+        constraints.push(parseTableConstraint(def));
+      } else {
+        schema.columns.push(parseColumnDef(def));
+      }
+    }
+    if (isOp(cur.peek(), ',')) cur.next();
+    else if (!isOp(cur.peek(), ')')) throw cur.error(`expected ',' or ')' in column list but found ${describe(cur.peek())}`);
+  }
+  cur.expectOp(')');
+
+  schema.primaryKey = schema.columns.filter(c => c.primaryKey).map(c => c.name);
+  schema.columns.forEach(col => {
+    if (col.references) {
+      schema.foreignKeys.push({ columns: [col.name], table: col.references.table, refColumns: col.references.column ? [col.references.column] : null });
+    }
+  });
+  constraints.forEach(c => applyConstraint(schema, c));
+
+  return { tableName, schema };
+};
+
+// ALTER TABLE [ONLY] name ADD [CONSTRAINT x] PRIMARY KEY / FOREIGN KEY ...
+// pg_dump adds every key this way, after the data.
+const parseAlterTable = (cur) => {
+  cur.next(); // ALTER
+  cur.next(); // TABLE
+  while (isWord(cur.peek(), 'ONLY') || isWord(cur.peek(), 'IF') || isWord(cur.peek(), 'EXISTS')) cur.next();
+  const tableName = cur.name();
+
+  const constraints = [];
+  const columns = [];
+  while (cur.peek()) {
+    const action = cur.item();
+    if (isWord(action[0], 'ADD')) {
+      const rest = action.slice(1);
+      if (isWord(rest[0], 'COLUMN')) {
+        columns.push(parseColumnDef(rest.slice(1)));
+      } else if (rest[0] && rest[0].type === 'ident' && CONSTRAINT_KEYWORDS.has(rest[0].upper)) {
+        constraints.push(parseTableConstraint(rest));
+      } else if (isName(rest[0])) {
+        columns.push(parseColumnDef(rest));
+      }
+    }
+    if (isOp(cur.peek(), ',')) cur.next();
+    else break;
+  }
+  return { tableName, constraints, columns };
+};
+
+// Column types declared in a table's DDL, for processTableData
+export const declaredTypes = (schema) => {
+  const types = {};
+  (schema?.columns || []).forEach(col => {
+    types[col.name] = col.type;
+  });
+  return types;
+};
+
+// Parse INSERT/REPLACE ... VALUES (...), (...). Row-level problems are
+// collected in `errors` so one bad tuple doesn't lose the whole statement.
+const parseInsert = (cur, src, errors) => {
+  cur.next(); // INSERT / REPLACE
+  while (cur.peek() && !isWord(cur.peek(), 'INTO')) {
+    // INSERT IGNORE / LOW_PRIORITY / OR REPLACE etc.
+    if (isName(cur.peek()) && isOp(cur.peek(1), '(')) break;
+    cur.next();
+  }
+  if (isWord(cur.peek(), 'INTO')) cur.next();
+  const tableName = cur.name();
+
+  // PostgreSQL "INSERT INTO t AS alias"
+  if (isWord(cur.peek(), 'AS')) {
+    cur.next();
+    cur.next();
+  }
+
+  const explicitColumns = isOp(cur.peek(), '(') ? parseColumnList(cur) : null;
+
+  if (!isWord(cur.peek(), 'VALUES') && !isWord(cur.peek(), 'VALUE')) {
+    throw cur.error(`only INSERT ... VALUES is supported, found ${describe(cur.peek())}`);
+  }
+  cur.next();
+
+  const rows = [];
+  while (cur.peek()) {
+    const open = cur.peek();
+    if (!isOp(open, '(')) throw cur.error(`expected '(' to start a row but found ${describe(open)}`);
+    cur.next();
+
+    const values = [];
+    let rowError = null;
+    while (cur.peek() && (!isOp(cur.peek(), ')') || values.length > 0)) {
+      const toks = cur.item();
+      if (toks.length === 0) {
+        rowError = cur.error('empty value in row');
+        break;
+      }
+      values.push(evaluate(toks, src));
+      if (isOp(cur.peek(), ',')) cur.next();
+      else if (isOp(cur.peek(), ')')) break;
+      else {
+        rowError = cur.error(`expected ',' or ')' in row but found ${describe(cur.peek())}`);
+        break;
+      }
+    }
+
+    if (!rowError && !isOp(cur.peek(), ')')) rowError = cur.error(`row starting here is missing its closing ')'`, open);
+
+    if (rowError) {
+      errors.push(rowError);
+      // Skip to the end of this tuple and carry on with the next one
+      let depth = 1;
+      while (cur.peek() && depth > 0 && !isOp(cur.peek(), ';')) {
+        const tok = cur.next();
+        if (isOp(tok, '(')) depth++;
+        else if (isOp(tok, ')')) depth--;
+      }
+    } else {
+      cur.next();
+      rows.push({ values, line: open.line, col: open.col });
+    }
+
+    if (isOp(cur.peek(), ',')) {
+      cur.next();
+      continue;
+    }
+    // ON DUPLICATE KEY / ON CONFLICT / RETURNING / ';' end the row list
+    break;
+  }
+
+  return { tableName, explicitColumns, rows };
+};
+
+// Parse the head of a COPY statement: COPY name [(cols)] FROM stdin [WITH ...]
+const parseCopy = (cur) => {
+  cur.next(); // COPY
+  const tableName = cur.name();
+  const explicitColumns = isOp(cur.peek(), '(') ? parseColumnList(cur) : null;
+  if (!isWord(cur.peek(), 'FROM')) throw cur.error(`expected FROM but found ${describe(cur.peek())}`);
+  cur.next();
+  const source = cur.next();
+  const fromStdin = isWord(source, 'STDIN');
+  // pg_dump only writes the default text format; CSV/BINARY options are not supported
+  const options = cur.tokens.slice(cur.i).map(t => (t.upper || String(t.value).toUpperCase()));
+  const textFormat = !options.includes('CSV') && !options.includes('BINARY');
+  return { tableName, explicitColumns, fromStdin, textFormat };
+};
+
+const COPY_ESCAPES = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v' };
+
+// Decode one field of COPY text format
+const decodeCopyField = (field) => {
+  if (field === '\\N') return null;
+  if (field.indexOf('\\') === -1) return field;
+  return field.replace(/\\(x[0-9a-fA-F]{1,2}|[0-7]{1,3}|.)/g, (_, esc) => {
+    if (esc[0] === 'x' && esc.length > 1) return String.fromCharCode(parseInt(esc.slice(1), 16));
+    if (/^[0-7]+$/.test(esc)) return String.fromCharCode(parseInt(esc, 8));
+    return COPY_ESCAPES[esc] ?? esc;
+  });
+};
+
+// Read the tab-separated lines of a COPY data block from `pos` (a line start)
+// until a line holding only \. — with `final: false` a trailing partial line is
+// left for the next chunk.
+const readCopyLines = (content, pos, line, final) => {
+  const rows = [];
+  let i = pos;
+  while (i < content.length) {
+    let eol = content.indexOf('\n', i);
+    if (eol === -1) {
+      if (!final) break;
+      eol = content.length;
+    }
+    let text = content.slice(i, eol);
+    if (text.endsWith('\r')) text = text.slice(0, -1);
+
+    if (text === '\\.') {
+      return { rows, end: Math.min(eol + 1, content.length), line: line + 1, terminated: true };
+    }
+    rows.push({ values: text.split('\t').map(decodeCopyField), line, col: 1 });
+    i = eol + 1;
+    line++;
+  }
+  return { rows, end: Math.min(i, content.length), line, terminated: false };
+};
+
+// How often the parser reports progress, in ms
+const PROGRESS_INTERVAL = 200;
+
+// detectDialect looks at this much of the start of a dump
+const DIALECT_SAMPLE = 20000;
+
+/**
+ * Incremental SQL dump parser. Feed the dump with push(text) in any number of
+ * chunks, then call finish() for { tables, logs, schemas }. Statements and
+ * COPY lines are parsed as soon as they are complete, so only the unfinished
+ * tail of the input is kept in memory.
+ *
+ * Options:
+ *   rowLimit   keep at most this many rows per table (0 = all)
+ *   sample     with rowLimit, keep a uniform random sample instead of the first rows
+ *   onProgress({ position, rows }) — characters consumed and rows per table so
+ *              far, called every PROGRESS_INTERVAL ms
+ */
+export const createSQLParser = ({ rowLimit = 0, sample = false, onProgress } = {}) => {
+  const logs = [];
+  const extractedTables = {};
+  const tableSchemas = {};
+  const errors = [];
+
+  let opts = null;
+  let buffer = '';
+  let consumed = 0; // characters dropped from the front of the buffer
+  let line = 1;
+  let pending = null; // lexStatement result for a statement that runs past the buffer, resumed when more arrives
+  let copy = null; // COPY block being read: { tableName, explicitColumns, textFormat, statementLine, skipLine, skipped }
+  let copyBlocks = 0;
+  let stopped = false;
+
+  const addError = (err, statementLine, what) => {
+    const errLine = err.line || statementLine;
+    errors.push(`Line ${errLine}: ${what ? `${what} — ` : ''}${err.reason || err.message}`);
+  };
+
+  // Append parsed rows ({ values, line, col }) to a table, reporting rows
+  // whose value count doesn't match the column list
+  const addRows = (tableName, explicitColumns, rows, statementLine, what) => {
+    let cols = explicitColumns || (tableSchemas[tableName] ? tableSchemas[tableName].columns.map(c => c.name) : []);
+    if (cols.length === 0 && rows.length > 0) {
+      cols = rows[0].values.map((_, i) => `column_${i + 1}`);
+    }
+
+    if (!extractedTables[tableName]) {
+      extractedTables[tableName] = { columns: cols, rows: createRowCollector({ rowLimit, sample }) };
+    }
+    const target = extractedTables[tableName].rows;
+
+    let mismatched = 0;
+    rows.forEach(({ values, line: rowLine, col }) => {
+      if (values.length !== cols.length) {
+        if (mismatched === 0) {
+          addError(new SqlSyntaxError(`row has ${values.length} values but ${cols.length} columns`, rowLine, col), statementLine, what);
+        }
+        mismatched++;
+      }
+      const row = { _id: target.seen };
+      cols.forEach((c, i) => {
+        row[c] = values[i] !== undefined ? values[i] : null;
+      });
+      target.add(row);
+    });
+    if (mismatched > 1) {
+      errors.push(`Line ${statementLine}: ${what} — ${mismatched - 1} more row(s) with the wrong number of values`);
+    }
+  };
+
+  let lastProgress = Date.now();
+  const reportProgress = (pos) => {
+    if (!onProgress || Date.now() - lastProgress < PROGRESS_INTERVAL) return;
+    lastProgress = Date.now();
+    const rows = {};
+    Object.entries(extractedTables).forEach(([name, t]) => {
+      rows[name] = t.rows.seen;
+    });
+    onProgress({ position: consumed + pos, rows });
+  };
+
+  // Close the current COPY block, reporting what couldn't be used
+  const endCopy = (terminated) => {
+    if (!copy.textFormat) {
+      errors.push(`Line ${copy.statementLine}: COPY ${copy.tableName} — only the default text format is supported, skipped ${copy.skipped} rows`);
+    } else {
+      if (!terminated) {
+        errors.push(`Line ${copy.statementLine}: COPY ${copy.tableName} — data block has no closing \\. line`);
+      }
+      copyBlocks++;
+    }
+    copy = null;
+  };
+
+  const handleStatement = (tokens, content) => {
+    const first = tokens[0];
+    const cur = new Cursor(tokens);
+
+    try {
+      if (isWord(first, 'CREATE') && tokens.slice(1, 6).some(t => isWord(t, 'TABLE'))) {
+        const { tableName, schema } = parseCreateTable(cur);
+        if (schema && schema.columns.length > 0) {
+          tableSchemas[tableName.toLowerCase()] = schema;
+          const pk = schema.primaryKey.length > 0 ? `, primary key ${schema.primaryKey.join(', ')}` : '';
+          logs.push(`📋 Found table: ${tableName} (${schema.columns.length} columns${pk})`);
+        }
+      } else if (isWord(first, 'ALTER') && isWord(tokens[1], 'TABLE')) {
+        const { tableName, constraints, columns } = parseAlterTable(cur);
+        const schema = tableSchemas[tableName.toLowerCase()];
+        if (schema) {
+          schema.columns.push(...columns);
+          constraints.forEach(c => applyConstraint(schema, c));
+        }
+      } else if (isWord(first, 'INSERT') || isWord(first, 'REPLACE')) {
+        const rowErrors = [];
+        const { tableName: rawName, explicitColumns, rows } = parseInsert(cur, content, rowErrors);
+        const tableName = rawName.toLowerCase();
+        rowErrors.forEach(err => addError(err, first.line, `INSERT INTO ${tableName}`));
+        addRows(tableName, explicitColumns, rows, first.line, `INSERT INTO ${tableName}`);
+      } else if (isWord(first, 'COPY')) {
+        const { tableName: rawName, explicitColumns, fromStdin, textFormat } = parseCopy(cur);
+        // The data block has to be consumed even if we can't use it; it starts on the next line
+        if (fromStdin) {
+          copy = { tableName: rawName.toLowerCase(), explicitColumns, textFormat, statementLine: first.line, skipLine: true, skipped: 0 };
+        }
+      }
+    } catch (err) {
+      if (!(err instanceof SqlSyntaxError)) throw err;
+      addError(err, first.line, `${first.value.toUpperCase()} statement starting at line ${first.line}`);
+    }
+  };
+
+  // Consume as much of the buffer as forms complete statements / COPY lines
+  const drain = (final) => {
+    if (stopped) {
+      buffer = '';
+      pending = null;
+      return;
+    }
+    const content = buffer;
+    let pos = 0;
+    while (pos < content.length) {
+      reportProgress(pos);
+
+      if (copy) {
+        // Rest of the COPY statement's own line
+        if (copy.skipLine) {
+          const eol = content.indexOf('\n', pos);
+          if (eol === -1) {
+            pos = content.length;
+            break;
+          }
+          pos = eol + 1;
+          line++;
+          copy.skipLine = false;
+        }
+        const block = readCopyLines(content, pos, line, final);
+        pos = block.end;
+        line = block.line;
+        if (copy.textFormat) {
+          addRows(copy.tableName, copy.explicitColumns, block.rows, copy.statementLine, `COPY ${copy.tableName}`);
+        } else {
+          copy.skipped += block.rows.length;
+        }
+        if (!block.terminated) break;
+        endCopy(true);
+        continue;
+      }
+
+      let stmt;
+      try {
+        stmt = lexStatement(content, pos, line, { ...opts, final, resume: pending });
+      } catch (err) {
+        // A broken literal swallows the rest of the file, so stop here
+        addError(err, line);
+        stopped = true;
+        pending = null;
+        pos = content.length;
+        break;
+      }
+      pending = null;
+      // Wait for the rest of a statement that runs past the end of this chunk, keeping
+      // its tokens so a huge multi-row INSERT isn't lexed again from the start every chunk
+      if (!final && (stmt.incomplete || !stmt.terminated)) {
+        if (stmt.tokens.length > 0) pending = stmt;
+        break;
+      }
+      pos = stmt.end;
+      line = stmt.line;
+
+      const tokens = stmt.tokens.filter(t => !isOp(t, ';'));
+      if (tokens.length === 0) continue;
+      handleStatement(tokens, content);
+    }
+    if (final && copy) endCopy(false);
+    buffer = content.slice(pos);
+    consumed += pos;
+    // The pending statement now starts at the front of the buffer
+    if (pending && pos > 0) {
+      pending.tokens.forEach(t => {
+        t.start -= pos;
+        t.end -= pos;
+      });
+      pending = { ...pending, end: pending.end - pos, lineStart: pending.lineStart - pos };
+    }
+  };
+
+  const detect = () => {
+    const dialect = detectDialect(buffer);
+    opts = dialectOptions(dialect);
+    logs.push(`🔍 Parsing SQL file (${DIALECT_LABELS[dialect]} dialect)...`);
+  };
+
+  return {
+    push(text) {
+      buffer += text;
+      // Hold the first chunks back until there's enough text to tell the dialect
+      if (!opts) {
+        if (buffer.length < DIALECT_SAMPLE) return;
+        detect();
+      }
+      drain(false);
+    },
+
+    finish() {
+      if (!opts) detect();
+      drain(true);
+
+      const foreignKeys = Object.entries(tableSchemas).flatMap(([name, schema]) =>
+        schema.foreignKeys.map(fk => `${name}.${fk.columns.join(', ')} → ${fk.table}${fk.refColumns ? `.${fk.refColumns.join(', ')}` : ''}`)
+      );
+      if (foreignKeys.length > 0) {
+        logs.push(`🔑 ${foreignKeys.length} foreign key(s) declared`);
+        foreignKeys.slice(0, MAX_LOGGED_ERRORS).forEach(fk => logs.push(`   ${fk}`));
+      }
+
+      if (copyBlocks > 0) {
+        logs.push(`📦 Read ${copyBlocks} COPY data block(s)`);
+      }
+
+      const result = {};
+      Object.entries(extractedTables).forEach(([name, { rows: collector }]) => {
+        const rows = collector.rows();
+        if (rows.length === 0) return;
+        result[name] = rows.map((row, idx) => ({ ...row, _id: idx }));
+        logs.push(`📥 Loaded ${rows.length} rows → ${name}`);
+        const limited = rowLimitLog(name, rows.length, collector.seen, sample);
+        if (limited) logs.push(limited);
+      });
+
+      if (errors.length > 0) {
+        logs.push(`⚠️ ${errors.length} problem(s) while parsing:`);
+        errors.slice(0, MAX_LOGGED_ERRORS).forEach(e => logs.push(`⚠️ ${e}`));
+        if (errors.length > MAX_LOGGED_ERRORS) {
+          logs.push(`⚠️ ...and ${errors.length - MAX_LOGGED_ERRORS} more`);
+        }
+      }
+
+      if (Object.keys(result).length === 0) {
+        logs.push('⚠️ No data found. Make sure your SQL file has INSERT statements or COPY ... FROM stdin blocks.');
+      } else {
+        const totalRows = Object.values(result).reduce((sum, rows) => sum + rows.length, 0);
+        logs.push(`✅ Done! ${Object.keys(result).length} table(s), ${totalRows} total rows`);
+      }
+
+      return { tables: result, logs, schemas: tableSchemas };
+    }
+  };
+};
+
+// Parse a whole SQL dump held in one string (options as for createSQLParser)
+export const parseSQLFile = (content, options = {}) => {
+  const parser = createSQLParser(options);
+  parser.push(content);
+  return parser.finish();
+};
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { createSQLParser, parseSQLFile } from './sqlDump';
+
+const DUMP = `-- A dump with the awkward bits: comments, quotes and semicolons inside strings
+CREATE TABLE \`people\` (
+  \`id\` int NOT NULL,
+  \`name\` varchar(50) DEFAULT NULL, /* inline; comment */
+  \`note\` text,
+  PRIMARY KEY (\`id\`)
+);
+INSERT INTO \`people\` VALUES (1,'Ann','likes ; semicolons'),(2,'Bob','it\\'s a
+multi-line note'),(3,'Cy','(parens) and \\\\ backslashes');
+INSERT INTO \`people\` (\`id\`, \`name\`, \`note\`) VALUES (4,'Di',NULL);
+CREATE TABLE \`orders\` (\`id\` int, \`person_id\` int, \`total\` decimal(8,2));
+INSERT INTO \`orders\` VALUES (10,1,12.50),(11,2,-3.25),(12,4,1e3);
+`;
+
+// Feed text in fixed-size pieces, the way the streaming loader does
+const parseInChunks = (text, size, options) => {
+  const parser = createSQLParser(options);
+  for (let i = 0; i < text.length; i += size) parser.push(text.slice(i, i + size));
+  return parser.finish();
+};
+
+describe('createSQLParser', () => {
+  it('reads a whole dump', () => {
+    const { tables, schemas } = parseSQLFile(DUMP);
+    expect(tables.people.map(r => r.name)).toEqual(['Ann', 'Bob', 'Cy', 'Di']);
+    expect(tables.people[1].note).toBe("it's a\nmulti-line note");
+    expect(tables.people[2].note).toBe('(parens) and \\ backslashes');
+    expect(tables.people[3].note).toBeNull();
+    expect(tables.orders.map(r => r.total)).toEqual([12.5, -3.25, 1000]);
+    expect(schemas.people.primaryKey).toEqual(['id']);
+  });
+
+  it('gives the same result however the input is split', () => {
+    const whole = parseSQLFile(DUMP);
+    [1, 2, 3, 7, 13, 64, 1000].forEach(size => {
+      const chunked = parseInChunks(DUMP, size);
+      expect(chunked.tables, `chunks of ${size}`).toEqual(whole.tables);
+      expect(chunked.logs, `chunks of ${size}`).toEqual(whole.logs);
+    });
+  });
+
+  it('resumes a statement that spans many chunks', () => {
+    const values = Array.from({ length: 2000 }, (_, i) => `(${i},'row ${i}; ''quoted''')`).join(',\n');
+    const dump = `CREATE TABLE t (id INT, s TEXT);\nINSERT INTO t VALUES ${values};\n`;
+    const { tables } = parseInChunks(dump, 100);
+    expect(tables.t).toHaveLength(2000);
+    expect(tables.t[1999]).toMatchObject({ id: 1999, s: "row 1999; 'quoted'" });
+  });
+
+  it('reads PostgreSQL COPY blocks split across chunks', () => {
+    const dump = 'CREATE TABLE t (id integer, s text);\nCOPY public.t (id, s) FROM stdin;\n1\tone\n2\t\\N\n3\ttab\\there\n\\.\n';
+    [1, 5, 1000].forEach(size => {
+      const { tables } = parseInChunks(dump, size);
+      expect(tables.t, `chunks of ${size}`).toEqual([
+        { _id: 0, id: '1', s: 'one' },
+        { _id: 1, id: '2', s: null },
+        { _id: 2, id: '3', s: 'tab\there' }
+      ]);
+    });
+  });
+
+  it('keeps the first rows up to the row limit', () => {
+    const { tables, logs } = parseInChunks(DUMP, 16, { rowLimit: 2 });
+    expect(tables.people.map(r => r.id)).toEqual([1, 2]);
+    expect(logs.some(line => line.includes('Kept the first 2 of 4 rows → people'))).toBe(true);
+  });
+});
@@ -0,0 +1,316 @@
+// SQL lexer shared by the dump parser and anything else that needs to read SQL.
+// Handles the quoting rules of MySQL, PostgreSQL and SQLite dumps:
+//   'it''s'        doubled quotes (all dialects)
+//   'it\'s'        backslash escapes (MySQL only, unless standard strings are off)
+//   E'a\nb'        PostgreSQL escape strings
+//   $$...$$        PostgreSQL dollar quoting
+//   X'ABCD', 0xAB  hex/blob literals, B'0101' bit strings
+//   _binary '...'  MySQL charset introducers
+//   `name`, "name", [name]  quoted identifiers
+
+export class SqlSyntaxError extends Error {
+  constructor(message, line, column) {
+    super(line ? `Line ${line}, col ${column}: ${message}` : message);
+    this.name = 'SqlSyntaxError';
+    this.reason = message;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+// Guess the dump flavour so we know which quoting rules apply
+export const detectDialect = (content) => {
+  const head = content.slice(0, 20000);
+  if (/ENGINE\s*=|\/\*!\d{5}|LOCK TABLES|`\w+`/i.test(head)) return 'mysql';
+  if (/pg_dump|standard_conforming_strings|\bOWNER TO\b|::\w+|\bFROM stdin;/i.test(head)) return 'postgres';
+  if (/PRAGMA\s+\w+|BEGIN TRANSACTION;|sqlite/i.test(head)) return 'sqlite';
+  return 'unknown';
+};
+
+export const DIALECT_LABELS = {
+  mysql: 'MySQL',
+  postgres: 'PostgreSQL',
+  sqlite: 'SQLite',
+  unknown: 'generic'
+};
+
+// Lexer options for a dialect. Unknown dumps keep backslash escapes, which is
+// what the old parser did and what most hand-written INSERT files expect.
+export const dialectOptions = (dialect) => ({
+  backslashEscapes: dialect === 'mysql' || dialect === 'unknown',
+  hashComments: dialect === 'mysql',
+  dollarQuotes: dialect !== 'mysql'
+});
+
+const isDigit = (c) => c >= 48 && c <= 57;
+const isIdentStart = (c) => (c >= 65 && c <= 90) || (c >= 97 && c <= 122) || c === 95 || c > 127;
+const isIdentPart = (c) => isIdentStart(c) || isDigit(c) || c === 36;
+const isSpace = (c) => c === 32 || c === 10 || c === 13 || c === 9 || c === 12 || c === 11;
+
+const MYSQL_ESCAPES = { '0': '\0', b: '\b', n: '\n', r: '\r', t: '\t', Z: '\x1a', '%': '\\%', _: '\\_' };
+const PG_ESCAPES = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+// Operators made of more than one character
+const MULTI_OPS = ['::', '<=', '>=', '<>', '!=', '||', '->>', '->'];
+
+/**
+ * Scan one statement starting at `pos`. Stops after a top-level `;`
+ * (included as the last token) or at the end of `src`.
+ *
+ * Returns { tokens, end, line, lineStart, terminated, incomplete } where
+ * `line` is the line number at `end` and `incomplete` means `src` ran out in
+ * the middle of a string or comment. With `final: false` the caller should
+ * wait for more input instead of treating that as an error; a statement cut
+ * short that way ends before its last token, which may still grow, and
+ * passing the result back as `resume` (once more text is appended to `src`)
+ * carries on from there instead of lexing the statement again.
+ */
+export const lexStatement = (src, pos = 0, line = 1, opts = {}) => {
+  const { backslashEscapes = true, hashComments = false, dollarQuotes = true, final = true, stopAtSemicolon = true, resume = null } = opts;
+  const tokens = resume ? resume.tokens : [];
+  const len = src.length;
+  let i = resume ? resume.end : pos;
+  let lineStart = resume ? resume.lineStart : pos;
+  let ln = resume ? resume.line : line;
+
+  const fail = (message, at) => {
+    throw new SqlSyntaxError(message, ln, at - lineStart + 1);
+  };
+
+  // Returns { value, end } for a quoted run, or null if the input ended first
+  const readQuoted = (start, quote, escapes) => {
+    let out = '';
+    let j = start + 1;
+    let segStart = j;
+    while (j < len) {
+      const ch = src[j];
+      if (ch === '\n') {
+        ln++;
+        lineStart = j + 1;
+      }
+      if (ch === quote) {
+        if (src[j + 1] === quote) {
+          out += src.slice(segStart, j + 1);
+          j += 2;
+          segStart = j;
+          continue;
+        }
+        out += src.slice(segStart, j);
+        return { value: out, end: j + 1 };
+      }
+      if (ch === '\\' && escapes) {
+        out += src.slice(segStart, j);
+        const next = src[j + 1];
+        if (next === undefined) return null;
+        if (escapes === 'pg') {
+          if (next === 'x' && /[0-9a-fA-F]/.test(src[j + 2] || '')) {
+            const hex = src.slice(j + 2, j + 4).match(/^[0-9a-fA-F]{1,2}/)[0];
+            out += String.fromCharCode(parseInt(hex, 16));
+            j += 2 + hex.length;
+          } else if (next >= '0' && next <= '7') {
+            const oct = src.slice(j + 1, j + 4).match(/^[0-7]{1,3}/)[0];
+            out += String.fromCharCode(parseInt(oct, 8));
+            j += 1 + oct.length;
+          } else if ((next === 'u' || next === 'U') && /^[0-9a-fA-F]+$/.test(src.slice(j + 2, j + (next === 'u' ? 6 : 10)))) {
+            const size = next === 'u' ? 4 : 8;
+            out += String.fromCodePoint(parseInt(src.slice(j + 2, j + 2 + size), 16));
+            j += 2 + size;
+          } else {
+            out += PG_ESCAPES[next] ?? next;
+            j += 2;
+          }
+        } else {
+          out += MYSQL_ESCAPES[next] ?? next;
+          j += 2;
+        }
+        segStart = j;
+        continue;
+      }
+      j++;
+    }
+    return null;
+  };
+
+  const push = (type, value, start, end, startLine, startCol, extra) => {
+    tokens.push({ type, value, start, end, line: startLine, col: startCol, ...extra });
+  };
+
+  while (i < len) {
+    const c = src.charCodeAt(i);
+
+    if (c === 10) {
+      ln++;
+      i++;
+      lineStart = i;
+      continue;
+    }
+    if (isSpace(c)) {
+      i++;
+      continue;
+    }
+
+    const ch = src[i];
+    const next = src[i + 1];
+    const tokLine = ln;
+    const tokLineStart = lineStart;
+    const tokCol = i - lineStart + 1;
+
+    // Comments
+    if ((ch === '-' && next === '-') || (ch === '#' && hashComments)) {
+      const eol = src.indexOf('\n', i);
+      if (eol === -1) {
+        i = len;
+        break;
+      }
+      i = eol;
+      continue;
+    }
+    if (ch === '/' && next === '*') {
+      const close = src.indexOf('*/', i + 2);
+      if (close === -1) {
+        if (!final) return { tokens, end: i, line: tokLine, lineStart: tokLineStart, terminated: false, incomplete: true };
+        fail('unterminated /* comment', i);
+      }
+      for (let k = i; k < close; k++) if (src.charCodeAt(k) === 10) { ln++; lineStart = k + 1; }
+      i = close + 2;
+      continue;
+    }
+
+    // Strings
+    if (ch === "'") {
+      const q = readQuoted(i, "'", backslashEscapes ? 'mysql' : null);
+      if (!q) {
+        if (!final) return { tokens, end: i, line: tokLine, lineStart: tokLineStart, terminated: false, incomplete: true };
+        fail('unterminated string literal', i);
+      }
+      push('string', q.value, i, q.end, tokLine, tokCol);
+      i = q.end;
+      continue;
+    }
+    if (ch === '"' || ch === '`') {
+      const q = readQuoted(i, ch, ch === '"' && backslashEscapes ? 'mysql' : null);
+      if (!q) {
+        if (!final) return { tokens, end: i, line: tokLine, lineStart: tokLineStart, terminated: false, incomplete: true };
+        fail(`unterminated ${ch} quoted name`, i);
+      }
+      push(ch === '"' ? 'dquote' : 'quoted', q.value, i, q.end, tokLine, tokCol);
+      i = q.end;
+      continue;
+    }
+    if (ch === '[' && tokens.length > 0 && /^[A-Za-z_][\w ]*\]/.test(src.slice(i + 1, i + 130))) {
+      // [bracketed identifiers] (SQL Server / SQLite); ARRAY[...] keeps its bracket
+      const prev = tokens[tokens.length - 1];
+      if (!(prev.type === 'ident' && prev.value.toUpperCase() === 'ARRAY')) {
+        const close = src.indexOf(']', i);
+        push('quoted', src.slice(i + 1, close), i, close + 1, tokLine, tokCol);
+        i = close + 1;
+        continue;
+      }
+    }
+
+    // Dollar-quoted strings: $$...$$ or $tag$...$tag$
+    if (ch === '$' && dollarQuotes) {
+      const m = /^\$([A-Za-z_][\w]*)?\$/.exec(src.slice(i, i + 64));
+      if (m) {
+        const tag = m[0];
+        const close = src.indexOf(tag, i + tag.length);
+        if (close === -1) {
+          if (!final) return { tokens, end: i, line: tokLine, lineStart: tokLineStart, terminated: false, incomplete: true };
+          fail('unterminated dollar-quoted string', i);
+        }
+        const body = src.slice(i + tag.length, close);
+        for (let k = 0; k < body.length; k++) if (body.charCodeAt(k) === 10) { ln++; lineStart = i + tag.length + k + 1; }
+        push('string', body, i, close + tag.length, tokLine, tokCol);
+        i = close + tag.length;
+        continue;
+      }
+    }
+
+    // Numbers and 0x hex literals
+    if (isDigit(c) || (ch === '.' && isDigit(src.charCodeAt(i + 1)))) {
+      if (ch === '0' && (next === 'x' || next === 'X') && /[0-9a-fA-F]/.test(src[i + 2] || '')) {
+        let j = i + 2;
+        while (j < len && /[0-9a-fA-F]/.test(src[j])) j++;
+        push('hex', src.slice(i + 2, j).toUpperCase(), i, j, tokLine, tokCol);
+        i = j;
+        continue;
+      }
+      let j = i;
+      while (j < len && isDigit(src.charCodeAt(j))) j++;
+      if (src[j] === '.') {
+        j++;
+        while (j < len && isDigit(src.charCodeAt(j))) j++;
+      }
+      if ((src[j] === 'e' || src[j] === 'E') && (isDigit(src.charCodeAt(j + 1)) || ((src[j + 1] === '+' || src[j + 1] === '-') && isDigit(src.charCodeAt(j + 2))))) {
+        j += 2;
+        while (j < len && isDigit(src.charCodeAt(j))) j++;
+      }
+      push('number', src.slice(i, j), i, j, tokLine, tokCol);
+      i = j;
+      continue;
+    }
+
+    // Identifiers, keywords and prefixed strings (X'', B'', E'', N'', _charset'')
+    if (isIdentStart(c)) {
+      let j = i + 1;
+      while (j < len && isIdentPart(src.charCodeAt(j))) j++;
+      const word = src.slice(i, j);
+      const upper = word.toUpperCase();
+
+      let quoteAt = src[j] === "'" ? j : -1;
+      if (quoteAt === -1 && word[0] === '_' && j - i > 1) {
+        // MySQL allows whitespace between a charset introducer and its string
+        let k = j;
+        while (k < len && isSpace(src.charCodeAt(k)) && src[k] !== '\n') k++;
+        if (src[k] === "'") quoteAt = k;
+      }
+
+      if (quoteAt !== -1 && (upper === 'X' || upper === 'B' || upper === 'E' || upper === 'N' || word[0] === '_')) {
+        const escapes = upper === 'E' ? 'pg' : (backslashEscapes && upper !== 'X' && upper !== 'B' ? 'mysql' : null);
+        const q = readQuoted(quoteAt, "'", escapes);
+        if (!q) {
+          if (!final) return { tokens, end: i, line: tokLine, lineStart: tokLineStart, terminated: false, incomplete: true };
+          fail('unterminated string literal', quoteAt);
+        }
+        if (upper === 'X') {
+          if (!/^[0-9a-fA-F]*$/.test(q.value)) fail(`invalid hex literal X'${q.value.slice(0, 20)}'`, i);
+          push('hex', q.value.toUpperCase(), i, q.end, tokLine, tokCol);
+        } else if (upper === 'B') {
+          if (!/^[01]*$/.test(q.value)) fail(`invalid bit literal B'${q.value.slice(0, 20)}'`, i);
+          push('bits', q.value, i, q.end, tokLine, tokCol);
+        } else {
+          push('string', q.value, i, q.end, tokLine, tokCol, word[0] === '_' ? { introducer: word } : undefined);
+        }
+        i = q.end;
+        continue;
+      }
+
+      push('ident', word, i, j, tokLine, tokCol, { upper });
+      i = j;
+      continue;
+    }
+
+    // Statement end
+    if (ch === ';') {
+      push('op', ';', i, i + 1, tokLine, tokCol);
+      i++;
+      if (stopAtSemicolon) return { tokens, end: i, line: ln, terminated: true, incomplete: false };
+      continue;
+    }
+
+    // Operators and punctuation
+    const op = MULTI_OPS.find(o => src.startsWith(o, i)) || ch;
+    push('op', op, i, i + op.length, tokLine, tokCol);
+    i += op.length;
+  }
+
+  // More input may follow: "12" could become "1234", "-" could start "--"
+  if (!final && tokens.length > 0) {
+    const last = tokens.pop();
+    return { tokens, end: last.start, line: last.line, lineStart: last.start - last.col + 1, terminated: false, incomplete: false };
+  }
+  return { tokens, end: i, line: ln, lineStart, terminated: false, incomplete: false };
+};
+
+// Tokenize a whole SQL string (used for single queries, not dumps)
+export const tokenize = (src, opts = {}) => lexStatement(src, 0, 1, { ...opts, stopAtSemicolon: false }).tokens;
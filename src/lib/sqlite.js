@@ -0,0 +1,155 @@
+// SQLite database reader (.db / .sqlite / .sqlite3) built on sql.js. Tables
+// come back in the same shape as sqlDump.js output: rows, schemas with
+// declared types, primary keys and foreign keys, and parse log lines.
+
+import initSqlJs from 'sql.js';
+import wasmUrl from 'sql.js/dist/sql-wasm-browser.wasm?url';
+import { mapSqlType } from './sqlDump';
+import { createRowCollector, rowLimitLog } from './rowLimit';
+
+// Every file starts with this header
+const SQLITE_MAGIC = 'SQLite format 3\u0000';
+
+// Blobs are shown as hex, cut off after this many bytes
+const MAX_BLOB_BYTES = 32;
+
+// How often (in rows) the progress line is refreshed while reading a table
+const PROGRESS_INTERVAL = 10000;
+
+let sqlJs = null;
+const loadSqlJs = () => {
+  if (!sqlJs) sqlJs = initSqlJs({ locateFile: () => wasmUrl });
+  return sqlJs;
+};
+
+export const isSQLiteFile = (buffer) => {
+  const head = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, SQLITE_MAGIC.length));
+  return String.fromCharCode(...head) === SQLITE_MAGIC;
+};
+
+const quoteName = (name) => `"${name.replace(/"/g, '""')}"`;
+
+// Declared types follow SQLite's affinity rules when they aren't a known SQL type,
+// e.g. UNSIGNED BIG INT is an integer and VARYING CHARACTER is text
+const columnType = (declared) => {
+  const m = declared.trim().toUpperCase().match(/^([A-Z0-9_]+)[^(]*(?:\(([^)]*)\))?/);
+  if (!m) return { type: 'text' };
+  const args = (m[2] || '').split(',').map(a => a.trim()).filter(a => /^\d+$/.test(a));
+  const mapped = mapSqlType(m[1], args);
+  if (mapped.type !== 'text') return mapped;
+  const upper = declared.toUpperCase();
+  if (upper.includes('INT')) return { type: 'number', decimals: 0 };
+  if (/REAL|FLOA|DOUB/.test(upper)) return { type: 'number' };
+  return mapped;
+};
+
+const blobValue = (bytes) => {
+  const hex = Array.from(bytes.subarray(0, MAX_BLOB_BYTES), b => b.toString(16).padStart(2, '0')).join('').toUpperCase();
+  return bytes.length > MAX_BLOB_BYTES ? `0x${hex}… (${bytes.length} bytes)` : `0x${hex}`;
+};
+
+const readSchema = (db, tableName) => {
+  const schema = { columns: [], primaryKey: [], foreignKeys: [] };
+  const keyParts = [];
+  const info = db.exec(`PRAGMA table_info(${quoteName(tableName)})`)[0];
+  (info?.values || []).forEach(([, name, declared, notNull, , pk]) => {
+    // Columns without a declared type are left to the value heuristic
+    const column = { name, sqlType: declared || '', type: undefined, notNull: !!notNull || pk > 0, primaryKey: pk > 0, unique: false, references: null };
+    if (declared) Object.assign(column, columnType(declared));
+    schema.columns.push(column);
+    if (pk > 0) keyParts.push({ name, pk });
+  });
+  // pk is the column's position within the key
+  schema.primaryKey = keyParts.sort((a, b) => a.pk - b.pk).map(k => k.name);
+
+  // One row per column pair; composite keys share an id
+  const fks = db.exec(`PRAGMA foreign_key_list(${quoteName(tableName)})`)[0];
+  const byId = new Map();
+  (fks?.values || []).forEach(([id, , table, from, to]) => {
+    if (!byId.has(id)) byId.set(id, { columns: [], table: table.toLowerCase(), refColumns: [] });
+    const fk = byId.get(id);
+    fk.columns.push(from);
+    if (to !== null) fk.refColumns.push(to);
+  });
+  byId.forEach(fk => {
+    if (fk.refColumns.length === 0) fk.refColumns = null;
+    schema.foreignKeys.push(fk);
+    if (fk.columns.length === 1) {
+      const col = schema.columns.find(c => c.name === fk.columns[0]);
+      if (col) col.references = { table: fk.table, column: fk.refColumns ? fk.refColumns[0] : null };
+    }
+  });
+  return schema;
+};
+
+/**
+ * Read every table of a SQLite database.
+ * Options: { rowLimit, sample, onProgress(line) }
+ * Returns { tables, schemas, logs } like parseSQLFile.
+ */
+export const readSQLiteDatabase = async (buffer, { rowLimit = 0, sample = false, onProgress = () => {} } = {}) => {
+  const SQL = await loadSqlJs();
+  const db = new SQL.Database(new Uint8Array(buffer));
+  const tables = {};
+  const schemas = {};
+  const logs = ['🔍 Reading SQLite database...'];
+
+  try {
+    const names = (db.exec("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name")[0]?.values || [])
+      .map(([name]) => name);
+
+    names.forEach((name, i) => {
+      const tableName = name.toLowerCase();
+      const schema = readSchema(db, name);
+      schemas[tableName] = schema;
+      const pk = schema.primaryKey.length > 0 ? `, primary key ${schema.primaryKey.join(', ')}` : '';
+      logs.push(`📋 Found table: ${name} (${schema.columns.length} columns${pk})`);
+
+      const collector = createRowCollector({ rowLimit, sample });
+      const stmt = db.prepare(`SELECT * FROM ${quoteName(name)}`);
+      try {
+        const cols = stmt.getColumnNames();
+        while (stmt.step()) {
+          const values = stmt.get();
+          const row = {};
+          cols.forEach((col, c) => {
+            const v = values[c];
+            row[col] = v instanceof Uint8Array ? blobValue(v) : v;
+          });
+          collector.add(row);
+          if (collector.seen % PROGRESS_INTERVAL === 0) {
+            onProgress(`⏳ Reading ${tableName} (${i + 1}/${names.length}): ${collector.seen.toLocaleString()} rows`);
+          }
+        }
+      } finally {
+        stmt.free();
+      }
+
+      const rows = collector.rows();
+      if (rows.length === 0) return;
+      tables[tableName] = rows.map((row, idx) => ({ ...row, _id: idx }));
+      logs.push(`📥 Loaded ${rows.length} rows → ${tableName}`);
+      const limited = rowLimitLog(tableName, rows.length, collector.seen, sample);
+      if (limited) logs.push(limited);
+    });
+  } finally {
+    db.close();
+  }
+
+  const foreignKeys = Object.entries(schemas).flatMap(([name, schema]) =>
+    schema.foreignKeys.map(fk => `${name}.${fk.columns.join(', ')} → ${fk.table}${fk.refColumns ? `.${fk.refColumns.join(', ')}` : ''}`)
+  );
+  if (foreignKeys.length > 0) {
+    logs.push(`🔑 ${foreignKeys.length} foreign key(s) declared`);
+    foreignKeys.forEach(fk => logs.push(`   ${fk}`));
+  }
+
+  if (Object.keys(tables).length === 0) {
+    logs.push('⚠️ No data found. The database has no tables with rows.');
+  } else {
+    const totalRows = Object.values(tables).reduce((sum, rows) => sum + rows.length, 0);
+    logs.push(`✅ Done! ${Object.keys(tables).length} table(s), ${totalRows} total rows`);
+  }
+
+  return { tables, schemas, logs };
+};
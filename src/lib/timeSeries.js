@@ -0,0 +1,132 @@
+// Time series for the charts view: dated values bucketed by day, week,
+// month, quarter or year (quarters and years can follow a fiscal year),
+// optionally with empty periods filled in, as running totals or as
+// rolling averages.
+
+export const GRANULARITIES = [
+  { grain: 'day', label: 'Day' },
+  { grain: 'week', label: 'Week' },
+  { grain: 'month', label: 'Month' },
+  { grain: 'quarter', label: 'Quarter' },
+  { grain: 'year', label: 'Year' }
+];
+
+// What each period's point shows; rolling averages are over the last `window` periods
+export const VALUE_MODES = [
+  { mode: 'period', label: 'Per period' },
+  { mode: 'cumulative', label: 'Running total' },
+  { mode: 'rolling7', label: '7-period average', window: 7 },
+  { mode: 'rolling30', label: '30-period average', window: 30 },
+  { mode: 'rolling90', label: '90-period average', window: 90 }
+];
+
+export const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Past this many periods, filling gaps is skipped rather than drawing a huge empty chart
+const MAX_FILLED_PERIODS = 5000;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const parseISO = (iso) => iso.split('-').map(Number);
+
+const addDays = (iso, days) => {
+  const [year, month, day] = parseISO(iso);
+  return new Date(Date.UTC(year, month - 1, day) + days * DAY_MS).toISOString().slice(0, 10);
+};
+
+// First of the month n months after iso's month
+const addMonths = (iso, months) => {
+  const [year, month] = parseISO(iso);
+  const index = year * 12 + (month - 1) + months;
+  return `${Math.floor(index / 12)}-${pad((index % 12) + 1)}-01`;
+};
+
+// Months since the fiscal year started (0-11), for a fiscal year starting in month fiscalStart (1-12)
+const fiscalMonth = (month, fiscalStart) => (month - fiscalStart + 12) % 12;
+
+/**
+ * The first day of the period an ISO date falls in. Weeks start on Monday;
+ * quarters and years start from fiscalStart (1 = January, 7 = July, ...).
+ */
+export const periodStart = (iso, grain, fiscalStart = 1) => {
+  const [year, month, day] = parseISO(iso);
+  switch (grain) {
+    case 'week': return addDays(iso, -((new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7));
+    case 'month': return `${year}-${pad(month)}-01`;
+    case 'quarter': return addMonths(`${year}-${pad(month)}-01`, -(fiscalMonth(month, fiscalStart) % 3));
+    case 'year': return addMonths(`${year}-${pad(month)}-01`, -fiscalMonth(month, fiscalStart));
+    default: return iso;
+  }
+};
+
+const nextPeriod = (start, grain) => {
+  switch (grain) {
+    case 'week': return addDays(start, 7);
+    case 'month': return addMonths(start, 1);
+    case 'quarter': return addMonths(start, 3);
+    case 'year': return addMonths(start, 12);
+    default: return addDays(start, 1);
+  }
+};
+
+// Axis label for a period start: 2024-03-04, Wk of 2024-03-04, 2024-03,
+// 2024-Q1, 2024; fiscal years are named by the year they end in (FY2025-Q1, FY2025)
+export const periodLabel = (start, grain, fiscalStart = 1) => {
+  const [year, month] = parseISO(start);
+  const fiscalYear = fiscalStart === 1 ? String(year) : `FY${month >= fiscalStart ? year + 1 : year}`;
+  switch (grain) {
+    case 'week': return `Wk of ${start}`;
+    case 'month': return start.slice(0, 7);
+    case 'quarter': return `${fiscalYear}-Q${Math.floor(fiscalMonth(month, fiscalStart) / 3) + 1}`;
+    case 'year': return fiscalYear;
+    default: return start;
+  }
+};
+
+/**
+ * Chart rows from points [{ date, series, value }] (date as an ISO date):
+ * one row per period, { period, label, [series]: value } for each name in
+ * series. options is { grain, fiscalStart, fillGaps, mode } with mode from
+ * VALUE_MODES; fillGaps adds the periods with no points as zeros, so
+ * running totals and rolling averages count them too.
+ */
+export const buildTimeSeries = (points, series, { grain = 'day', fiscalStart = 1, fillGaps = false, mode = 'period' } = {}) => {
+  const totals = new Map();
+  points.forEach(({ date, series: name, value }) => {
+    const start = periodStart(date, grain, fiscalStart);
+    if (!totals.has(start)) totals.set(start, {});
+    const period = totals.get(start);
+    period[name] = (period[name] || 0) + value;
+  });
+
+  let periods = [...totals.keys()].sort();
+  if (fillGaps && periods.length > 1) {
+    const filled = [];
+    for (let start = periods[0]; start <= periods[periods.length - 1] && filled.length <= MAX_FILLED_PERIODS; start = nextPeriod(start, grain)) {
+      filled.push(start);
+    }
+    if (filled.length <= MAX_FILLED_PERIODS) periods = filled;
+  }
+
+  const { window } = VALUE_MODES.find(m => m.mode === mode) || VALUE_MODES[0];
+  const rows = periods.map(start => ({ period: start, label: periodLabel(start, grain, fiscalStart) }));
+  series.forEach(name => {
+    const values = periods.map(start => totals.get(start)?.[name] || 0);
+    let running = 0;
+    values.forEach((value, i) => {
+      running += value;
+      if (mode === 'cumulative') {
+        rows[i][name] = running;
+      } else if (window) {
+        // Running sum minus whatever has dropped out of the window; early periods average what there is
+        if (i >= window) running -= values[i - window];
+        rows[i][name] = running / Math.min(i + 1, window);
+      } else {
+        rows[i][name] = value;
+      }
+    });
+  });
+  return rows;
+};
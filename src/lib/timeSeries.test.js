@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { buildTimeSeries, periodLabel, periodStart } from './timeSeries';
+
+describe('periodStart', () => {
+  it('finds the start of each grain', () => {
+    expect(periodStart('2024-03-14', 'day')).toBe('2024-03-14');
+    expect(periodStart('2024-03-14', 'week')).toBe('2024-03-11');
+    expect(periodStart('2024-03-10', 'week')).toBe('2024-03-04');
+    expect(periodStart('2024-03-14', 'month')).toBe('2024-03-01');
+    expect(periodStart('2024-05-14', 'quarter')).toBe('2024-04-01');
+    expect(periodStart('2024-05-14', 'year')).toBe('2024-01-01');
+  });
+
+  it('follows a fiscal year', () => {
+    expect(periodStart('2024-05-14', 'quarter', 7)).toBe('2024-04-01');
+    expect(periodStart('2024-08-14', 'quarter', 7)).toBe('2024-07-01');
+    expect(periodStart('2024-05-14', 'year', 7)).toBe('2023-07-01');
+  });
+});
+
+describe('periodLabel', () => {
+  it('names fiscal periods by the year they end in', () => {
+    expect(periodLabel('2024-04-01', 'quarter')).toBe('2024-Q2');
+    expect(periodLabel('2024-07-01', 'quarter', 7)).toBe('FY2025-Q1');
+    expect(periodLabel('2023-07-01', 'year', 7)).toBe('FY2024');
+    expect(periodLabel('2024-03-04', 'week')).toBe('Wk of 2024-03-04');
+  });
+});
+
+describe('buildTimeSeries', () => {
+  const points = [
+    { date: '2024-01-03', series: 'A', value: 10 },
+    { date: '2024-01-20', series: 'A', value: 5 },
+    { date: '2024-01-21', series: 'B', value: 1 },
+    { date: '2024-03-02', series: 'A', value: 30 }
+  ];
+
+  it('totals each series per period', () => {
+    expect(buildTimeSeries(points, ['A', 'B'], { grain: 'month' })).toEqual([
+      { period: '2024-01-01', label: '2024-01', A: 15, B: 1 },
+      { period: '2024-03-01', label: '2024-03', A: 30, B: 0 }
+    ]);
+  });
+
+  it('fills gaps with zeros when asked', () => {
+    const rows = buildTimeSeries(points, ['A'], { grain: 'month', fillGaps: true });
+    expect(rows.map(r => [r.label, r.A])).toEqual([['2024-01', 15], ['2024-02', 0], ['2024-03', 30]]);
+  });
+
+  it('runs totals and rolling averages over the filled periods', () => {
+    const cumulative = buildTimeSeries(points, ['A'], { grain: 'month', fillGaps: true, mode: 'cumulative' });
+    expect(cumulative.map(r => r.A)).toEqual([15, 15, 45]);
+    const daily = [1, 2, 3, 4, 5, 6, 7, 8].map((value, i) => ({ date: `2024-01-0${i + 1}`, series: 'A', value }));
+    const rolling = buildTimeSeries(daily, ['A'], { mode: 'rolling7' });
+    expect(rolling.map(r => r.A)).toEqual([1, 1.5, 2, 2.5, 3, 3.5, 4, 5]);
+  });
+});
@@ -0,0 +1,19 @@
+// Row windowing for the table view: only rows in or near the viewport get
+// DOM nodes. Rows have a fixed height, so the rows above and below the
+// window are stood in for by two spacer rows of the right height.
+
+export const ROW_HEIGHT = 36;
+
+// Extra rows rendered above and below the viewport so fast scrolling doesn't show gaps
+const OVERSCAN = 10;
+
+/**
+ * Rows to render when the viewport starts at scrollTop. Returns
+ * { start, end, padTop, padBottom }: rows[start..end) plus spacer heights.
+ */
+export const visibleWindow = (scrollTop, viewportHeight, total, rowHeight = ROW_HEIGHT) => {
+  const first = Math.min(Math.floor(scrollTop / rowHeight), total);
+  const start = Math.max(0, first - OVERSCAN);
+  const end = Math.min(total, first + Math.ceil(viewportHeight / rowHeight) + OVERSCAN);
+  return { start, end, padTop: start * rowHeight, padBottom: Math.max(0, total - end) * rowHeight };
+};